@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// Sends a stray ERC20, or the native balance when asset is the zero address, out of the calling
+// contract. The function is external so Vault links against a deployed copy instead of carrying
+// this code itself; it runs through DELEGATECALL, so balances are the Vault's.
+library AssetRescue {
+    using SafeERC20 for IERC20;
+
+    // An amount of zero sends the whole balance. Returns the amount sent.
+    function rescue(address asset, address to, uint256 amount) external returns (uint256) {
+        uint256 balance = asset == address(0) ? address(this).balance : IERC20(asset).balanceOf(address(this));
+        if (amount == 0) {
+            amount = balance;
+        }
+        require(amount > 0 && amount <= balance, "Insufficient balance to rescue");
+
+        if (asset == address(0)) {
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "Native transfer failed");
+        } else {
+            IERC20(asset).safeTransfer(to, amount);
+        }
+        return amount;
+    }
+}
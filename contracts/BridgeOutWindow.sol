@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Vault's cumulative bridge-out cap over a rolling window of `period`; a limit of zero disables
+// it. Usage is tracked in BUCKETS buckets per period plus one, so an amount leaves the window
+// between one period and one period plus a bucket after it was bridged. The functions are
+// external so Vault links against a deployed copy instead of carrying this code itself.
+library BridgeOutWindow {
+    uint256 internal constant BUCKETS = 24;
+    uint256 internal constant MIN_PERIOD = 1 hours;
+    uint256 internal constant MAX_PERIOD = 30 days;
+
+    struct Window {
+        uint256 limit;
+        uint256 period;
+        uint256[BUCKETS + 1] amounts;
+        uint256[BUCKETS + 1] epochs;
+    }
+
+    function setLimit(Window storage window, uint256 newLimit, uint256 newPeriod) external {
+        require(newPeriod >= MIN_PERIOD && newPeriod <= MAX_PERIOD, "Invalid bridge-out window period");
+
+        if (newPeriod != window.period) {
+            // Bucket boundaries move with the period; carry the current usage over as a single
+            // bucket so changing the period never frees up allowance
+            uint256 used = usage(window);
+            delete window.amounts;
+            delete window.epochs;
+            window.period = newPeriod;
+            _record(window, used);
+        }
+
+        window.limit = newLimit;
+    }
+
+    // Counts amount against the window, reverting if it does not fit
+    function consume(Window storage window, uint256 amount) external {
+        require(amount <= remaining(window), "Amount exceeds bridge-out window limit");
+        _record(window, amount);
+    }
+
+    function usage(Window storage window) public view returns (uint256 used) {
+        uint256 epoch = _epoch(window);
+        for (uint256 i = 0; i < window.amounts.length; i++) {
+            if (window.epochs[i] + BUCKETS >= epoch) {
+                used += window.amounts[i];
+            }
+        }
+    }
+
+    function remaining(Window storage window) public view returns (uint256) {
+        if (window.limit == 0) {
+            return type(uint256).max;
+        }
+        uint256 used = usage(window);
+        return used >= window.limit ? 0 : window.limit - used;
+    }
+
+    function _epoch(Window storage window) private view returns (uint256) {
+        return block.timestamp / (window.period / BUCKETS);
+    }
+
+    function _record(Window storage window, uint256 amount) private {
+        uint256 epoch = _epoch(window);
+        uint256 slot = epoch % window.amounts.length;
+        if (window.epochs[slot] != epoch) {
+            window.epochs[slot] = epoch;
+            window.amounts[slot] = 0;
+        }
+        window.amounts[slot] += amount;
+    }
+}
@@ -0,0 +1,214 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+// The parts of Vault the releaser relies on
+interface IReleaseVault {
+    function isSigner(address account) external view returns (bool);
+    function requiredSignatures() external view returns (uint256);
+    function isPaused() external view returns (bool);
+    function executionDelay() external view returns (uint256);
+    function destinationChains(uint256 chainId) external view returns (bool registered, bool enabled, uint256 maxBridgeOutAmount);
+    function release(address to, uint256 amount) external;
+}
+
+// Bridge-in for the Vault: pays out LIB that was burned on a destination chain, once a threshold
+// of the Vault's signers attest to the burn. Lives outside the Vault, which is at the contract
+// size limit; the Vault only pays out to the releaser set through its SetReleaser operation.
+contract BridgeReleaser is EIP712 {
+    bytes32 public constant RELEASE_TYPEHASH = keccak256(
+        "Release(uint256 sourceChainId,bytes32 sourceTxId,address recipient,uint256 amount)"
+    );
+    bytes32 public constant RELEASE_LIMITS_TYPEHASH = keccak256(
+        "ReleaseLimits(uint256 maxReleaseAmount,uint256 periodLimit,uint256 period,uint256 nonce)"
+    );
+    uint256 public constant MIN_RELEASE_PERIOD = 1 hours;
+    uint256 public constant MAX_RELEASE_PERIOD = 30 days;
+
+    IReleaseVault public immutable vault;
+
+    // Keyed by releaseId, so a burn can never be released twice
+    mapping(bytes32 => bool) public released;
+
+    // Caps on a single release and on the total released per period. Periods are fixed windows
+    // starting at the first release after the previous one ended.
+    uint256 public maxReleaseAmount;
+    uint256 public periodLimit;
+    uint256 public period;
+    uint256 public periodStart;
+    uint256 public releasedInPeriod;
+
+    // Attestations for a limits change name the current nonce, so each set is used once
+    uint256 public limitsNonce;
+
+    // A loosening of the caps waiting out the Vault's executionDelay; pendingLimitsAt is zero when
+    // none is queued
+    uint256 public pendingMaxReleaseAmount;
+    uint256 public pendingPeriodLimit;
+    uint256 public pendingPeriod;
+    uint256 public pendingLimitsAt;
+
+    event Released(
+        bytes32 indexed releaseId,
+        uint256 indexed sourceChainId,
+        bytes32 indexed sourceTxId,
+        address recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event ReleaseLimitsUpdated(
+        uint256 maxReleaseAmount,
+        uint256 periodLimit,
+        uint256 period,
+        uint256 timestamp
+    );
+
+    event ReleaseLimitsQueued(
+        uint256 maxReleaseAmount,
+        uint256 periodLimit,
+        uint256 period,
+        uint256 effectiveAt,
+        uint256 timestamp
+    );
+
+    constructor(address _vault, uint256 _maxReleaseAmount, uint256 _periodLimit, uint256 _period) EIP712("BridgeReleaser", "1") {
+        require(_vault != address(0), "Invalid vault address");
+        vault = IReleaseVault(_vault);
+        _requireValidLimits(_maxReleaseAmount, _periodLimit, _period);
+        _setReleaseLimits(_maxReleaseAmount, _periodLimit, _period);
+    }
+
+    function releaseId(uint256 sourceChainId, bytes32 sourceTxId) public pure returns (bytes32) {
+        return keccak256(abi.encode(sourceChainId, sourceTxId));
+    }
+
+    // EIP-712 digest the signers attest to for a release
+    function getReleaseTypedHash(
+        uint256 sourceChainId,
+        bytes32 sourceTxId,
+        address recipient,
+        uint256 amount
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(RELEASE_TYPEHASH, sourceChainId, sourceTxId, recipient, amount)));
+    }
+
+    function getReleaseLimitsTypedHash(
+        uint256 _maxReleaseAmount,
+        uint256 _periodLimit,
+        uint256 _period,
+        uint256 nonce
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(RELEASE_LIMITS_TYPEHASH, _maxReleaseAmount, _periodLimit, _period, nonce)));
+    }
+
+    // Releases amount to recipient for a burn on sourceChainId. Anyone can submit it; the
+    // attesters' signatures, sorted by ascending attester address, are what authorize it.
+    function release(
+        uint256 sourceChainId,
+        bytes32 sourceTxId,
+        address recipient,
+        uint256 amount,
+        address[] calldata attesters,
+        bytes[] calldata signatures
+    ) external {
+        bytes32 id = releaseId(sourceChainId, sourceTxId);
+        require(!released[id], "Already released");
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Cannot release zero tokens");
+        require(amount <= maxReleaseAmount, "Amount exceeds release limit");
+        (bool registered, , ) = vault.destinationChains(sourceChainId);
+        require(registered, "Unknown source chain");
+        // An emergency pause on the Vault stops releases as well as bridge-out
+        require(!vault.isPaused(), "Releases paused");
+        _requireAttested(getReleaseTypedHash(sourceChainId, sourceTxId, recipient, amount), attesters, signatures);
+
+        if (block.timestamp >= periodStart + period) {
+            periodStart = block.timestamp;
+            releasedInPeriod = 0;
+        }
+        require(releasedInPeriod + amount <= periodLimit, "Amount exceeds period release limit");
+        releasedInPeriod += amount;
+        released[id] = true;
+
+        vault.release(recipient, amount);
+        emit Released(id, sourceChainId, sourceTxId, recipient, amount, block.timestamp);
+    }
+
+    // Amount that can still be released in the current period
+    function getPeriodRemaining() public view returns (uint256) {
+        if (block.timestamp >= periodStart + period) {
+            return periodLimit;
+        }
+        return releasedInPeriod >= periodLimit ? 0 : periodLimit - releasedInPeriod;
+    }
+
+    // Changes the caps with a threshold of signer attestations over the new values and limitsNonce.
+    // Tightening them applies at once. Raising a cap or shortening the period is queued for the
+    // Vault's executionDelay, like the Vault's own high-impact operations, and applied through
+    // applyReleaseLimits. Either replaces a change still queued.
+    function setReleaseLimits(
+        uint256 _maxReleaseAmount,
+        uint256 _periodLimit,
+        uint256 _period,
+        address[] calldata attesters,
+        bytes[] calldata signatures
+    ) external {
+        _requireAttested(getReleaseLimitsTypedHash(_maxReleaseAmount, _periodLimit, _period, limitsNonce), attesters, signatures);
+        _requireValidLimits(_maxReleaseAmount, _periodLimit, _period);
+        limitsNonce++;
+
+        uint256 delay = vault.executionDelay();
+        bool tightens = _maxReleaseAmount <= maxReleaseAmount && _periodLimit <= periodLimit && _period >= period;
+        if (tightens || delay == 0) {
+            pendingLimitsAt = 0;
+            _setReleaseLimits(_maxReleaseAmount, _periodLimit, _period);
+        } else {
+            pendingMaxReleaseAmount = _maxReleaseAmount;
+            pendingPeriodLimit = _periodLimit;
+            pendingPeriod = _period;
+            pendingLimitsAt = block.timestamp + delay;
+            emit ReleaseLimitsQueued(_maxReleaseAmount, _periodLimit, _period, pendingLimitsAt, block.timestamp);
+        }
+    }
+
+    // Applies queued caps once their delay has passed. Anyone can call it.
+    function applyReleaseLimits() external {
+        require(pendingLimitsAt != 0, "No release limits queued");
+        require(block.timestamp >= pendingLimitsAt, "Release limits delay not passed");
+        pendingLimitsAt = 0;
+        _setReleaseLimits(pendingMaxReleaseAmount, pendingPeriodLimit, pendingPeriod);
+    }
+
+    function _requireValidLimits(uint256 _maxReleaseAmount, uint256 _periodLimit, uint256 _period) internal pure {
+        require(_period >= MIN_RELEASE_PERIOD && _period <= MAX_RELEASE_PERIOD, "Invalid release period");
+        require(_maxReleaseAmount <= _periodLimit, "Release limit exceeds period limit");
+    }
+
+    function _setReleaseLimits(uint256 _maxReleaseAmount, uint256 _periodLimit, uint256 _period) internal {
+        maxReleaseAmount = _maxReleaseAmount;
+        periodLimit = _periodLimit;
+        period = _period;
+        emit ReleaseLimitsUpdated(_maxReleaseAmount, _periodLimit, _period, block.timestamp);
+    }
+
+    // Requires requiredSignatures distinct current Vault signers, in ascending address order.
+    // Attesters are named rather than recovered so contract signers such as a Safe can attest
+    // through EIP-1271.
+    function _requireAttested(bytes32 digest, address[] calldata attesters, bytes[] calldata signatures) internal view {
+        require(attesters.length == signatures.length, "Attestation length mismatch");
+        require(attesters.length >= vault.requiredSignatures(), "Not enough attestations");
+        address previous = address(0);
+        for (uint256 i = 0; i < attesters.length; i++) {
+            address attester = attesters[i];
+            require(
+                vault.isSigner(attester) && SignatureChecker.isValidSignatureNow(attester, digest, signatures[i]),
+                "Invalid attestation"
+            );
+            require(attester > previous, "Attestations not sorted by signer");
+            previous = attester;
+        }
+    }
+}
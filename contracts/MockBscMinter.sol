@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+// Stand-in for the BSC side of the bridge in local testing. The relayer (owner) mints once per
+// Vault deposit nonce; a repeated nonce is rejected so duplicate relaying is visible on chain.
+// Holders bridge back by burning, which the release relayer turns into a Vault release.
+contract MockBscMinter is ERC20, Ownable {
+    mapping(uint256 => bool) public minted;
+    // Highest nonce minted so far and how many nonces were minted; they differ while a gap exists
+    uint256 public highestNonce;
+    uint256 public mintedCount;
+    uint256 public burnCount;
+
+    event Minted(uint256 indexed depositNonce, address indexed to, uint256 amount);
+    event Burned(
+        uint256 indexed burnNonce,
+        address indexed from,
+        address indexed targetAddress,
+        uint256 amount,
+        uint256 targetChainId
+    );
+
+    constructor() ERC20("Mock Liberdus BSC", "mLIB") Ownable(msg.sender) {}
+
+    function mint(uint256 depositNonce, address to, uint256 amount) external onlyOwner {
+        require(depositNonce > 0, "Invalid deposit nonce");
+        require(!minted[depositNonce], "Deposit already minted");
+        require(to != address(0), "Invalid recipient");
+        require(amount > 0, "Cannot mint zero tokens");
+
+        minted[depositNonce] = true;
+        mintedCount++;
+        if (depositNonce > highestNonce) {
+            highestNonce = depositNonce;
+        }
+        _mint(to, amount);
+        emit Minted(depositNonce, to, amount);
+    }
+
+    // Burns the caller's tokens so the same amount is released to targetAddress from the Vault
+    // on targetChainId
+    function burn(uint256 amount, address targetAddress, uint256 targetChainId) external {
+        require(amount > 0, "Cannot burn zero tokens");
+        require(targetAddress != address(0), "Invalid target address");
+        _burn(msg.sender, amount);
+        emit Burned(++burnCount, msg.sender, targetAddress, amount, targetChainId);
+    }
+
+    // Number of nonces below highestNonce that have not been minted
+    function missingCount() external view returns (uint256) {
+        return highestNonce - mintedCount;
+    }
+}
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./IPermit2.sol";
+
+// Stand-in for Permit2's SignatureTransfer in local testing. Uses the same EIP-712 domain, types
+// and unordered nonces as the real contract, so signatures made for it are valid on Permit2.
+// Tests install its code at the canonical Permit2 address with hardhat_setCode.
+contract MockPermit2 is IPermit2 {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+    bytes32 private constant NAME_HASH = keccak256("Permit2");
+    bytes32 public constant TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 public constant PERMIT_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+    );
+
+    // owner => word position => bitmap of used nonces
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmap;
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, NAME_HASH, block.chainid, address(this)));
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= permit.deadline, "Signature expired");
+        require(transferDetails.requestedAmount <= permit.permitted.amount, "Invalid amount");
+        _useUnorderedNonce(owner, permit.nonce);
+
+        bytes32 tokenPermissionsHash = keccak256(abi.encode(TOKEN_PERMISSIONS_TYPEHASH, permit.permitted));
+        bytes32 structHash = keccak256(abi.encode(
+            PERMIT_TRANSFER_FROM_TYPEHASH,
+            tokenPermissionsHash,
+            msg.sender,
+            permit.nonce,
+            permit.deadline
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(ECDSA.recover(digest, signature) == owner, "Invalid signer");
+
+        IERC20(permit.permitted.token).safeTransferFrom(owner, transferDetails.to, transferDetails.requestedAmount);
+    }
+
+    function _useUnorderedNonce(address owner, uint256 nonce) internal {
+        uint256 wordPos = nonce >> 8;
+        uint256 bit = 1 << (nonce & 0xff);
+        uint256 flipped = nonceBitmap[owner][wordPos] ^= bit;
+        require(flipped & bit != 0, "Invalid nonce");
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+// Checks signatures over Vault operations. The functions are external so Vault links against a
+// deployed copy instead of carrying the signature recovery code itself.
+library OperationSignatures {
+    // EIP-712 signature over typedHash, or until legacyDeadline an EIP-191 signature over
+    // legacyHash. Contract signers such as a Safe approve typedHash through EIP-1271 instead.
+    function isValid(
+        address signer,
+        bytes32 typedHash,
+        bytes32 legacyHash,
+        uint256 legacyDeadline,
+        bytes memory signature
+    ) external view returns (bool) {
+        if (signer.code.length > 0) {
+            return SignatureChecker.isValidERC1271SignatureNow(signer, typedHash, signature);
+        }
+
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(typedHash, signature);
+        if (error == ECDSA.RecoverError.NoError && recovered == signer) {
+            return true;
+        }
+
+        if (block.timestamp <= legacyDeadline) {
+            (recovered, error, ) = ECDSA.tryRecover(MessageHashUtils.toEthSignedMessageHash(legacyHash), signature);
+            return error == ECDSA.RecoverError.NoError && recovered == signer;
+        }
+        return false;
+    }
+
+    // EOA that signed typedHash, or the zero address for a malformed signature
+    function recover(bytes32 typedHash, bytes memory signature) external pure returns (address signer) {
+        (signer, , ) = ECDSA.tryRecover(typedHash, signature);
+    }
+}
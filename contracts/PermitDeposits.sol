@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "./IPermit2.sol";
+
+// Pulls a deposit from msg.sender into the calling contract with a signed approval, for Vault's
+// single-transaction bridge-out paths. The functions are external so Vault links against a
+// deployed copy instead of carrying this code itself; they run through DELEGATECALL, so
+// msg.sender is the depositor and the tokens go to the Vault.
+library PermitDeposits {
+    // Canonical Permit2 deployment, at the same address on every chain
+    address internal constant PERMIT2 = 0x000000000022D473030F116dDEE9F6B43aC78BA3;
+
+    // EIP-2612 permit. The permit is allowed to fail when the allowance is already in place, so
+    // a front-run of the same permit cannot block the deposit.
+    function pullWithPermit(IERC20 token, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        require(token.allowance(msg.sender, address(this)) >= amount, "Permit failed");
+        require(token.transferFrom(msg.sender, address(this), amount), "Token transfer failed");
+    }
+
+    // Permit2 signature transfer of a PermitTransferFrom with the calling contract as spender
+    function pullWithPermit2(IERC20 token, uint256 amount, uint256 nonce, uint256 deadline, bytes calldata signature) external {
+        IPermit2(PERMIT2).permitTransferFrom(
+            IPermit2.PermitTransferFrom({
+                permitted: IPermit2.TokenPermissions({token: address(token), amount: amount}),
+                nonce: nonce,
+                deadline: deadline
+            }),
+            IPermit2.SignatureTransferDetails({to: address(this), requestedAmount: amount}),
+            msg.sender,
+            signature
+        );
+    }
+}
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Changes to Vault's M-of-N signer set. A threshold passed here is the one that will apply after
+// the change; the signer count never drops below MIN_SIGNERS. The functions are external so
+// Vault links against a deployed copy instead of carrying this code itself.
+library SignerSet {
+    uint256 internal constant MIN_SIGNERS = 2;
+    uint256 internal constant MAX_SIGNERS = 20;
+
+    function replace(address[] storage signers, address oldSigner, address newSigner) external {
+        requireCanReplace(signers, oldSigner, newSigner);
+
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (signers[i] == oldSigner) {
+                signers[i] = newSigner;
+                break;
+            }
+        }
+    }
+
+    function add(address[] storage signers, address newSigner, uint256 threshold) external {
+        requireCanAdd(signers, newSigner, threshold);
+        signers.push(newSigner);
+    }
+
+    function remove(address[] storage signers, address oldSigner, uint256 threshold) external {
+        requireCanRemove(signers, oldSigner, threshold);
+
+        // Shift the rest down so the order of the remaining signers is kept
+        uint256 last = signers.length - 1;
+        for (uint256 i = 0; i < last; i++) {
+            if (signers[i] == oldSigner) {
+                signers[i] = signers[i + 1];
+                signers[i + 1] = oldSigner;
+            }
+        }
+        signers.pop();
+    }
+
+    function requireCanReplace(address[] storage signers, address oldSigner, address newSigner) public view {
+        require(contains(signers, oldSigner), "Old signer not found");
+        require(newSigner != address(0), "Invalid signer address");
+        require(!contains(signers, newSigner), "New signer already exists");
+    }
+
+    function requireCanAdd(address[] storage signers, address newSigner, uint256 threshold) public view {
+        require(newSigner != address(0), "Invalid signer address");
+        require(!contains(signers, newSigner), "New signer already exists");
+        require(signers.length < MAX_SIGNERS, "Too many signers");
+        requireValidThreshold(threshold, signers.length + 1);
+    }
+
+    function requireCanRemove(address[] storage signers, address oldSigner, uint256 threshold) public view {
+        require(contains(signers, oldSigner), "Old signer not found");
+        require(signers.length > MIN_SIGNERS, "Signer count at minimum");
+        requireValidThreshold(threshold, signers.length - 1);
+    }
+
+    function requireValidThreshold(uint256 threshold, uint256 signerCount) public pure {
+        require(threshold >= 1 && threshold <= signerCount, "Invalid required signatures");
+    }
+
+    function contains(address[] storage signers, address account) public view returns (bool) {
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (signers[i] == account) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
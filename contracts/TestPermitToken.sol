@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+// TestToken with EIP-2612 permit, for bridgeOutWithPermit
+contract TestPermitToken is ERC20, ERC20Permit, Ownable {
+    constructor() ERC20("Test Permit Token", "TESTP") ERC20Permit("Test Permit Token") Ownable(msg.sender) {
+        // Mint 2 million tokens to deployer
+        _mint(msg.sender, 2_000_000 * 10 ** decimals());
+    }
+}
@@ -2,18 +2,32 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./AssetRescue.sol";
+import "./BridgeOutWindow.sol";
+import "./OperationSignatures.sol";
+import "./PermitDeposits.sol";
+import "./SignerSet.sol";
 
-contract Vault is ReentrancyGuard, Ownable {
-    using ECDSA for bytes32;
-
+contract Vault is ReentrancyGuard, Ownable, EIP712 {
     enum OperationType {
         SetBridgeOutAmount,
         UpdateSigner,
         SetBridgeOutEnabled,
-        RelinquishTokens
+        RelinquishTokens,
+        SetBridgeOutWindowLimit,
+        AddSigner,
+        RemoveSigner,
+        SetRequiredSignatures,
+        CancelOperation,
+        SetGuardian,
+        RescueFunds,
+        SetExecutionDelay,
+        SetDestinationChain,
+        SetReleaser,
+        RefundDeposit
     }
 
     struct Operation {
@@ -25,6 +39,30 @@ contract Vault is ReentrancyGuard, Ownable {
         bool executed;
         uint256 deadline;
         mapping(address => bool) signatures;
+        address requester;
+        bool cancelled;
+        // Set when a delayed operation reaches its threshold; zero while pending or for instant types
+        uint256 executableAt;
+        // Signers who revoked their approval; it cannot be submitted or replayed again
+        mapping(address => bool) revoked;
+    }
+
+    // Packed into three slots; recorded for every bridge-out so relayers can look deposits up by nonce
+    struct Deposit {
+        address from;
+        uint48 timestamp;
+        uint48 blockNumber;
+        address targetAddress;
+        uint96 chainId;
+        uint256 amount;
+    }
+
+    // A maxBridgeOutAmount of zero leaves only the global maxBridgeOutAmount; otherwise the lower
+    // of the two applies
+    struct DestinationChain {
+        bool registered;
+        bool enabled;
+        uint256 maxBridgeOutAmount;
     }
 
     mapping(bytes32 => Operation) public operations;
@@ -36,13 +74,65 @@ contract Vault is ReentrancyGuard, Ownable {
 
     uint256 public constant OPERATION_DEADLINE = 3 days;
 
+    // Operations that can take over the signer set or move funds wait executionDelay between
+    // reaching their threshold and becoming executable through executeOperation, so users and the
+    // other signers can react. They stay executable for OPERATION_DEADLINE after that.
+    uint256 public constant MAX_EXECUTION_DELAY = 30 days;
+    uint256 public executionDelay = 2 days;
+
+    bytes32 public constant OPERATION_TYPEHASH = keccak256(
+        "Operation(bytes32 operationId,uint8 opType,address target,uint256 value,bytes data,uint256 deadline)"
+    );
+
+    // EIP-191 prefixed signatures over getOperationHash are still accepted until this timestamp
+    uint256 public constant LEGACY_SIGNATURE_PERIOD = 90 days;
+    uint256 public immutable legacySignatureDeadline;
+
     IERC20 public immutable token;
+    // Canonical Permit2 deployment, at the same address on every chain
+    address public constant PERMIT2 = PermitDeposits.PERMIT2;
     uint256 public maxBridgeOutAmount = 10_000 * 10**18;
     bool public bridgeOutEnabled = true;
     bool public halted = false;
 
-    address[4] public signers;
-    uint256 public constant REQUIRED_SIGNATURES = 3;
+    // Emergency pause: any signer or the guardian can stop bridgeOut at once. The pause lifts
+    // by itself after EMERGENCY_PAUSE_DURATION, or earlier through SetBridgeOutEnabled(true).
+    // Each key can pause at most once per EMERGENCY_PAUSE_COOLDOWN, so a single compromised key
+    // cannot keep the bridge stopped.
+    uint256 public constant EMERGENCY_PAUSE_DURATION = 2 days;
+    uint256 public constant EMERGENCY_PAUSE_COOLDOWN = 7 days;
+    address public guardian;
+    uint256 public pausedUntil;
+    mapping(address => uint256) public lastPausedAt;
+
+    // Cumulative bridge-out cap over a rolling window of bridgeOutWindowPeriod; zero disables it.
+    // Kept in the linked BridgeOutWindow library; see there for how usage is bucketed.
+    uint256 public constant BRIDGE_OUT_WINDOW_BUCKETS = BridgeOutWindow.BUCKETS;
+    uint256 public constant MIN_BRIDGE_OUT_WINDOW_PERIOD = BridgeOutWindow.MIN_PERIOD;
+    uint256 public constant MAX_BRIDGE_OUT_WINDOW_PERIOD = BridgeOutWindow.MAX_PERIOD;
+    BridgeOutWindow.Window private bridgeOutWindow;
+
+    // Nonce of the latest deposit; the first deposit gets nonce 1
+    uint256 public depositCount;
+    mapping(uint256 => Deposit) public deposits;
+    // Deposits returned to their depositor through RefundDeposit; relayers must not mint these
+    mapping(uint256 => bool) public refunded;
+
+    // Destination chains bridgeOut accepts, managed through SetDestinationChain. The chain passed
+    // to the constructor is registered first; chains can be disabled but never unregistered.
+    mapping(uint256 => DestinationChain) public destinationChains;
+    uint256[] private destinationChainIds;
+
+    // Contract allowed to pay LIB out of the Vault through release, set through SetReleaser.
+    // It verifies signer attestations and enforces the release caps; zero disables releases.
+    address public releaser;
+
+    // M-of-N signer set, changed through the linked SignerSet library; the signer count never
+    // drops below MIN_SIGNERS
+    uint256 public constant MIN_SIGNERS = SignerSet.MIN_SIGNERS;
+    uint256 public constant MAX_SIGNERS = SignerSet.MAX_SIGNERS;
+    address[] public signers;
+    uint256 public requiredSignatures;
     uint256 public immutable chainId;
 
     // Events
@@ -70,6 +160,34 @@ contract Vault is ReentrancyGuard, Ownable {
         OperationType indexed opType
     );
 
+    event OperationQueued(
+        bytes32 indexed operationId,
+        OperationType indexed opType,
+        uint256 executableAt,
+        uint256 timestamp
+    );
+
+    event ExecutionDelayUpdated(
+        bytes32 indexed operationId,
+        uint256 newDelay,
+        uint256 timestamp
+    );
+
+    // cancelOperationId is the CancelOperation that cancelled it, or zero when the requester did
+    event OperationCancelled(
+        bytes32 indexed operationId,
+        address indexed cancelledBy,
+        bytes32 cancelOperationId,
+        uint256 timestamp
+    );
+
+    event SignatureRevoked(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 currentSignatures,
+        uint256 timestamp
+    );
+
     event BridgeOutAmountUpdated(
         bytes32 indexed operationId,
         uint256 newMaxAmount,
@@ -81,7 +199,8 @@ contract Vault is ReentrancyGuard, Ownable {
         uint256 amount,
         address indexed targetAddress,
         uint256 indexed chainId,
-        uint256 timestamp
+        uint256 timestamp,
+        uint256 depositNonce
     );
 
     event SignerUpdated(
@@ -91,6 +210,25 @@ contract Vault is ReentrancyGuard, Ownable {
         uint256 timestamp
     );
 
+    event SignerAdded(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 timestamp
+    );
+
+    event SignerRemoved(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 timestamp
+    );
+
+    event RequiredSignaturesUpdated(
+        bytes32 indexed operationId,
+        uint256 requiredSignatures,
+        uint256 signerCount,
+        uint256 timestamp
+    );
+
     event TokensRelinquished(
         address indexed to,
         uint256 amount,
@@ -105,18 +243,88 @@ contract Vault is ReentrancyGuard, Ownable {
 
     event VaultHalted(uint256 timestamp);
 
+    event EmergencyPaused(
+        address indexed pauser,
+        uint256 pausedUntil,
+        uint256 timestamp
+    );
+
+    event EmergencyPauseLifted(
+        bytes32 indexed operationId,
+        uint256 timestamp
+    );
+
+    event GuardianUpdated(
+        bytes32 indexed operationId,
+        address indexed oldGuardian,
+        address indexed newGuardian,
+        uint256 timestamp
+    );
+
+    event BridgeOutWindowLimitUpdated(
+        bytes32 indexed operationId,
+        uint256 newLimit,
+        uint256 newPeriod,
+        uint256 timestamp
+    );
+
+    event FundsRescued(
+        bytes32 indexed operationId,
+        address indexed asset,
+        address indexed to,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event DestinationChainUpdated(
+        bytes32 indexed operationId,
+        uint256 indexed chainId,
+        bool enabled,
+        uint256 maxBridgeOutAmount,
+        uint256 timestamp
+    );
+
+    event ReleaserUpdated(
+        bytes32 indexed operationId,
+        address indexed releaser,
+        uint256 timestamp
+    );
+
+    event DepositRefunded(
+        bytes32 indexed operationId,
+        uint256 indexed depositNonce,
+        address indexed from,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event TokensReleased(
+        address indexed to,
+        uint256 amount,
+        uint256 timestamp
+    );
+
     event OperationPruned(
         bytes32 indexed operationId,
         uint256 timestamp
     );
 
+    // Checked in _requireNotHalted to keep Vault under the size limit
     modifier whenNotHalted() {
-        require(!halted, "Vault is permanently halted");
+        _requireNotHalted();
         _;
     }
 
-    constructor(address _token, address[4] memory _signers, uint256 _chainId) Ownable(msg.sender) {
+    function _requireNotHalted() internal view {
+        require(!halted, "Vault is permanently halted");
+    }
+
+    constructor(address _token, address[] memory _signers, uint256 _requiredSignatures, uint256 _chainId)
+        Ownable(msg.sender)
+        EIP712("Liberdus Vault", "1")
+    {
         require(_token != address(0), "Invalid token address");
+        require(_signers.length >= MIN_SIGNERS && _signers.length <= MAX_SIGNERS, "Invalid number of signers");
 
         for (uint i = 0; i < _signers.length; i++) {
             require(_signers[i] != address(0), "Invalid signer address");
@@ -124,10 +332,15 @@ contract Vault is ReentrancyGuard, Ownable {
                 require(_signers[i] != _signers[j], "Duplicate signer address");
             }
         }
+        SignerSet.requireValidThreshold(_requiredSignatures, _signers.length);
 
         token = IERC20(_token);
         signers = _signers;
+        requiredSignatures = _requiredSignatures;
         chainId = _chainId;
+        _setDestinationChain(_chainId, true, 0);
+        bridgeOutWindow.period = 1 days;
+        legacySignatureDeadline = block.timestamp + LEGACY_SIGNATURE_PERIOD;
     }
 
     // --------- MULTI-SIG OPERATIONS ---------
@@ -141,11 +354,29 @@ contract Vault is ReentrancyGuard, Ownable {
         require(isSigner(msg.sender) || owner() == msg.sender, "Not authorized to request operation");
 
         if (opType == OperationType.UpdateSigner) {
-            address oldSigner = target;
-            address newSigner = address(uint160(value));
-            require(isSigner(oldSigner), "Old signer not found");
-            require(!isSigner(newSigner), "New signer already exists");
-            require(oldSigner != msg.sender, "Cannot request to replace self");
+            SignerSet.requireCanReplace(signers, target, address(uint160(value)));
+            require(target != msg.sender, "Cannot request to replace self");
+        } else if (opType == OperationType.AddSigner) {
+            SignerSet.requireCanAdd(signers, target, _thresholdAfter(value));
+        } else if (opType == OperationType.RemoveSigner) {
+            SignerSet.requireCanRemove(signers, target, _thresholdAfter(value));
+        } else if (opType == OperationType.SetRequiredSignatures) {
+            SignerSet.requireValidThreshold(value, signers.length);
+        } else if (opType == OperationType.CancelOperation) {
+            _requireCancellable(abi.decode(data, (bytes32)));
+        } else if (opType == OperationType.SetGuardian) {
+            require(target != guardian, "Guardian already set");
+        } else if (opType == OperationType.RescueFunds) {
+            require(target != address(0), "Invalid recipient");
+            require(abi.decode(data, (address)) != address(token), "Cannot rescue bridged token");
+        } else if (opType == OperationType.SetExecutionDelay) {
+            require(value <= MAX_EXECUTION_DELAY, "Invalid execution delay");
+        } else if (opType == OperationType.SetDestinationChain) {
+            // Deposit records store the chain id in 96 bits
+            require(value != 0 && value <= type(uint96).max, "Invalid chain ID");
+            abi.decode(data, (bool, uint256));
+        } else if (opType == OperationType.RefundDeposit) {
+            _requireRefundable(value);
         }
 
         uint256 deadline = block.timestamp + OPERATION_DEADLINE;
@@ -155,9 +386,8 @@ contract Vault is ReentrancyGuard, Ownable {
         op.target = target;
         op.value = value;
         op.data = data;
-        op.executed = false;
-        op.numSignatures = 0;
         op.deadline = deadline;
+        op.requester = msg.sender;
         operationIdIndexes[operationId] = operationIds.length;
         operationIds.push(operationId);
 
@@ -175,13 +405,10 @@ contract Vault is ReentrancyGuard, Ownable {
     }
 
     function submitSignature(bytes32 operationId, bytes memory signature) public whenNotHalted {
-        Operation storage op = operations[operationId];
-        // deadline is always set on creation; a zero value means the operationId was never registered
-        require(op.deadline != 0, "Operation does not exist");
-        require(!op.executed, "Operation already executed");
+        Operation storage op = _requireSignable(operationId);
         require(!op.signatures[msg.sender], "Signature already submitted");
+        require(!op.revoked[msg.sender], "Signature revoked");
         require(block.timestamp <= op.deadline, "Operation deadline passed");
-        require(op.numSignatures < REQUIRED_SIGNATURES, "Enough signatures already");
 
         if (op.opType == OperationType.UpdateSigner) {
             require(isSigner(msg.sender) || owner() == msg.sender, "Only signers or owner can submit signatures");
@@ -189,28 +416,132 @@ contract Vault is ReentrancyGuard, Ownable {
             require(isSigner(msg.sender), "Only signers can submit signatures");
         }
 
-        bytes32 messageHash = getOperationHash(operationId);
-        // Add Ethereum Signed Message prefix
-        bytes32 prefixedHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
-        address signer = ECDSA.recover(prefixedHash, signature);
-
-        require(signer == msg.sender, "Signature signer must be message sender");
+        require(_isValidOperationSignature(operationId, msg.sender, signature), "Signature signer must be message sender");
 
         if (op.opType == OperationType.UpdateSigner) {
-            require(signer != op.target, "Signer being replaced cannot approve");
+            require(msg.sender != op.target, "Signer being replaced cannot approve");
         }
 
+        if (_recordSignature(operationId, msg.sender) >= requiredSignatures && op.executableAt == 0) {
+            _queueOrExecute(operationId);
+        }
+    }
+
+    // Approves and executes an operation in one transaction, so signers need no gas of their own.
+    // Anyone can submit the signatures, ordered by signer address without repeats. With the
+    // approvals already on chain they must reach requiredSignatures; delayed operations are then
+    // queued as with submitSignature. Contract signers such as a Safe use submitSignature.
+    function executeWithSignatures(bytes32 operationId, bytes[] calldata signatures) external whenNotHalted {
+        Operation storage op = _requireSignable(operationId);
+        require(block.timestamp <= op.deadline, "Operation deadline passed");
+        require(op.executableAt == 0, "Operation already queued");
+
+        address previous;
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = _recoverApprover(op, operationId, signatures[i]);
+            require(signer > previous, "Signatures not sorted by signer");
+            require(!op.revoked[signer], "Signature revoked");
+            previous = signer;
+            if (!op.signatures[signer]) {
+                _recordSignature(operationId, signer);
+            }
+        }
+        require(getApprovalCount(operationId) >= requiredSignatures, "Not enough approvals");
+        _queueOrExecute(operationId);
+    }
+
+    function _requireSignable(bytes32 operationId) internal view returns (Operation storage op) {
+        op = operations[operationId];
+        // deadline is always set on creation; a zero value means the operationId was never registered
+        require(op.deadline != 0, "Operation does not exist");
+        require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
+    }
+
+    function _recordSignature(bytes32 operationId, address signer) internal returns (uint256 approvals) {
+        Operation storage op = operations[operationId];
         op.signatures[signer] = true;
         op.numSignatures++;
+        approvals = getApprovalCount(operationId);
+        emit SignatureSubmitted(operationId, signer, approvals, requiredSignatures, block.timestamp);
+    }
 
-        emit SignatureSubmitted(operationId, signer, op.numSignatures, REQUIRED_SIGNATURES, block.timestamp);
-
-        if (op.numSignatures == REQUIRED_SIGNATURES) {
-            executeOperation(operationId);
+    // Called once an operation reaches its threshold
+    function _queueOrExecute(bytes32 operationId) internal {
+        Operation storage op = operations[operationId];
+        if (isDelayedOperation(op.opType) && executionDelay > 0) {
+            op.executableAt = block.timestamp + executionDelay;
+            emit OperationQueued(operationId, op.opType, op.executableAt, block.timestamp);
+        } else {
+            _executeOperation(operationId);
         }
     }
 
-    function executeOperation(bytes32 operationId) internal nonReentrant {
+    // Executes a queued operation once its delay has passed. Anyone can call it. Approvals are
+    // counted again, so revoked signatures and signers removed during the delay no longer count.
+    function executeOperation(bytes32 operationId) external whenNotHalted {
+        Operation storage op = operations[operationId];
+        require(op.executableAt != 0, "Operation not queued");
+        require(!op.cancelled, "Operation cancelled");
+        require(block.timestamp >= op.executableAt, "Execution delay not passed");
+        require(block.timestamp <= _expiresAt(op), "Operation deadline passed");
+        require(getApprovalCount(operationId) >= requiredSignatures, "Not enough approvals");
+        _executeOperation(operationId);
+    }
+
+    function isDelayedOperation(OperationType opType) public pure returns (bool) {
+        return opType == OperationType.UpdateSigner ||
+            opType == OperationType.AddSigner ||
+            opType == OperationType.RemoveSigner ||
+            opType == OperationType.SetRequiredSignatures ||
+            opType == OperationType.RelinquishTokens ||
+            opType == OperationType.RescueFunds ||
+            opType == OperationType.SetExecutionDelay ||
+            opType == OperationType.SetReleaser ||
+            opType == OperationType.RefundDeposit;
+    }
+
+    // A queued operation can be executed or cancelled until OPERATION_DEADLINE after it became
+    // executable, even when that is past its signing deadline
+    function _expiresAt(Operation storage op) internal view returns (uint256) {
+        return op.executableAt != 0 ? op.executableAt + OPERATION_DEADLINE : op.deadline;
+    }
+
+    // Lets the requester withdraw a pending operation; it becomes prunable immediately. Signers
+    // can also cancel any pending operation through a CancelOperation operation.
+    function cancelOperation(bytes32 operationId) public whenNotHalted {
+        require(isSigner(msg.sender) || owner() == msg.sender, "Not authorized to cancel operation");
+        _requireCancellable(operationId);
+        require(operations[operationId].requester == msg.sender, "Only the requester can cancel");
+        _cancelOperation(operationId, msg.sender, bytes32(0));
+    }
+
+    // Withdraws the caller's approval from an operation that has not executed yet. The revocation
+    // is final: the same signature could otherwise be replayed through executeWithSignatures.
+    function revokeSignature(bytes32 operationId) public whenNotHalted {
+        Operation storage op = _requireSignable(operationId);
+        require(op.signatures[msg.sender], "No signature to revoke");
+
+        op.signatures[msg.sender] = false;
+        op.revoked[msg.sender] = true;
+        op.numSignatures--;
+        emit SignatureRevoked(operationId, msg.sender, getApprovalCount(operationId), block.timestamp);
+    }
+
+    function _requireCancellable(bytes32 operationId) internal view {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation does not exist");
+        require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation already cancelled");
+        require(block.timestamp <= _expiresAt(op), "Operation deadline passed");
+    }
+
+    function _cancelOperation(bytes32 operationId, address cancelledBy, bytes32 cancelOperationId) internal {
+        operations[operationId].cancelled = true;
+        emit OperationCancelled(operationId, cancelledBy, cancelOperationId, block.timestamp);
+    }
+
+    function _executeOperation(bytes32 operationId) internal nonReentrant {
         Operation storage op = operations[operationId];
         require(!op.executed, "Operation already executed");
 
@@ -225,6 +556,36 @@ contract Vault is ReentrancyGuard, Ownable {
             _executeRelinquishTokens();
         } else if (op.opType == OperationType.SetBridgeOutEnabled) {
             _executeSetBridgeOutEnabled(operationId, abi.decode(op.data, (bool)));
+        } else if (op.opType == OperationType.SetBridgeOutWindowLimit) {
+            uint256 newPeriod = abi.decode(op.data, (uint256));
+            BridgeOutWindow.setLimit(bridgeOutWindow, op.value, newPeriod);
+            emit BridgeOutWindowLimitUpdated(operationId, op.value, newPeriod, block.timestamp);
+        } else if (op.opType == OperationType.AddSigner) {
+            _executeAddSigner(operationId, op.target, op.value);
+        } else if (op.opType == OperationType.RemoveSigner) {
+            _executeRemoveSigner(operationId, op.target, op.value);
+        } else if (op.opType == OperationType.SetRequiredSignatures) {
+            _executeSetRequiredSignatures(operationId, op.value);
+        } else if (op.opType == OperationType.CancelOperation) {
+            bytes32 cancelledId = abi.decode(op.data, (bytes32));
+            _requireCancellable(cancelledId);
+            _cancelOperation(cancelledId, address(this), operationId);
+        } else if (op.opType == OperationType.SetGuardian) {
+            _executeSetGuardian(operationId, op.target);
+        } else if (op.opType == OperationType.RescueFunds) {
+            _executeRescueFunds(operationId, abi.decode(op.data, (address)), op.target, op.value);
+        } else if (op.opType == OperationType.SetExecutionDelay) {
+            executionDelay = op.value;
+            emit ExecutionDelayUpdated(operationId, op.value, block.timestamp);
+        } else if (op.opType == OperationType.SetDestinationChain) {
+            (bool enabled, uint256 maxAmount) = abi.decode(op.data, (bool, uint256));
+            _setDestinationChain(op.value, enabled, maxAmount);
+            emit DestinationChainUpdated(operationId, op.value, enabled, maxAmount, block.timestamp);
+        } else if (op.opType == OperationType.SetReleaser) {
+            releaser = op.target;
+            emit ReleaserUpdated(operationId, op.target, block.timestamp);
+        } else if (op.opType == OperationType.RefundDeposit) {
+            _executeRefundDeposit(operationId, op.value);
         } else {
             revert("Unknown operation type");
         }
@@ -243,15 +604,7 @@ contract Vault is ReentrancyGuard, Ownable {
     }
 
     function _executeUpdateSigner(bytes32 operationId, address oldSigner, address newSigner) internal {
-        require(isSigner(oldSigner), "Old signer not found");
-        require(!isSigner(newSigner), "New signer already exists");
-
-        for (uint i = 0; i < signers.length; i++) {
-            if (signers[i] == oldSigner) {
-                signers[i] = newSigner;
-                break;
-            }
-        }
+        SignerSet.replace(signers, oldSigner, newSigner);
         emit SignerUpdated(
             operationId,
             oldSigner,
@@ -259,38 +612,260 @@ contract Vault is ReentrancyGuard, Ownable {
             block.timestamp
         );
     }
+
+    // value is the threshold to apply with the change; zero keeps the current threshold
+    function _executeAddSigner(bytes32 operationId, address newSigner, uint256 newThreshold) internal {
+        SignerSet.add(signers, newSigner, _thresholdAfter(newThreshold));
+        emit SignerAdded(operationId, newSigner, block.timestamp);
+        _updateRequiredSignatures(operationId, newThreshold);
+    }
+
+    // Keeps the order of the remaining signers, so getSigners stays stable
+    function _executeRemoveSigner(bytes32 operationId, address oldSigner, uint256 newThreshold) internal {
+        SignerSet.remove(signers, oldSigner, _thresholdAfter(newThreshold));
+        emit SignerRemoved(operationId, oldSigner, block.timestamp);
+        _updateRequiredSignatures(operationId, newThreshold);
+    }
+
+    function _executeSetRequiredSignatures(bytes32 operationId, uint256 newThreshold) internal {
+        SignerSet.requireValidThreshold(newThreshold, signers.length);
+        require(newThreshold != requiredSignatures, "Required signatures already set");
+        _updateRequiredSignatures(operationId, newThreshold);
+    }
+
+    function _updateRequiredSignatures(bytes32 operationId, uint256 newThreshold) internal {
+        if (newThreshold != 0 && newThreshold != requiredSignatures) {
+            requiredSignatures = newThreshold;
+        }
+        emit RequiredSignaturesUpdated(operationId, requiredSignatures, signers.length, block.timestamp);
+    }
+
+    // Threshold that applies after an AddSigner or RemoveSigner with the given value
+    function _thresholdAfter(uint256 newThreshold) internal view returns (uint256) {
+        return newThreshold == 0 ? requiredSignatures : newThreshold;
+    }
+
     function _executeRelinquishTokens() internal {
         uint256 balance = token.balanceOf(address(this));
         require(balance > 0, "No tokens to relinquish");
-        require(token.transfer(address(token), balance), "Token transfer failed");
+        _sendTokens(address(token), balance);
         halted = true;
         emit TokensRelinquished(address(token), balance, block.timestamp);
         emit VaultHalted(block.timestamp);
     }
 
+    // Enabling also lifts an emergency pause, so it is not a no-op while paused
     function _executeSetBridgeOutEnabled(bytes32 operationId, bool enabled) internal {
-        require(enabled != bridgeOutEnabled, "Bridge-out status already set");
+        require(enabled != bridgeOutEnabled || (enabled && isPaused()), "Bridge-out status already set");
         bridgeOutEnabled = enabled;
+        if (enabled && isPaused()) {
+            pausedUntil = 0;
+            emit EmergencyPauseLifted(operationId, block.timestamp);
+        }
         emit BridgeOutStatusUpdated(operationId, enabled, block.timestamp);
     }
 
+    // Recovers a stray ERC20, or the native balance when asset is the zero address. An amount of
+    // zero sends the whole balance. The bridged token can never be moved this way.
+    function _executeRescueFunds(bytes32 operationId, address asset, address to, uint256 amount) internal {
+        require(asset != address(token), "Cannot rescue bridged token");
+        emit FundsRescued(operationId, asset, to, AssetRescue.rescue(asset, to, amount), block.timestamp);
+    }
+
+    // Returns exactly the deposited amount to the depositor, once per deposit nonce
+    function _executeRefundDeposit(bytes32 operationId, uint256 depositNonce) internal {
+        _requireRefundable(depositNonce);
+        Deposit storage deposit = deposits[depositNonce];
+        refunded[depositNonce] = true;
+        _sendTokens(deposit.from, deposit.amount);
+        emit DepositRefunded(operationId, depositNonce, deposit.from, deposit.amount, block.timestamp);
+    }
+
+    function _requireRefundable(uint256 depositNonce) internal view {
+        require(deposits[depositNonce].from != address(0), "Unknown deposit");
+        require(!refunded[depositNonce], "Deposit already refunded");
+    }
+
+    function _executeSetGuardian(bytes32 operationId, address newGuardian) internal {
+        require(newGuardian != guardian, "Guardian already set");
+        address oldGuardian = guardian;
+        guardian = newGuardian;
+        emit GuardianUpdated(operationId, oldGuardian, newGuardian, block.timestamp);
+    }
+
+    function _setDestinationChain(uint256 destinationChainId, bool enabled, uint256 maxAmount) internal {
+        DestinationChain storage destination = destinationChains[destinationChainId];
+        if (!destination.registered) {
+            destination.registered = true;
+            destinationChainIds.push(destinationChainId);
+        }
+        destination.enabled = enabled;
+        destination.maxBridgeOutAmount = maxAmount;
+    }
+
+    // EIP-712 signature over getOperationTypedHash, or during the transition period an EIP-191
+    // signature over getOperationHash. Contract signers such as a Safe approve the typed hash
+    // through EIP-1271 instead.
+    function _isValidOperationSignature(bytes32 operationId, address signer, bytes memory signature) internal view returns (bool) {
+        return OperationSignatures.isValid(
+            signer,
+            getOperationTypedHash(operationId),
+            getOperationHash(operationId),
+            legacySignatureDeadline,
+            signature
+        );
+    }
+
+    // EOA that signed the operation's typed hash. Reverts unless that account may approve it.
+    function _recoverApprover(Operation storage op, bytes32 operationId, bytes memory signature) internal view returns (address signer) {
+        signer = OperationSignatures.recover(getOperationTypedHash(operationId), signature);
+        require(_canApprove(op, signer), "Invalid signature");
+    }
+
+    // Current signers, plus the owner for UpdateSigner, minus the signer being replaced
+    function _canApprove(Operation storage op, address account) internal view returns (bool) {
+        if (op.opType == OperationType.UpdateSigner) {
+            return account != op.target && (isSigner(account) || account == owner());
+        }
+        return isSigner(account);
+    }
+
+    // --------- BRIDGE-IN ---------
+
+    // Pays out LIB bridged back from the destination chain. Only the releaser can call it.
+    function release(address to, uint256 amount) external whenNotHalted {
+        require(msg.sender == releaser, "Not authorized to release");
+        _sendTokens(to, amount);
+        emit TokensReleased(to, amount, block.timestamp);
+    }
+
+    // --------- EMERGENCY PAUSE ---------
+
+    function emergencyPause() public whenNotHalted {
+        require(isSigner(msg.sender) || (guardian != address(0) && msg.sender == guardian), "Not authorized to pause");
+        require(
+            lastPausedAt[msg.sender] == 0 || block.timestamp >= lastPausedAt[msg.sender] + EMERGENCY_PAUSE_COOLDOWN,
+            "Pause cooldown active"
+        );
+
+        lastPausedAt[msg.sender] = block.timestamp;
+        uint256 until = block.timestamp + EMERGENCY_PAUSE_DURATION;
+        if (until > pausedUntil) {
+            pausedUntil = until;
+        }
+        emit EmergencyPaused(msg.sender, pausedUntil, block.timestamp);
+    }
+
+    function isPaused() public view returns (bool) {
+        return block.timestamp < pausedUntil;
+    }
+
     // --------- BRIDGE OUT ---------
 
+    // Token movements go through these so the external call is not inlined at every use
+    function _pullTokens(uint256 amount) internal {
+        require(token.transferFrom(msg.sender, address(this), amount), "Token transfer failed");
+    }
+
+    function _sendTokens(address to, uint256 amount) internal {
+        require(token.transfer(to, amount), "Token transfer failed");
+    }
+
     function bridgeOut(uint256 amount, address targetAddress, uint256 _chainId) public whenNotHalted {
+        _validateBridgeOut(amount, targetAddress, _chainId);
+        _pullTokens(amount);
+        _recordDeposit(amount, targetAddress, _chainId);
+    }
+
+    // bridgeOut in a single transaction for tokens with EIP-2612 permit. The permit is allowed to
+    // fail when the allowance is already in place, so a front-run of the same permit cannot block
+    // the deposit.
+    function bridgeOutWithPermit(
+        uint256 amount,
+        address targetAddress,
+        uint256 _chainId,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public whenNotHalted {
+        _validateBridgeOut(amount, targetAddress, _chainId);
+        PermitDeposits.pullWithPermit(token, amount, deadline, v, r, s);
+        _recordDeposit(amount, targetAddress, _chainId);
+    }
+
+    // bridgeOut in a single transaction for tokens without permit, through a Permit2 signature
+    // transfer. The depositor approves Permit2 once and signs a PermitTransferFrom per deposit,
+    // with this Vault as spender.
+    function bridgeOutWithPermit2(
+        uint256 amount,
+        address targetAddress,
+        uint256 _chainId,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) public whenNotHalted {
+        _validateBridgeOut(amount, targetAddress, _chainId);
+        PermitDeposits.pullWithPermit2(token, amount, nonce, deadline, signature);
+        _recordDeposit(amount, targetAddress, _chainId);
+    }
+
+    // Checks shared by every bridge-out entry point; also counts the amount against the window
+    // while a window limit is set
+    function _validateBridgeOut(uint256 amount, address targetAddress, uint256 _chainId) internal {
         require(bridgeOutEnabled, "Bridge-out disabled");
-        require(_chainId == chainId, "Invalid chain ID");
+        require(!isPaused(), "Bridge-out paused");
+        DestinationChain storage destination = destinationChains[_chainId];
+        require(destination.registered, "Invalid chain ID");
+        require(destination.enabled, "Destination chain disabled");
         require(amount > 0, "Cannot bridge out zero tokens");
         require(amount <= maxBridgeOutAmount, "Amount exceeds bridge-out limit");
+        require(
+            destination.maxBridgeOutAmount == 0 || amount <= destination.maxBridgeOutAmount,
+            "Amount exceeds destination chain limit"
+        );
         require(targetAddress != address(0), "Invalid target address");
         require(amount <= token.balanceOf(msg.sender), "Insufficient balance");
+        if (bridgeOutWindow.limit > 0) {
+            BridgeOutWindow.consume(bridgeOutWindow, amount);
+        }
+    }
 
-        require(token.transferFrom(msg.sender, address(this), amount), "Token transfer failed");
-
-        emit BridgedOut(msg.sender, amount, targetAddress, _chainId, block.timestamp);
+    function _recordDeposit(uint256 amount, address targetAddress, uint256 _chainId) internal {
+        uint256 depositNonce = ++depositCount;
+        deposits[depositNonce] = Deposit({
+            from: msg.sender,
+            timestamp: uint48(block.timestamp),
+            blockNumber: uint48(block.number),
+            targetAddress: targetAddress,
+            chainId: uint96(_chainId),
+            amount: amount
+        });
+
+        emit BridgedOut(msg.sender, amount, targetAddress, _chainId, block.timestamp, depositNonce);
     }
 
     // --------- HELPER FUNCTIONS ---------
 
+    function bridgeOutWindowLimit() public view returns (uint256) {
+        return bridgeOutWindow.limit;
+    }
+
+    function bridgeOutWindowPeriod() public view returns (uint256) {
+        return bridgeOutWindow.period;
+    }
+
+    // Total bridged out in the current rolling window; bridge-outs made while no limit was set
+    // are not counted
+    function getBridgeOutWindowUsage() public view returns (uint256) {
+        return BridgeOutWindow.usage(bridgeOutWindow);
+    }
+
+    // Amount that can still be bridged out in the current window; unlimited when no limit is set
+    function getBridgeOutWindowRemaining() public view returns (uint256) {
+        return BridgeOutWindow.remaining(bridgeOutWindow);
+    }
+
     function isSigner(address account) public view returns (bool) {
         for (uint i = 0; i < signers.length; i++) {
             if (signers[i] == account) {
@@ -300,15 +875,51 @@ contract Vault is ReentrancyGuard, Ownable {
         return false;
     }
 
+    // Approvals that count towards requiredSignatures: those of current signers, plus the owner's
+    // for UpdateSigner. Approvals from removed or replaced signers no longer count.
+    function getApprovalCount(bytes32 operationId) public view returns (uint256 approvals) {
+        Operation storage op = operations[operationId];
+        if (op.deadline == 0) {
+            return 0;
+        }
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (op.signatures[signers[i]]) {
+                approvals++;
+            }
+        }
+        if (op.opType == OperationType.UpdateSigner && !isSigner(owner()) && op.signatures[owner()]) {
+            approvals++;
+        }
+    }
+
     function getOperationHash(bytes32 operationId) public view returns (bytes32) {
         Operation storage op = operations[operationId];
         return keccak256(abi.encodePacked(operationId, op.opType, op.target, op.value, op.data, chainId));
     }
 
+    // EIP-712 digest signers approve; the wallet shows the Operation struct fields
+    function getOperationTypedHash(bytes32 operationId) public view returns (bytes32) {
+        Operation storage op = operations[operationId];
+        bytes32 structHash = keccak256(abi.encode(
+            OPERATION_TYPEHASH,
+            operationId,
+            op.opType,
+            op.target,
+            op.value,
+            keccak256(op.data),
+            op.deadline
+        ));
+        return _hashTypedDataV4(structHash);
+    }
+
     function getChainId() public view returns (uint256) {
         return chainId;
     }
 
+    function getDestinationChainIds() public view returns (uint256[] memory) {
+        return destinationChainIds;
+    }
+
     function getOperationIdsCount() public view returns (uint256) {
         return operationIds.length;
     }
@@ -317,16 +928,64 @@ contract Vault is ReentrancyGuard, Ownable {
         return operationIds;
     }
 
+    function getOperationIds(uint256 offset, uint256 limit) public view returns (bytes32[] memory page) {
+        if (offset >= operationIds.length) {
+            return new bytes32[](0);
+        }
+        uint256 end = offset + limit;
+        if (end > operationIds.length) {
+            end = operationIds.length;
+        }
+        page = new bytes32[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = operationIds[i];
+        }
+    }
+
+    // The operations() getter cannot return the signatures mapping; this returns every other field
+    function getOperation(bytes32 operationId) public view returns (
+        OperationType opType,
+        address target,
+        uint256 value,
+        bytes memory data,
+        uint256 numSignatures,
+        bool executed,
+        uint256 deadline,
+        address requester,
+        bool cancelled,
+        uint256 executableAt
+    ) {
+        Operation storage op = operations[operationId];
+        return (op.opType, op.target, op.value, op.data, op.numSignatures, op.executed, op.deadline, op.requester, op.cancelled, op.executableAt);
+    }
+
+    function getSigners() public view returns (address[] memory currentSigners) {
+        return signers;
+    }
+
+    // Pruning deletes the struct but cannot clear its signatures mapping, so pruned or unknown
+    // operations report no approvals
+    function hasSigned(bytes32 operationId, address account) public view returns (bool) {
+        Operation storage op = operations[operationId];
+        return op.deadline != 0 && op.signatures[account];
+    }
+
+    // Approval status of each current signer, in signers order
+    function getSignerApprovals(bytes32 operationId) public view returns (address[] memory currentSigners, bool[] memory approved) {
+        currentSigners = getSigners();
+        approved = new bool[](currentSigners.length);
+        for (uint256 i = 0; i < currentSigners.length; i++) {
+            approved[i] = hasSigned(operationId, currentSigners[i]);
+        }
+    }
+
     function isOperationPrunable(bytes32 operationId) public view returns (bool) {
         Operation storage op = operations[operationId];
         if (op.deadline == 0) {
             return false;
         }
 
-        bool isExecuted = op.executed;
-        bool isExpired = block.timestamp > op.deadline;
-        bool isRejected = isExpired && !isExecuted;
-        return isExecuted || isExpired || isRejected;
+        return op.executed || op.cancelled || block.timestamp > _expiresAt(op);
     }
 
     function pruneOperationsByIds(bytes32[] calldata operationIdsToPrune) external returns (uint256 prunedCount) {
@@ -377,7 +1036,7 @@ contract Vault is ReentrancyGuard, Ownable {
     }
 
     function isOperationExpired(bytes32 operationId) public view returns (bool) {
-        return block.timestamp > operations[operationId].deadline;
+        return block.timestamp > _expiresAt(operations[operationId]);
     }
 
     function getVaultBalance() public view returns (uint256) {
@@ -8,12 +8,27 @@ const SIGNER_2 = process.env.SIGNER_2 || "0x222222222222222222222222222222222222
 const SIGNER_3 = process.env.SIGNER_3 || "0x3333333333333333333333333333333333333333";
 const SIGNER_4 = process.env.SIGNER_4 || "0x4444444444444444444444444444444444444444";
 
+// SIGNERS (comma-separated) overrides SIGNER_1..SIGNER_4 and may list any number of signers
+const SIGNERS = process.env.SIGNERS
+  ? process.env.SIGNERS.split(",").map((address) => address.trim()).filter(Boolean)
+  : [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4];
+
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    settings: {
+      // Vault is close to the 24KB contract size limit without it
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
   defaultNetwork: "localhost",
   networks: {
     hardhat: {
-      chainId: 31337,
+      // HARDHAT_CHAIN_ID lets two `hardhat node`s stand in for different chains
+      chainId: Number(process.env.HARDHAT_CHAIN_ID || 31337),
       accounts: {
         mnemonic: process.env.MNEMONIC || "test test test test test test test test test test test junk",
       },
@@ -65,11 +80,11 @@ module.exports = {
       default: 0
     },
     signers: {
-      mainnet: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
-      polygon: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
-      mumbai: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
-      amoy: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
-      bscTestnet: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
+      mainnet: SIGNERS,
+      polygon: SIGNERS,
+      mumbai: SIGNERS,
+      amoy: SIGNERS,
+      bscTestnet: SIGNERS,
     }
   }
 };
@@ -0,0 +1,85 @@
+// Bridges out to many recipients from a CSV of `targetAddress,amount` rows. Rows above the
+// destination chain's bridge-out limit are split into several bridgeOut calls, and progress is saved after
+// every step so an interrupted run can simply be started again.
+const hre = require("hardhat");
+const fs = require("fs");
+const { ethers } = hre;
+const {
+  parseBatchCsv,
+  planChunks,
+  hashContent,
+  createBatchProgress,
+  runBatch,
+} = require("./lib/batch-bridge-out");
+const { resolveVaultAddress } = require("./lib/deployments");
+const { resolveDestinationChainId, getRouteLimit } = require("./lib/destinations");
+
+async function main() {
+  const VAULT_ADDRESS = resolveVaultAddress(hre.network.name);
+  const CSV_FILE = process.env.CSV_FILE;
+  if (!CSV_FILE) {
+    throw new Error("Set CSV_FILE to a CSV with a targetAddress,amount header");
+  }
+  const PROGRESS_FILE = process.env.PROGRESS_FILE || `${CSV_FILE}.progress.json`;
+  const DRY_RUN = ["true", "1"].includes(String(process.env.DRY_RUN || "").toLowerCase());
+
+  const [sender] = await hre.ethers.getSigners();
+  const vault = await hre.ethers.getContractAt("Vault", VAULT_ADDRESS);
+  const token = new ethers.Contract(
+    await vault.token(),
+    [
+      "function balanceOf(address) view returns (uint256)",
+      "function allowance(address,address) view returns (uint256)",
+      "function approve(address,uint256) returns (bool)",
+    ],
+    sender
+  );
+
+  // DESTINATION_NETWORK: network name or chain id; defaults to the Vault's deployment route
+  const chainId = resolveDestinationChainId(process.env.DESTINATION_NETWORK, {
+    networks: hre.config.networks,
+    fallback: await vault.getChainId(),
+  });
+
+  console.log("=== Batch Bridge Out ===");
+  console.log("Using account:", sender.address);
+  console.log("Vault Address:", VAULT_ADDRESS);
+  console.log("Destination chain:", Number(chainId));
+  console.log("CSV:", CSV_FILE);
+  console.log("Progress file:", PROGRESS_FILE);
+
+  const content = fs.readFileSync(CSV_FILE, "utf8");
+  const rows = parseBatchCsv(content);
+  const progress = createBatchProgress(DRY_RUN ? null : PROGRESS_FILE, {
+    csvHash: hashContent(content),
+    from: sender.address,
+    vault: VAULT_ADDRESS,
+    chainId,
+  });
+
+  if (!progress.hasPlan()) {
+    const maxBridgeOutAmount = await getRouteLimit(vault, chainId);
+    const chunks = planChunks(rows, maxBridgeOutAmount);
+    progress.setPlan(chunks, await hre.ethers.provider.getBlockNumber());
+    progress.save();
+    console.log(`Planned ${chunks.length} bridgeOut calls for ${rows.length} rows (max ${ethers.formatUnits(maxBridgeOutAmount, 18)} LIB each)`);
+  } else {
+    console.log("Resuming from progress file");
+  }
+
+  const { sent } = await runBatch({ vault, token, signer: sender, progress, dryRun: DRY_RUN });
+  if (DRY_RUN) {
+    console.log("\nDry run: nothing sent");
+    return;
+  }
+
+  const done = progress.chunks().filter(c => c.status === "done").length;
+  console.log(`\nSent ${sent} bridgeOut calls this run; ${done}/${progress.chunks().length} complete`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+// Step 3 of the offline signing workflow: check the signers' signature files against the
+// operation and the current signer set, then broadcast their submitSignature transactions, or
+// with AGGREGATE=true send all signatures in one executeWithSignatures call.
+const hre = require("hardhat");
+const path = require("path");
+const { readJson } = require("./lib/operations");
+const { collectSignatures, findSignatureFiles } = require("./lib/offline-signing");
+
+async function main() {
+  const OPERATION_FILE = process.env.OPERATION_FILE;
+  if (!OPERATION_FILE) {
+    throw new Error("Set OPERATION_FILE to the operation file exported by export-operation.js");
+  }
+  const DRY_RUN = ["true", "1"].includes(String(process.env.DRY_RUN || "").toLowerCase());
+  const AGGREGATE = ["true", "1"].includes(String(process.env.AGGREGATE || "").toLowerCase());
+
+  const operationFile = readJson(OPERATION_FILE);
+  const signaturePaths = process.env.SIGNATURE_FILES
+    ? process.env.SIGNATURE_FILES.split(",").map(p => p.trim()).filter(Boolean)
+    : findSignatureFiles(path.dirname(OPERATION_FILE), operationFile.operationId);
+
+  console.log("=== Collect Signatures ===");
+  console.log("Vault Address:", operationFile.vault);
+  console.log(`Operation: ${operationFile.opTypeName} (${operationFile.operationId})`);
+  console.log(`Signature files: ${signaturePaths.length}`);
+
+  const vault = await hre.ethers.getContractAt("Vault", operationFile.vault);
+  const signatureFiles = signaturePaths.map(p => readJson(p));
+  await collectSignatures(vault, operationFile, signatureFiles, { dryRun: DRY_RUN, aggregate: AGGREGATE });
+
+  if (!DRY_RUN) {
+    const op = await vault.getOperation(operationFile.operationId);
+    console.log(`\nOperation executed: ${op.executed}`);
+    if (op.executableAt > 0n) {
+      console.log(`Operation queued; executable after ${new Date(Number(op.executableAt) * 1000).toISOString()} with ACTION=execute`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
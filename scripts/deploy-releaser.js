@@ -0,0 +1,36 @@
+// Deploys the BridgeReleaser for the network's Vault. The Vault only pays out through it once
+// the signers approve a SetReleaser operation (ACTION=setReleaser in interact-vault.js).
+const hre = require("hardhat");
+const { ethers } = hre;
+const { resolveVaultAddress } = require("./lib/deployments");
+
+async function main() {
+  const VAULT_ADDRESS = resolveVaultAddress(hre.network.name);
+  // Caps in LIB; the period in seconds (1 hour to 30 days)
+  const maxReleaseAmount = ethers.parseUnits(process.env.RELEASE_MAX_AMOUNT || "10000", 18);
+  const periodLimit = ethers.parseUnits(process.env.RELEASE_PERIOD_LIMIT || "100000", 18);
+  const period = Number(process.env.RELEASE_PERIOD || 24 * 60 * 60);
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Deploying BridgeReleaser with the account:", deployer.address);
+  console.log("Vault Address:", VAULT_ADDRESS);
+  console.log(`Max release: ${ethers.formatUnits(maxReleaseAmount, 18)} LIB`);
+  console.log(`Period limit: ${ethers.formatUnits(periodLimit, 18)} LIB per ${period}s`);
+
+  const BridgeReleaser = await hre.ethers.getContractFactory("BridgeReleaser");
+  const releaser = await BridgeReleaser.deploy(VAULT_ADDRESS, maxReleaseAmount, periodLimit, period);
+  await releaser.waitForDeployment();
+
+  const address = await releaser.getAddress();
+  const receipt = await releaser.deploymentTransaction().wait();
+  console.log("BridgeReleaser deployed to:", address, "in block", receipt.blockNumber);
+  console.log("\nNext: approve it on the Vault with");
+  console.log(`  ACTION=setReleaser RELEASER_ADDRESS=${address} npx hardhat run scripts/interact-vault.js --network ${hre.network.name}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,5 +1,12 @@
 const hre = require("hardhat");
 const { ethers } = hre;
+const {
+  buildManifest,
+  findLiveDeployment,
+  manifestPath,
+  writeDeployment,
+} = require("./lib/deployments");
+const { deployVaultLibraries, getVaultFactory } = require("./lib/vault-libraries");
 
 async function main() {
   const TOKEN_ADDRESS = process.env.LIBERDUS_TOKEN_ADDRESS;
@@ -7,6 +14,18 @@ async function main() {
     throw new Error("Set LIBERDUS_TOKEN_ADDRESS in your .env file (the deployed Liberdus contract address)");
   }
 
+  const network = hre.network.name;
+  const existing = await findLiveDeployment(network, hre.ethers.provider);
+  if (existing && process.env.FORCE_DEPLOY !== "true") {
+    throw new Error(
+      `Vault already deployed on ${network} at ${existing.address} (${manifestPath(network)}). ` +
+      "Set FORCE_DEPLOY=true to deploy a new one and replace the manifest."
+    );
+  }
+  if (existing) {
+    console.log(`FORCE_DEPLOY set: replacing the deployment at ${existing.address}`);
+  }
+
   const [deployer] = await hre.ethers.getSigners();
 
   console.log("Deploying Vault with the account:", deployer.address);
@@ -24,13 +43,26 @@ async function main() {
     throw new Error(`No signers configured for network: ${hre.network.name}`);
   }
 
+  // Threshold defaults to a simple majority of the configured signers
+  const requiredSignatures = Number(process.env.REQUIRED_SIGNATURES || Math.floor(signerAddresses.length / 2) + 1);
+  if (!Number.isInteger(requiredSignatures) || requiredSignatures < 1 || requiredSignatures > signerAddresses.length) {
+    throw new Error(`REQUIRED_SIGNATURES must be between 1 and ${signerAddresses.length}`);
+  }
+
   console.log("Token address:", TOKEN_ADDRESS);
   console.log("Using chainId:", chainId);
   console.log("Using signers:", signerAddresses);
+  console.log(`Required signatures: ${requiredSignatures} of ${signerAddresses.length}`);
+
+  // Vault links against external libraries, deployed first
+  const libraries = await deployVaultLibraries(hre.ethers, deployer);
+  for (const [name, address] of Object.entries(libraries)) {
+    console.log(`${name} library deployed to:`, address);
+  }
 
   // Deploy Vault
-  const Vault = await hre.ethers.getContractFactory("Vault");
-  const vault = await Vault.deploy(TOKEN_ADDRESS, signerAddresses, chainId);
+  const Vault = await getVaultFactory(hre.ethers, deployer, libraries);
+  const vault = await Vault.deploy(TOKEN_ADDRESS, signerAddresses, requiredSignatures, chainId);
 
   await vault.waitForDeployment();
 
@@ -41,15 +73,38 @@ async function main() {
     console.log(`  Signer ${index + 1}:`, signer);
   });
 
+  const receipt = await vault.deploymentTransaction().wait();
+  const artifact = await hre.artifacts.readArtifact("Vault");
+  const manifestFile = writeDeployment(network, buildManifest({
+    network,
+    chainId,
+    address: contractAddress,
+    token: TOKEN_ADDRESS,
+    signers: signerAddresses,
+    requiredSignatures,
+    deployer: deployer.address,
+    receipt,
+    buildInfo: await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`),
+    abi: artifact.abi,
+    libraries,
+    // Recorded in history only when replacing a live deployment; a stale manifest is overwritten
+    previous: existing,
+  }));
+  console.log("Deployment manifest written to:", manifestFile);
+
   // Wait for block confirmations then verify
   console.log("Waiting for block confirmations...");
   await vault.deploymentTransaction().wait(6);
 
   console.log("Verifying contract...");
   try {
+    for (const address of Object.values(libraries)) {
+      await hre.run("verify:verify", { address, constructorArguments: [] });
+    }
     await hre.run("verify:verify", {
       address: contractAddress,
-      constructorArguments: [TOKEN_ADDRESS, signerAddresses, chainId],
+      constructorArguments: [TOKEN_ADDRESS, signerAddresses, requiredSignatures, chainId],
+      libraries,
     });
     console.log("Contract verified successfully");
   } catch (error) {
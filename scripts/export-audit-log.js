@@ -0,0 +1,54 @@
+// Exports the Vault's complete governance history for auditors, rebuilt from its event logs so
+// operations stay in the record after they are pruned from storage. Every run continues from the
+// block after the saved cursor and rewrites the CSV and JSON exports from the accumulated state.
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { createAuditState, exportAuditLog, auditRows, formatAuditCsv } = require("./lib/audit-log");
+const { readDeployment, resolveVaultAddress } = require("./lib/deployments");
+
+async function main() {
+  const VAULT_ADDRESS = resolveVaultAddress(hre.network.name);
+  const AUDIT_DIR = process.env.AUDIT_DIR || "audit-log";
+  // Nothing before the Vault's deployment block can hold one of its events
+  const deployment = process.env.VAULT_ADDRESS ? null : readDeployment(hre.network.name);
+  const startBlock = Number(process.env.START_BLOCK || (deployment ? deployment.blockNumber : 0));
+  const confirmations = Number(process.env.CONFIRMATIONS || 12);
+  const batchSize = Number(process.env.BATCH_SIZE || 2000);
+
+  const vault = await hre.ethers.getContractAt("Vault", VAULT_ADDRESS);
+  const provider = hre.ethers.provider;
+  const chainId = (await provider.getNetwork()).chainId;
+  const statePath = path.join(AUDIT_DIR, "state.json");
+  const auditState = createAuditState(statePath, { vault: VAULT_ADDRESS, chainId });
+
+  // Only export blocks deep enough not to be reorged away, since the cursor never moves back
+  const toBlock = Number(process.env.TO_BLOCK || (await provider.getBlockNumber()) - confirmations);
+
+  console.log("=== Governance Audit Log ===");
+  console.log("Vault Address:", VAULT_ADDRESS);
+  console.log("Network:", hre.network.name);
+  console.log("State:", statePath);
+  const cursor = auditState.getCursor();
+  console.log(`Exporting from block ${cursor === null ? startBlock : cursor + 1} to ${toBlock}`);
+
+  const applied = await exportAuditLog({ vault, auditState, startBlock, toBlock, batchSize });
+
+  const now = (await provider.getBlock("latest")).timestamp;
+  const rows = auditRows(auditState, { now, operationDeadline: await vault.OPERATION_DEADLINE() });
+  fs.writeFileSync(path.join(AUDIT_DIR, "operations.csv"), formatAuditCsv(rows));
+  fs.writeFileSync(
+    path.join(AUDIT_DIR, "operations.json"),
+    JSON.stringify({ vault: VAULT_ADDRESS, chainId: chainId.toString(), cursor: auditState.getCursor(), operations: rows, events: auditState.listEvents() }, null, 2)
+  );
+
+  console.log(`\nApplied ${applied} new events; ${rows.length} operations in the log`);
+  console.log(`Wrote ${path.join(AUDIT_DIR, "operations.csv")} and ${path.join(AUDIT_DIR, "operations.json")}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
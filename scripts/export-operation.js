@@ -0,0 +1,59 @@
+// Step 1 of the offline signing workflow: request an operation (or pick an existing one) and
+// export it to an operation file that each signer signs on their own machine.
+const hre = require("hardhat");
+const { ethers } = hre;
+const { OP_NAMES, parseOpType, findOperationId, writeJson } = require("./lib/operations");
+const { exportOperation, operationFilePath } = require("./lib/offline-signing");
+const { resolveVaultAddress } = require("./lib/deployments");
+
+async function main() {
+  const VAULT_ADDRESS = resolveVaultAddress(hre.network.name);
+  const OPERATIONS_DIR = process.env.OPERATIONS_DIR || "operations";
+
+  const [requester] = await hre.ethers.getSigners();
+  const vault = await hre.ethers.getContractAt("Vault", VAULT_ADDRESS);
+
+  console.log("=== Export Operation ===");
+  console.log("Vault Address:", VAULT_ADDRESS);
+  console.log("Network:", hre.network.name);
+
+  let operationId = process.env.OPERATION_ID;
+  if (!operationId) {
+    if (process.env.OP_TYPE === undefined) {
+      throw new Error(`Set OPERATION_ID to export an existing operation, or OP_TYPE (${OP_NAMES.join(", ")}) to request a new one`);
+    }
+    const opType = parseOpType(process.env.OP_TYPE);
+    const target = process.env.TARGET || ethers.ZeroAddress;
+    const value = BigInt(process.env.VALUE || 0);
+    const data = process.env.DATA || "0x";
+    if (!ethers.isAddress(target)) {
+      throw new Error("TARGET must be a valid address");
+    }
+
+    console.log(`Requesting ${OP_NAMES[opType]} as ${requester.address}...`);
+    const tx = await vault.connect(requester).requestOperation(opType, target, value, data);
+    const receipt = await tx.wait();
+    operationId = findOperationId(receipt);
+    console.log("  Operation requested:", operationId);
+  }
+
+  const operationFile = await exportOperation(vault, operationId, { network: hre.network.name });
+  const outPath = operationFilePath(OPERATIONS_DIR, operationId);
+  writeJson(outPath, operationFile);
+
+  console.log(`\nOperation: ${operationFile.opTypeName}`);
+  console.log("  Target:", operationFile.target);
+  console.log("  Value:", operationFile.value);
+  console.log("  Data:", operationFile.data);
+  console.log("  Deadline:", new Date(operationFile.deadline * 1000).toISOString());
+  console.log("  Operation hash:", operationFile.operationHash);
+  console.log("  Eligible signers:", operationFile.eligibleSigners.join(", "));
+  console.log(`\nOperation file written to ${outPath}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
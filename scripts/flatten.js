@@ -1,107 +1,44 @@
-const fs = require('fs');
-const path = require('path');
-
-async function flattenContract() {
-  const nodeModulesPath = path.resolve(__dirname, '../node_modules');
-  const sourcesPath = path.resolve(__dirname, '../contracts');
-
-  const processedFiles = new Set();
-  let flattenedContent = '';
-  const licenses = new Set();
-  const pragmas = new Set();
-
-  function readFileContent(filePath) {
-    try {
-      return fs.readFileSync(filePath, 'utf8');
-    } catch (error) {
-      console.error(`Error reading file ${filePath}:`, error);
-      return null;
-    }
+// Flattens a contract and its imports into one file, e.g. for block explorer verification, then
+// recompiles the result and checks it produces the same bytecode as the Hardhat build.
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { flattenSource, resolveSourceName, verifyFlattened } = require("./lib/flattener");
+
+async function main() {
+  const CONTRACT = process.env.CONTRACT || "Vault";
+  const OUTPUT = process.env.FLAT_OUTPUT || `${CONTRACT}.flat.sol`;
+
+  await hre.run("compile", { quiet: true });
+  const artifact = await hre.artifacts.readArtifact(CONTRACT);
+  const root = hre.config.paths.root;
+  const entryFile = resolveSourceName(artifact.sourceName, root);
+
+  console.log("=== Flatten ===");
+  console.log("Contract:", `${artifact.sourceName}:${artifact.contractName}`);
+
+  const { source, license, files } = flattenSource(entryFile, { root });
+  fs.mkdirSync(path.dirname(path.resolve(OUTPUT)), { recursive: true });
+  fs.writeFileSync(OUTPUT, source);
+  console.log(`Flattened ${files.length} files:`);
+  files.forEach(file => console.log("  ", file));
+  console.log("License:", license);
+  console.log(`Written to ${OUTPUT}`);
+
+  console.log("\nRecompiling flattened source...");
+  const { matches, solcVersion, warnings } = await verifyFlattened(hre, artifact.contractName, source);
+  if (warnings.length > 0) {
+    console.log(`  ${warnings.length} compiler warning(s)`);
   }
-
-  function processFile(filePath) {
-    if (processedFiles.has(filePath)) {
-      return '';
-    }
-
-    let content = '';
-    const fileContent = readFileContent(filePath);
-    if (!fileContent) return '';
-
-    processedFiles.add(filePath);
-
-    const lines = fileContent.split('\n');
-    for (const line of lines) {
-      // Collect SPDX license identifiers
-      if (line.includes('SPDX-License-Identifier:')) {
-        licenses.add(line.trim());
-        continue;
-      }
-
-      // Collect pragma statements
-      if (line.trim().startsWith('pragma')) {
-        pragmas.add(line.trim() + ';');  // Add semicolon to pragma
-        continue;
-      }
-
-      // Process imports
-      if (line.trim().startsWith('import')) {
-        const importMatch = line.match(/["']([^"']+)["']/);
-        if (importMatch) {
-          const importPath = importMatch[1];
-          let fullPath;
-
-          if (importPath.startsWith('@openzeppelin')) {
-            fullPath = path.join(nodeModulesPath, importPath);
-          } else {
-            fullPath = path.join(path.dirname(filePath), importPath);
-          }
-
-          content += processFile(fullPath);
-        }
-        continue;
-      }
-
-      // Add other lines if they're not empty or comments
-      const trimmedLine = line.trim();
-      if (trimmedLine && !trimmedLine.startsWith('//')) {
-        content += line + '\n';
-      }
-    }
-
-    return content;
-  }
-
-  // Process main contract
-  const mainContractPath = path.join(sourcesPath, 'Vault.sol');
-  const flattenedCode = processFile(mainContractPath);
-
-  // Combine everything
-  let output = '';
-  // Add SPDX license
-  if (licenses.size > 0) {
-    output += Array.from(licenses)[0] + '\n';
+  if (!matches) {
+    throw new Error(`Flattened ${artifact.contractName} compiles with solc ${solcVersion} but its bytecode differs from the Hardhat artifact`);
   }
-
-  // Add pragma statements
-  if (pragmas.size > 0) {
-    output += Array.from(pragmas).join('\n') + '\n';
-  }
-
-  // Add a blank line after pragmas
-  output += '\n';
-
-  // Add flattened code
-  output += flattenedCode;
-
-  // Write to file
-  fs.writeFileSync('Vault.flat.sol', output);
-  console.log('Created flattened contract: Vault.flat.sol');
+  console.log(`  Bytecode matches the Hardhat artifact (solc ${solcVersion}, metadata excluded)`);
 }
 
-flattenContract()
+main()
   .then(() => process.exit(0))
-  .catch(error => {
+  .catch((error) => {
     console.error(error);
     process.exit(1);
   });
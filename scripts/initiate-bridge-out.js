@@ -1,39 +1,49 @@
 const hre = require("hardhat");
 const { ethers } = hre;
+const { TOKEN_ABI, sendBridgeOut } = require("./lib/permit");
+const { resolveVaultAddress } = require("./lib/deployments");
+const { resolveDestinationChainId, getRouteLimit } = require("./lib/destinations");
 
 async function main() {
-  const CONTRACT_ADDRESS = process.env.VAULT_ADDRESS;
-  if (!CONTRACT_ADDRESS) {
-    throw new Error("Set VAULT_ADDRESS in your .env file");
-  }
+  const CONTRACT_ADDRESS = resolveVaultAddress(hre.network.name);
 
   const [deployer] = await hre.ethers.getSigners();
-  const chainId = (await hre.ethers.provider.getNetwork()).chainId;
   const amount = ethers.parseUnits(process.env.AMOUNT_LIB || "100", 18);
   const targetAddress = process.env.TARGET_ADDRESS || deployer.address;
 
+  const contract = await hre.ethers.getContractAt("Vault", CONTRACT_ADDRESS);
+  // DESTINATION_NETWORK: network name or chain id; defaults to the Vault's deployment route
+  const chainId = resolveDestinationChainId(process.env.DESTINATION_NETWORK, {
+    networks: hre.config.networks,
+    fallback: await contract.getChainId(),
+  });
+
   console.log("Using account:", deployer.address);
-  console.log("Chain ID:", Number(chainId));
+  console.log("Destination Chain ID:", Number(chainId));
   console.log("Contract Address:", CONTRACT_ADDRESS);
 
-  const contract = await hre.ethers.getContractAt("Vault", CONTRACT_ADDRESS);
-
   const bridgeOutEnabled = await contract.bridgeOutEnabled();
   console.log("bridgeOutEnabled:", bridgeOutEnabled);
   if (!bridgeOutEnabled) {
     throw new Error("Vault bridgeOut is disabled. Enable it via multisig first.");
   }
+  if (await contract.isPaused()) {
+    const pausedUntil = await contract.pausedUntil();
+    throw new Error(`Vault bridgeOut is emergency-paused until ${new Date(Number(pausedUntil) * 1000).toISOString()}`);
+  }
+
+  const routeLimit = await getRouteLimit(contract, chainId);
+  if (amount > routeLimit) {
+    throw new Error(`Amount exceeds the ${ethers.formatUnits(routeLimit, 18)} LIB limit for destination chain ${chainId}`);
+  }
+
+  const windowRemaining = await contract.getBridgeOutWindowRemaining();
+  if (amount > windowRemaining) {
+    throw new Error(`Amount exceeds the remaining bridge-out window allowance of ${ethers.formatUnits(windowRemaining, 18)} LIB`);
+  }
 
   const tokenAddress = await contract.token();
-  const tokenContract = new ethers.Contract(
-    tokenAddress,
-    [
-      "function balanceOf(address) view returns (uint256)",
-      "function allowance(address,address) view returns (uint256)",
-      "function approve(address,uint256) returns (bool)",
-    ],
-    deployer
-  );
+  const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, deployer);
 
   const balance = await tokenContract.balanceOf(deployer.address);
   console.log("Token Address:", tokenAddress);
@@ -42,17 +52,20 @@ async function main() {
     throw new Error(`Insufficient balance to bridge out. Have ${ethers.formatUnits(balance, 18)}, need ${ethers.formatUnits(amount, 18)}`);
   }
 
-  const allowance = await tokenContract.allowance(deployer.address, CONTRACT_ADDRESS);
-  if (allowance < amount) {
-    console.log(`Approving Vault for ${ethers.formatUnits(amount, 18)} LIB...`);
-    const approveTx = await tokenContract.approve(CONTRACT_ADDRESS, amount);
-    await approveTx.wait();
-  }
-
-  console.log(`\nBridging out ${ethers.formatUnits(amount, 18)} LIB to ${targetAddress} on destination chain...`);
-  const tx = await contract.bridgeOut(amount, targetAddress, chainId);
-  const receipt = await tx.wait();
+  console.log(`\nBridging out ${ethers.formatUnits(amount, 18)} LIB to ${targetAddress} on chain ${chainId}...`);
+  const { mode, receipt } = await sendBridgeOut({
+    vault: contract,
+    token: tokenContract,
+    signer: deployer,
+    amount,
+    targetAddress,
+    chainId,
+    mode: process.env.PERMIT_MODE || "auto",
+  });
+  console.log("Deposit mode:", mode);
   console.log("Transaction hash:", receipt.hash);
+  const bridgedOut = receipt.logs.find(log => log.fragment && log.fragment.name === "BridgedOut");
+  console.log("Deposit nonce:", bridgedOut.args.depositNonce.toString());
 
   const newBalance = await tokenContract.balanceOf(deployer.address);
   console.log("New Balance:", ethers.formatUnits(newBalance, 18), "LIB");
@@ -0,0 +1,54 @@
+// Lists the Vault's governance queue: every tracked operation with its decoded parameters,
+// signature count, time left and status. Optionally prunes whatever is prunable.
+const hre = require("hardhat");
+const { STATUS, inspectOperations, formatOperationsTable, pruneOperationIds } = require("./lib/operation-inspector");
+const { resolveVaultAddress } = require("./lib/deployments");
+
+async function main() {
+  const VAULT_ADDRESS = resolveVaultAddress(hre.network.name);
+  const FORMAT = (process.env.FORMAT || "table").toLowerCase(); // table, json
+  if (!["table", "json"].includes(FORMAT)) {
+    throw new Error("FORMAT must be one of: table, json");
+  }
+  const statusFilter = process.env.STATUS
+    ? process.env.STATUS.split(",").map(s => s.trim().toLowerCase())
+    : null;
+  if (statusFilter && statusFilter.some(s => !Object.values(STATUS).includes(s))) {
+    throw new Error(`STATUS must be a comma-separated list of: ${Object.values(STATUS).join(", ")}`);
+  }
+  const PRUNE = ["true", "1"].includes(String(process.env.PRUNE || "").toLowerCase());
+
+  const vault = await hre.ethers.getContractAt("Vault", VAULT_ADDRESS);
+  const rows = (await inspectOperations(vault))
+    .filter(row => !statusFilter || statusFilter.includes(row.status));
+
+  if (FORMAT === "json") {
+    console.log(JSON.stringify(rows, null, 2));
+  } else {
+    console.log("=== Vault Operations ===");
+    console.log("Vault Address:", VAULT_ADDRESS);
+    console.log("Network:", hre.network.name);
+    console.log(`Operations: ${rows.length}\n`);
+    if (rows.length > 0) {
+      console.log(formatOperationsTable(rows));
+    }
+  }
+
+  if (PRUNE) {
+    const prunable = rows.filter(row => row.prunable).map(row => row.operationId);
+    // Keep stdout valid JSON in json mode
+    const logger = FORMAT === "json" ? { log: (...args) => console.error(...args) } : console;
+    logger.log(`\nPruning ${prunable.length} prunable operations...`);
+    if (prunable.length > 0) {
+      const pruned = await pruneOperationIds(vault, prunable, { logger });
+      logger.log(`Pruned ${pruned} operations`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,11 +1,11 @@
 const hre = require("hardhat");
 const { ethers } = hre;
-const OP = Object.freeze({
-  SET_BRIDGE_OUT_AMOUNT: 0,
-  UPDATE_SIGNER: 1,
-  SET_BRIDGE_OUT_ENABLED: 2,
-  RELINQUISH_TOKENS: 3,
-});
+const { OP, signOperation, sortSignaturesBySigner } = require("./lib/operations");
+const { sendBridgeOut } = require("./lib/permit");
+const { resolveVaultAddress } = require("./lib/deployments");
+const { resolveDestinationChainId, getDestinationChains, getRouteLimit, formatRoute } = require("./lib/destinations");
+const { lookupDeposit, formatDeposit } = require("./lib/deposit-lookup");
+const { MINTER_ABI } = require("./lib/relayer");
 
 async function requestAndSignOperation(contract, signers, operationType, target, value, data) {
   const tx = await contract.requestOperation(operationType, target, value, data);
@@ -16,29 +16,44 @@ async function requestAndSignOperation(contract, signers, operationType, target,
 
   console.log(`  Operation requested: ${operationId}`);
 
-  for (let i = 0; i < 3; i++) {
-    const messageHash = await contract.getOperationHash(operationId);
-    const signature = await signers[i].signMessage(ethers.getBytes(messageHash));
-    await contract.connect(signers[i]).submitSignature(operationId, signature);
-    console.log(`  Signature ${i + 1}/3 submitted by ${signers[i].address}`);
+  const required = Number(await contract.requiredSignatures());
+  if (signers.length < required) {
+    throw new Error(`Need ${required} signatures but only ${signers.length} local accounts are Vault signers`);
+  }
+  // AGGREGATE=true sends every signature in one executeWithSignatures call from the deployer
+  if (["true", "1"].includes(String(process.env.AGGREGATE || "").toLowerCase())) {
+    const approvals = [];
+    for (const signer of signers.slice(0, required)) {
+      approvals.push({ signer: signer.address, signature: await signOperation(signer, contract, operationId) });
+    }
+    await (await contract.executeWithSignatures(operationId, sortSignaturesBySigner(approvals))).wait();
+    console.log(`  ${required} signatures submitted in one transaction`);
+  } else {
+    for (let i = 0; i < required; i++) {
+      const signature = await signOperation(signers[i], contract, operationId);
+      await contract.connect(signers[i]).submitSignature(operationId, signature);
+      console.log(`  Signature ${i + 1}/${required} submitted by ${signers[i].address}`);
+    }
   }
 
-  console.log(`  Operation executed.`);
+  // High-impact operations wait out the execution delay; run ACTION=execute once it has passed
+  const { executed, executableAt } = await contract.getOperation(operationId);
+  if (executed) {
+    console.log(`  Operation executed.`);
+  } else if (executableAt > 0n) {
+    console.log(`  Operation queued; executable after ${new Date(Number(executableAt) * 1000).toISOString()}`);
+    console.log(`  Run ACTION=execute OPERATION_ID=${operationId} then.`);
+  }
   return operationId;
 }
 
 async function main() {
-  const VAULT_ADDRESS = process.env.VAULT_ADDRESS;
+  const VAULT_ADDRESS = resolveVaultAddress(hre.network.name);
   const LIBERDUS_ADDRESS = process.env.LIBERDUS_TOKEN_ADDRESS;
-  const ACTION = process.env.ACTION || "balance"; // balance, bridgeOut, relinquish, setBridgeOutAmount, setBridgeOutEnabled, updateSigner
-
-  if (!VAULT_ADDRESS) {
-    throw new Error("Set VAULT_ADDRESS in your .env file");
-  }
+  const ACTION = process.env.ACTION || "balance"; // balance, bridgeOut, relinquish, setBridgeOutAmount, setBridgeOutEnabled, setBridgeOutWindowLimit, updateSigner, addSigner, removeSigner, setRequiredSignatures, cancelOperation, revokeSignature, execute, pause, setGuardian, rescue, setExecutionDelay, setDestinationChain, setReleaser, deposit, refundDeposit
 
   const allSigners = await hre.ethers.getSigners();
-  const [deployer, signer1, signer2, signer3] = allSigners;
-  const signers = [deployer, signer1, signer2, signer3];
+  const [deployer] = allSigners;
   const chainId = (await hre.ethers.provider.getNetwork()).chainId;
 
   console.log("=== Vault Interaction ===");
@@ -49,6 +64,10 @@ async function main() {
 
   const vault = await hre.ethers.getContractAt("Vault", VAULT_ADDRESS);
 
+  // Local accounts that are currently Vault signers, in account order
+  const vaultSigners = (await vault.getSigners()).map(address => address.toLowerCase());
+  const signers = allSigners.filter(s => vaultSigners.includes(s.address.toLowerCase()));
+
   // --- BALANCE CHECK ---
   if (ACTION === "balance") {
     const vaultBalance = await vault.getVaultBalance();
@@ -59,16 +78,37 @@ async function main() {
 
     const bridgeOutEnabled = await vault.bridgeOutEnabled();
     console.log(`Bridge Out Enabled: ${bridgeOutEnabled}`);
-
-    for (const account of [
-      { name: "Deployer", address: deployer.address },
-      { name: "Signer 1", address: signer1.address },
-      { name: "Signer 2", address: signer2.address },
-      { name: "Signer 3", address: signer3.address },
-    ]) {
-      const isSigner = await vault.isSigner(account.address);
-      console.log(`${account.name} (${account.address}): isSigner=${isSigner}`);
+    if (await vault.isPaused()) {
+      console.log(`Emergency Pause: active until ${new Date(Number(await vault.pausedUntil()) * 1000).toISOString()}`);
+    } else {
+      console.log("Emergency Pause: inactive");
+    }
+    const guardian = await vault.guardian();
+    console.log(`Guardian: ${guardian === ethers.ZeroAddress ? "none" : guardian}`);
+    const releaser = await vault.releaser();
+    console.log(`Releaser: ${releaser === ethers.ZeroAddress ? "none (releases disabled)" : releaser}`);
+
+    const windowLimit = await vault.bridgeOutWindowLimit();
+    const windowPeriod = await vault.bridgeOutWindowPeriod();
+    if (windowLimit === 0n) {
+      console.log("Bridge Out Window Limit: disabled");
+    } else {
+      const windowUsage = await vault.getBridgeOutWindowUsage();
+      const remaining = await vault.getBridgeOutWindowRemaining();
+      console.log(`Bridge Out Window Limit: ${ethers.formatUnits(windowLimit, 18)} LIB per ${windowPeriod}s`);
+      console.log(`Bridge Out Window Remaining: ${ethers.formatUnits(remaining, 18)} LIB (used ${ethers.formatUnits(windowUsage, 18)} LIB)`);
     }
+
+    const onChainSigners = await vault.getSigners();
+    console.log(`Signers (${await vault.requiredSignatures()}-of-${onChainSigners.length}):`);
+    onChainSigners.forEach((address, index) => {
+      const local = signers.some(s => s.address.toLowerCase() === address.toLowerCase());
+      console.log(`  Signer ${index + 1}: ${address}${local ? " (local account)" : ""}`);
+    });
+
+    const routes = await getDestinationChains(vault);
+    console.log(`Destination chains (${routes.length}):`);
+    routes.forEach(route => console.log(`  ${formatRoute(route, hre.config.networks)}`));
     return;
   }
 
@@ -81,6 +121,15 @@ async function main() {
     const liberdus = await hre.ethers.getContractAt("Liberdus", LIBERDUS_ADDRESS);
     const amount = ethers.parseUnits(process.env.AMOUNT || "100", 18);
     const targetAddress = process.env.TARGET_ADDRESS || deployer.address;
+    // DESTINATION_NETWORK: network name or chain id; defaults to the Vault's deployment route
+    const destinationChainId = resolveDestinationChainId(process.env.DESTINATION_NETWORK, {
+      networks: hre.config.networks,
+      fallback: await vault.getChainId(),
+    });
+    const routeLimit = await getRouteLimit(vault, destinationChainId);
+    if (amount > routeLimit) {
+      throw new Error(`Amount exceeds the ${ethers.formatUnits(routeLimit, 18)} LIB limit for destination chain ${destinationChainId}`);
+    }
 
     const balance = await liberdus.balanceOf(deployer.address);
     console.log(`\nCurrent Balance: ${ethers.formatUnits(balance, 18)} LIB`);
@@ -89,16 +138,21 @@ async function main() {
       throw new Error(`Insufficient balance. Have ${ethers.formatUnits(balance, 18)}, need ${ethers.formatUnits(amount, 18)}`);
     }
 
-    // Approve vault
-    console.log(`Approving vault for ${ethers.formatUnits(amount, 18)} LIB...`);
-    const approveTx = await liberdus.connect(deployer).approve(VAULT_ADDRESS, amount);
-    await approveTx.wait();
-
-    // Bridge out
-    console.log(`Bridging out ${ethers.formatUnits(amount, 18)} LIB to ${targetAddress}...`);
-    const tx = await vault.connect(deployer).bridgeOut(amount, targetAddress, chainId);
-    const receipt = await tx.wait();
+    // PERMIT_MODE: auto (default), permit, permit2 or approve
+    console.log(`Bridging out ${ethers.formatUnits(amount, 18)} LIB to ${targetAddress} on chain ${destinationChainId}...`);
+    const { mode, receipt } = await sendBridgeOut({
+      vault,
+      token: liberdus,
+      signer: deployer,
+      amount,
+      targetAddress,
+      chainId: destinationChainId,
+      mode: process.env.PERMIT_MODE || "auto",
+    });
+    console.log("Deposit mode:", mode);
     console.log("Transaction hash:", receipt.hash);
+    const bridgedOut = receipt.logs.find(log => log.fragment && log.fragment.name === "BridgedOut");
+    console.log("Deposit nonce:", bridgedOut.args.depositNonce.toString());
 
     const newBalance = await liberdus.balanceOf(deployer.address);
     console.log(`New Balance: ${ethers.formatUnits(newBalance, 18)} LIB`);
@@ -118,7 +172,8 @@ async function main() {
     }
     const enabled = normalized === "true" || normalized === "1";
     const current = await vault.bridgeOutEnabled();
-    if (current === enabled) {
+    // Enabling while emergency-paused is how the multisig lifts the pause early
+    if (current === enabled && !(enabled && await vault.isPaused())) {
       console.log(`Bridge Out Enabled already ${enabled}, skipping.`);
       return;
     }
@@ -148,16 +203,44 @@ async function main() {
     return;
   }
 
+  // --- SET BRIDGE OUT WINDOW LIMIT ---
+  if (ACTION === "setBridgeOutWindowLimit") {
+    const limitRaw = process.env.BRIDGE_OUT_WINDOW_LIMIT;
+    if (limitRaw === undefined) {
+      throw new Error("Set BRIDGE_OUT_WINDOW_LIMIT (LIB per window, 0 to disable) in your .env file");
+    }
+    const newLimit = ethers.parseUnits(limitRaw, 18);
+    const newPeriod = BigInt(process.env.BRIDGE_OUT_WINDOW_PERIOD || await vault.bridgeOutWindowPeriod());
+    const minPeriod = await vault.MIN_BRIDGE_OUT_WINDOW_PERIOD();
+    const maxPeriod = await vault.MAX_BRIDGE_OUT_WINDOW_PERIOD();
+    if (newPeriod < minPeriod || newPeriod > maxPeriod) {
+      throw new Error(`BRIDGE_OUT_WINDOW_PERIOD must be between ${minPeriod} and ${maxPeriod} seconds`);
+    }
+    const currentLimit = await vault.bridgeOutWindowLimit();
+    const currentPeriod = await vault.bridgeOutWindowPeriod();
+    if (currentLimit === newLimit && currentPeriod === newPeriod) {
+      console.log("Bridge Out Window Limit already set, skipping.");
+      return;
+    }
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [newPeriod]);
+    await requestAndSignOperation(vault, signers, OP.SET_BRIDGE_OUT_WINDOW_LIMIT, ethers.ZeroAddress, newLimit, data);
+    console.log(`Bridge Out Window Limit set to: ${ethers.formatUnits(await vault.bridgeOutWindowLimit(), 18)} LIB per ${await vault.bridgeOutWindowPeriod()}s`);
+    return;
+  }
+
   // --- RELINQUISH TOKENS ---
   if (ACTION === "relinquish") {
     const vaultBalance = await vault.getVaultBalance();
     console.log(`\nVault Balance: ${ethers.formatUnits(vaultBalance, 18)} LIB`);
     console.log("Relinquishing all tokens to Liberdus contract and permanently halting vault...");
 
-    await requestAndSignOperation(vault, signers, OP.RELINQUISH_TOKENS, ethers.ZeroAddress, 0, "0x");
+    const operationId = await requestAndSignOperation(vault, signers, OP.RELINQUISH_TOKENS, ethers.ZeroAddress, 0, "0x");
 
-    console.log(`Vault Balance after relinquish: ${ethers.formatUnits(await vault.getVaultBalance(), 18)} LIB`);
-    console.log(`Vault halted: ${await vault.halted()}`);
+    // Relinquishing is delayed, so with an execution delay nothing has moved yet
+    if ((await vault.getOperation(operationId)).executed) {
+      console.log(`Vault Balance after relinquish: ${ethers.formatUnits(await vault.getVaultBalance(), 18)} LIB`);
+      console.log(`Vault halted: ${await vault.halted()}`);
+    }
     return;
   }
 
@@ -185,31 +268,342 @@ async function main() {
       eligibleSigners.unshift(deployer);
     }
 
-    if (eligibleSigners.length < 3) {
-      throw new Error("Not enough eligible signers. Need at least 3 (excluding the signer being replaced).");
+    const required = Number(await vault.requiredSignatures());
+    if (eligibleSigners.length < required) {
+      throw new Error(`Not enough eligible signers. Need at least ${required} (excluding the signer being replaced).`);
     }
 
     console.log(`\nRequesting UpdateSigner: ${OLD_SIGNER} -> ${NEW_SIGNER}`);
-    const tx = await vault.connect(deployer).requestOperation(OP.UPDATE_SIGNER, OLD_SIGNER, BigInt(NEW_SIGNER), "0x");
+    const operationId = await requestAndSignOperation(vault, eligibleSigners, OP.UPDATE_SIGNER, OLD_SIGNER, BigInt(NEW_SIGNER), "0x");
+
+    // UpdateSigner is delayed, so with an execution delay the signer set is unchanged until ACTION=execute
+    if ((await vault.getOperation(operationId)).executed) {
+      console.log(`  New signer active: ${await vault.isSigner(NEW_SIGNER)}`);
+      console.log(`  Old signer removed: ${!(await vault.isSigner(OLD_SIGNER))}`);
+    }
+    return;
+  }
+
+  // --- ADD / REMOVE SIGNER ---
+  // REQUIRED_SIGNATURES optionally sets a new threshold in the same operation
+  if (ACTION === "addSigner" || ACTION === "removeSigner") {
+    const SIGNER = process.env.SIGNER;
+    if (!SIGNER || !ethers.isAddress(SIGNER)) {
+      throw new Error("Set a valid SIGNER address in your .env file");
+    }
+    const newThreshold = BigInt(process.env.REQUIRED_SIGNATURES || 0);
+
+    let operationId;
+    if (ACTION === "addSigner") {
+      console.log(`\nRequesting AddSigner: ${SIGNER}`);
+      operationId = await requestAndSignOperation(vault, signers, OP.ADD_SIGNER, SIGNER, newThreshold, "0x");
+    } else {
+      console.log(`\nRequesting RemoveSigner: ${SIGNER}`);
+      operationId = await requestAndSignOperation(vault, signers, OP.REMOVE_SIGNER, SIGNER, newThreshold, "0x");
+    }
+    // Signer changes are delayed, so with an execution delay the signer set is unchanged until ACTION=execute
+    if ((await vault.getOperation(operationId)).executed) {
+      console.log(`  Signer active: ${await vault.isSigner(SIGNER)}`);
+      console.log(`  Signers: ${(await vault.getSigners()).length}, required signatures: ${await vault.requiredSignatures()}`);
+    }
+    return;
+  }
+
+  // --- SET REQUIRED SIGNATURES ---
+  if (ACTION === "setRequiredSignatures") {
+    if (!process.env.REQUIRED_SIGNATURES) {
+      throw new Error("Set REQUIRED_SIGNATURES in your .env file");
+    }
+    const newThreshold = BigInt(process.env.REQUIRED_SIGNATURES);
+    if (newThreshold === await vault.requiredSignatures()) {
+      console.log(`Required signatures already ${newThreshold}, skipping.`);
+      return;
+    }
+    const operationId = await requestAndSignOperation(vault, signers, OP.SET_REQUIRED_SIGNATURES, ethers.ZeroAddress, newThreshold, "0x");
+    if ((await vault.getOperation(operationId)).executed) {
+      console.log(`Required signatures set to: ${await vault.requiredSignatures()} of ${(await vault.getSigners()).length}`);
+    }
+    return;
+  }
+
+  // --- CANCEL OPERATION ---
+  // The requester cancels directly; anyone else goes through a CancelOperation multisig
+  // operation. CANCEL_VIA_QUORUM=true forces the multisig route.
+  if (ACTION === "cancelOperation") {
+    const OPERATION_ID = process.env.OPERATION_ID;
+    if (!OPERATION_ID || !ethers.isHexString(OPERATION_ID, 32)) {
+      throw new Error("Set a valid OPERATION_ID in your .env file");
+    }
+    const op = await vault.getOperation(OPERATION_ID);
+    if (op.deadline === 0n) {
+      throw new Error(`Operation ${OPERATION_ID} does not exist`);
+    }
+    if (op.executed || op.cancelled) {
+      throw new Error(`Operation ${OPERATION_ID} is already ${op.executed ? "executed" : "cancelled"}`);
+    }
+
+    const viaQuorum = ["true", "1"].includes(String(process.env.CANCEL_VIA_QUORUM || "").toLowerCase());
+    const requester = allSigners.find(s => s.address.toLowerCase() === op.requester.toLowerCase());
+    if (requester && !viaQuorum) {
+      console.log(`\nCancelling ${OPERATION_ID} as requester ${requester.address}`);
+      const tx = await vault.connect(requester).cancelOperation(OPERATION_ID);
+      const receipt = await tx.wait();
+      console.log("Transaction hash:", receipt.hash);
+    } else {
+      console.log(`\nRequesting CancelOperation for ${OPERATION_ID} (requested by ${op.requester})`);
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [OPERATION_ID]);
+      await requestAndSignOperation(vault, signers, OP.CANCEL_OPERATION, ethers.ZeroAddress, 0, data);
+    }
+    console.log(`  Cancelled: ${(await vault.getOperation(OPERATION_ID)).cancelled}`);
+    return;
+  }
+
+  // --- REVOKE SIGNATURE ---
+  // SIGNER selects which local account revokes; defaults to the deployer
+  if (ACTION === "revokeSignature") {
+    const OPERATION_ID = process.env.OPERATION_ID;
+    if (!OPERATION_ID || !ethers.isHexString(OPERATION_ID, 32)) {
+      throw new Error("Set a valid OPERATION_ID in your .env file");
+    }
+    const revoker = process.env.SIGNER
+      ? allSigners.find(s => s.address.toLowerCase() === process.env.SIGNER.toLowerCase())
+      : deployer;
+    if (!revoker) {
+      throw new Error(`SIGNER ${process.env.SIGNER} is not a local account`);
+    }
+    if (!(await vault.hasSigned(OPERATION_ID, revoker.address))) {
+      throw new Error(`${revoker.address} has not signed operation ${OPERATION_ID}`);
+    }
+
+    console.log(`\nRevoking signature of ${revoker.address} on ${OPERATION_ID}`);
+    const tx = await vault.connect(revoker).revokeSignature(OPERATION_ID);
     const receipt = await tx.wait();
-    const operationId = receipt.logs.find(log => log.fragment && log.fragment.name === 'OperationRequested').args.operationId;
-    console.log(`  Operation requested: ${operationId}`);
+    console.log("Transaction hash:", receipt.hash);
+    console.log(`  Approvals now: ${await vault.getApprovalCount(OPERATION_ID)}/${await vault.requiredSignatures()}`);
+    return;
+  }
 
-    for (let i = 0; i < 3; i++) {
-      const signer = eligibleSigners[i];
-      const messageHash = await vault.getOperationHash(operationId);
-      const signature = await signer.signMessage(ethers.getBytes(messageHash));
-      await vault.connect(signer).submitSignature(operationId, signature);
-      console.log(`  Signature ${i + 1}/3 submitted by ${signer.address}`);
+  // --- EXECUTE QUEUED OPERATION ---
+  // Any account can execute once the execution delay has passed
+  if (ACTION === "execute") {
+    const OPERATION_ID = process.env.OPERATION_ID;
+    if (!OPERATION_ID || !ethers.isHexString(OPERATION_ID, 32)) {
+      throw new Error("Set a valid OPERATION_ID in your .env file");
+    }
+    const op = await vault.getOperation(OPERATION_ID);
+    if (op.executed) {
+      throw new Error(`Operation ${OPERATION_ID} is already executed`);
+    }
+    if (op.executableAt === 0n) {
+      throw new Error(`Operation ${OPERATION_ID} is not queued; it still needs signatures`);
+    }
+    const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+    if (now < op.executableAt) {
+      throw new Error(`Operation ${OPERATION_ID} is executable after ${new Date(Number(op.executableAt) * 1000).toISOString()}`);
     }
 
-    console.log(`  Operation executed.`);
-    console.log(`  New signer active: ${await vault.isSigner(NEW_SIGNER)}`);
-    console.log(`  Old signer removed: ${!(await vault.isSigner(OLD_SIGNER))}`);
+    console.log(`\nExecuting ${OPERATION_ID} as ${deployer.address}`);
+    const tx = await vault.executeOperation(OPERATION_ID);
+    const receipt = await tx.wait();
+    console.log("Transaction hash:", receipt.hash);
+    return;
+  }
+
+  // --- EMERGENCY PAUSE ---
+  // Needs only one key: a signer or the guardian. PAUSER selects the local account (default: deployer).
+  if (ACTION === "pause") {
+    const pauser = process.env.PAUSER
+      ? allSigners.find(s => s.address.toLowerCase() === process.env.PAUSER.toLowerCase())
+      : deployer;
+    if (!pauser) {
+      throw new Error(`PAUSER ${process.env.PAUSER} is not a local account`);
+    }
+    const guardian = await vault.guardian();
+    if (!(await vault.isSigner(pauser.address)) && pauser.address.toLowerCase() !== guardian.toLowerCase()) {
+      throw new Error(`${pauser.address} is neither a signer nor the guardian`);
+    }
+    const lastPausedAt = await vault.lastPausedAt(pauser.address);
+    const cooldown = await vault.EMERGENCY_PAUSE_COOLDOWN();
+    const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+    if (lastPausedAt !== 0n && now < lastPausedAt + cooldown) {
+      throw new Error(`${pauser.address} paused recently; it can pause again after ${new Date(Number(lastPausedAt + cooldown) * 1000).toISOString()}`);
+    }
+
+    console.log(`\nEmergency-pausing bridgeOut as ${pauser.address}...`);
+    const tx = await vault.connect(pauser).emergencyPause();
+    const receipt = await tx.wait();
+    console.log("Transaction hash:", receipt.hash);
+    console.log(`Paused until: ${new Date(Number(await vault.pausedUntil()) * 1000).toISOString()}`);
+    console.log("To lift it early, run ACTION=setBridgeOutEnabled BRIDGE_OUT_ENABLED=true through the multisig.");
+    return;
+  }
+
+  // --- SET GUARDIAN ---
+  if (ACTION === "setGuardian") {
+    const GUARDIAN = process.env.GUARDIAN;
+    if (!GUARDIAN || !ethers.isAddress(GUARDIAN)) {
+      throw new Error("Set a valid GUARDIAN address in your .env file (the zero address removes the guardian)");
+    }
+    if (GUARDIAN.toLowerCase() === (await vault.guardian()).toLowerCase()) {
+      console.log(`Guardian already ${GUARDIAN}, skipping.`);
+      return;
+    }
+    await requestAndSignOperation(vault, signers, OP.SET_GUARDIAN, GUARDIAN, 0, "0x");
+    console.log(`Guardian set to: ${await vault.guardian()}`);
+    return;
+  }
+
+  // --- RESCUE STRAY FUNDS ---
+  if (ACTION === "rescue") {
+    // RESCUE_ASSET is an ERC20 address, or "native" for the chain's coin
+    const RESCUE_ASSET = process.env.RESCUE_ASSET;
+    const RESCUE_TO = process.env.RESCUE_TO;
+    if (!RESCUE_ASSET || (RESCUE_ASSET !== "native" && !ethers.isAddress(RESCUE_ASSET))) {
+      throw new Error("Set RESCUE_ASSET to an ERC20 address or \"native\" in your .env file");
+    }
+    if (!RESCUE_TO || !ethers.isAddress(RESCUE_TO) || RESCUE_TO === ethers.ZeroAddress) {
+      throw new Error("Set a valid RESCUE_TO recipient address in your .env file");
+    }
+
+    const asset = RESCUE_ASSET === "native" ? ethers.ZeroAddress : ethers.getAddress(RESCUE_ASSET);
+    if (asset === ethers.getAddress(await vault.token())) {
+      throw new Error("The bridged token cannot be rescued");
+    }
+
+    let balance;
+    let decimals = 18;
+    let symbol = "native";
+    if (asset === ethers.ZeroAddress) {
+      balance = await hre.ethers.provider.getBalance(VAULT_ADDRESS);
+    } else {
+      const erc20 = new ethers.Contract(asset, [
+        "function balanceOf(address) view returns (uint256)",
+        "function decimals() view returns (uint8)",
+        "function symbol() view returns (string)",
+      ], hre.ethers.provider);
+      balance = await erc20.balanceOf(VAULT_ADDRESS);
+      decimals = Number(await erc20.decimals());
+      symbol = await erc20.symbol();
+    }
+    console.log(`\nVault holds ${ethers.formatUnits(balance, decimals)} ${symbol}`);
+
+    // RESCUE_AMOUNT in whole units of the asset; omit it to rescue the entire balance
+    const amount = process.env.RESCUE_AMOUNT ? ethers.parseUnits(process.env.RESCUE_AMOUNT, decimals) : 0n;
+    if (balance === 0n || amount > balance) {
+      throw new Error("Not enough balance to rescue");
+    }
+
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(["address"], [asset]);
+    const operationId = await requestAndSignOperation(vault, signers, OP.RESCUE_FUNDS, RESCUE_TO, amount, data);
+    // Rescues are delayed, so with an execution delay nothing has moved until ACTION=execute
+    if ((await vault.getOperation(operationId)).executed) {
+      console.log(`Rescued ${ethers.formatUnits(amount === 0n ? balance : amount, decimals)} ${symbol} to ${RESCUE_TO}`);
+    }
+    return;
+  }
+
+  // --- SET EXECUTION DELAY ---
+  if (ACTION === "setExecutionDelay") {
+    // EXECUTION_DELAY in seconds; 0 makes every operation execute on its last signature
+    const EXECUTION_DELAY = process.env.EXECUTION_DELAY;
+    if (EXECUTION_DELAY === undefined || !/^\d+$/.test(EXECUTION_DELAY)) {
+      throw new Error("Set EXECUTION_DELAY in seconds in your .env file");
+    }
+    const maxDelay = await vault.MAX_EXECUTION_DELAY();
+    if (BigInt(EXECUTION_DELAY) > maxDelay) {
+      throw new Error(`EXECUTION_DELAY must be at most ${maxDelay} seconds`);
+    }
+    console.log(`\nCurrent execution delay: ${await vault.executionDelay()}s`);
+    const operationId = await requestAndSignOperation(vault, signers, OP.SET_EXECUTION_DELAY, ethers.ZeroAddress, EXECUTION_DELAY, "0x");
+    if ((await vault.getOperation(operationId)).executed) {
+      console.log(`Execution delay: ${await vault.executionDelay()}s`);
+    }
+    return;
+  }
+
+  // --- SET DESTINATION CHAIN ---
+  if (ACTION === "setDestinationChain") {
+    // DESTINATION_NETWORK: network name or chain id. DESTINATION_ENABLED defaults to true;
+    // DESTINATION_MAX_AMOUNT in LIB, 0 or unset to apply only the global maxBridgeOutAmount.
+    if (!process.env.DESTINATION_NETWORK) {
+      throw new Error("Set DESTINATION_NETWORK to a network name or chain id");
+    }
+    const destinationChainId = resolveDestinationChainId(process.env.DESTINATION_NETWORK, { networks: hre.config.networks });
+    const enabledRaw = String(process.env.DESTINATION_ENABLED || "true").trim().toLowerCase();
+    if (!["true", "false", "1", "0"].includes(enabledRaw)) {
+      throw new Error("DESTINATION_ENABLED must be one of: true, false, 1, 0");
+    }
+    const enabled = enabledRaw === "true" || enabledRaw === "1";
+    const maxAmount = ethers.parseUnits(process.env.DESTINATION_MAX_AMOUNT || "0", 18);
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool", "uint256"], [enabled, maxAmount]);
+    await requestAndSignOperation(vault, signers, OP.SET_DESTINATION_CHAIN, ethers.ZeroAddress, destinationChainId, data);
+    const route = await vault.destinationChains(destinationChainId);
+    if (route.registered) {
+      console.log(`Destination chain ${formatRoute({ chainId: destinationChainId, enabled: route.enabled, maxBridgeOutAmount: route.maxBridgeOutAmount }, hre.config.networks)}`);
+    }
+    return;
+  }
+
+  // --- SET RELEASER ---
+  if (ACTION === "setReleaser") {
+    const RELEASER_ADDRESS = process.env.RELEASER_ADDRESS;
+    if (!RELEASER_ADDRESS || !ethers.isAddress(RELEASER_ADDRESS)) {
+      throw new Error("Set a valid RELEASER_ADDRESS in your .env file (the zero address disables releases)");
+    }
+    if (RELEASER_ADDRESS.toLowerCase() === (await vault.releaser()).toLowerCase()) {
+      console.log(`Releaser already ${RELEASER_ADDRESS}, skipping.`);
+      return;
+    }
+    const operationId = await requestAndSignOperation(vault, signers, OP.SET_RELEASER, RELEASER_ADDRESS, 0, "0x");
+    if ((await vault.getOperation(operationId)).executed) {
+      console.log(`Releaser: ${await vault.releaser()}`);
+    }
+    return;
+  }
+
+  // --- DEPOSIT LOOKUP / REFUND ---
+  if (ACTION === "deposit" || ACTION === "refundDeposit") {
+    // The deposit is DEPOSIT_NONCE, or the BridgedOut in DEPOSIT_TX_HASH (at DEPOSIT_LOG_INDEX when
+    // the transaction holds several). MINTER_ADDRESS on DEST_RPC_URL adds the mint status.
+    let minter;
+    if (process.env.MINTER_ADDRESS) {
+      const DEST_RPC_URL = process.env.DEST_RPC_URL || "http://127.0.0.1:8546";
+      minter = new ethers.Contract(process.env.MINTER_ADDRESS, MINTER_ABI, new ethers.JsonRpcProvider(DEST_RPC_URL));
+    }
+    const deposit = await lookupDeposit(vault, {
+      nonce: process.env.DEPOSIT_NONCE,
+      txHash: process.env.DEPOSIT_TX_HASH,
+      logIndex: process.env.DEPOSIT_LOG_INDEX,
+    }, { minter });
+    console.log(`\n${formatDeposit(deposit)}`);
+    if (ACTION === "deposit") {
+      return;
+    }
+
+    if (deposit.refunded) {
+      console.log(`Deposit ${deposit.nonce} was already refunded, skipping.`);
+      return;
+    }
+    if (deposit.refundQueued) {
+      console.log(`Deposit ${deposit.nonce} already has refund ${deposit.refundQueued.operationId} queued; run ACTION=execute with it once the delay has passed.`);
+      return;
+    }
+    // A refund of a minted deposit pays the user twice
+    if (deposit.minted) {
+      throw new Error(`Deposit ${deposit.nonce} was already minted on the destination chain; it cannot be refunded`);
+    }
+    if (deposit.minted === null) {
+      console.log("WARNING: set MINTER_ADDRESS to check that the deposit was not minted, and stop its relayer before refunding.");
+    }
+    console.log(`\nRefunding ${ethers.formatUnits(deposit.amount, 18)} LIB to ${deposit.from}...`);
+    const operationId = await requestAndSignOperation(vault, signers, OP.REFUND_DEPOSIT, ethers.ZeroAddress, deposit.nonce, "0x");
+    if ((await vault.getOperation(operationId)).executed) {
+      console.log(`Refunded: ${await vault.refunded(deposit.nonce)}`);
+    }
     return;
   }
 
-  console.error(`Unknown action: ${ACTION}. Use one of: balance, bridgeOut, setBridgeOutAmount, setBridgeOutEnabled, relinquish, updateSigner`);
+  console.error(`Unknown action: ${ACTION}. Use one of: balance, bridgeOut, setBridgeOutAmount, setBridgeOutEnabled, setBridgeOutWindowLimit, relinquish, updateSigner, addSigner, removeSigner, setRequiredSignatures, cancelOperation, revokeSignature, execute, pause, setGuardian, rescue, setExecutionDelay, setDestinationChain, setReleaser, deposit, refundDeposit`);
 }
 
 main()
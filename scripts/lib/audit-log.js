@@ -0,0 +1,301 @@
+const fs = require("fs");
+const path = require("path");
+const { OP_NAMES, decodeOperationParams, formatOperationParams } = require("./operations");
+
+const AUDIT_STATE_VERSION = 1;
+
+// Token flows rather than governance; everything else the Vault emits belongs in the audit log
+const NON_GOVERNANCE_EVENTS = ["BridgedOut", "TokensReleased"];
+
+const AUDIT_STATUS = Object.freeze({
+  PENDING: "pending",
+  QUEUED: "queued",
+  EXECUTED: "executed",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+});
+
+// Event arguments as JSON-safe values, without the operationId the record is keyed by
+function eventArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    if (input.name === "operationId") return;
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+// Persistent state for the audit log exporter: the last exported block (cursor) and every
+// operation rebuilt from the Vault's logs so far, keyed by operationId. Operations that are pruned
+// from the Vault's storage stay here. Events that belong to no operation (ownership transfers,
+// emergency pauses) are kept in `events`.
+function createAuditState(filePath, { vault, chainId }) {
+  let state = {
+    version: AUDIT_STATE_VERSION,
+    vault,
+    chainId: String(chainId),
+    cursor: null,
+    operations: {},
+    events: [],
+  };
+
+  if (filePath && fs.existsSync(filePath)) {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (saved.version !== AUDIT_STATE_VERSION) {
+      throw new Error(`Audit state ${filePath} has version ${saved.version}, expected ${AUDIT_STATE_VERSION}`);
+    }
+    if (saved.vault.toLowerCase() !== vault.toLowerCase() || saved.chainId !== String(chainId)) {
+      throw new Error(`Audit state ${filePath} belongs to Vault ${saved.vault} on chain ${saved.chainId}; move it away to start over`);
+    }
+    state = saved;
+  }
+
+  function save() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    // Write to a temp file first so a crash mid-write never leaves a truncated state behind
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // The record for operationId, created empty when its request is older than the exported range
+  function operation(operationId) {
+    if (!state.operations[operationId]) {
+      state.operations[operationId] = {
+        operationId,
+        opType: null,
+        requester: null,
+        target: null,
+        value: null,
+        data: null,
+        deadline: null,
+        requestedAt: null,
+        requestTx: null,
+        signatures: [],
+        executableAt: null,
+        queuedAt: null,
+        executed: false,
+        executedAt: null,
+        executedTx: null,
+        cancelled: false,
+        cancelledBy: null,
+        cancelledAt: null,
+        pruned: false,
+        prunedAt: null,
+        effects: [],
+      };
+    }
+    return state.operations[operationId];
+  }
+
+  function getCursor() {
+    return state.cursor;
+  }
+
+  function setCursor(blockNumber) {
+    state.cursor = blockNumber;
+  }
+
+  function listOperations() {
+    return Object.values(state.operations);
+  }
+
+  function addEvent(event) {
+    state.events.push(event);
+  }
+
+  function listEvents() {
+    return state.events;
+  }
+
+  return {
+    save,
+    getCursor,
+    setCursor,
+    operation,
+    listOperations,
+    addEvent,
+    listEvents,
+  };
+}
+
+// Folds one parsed governance log into the audit state. `executedIn` maps a transaction hash to
+// the operation executed in it, which is how TokensRelinquished and VaultHalted are joined.
+function applyLog(auditState, { parsed, log, timestamp, executedIn }) {
+  const name = parsed.name;
+  const args = parsed.args;
+  const at = { blockNumber: log.blockNumber, txHash: log.transactionHash, logIndex: log.index, timestamp };
+
+  if (name === "OperationRequested") {
+    const op = auditState.operation(args.operationId);
+    Object.assign(op, {
+      opType: Number(args.opType),
+      requester: args.requester,
+      target: args.target,
+      value: args.value.toString(),
+      data: args.data,
+      deadline: Number(args.deadline),
+      requestedAt: timestamp,
+      requestTx: log.transactionHash,
+    });
+    return;
+  }
+
+  const operationId = parsed.fragment.inputs.some(input => input.name === "operationId")
+    ? args.operationId
+    : executedIn[log.transactionHash];
+  if (!operationId) {
+    auditState.addEvent({ event: name, args: eventArgs(parsed), ...at });
+    return;
+  }
+  const op = auditState.operation(operationId);
+
+  switch (name) {
+    case "SignatureSubmitted":
+      op.signatures.push({ signer: args.signer, signedAt: timestamp, txHash: log.transactionHash, revokedAt: null });
+      break;
+    case "SignatureRevoked": {
+      const signature = op.signatures.find(s => s.signer === args.signer && s.revokedAt === null);
+      if (signature) signature.revokedAt = timestamp;
+      break;
+    }
+    case "OperationQueued":
+      op.opType = Number(args.opType);
+      op.executableAt = Number(args.executableAt);
+      op.queuedAt = timestamp;
+      break;
+    case "OperationExecuted":
+      op.opType = Number(args.opType);
+      op.executed = true;
+      op.executedAt = timestamp;
+      op.executedTx = log.transactionHash;
+      break;
+    case "OperationCancelled":
+      op.cancelled = true;
+      op.cancelledBy = args.cancelledBy;
+      op.cancelledAt = timestamp;
+      break;
+    case "OperationPruned":
+      op.pruned = true;
+      op.prunedAt = timestamp;
+      break;
+    default:
+      // What the execution changed: SignerUpdated, BridgeOutAmountUpdated, TokensRelinquished, ...
+      op.effects.push({ event: name, args: eventArgs(parsed), ...at });
+  }
+}
+
+// Reads the Vault's governance logs from the block after the cursor up to toBlock and folds them
+// into the audit state, saving after every batch so an interrupted export resumes where it stopped.
+// Returns the number of logs applied.
+async function exportAuditLog({ vault, auditState, startBlock = 0, toBlock, batchSize = 2000, logger = console }) {
+  const provider = vault.runner.provider;
+  const vaultAddress = await vault.getAddress();
+  const topics = [];
+  vault.interface.forEachEvent((event) => {
+    if (!NON_GOVERNANCE_EVENTS.includes(event.name)) topics.push(event.topicHash);
+  });
+
+  const fromBlock = auditState.getCursor() === null ? startBlock : auditState.getCursor() + 1;
+  let applied = 0;
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const logs = await provider.getLogs({ address: vaultAddress, topics: [topics], fromBlock: from, toBlock: to });
+    const parsedLogs = logs.map(log => ({ log, parsed: vault.interface.parseLog(log) }));
+
+    // Effects are emitted before OperationExecuted, so find every execution in the batch first.
+    // A transaction never spans batches: they split on block boundaries.
+    const executedIn = {};
+    for (const { log, parsed } of parsedLogs) {
+      if (parsed.name === "OperationExecuted") executedIn[log.transactionHash] = parsed.args.operationId;
+    }
+    const timestamps = {};
+    for (const { log, parsed } of parsedLogs) {
+      if (timestamps[log.blockNumber] === undefined) {
+        timestamps[log.blockNumber] = (await provider.getBlock(log.blockNumber)).timestamp;
+      }
+      applyLog(auditState, { parsed, log, timestamp: timestamps[log.blockNumber], executedIn });
+    }
+
+    auditState.setCursor(to);
+    auditState.save();
+    applied += logs.length;
+    logger.log(`  Blocks ${from}-${to}: ${logs.length} governance events`);
+  }
+  return applied;
+}
+
+// One row per operation with its status as of `now` (unix seconds). Operations that reached
+// their threshold expire operationDeadline after they became executable, others at their deadline.
+function auditRows(auditState, { now, operationDeadline }) {
+  return auditState.listOperations()
+    .map((op) => {
+      let status = AUDIT_STATUS.PENDING;
+      const expiresAt = op.executableAt !== null ? op.executableAt + Number(operationDeadline) : op.deadline;
+      if (op.executed) {
+        status = AUDIT_STATUS.EXECUTED;
+      } else if (op.cancelled) {
+        status = AUDIT_STATUS.CANCELLED;
+      } else if (expiresAt !== null && now > expiresAt) {
+        status = AUDIT_STATUS.EXPIRED;
+      } else if (op.executableAt !== null) {
+        status = AUDIT_STATUS.QUEUED;
+      }
+      // Requests older than the exported range have no parameters to decode
+      const known = op.requestTx !== null;
+      return {
+        ...op,
+        type: op.opType === null ? "Unknown" : OP_NAMES[op.opType] || `Unknown(${op.opType})`,
+        params: known ? decodeOperationParams(op) : {},
+        status,
+      };
+    })
+    .sort((a, b) => (a.requestedAt ?? Infinity) - (b.requestedAt ?? Infinity) || a.operationId.localeCompare(b.operationId));
+}
+
+function isoTime(timestamp) {
+  return timestamp === null ? "" : new Date(timestamp * 1000).toISOString();
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+const CSV_COLUMNS = [
+  "operationId", "type", "parameters", "requester", "requestedAt", "requestTx", "signers", "status",
+  "executedAt", "executedTx", "cancelledBy", "cancelledAt", "pruned", "prunedAt", "effects",
+];
+
+function formatAuditCsv(rows) {
+  const lines = rows.map(row => [
+    row.operationId,
+    row.type,
+    formatOperationParams(row.params),
+    row.requester || "",
+    isoTime(row.requestedAt),
+    row.requestTx || "",
+    row.signatures
+      .map(s => `${s.signer} ${isoTime(s.signedAt)}${s.revokedAt !== null ? ` (revoked ${isoTime(s.revokedAt)})` : ""}`)
+      .join("; "),
+    row.status,
+    isoTime(row.executedAt),
+    row.executedTx || "",
+    row.cancelledBy || "",
+    isoTime(row.cancelledAt),
+    row.pruned,
+    isoTime(row.prunedAt),
+    row.effects.map(effect => `${effect.event} ${formatOperationParams(effect.args)}`).join("; "),
+  ].map(csvCell).join(","));
+  return [CSV_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+module.exports = {
+  AUDIT_STATUS,
+  createAuditState,
+  exportAuditLog,
+  auditRows,
+  formatAuditCsv,
+};
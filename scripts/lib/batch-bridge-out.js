@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parse } = require("csv-parse/sync");
+const { ethers } = require("ethers");
+const { getRouteLimit } = require("./destinations");
+
+// Parses and validates a CSV with a `targetAddress,amount` header. Amounts are in LIB (18
+// decimals). Collects every problem before failing so a bad file can be fixed in one pass.
+function parseBatchCsv(content) {
+  const records = parse(content, {
+    columns: header => header.map(column => column.trim()),
+    skip_empty_lines: true,
+    trim: true,
+  });
+
+  const rows = [];
+  const errors = [];
+  records.forEach((record, i) => {
+    const line = i + 2; // header is line 1
+    const { targetAddress, amount } = record;
+
+    if (!targetAddress || !ethers.isAddress(targetAddress)) {
+      errors.push(`line ${line}: invalid targetAddress "${targetAddress || ""}"`);
+      return;
+    }
+    if (targetAddress.toLowerCase() === ethers.ZeroAddress) {
+      errors.push(`line ${line}: targetAddress cannot be the zero address`);
+      return;
+    }
+
+    let parsedAmount;
+    try {
+      parsedAmount = ethers.parseUnits(amount, 18);
+    } catch (error) {
+      errors.push(`line ${line}: invalid amount "${amount || ""}"`);
+      return;
+    }
+    if (parsedAmount <= 0n) {
+      errors.push(`line ${line}: amount must be greater than zero`);
+      return;
+    }
+
+    rows.push({ line, targetAddress: ethers.getAddress(targetAddress), amount: parsedAmount });
+  });
+
+  if (rows.length === 0 && errors.length === 0) {
+    errors.push("CSV has no rows");
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid batch CSV:\n  ${errors.join("\n  ")}`);
+  }
+  return rows;
+}
+
+// Splits rows larger than maxAmount into several bridgeOut calls. Chunk ids are stable for a
+// given CSV and limit, so they can key the progress file.
+function planChunks(rows, maxAmount) {
+  if (maxAmount <= 0n) {
+    throw new Error("maxAmount must be greater than zero");
+  }
+  const chunks = [];
+  for (const row of rows) {
+    let remaining = row.amount;
+    let part = 0;
+    while (remaining > 0n) {
+      const amount = remaining > maxAmount ? maxAmount : remaining;
+      chunks.push({ id: `${row.line}:${part}`, line: row.line, targetAddress: row.targetAddress, amount });
+      remaining -= amount;
+      part++;
+    }
+  }
+  return chunks;
+}
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// Progress for one CSV run. The chunk plan is saved on the first run and reused on resume, so
+// a later change to maxBridgeOutAmount cannot reshuffle chunks that were already sent.
+function createBatchProgress(filePath, { csvHash, from, vault, chainId }) {
+  let state;
+  if (filePath && fs.existsSync(filePath)) {
+    state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (state.csvHash !== csvHash) {
+      throw new Error(`Progress file ${filePath} belongs to a different CSV; move it away to start over`);
+    }
+    if (state.from.toLowerCase() !== from.toLowerCase() || state.vault.toLowerCase() !== vault.toLowerCase()) {
+      throw new Error(`Progress file ${filePath} was written for ${state.from} on Vault ${state.vault}`);
+    }
+    if (state.chainId !== String(chainId)) {
+      throw new Error(`Progress file ${filePath} bridges to chain ${state.chainId}, not ${chainId}`);
+    }
+  } else {
+    state = { csvHash, from, vault, chainId: String(chainId), startBlock: null, chunks: [] };
+  }
+
+  function save() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function hasPlan() {
+    return state.chunks.length > 0;
+  }
+
+  function setPlan(chunks, startBlock) {
+    state.startBlock = startBlock;
+    state.chunks = chunks.map(chunk => ({
+      ...chunk,
+      amount: chunk.amount.toString(),
+      status: "pending",
+      nonce: null,
+      txHash: null,
+    }));
+  }
+
+  function chunks() {
+    return state.chunks.map(chunk => ({ ...chunk, amount: BigInt(chunk.amount) }));
+  }
+
+  function update(id, fields) {
+    const chunk = state.chunks.find(c => c.id === id);
+    Object.assign(chunk, fields);
+    save();
+  }
+
+  return {
+    save,
+    hasPlan,
+    setPlan,
+    chunks,
+    update,
+    startBlock: () => state.startBlock,
+    chainId: () => BigInt(state.chainId),
+  };
+}
+
+// Settles a chunk whose transaction may or may not have landed before a crash. Returns the
+// chunk's final status, or "pending" if it provably never reached the chain.
+async function reconcileSentChunk(vault, from, progress, chunk) {
+  const provider = vault.runner.provider;
+
+  if (chunk.txHash) {
+    const receipt = await provider.getTransactionReceipt(chunk.txHash);
+    if (receipt) {
+      return receipt.status === 1 ? "done" : "failed";
+    }
+    const tx = await provider.getTransaction(chunk.txHash);
+    if (tx) {
+      const mined = await tx.wait();
+      return mined.status === 1 ? "done" : "failed";
+    }
+  }
+
+  const latestNonce = await provider.getTransactionCount(from, "latest");
+  if (latestNonce <= chunk.nonce) {
+    const pendingNonce = await provider.getTransactionCount(from, "pending");
+    if (pendingNonce > chunk.nonce) {
+      throw new Error(`A transaction with nonce ${chunk.nonce} from ${from} is still pending; rerun once it is mined`);
+    }
+    return "pending";
+  }
+
+  // The nonce was used. Look for our own BridgedOut sent with that nonce before deciding.
+  const events = await vault.queryFilter(
+    vault.filters.BridgedOut(from, null, chunk.targetAddress),
+    progress.startBlock(),
+    "latest"
+  );
+  for (const event of events) {
+    if (event.args.amount !== chunk.amount) continue;
+    const tx = await provider.getTransaction(event.transactionHash);
+    if (tx.nonce === chunk.nonce) {
+      chunk.txHash = event.transactionHash;
+      return "done";
+    }
+  }
+  return "pending";
+}
+
+// Sends every outstanding chunk, recording each step in the progress file so a rerun after a
+// crash neither skips nor repeats a bridgeOut.
+async function runBatch({ vault, token, signer, progress, dryRun = false, logger = console }) {
+  const provider = vault.runner.provider;
+  const vaultAddress = await vault.getAddress();
+  const chainId = progress.chainId();
+
+  for (const chunk of progress.chunks().filter(c => c.status === "sent")) {
+    const status = await reconcileSentChunk(vault, signer.address, progress, chunk);
+    logger.log(`  Chunk ${chunk.id}: recovered as ${status}${chunk.txHash ? ` (${chunk.txHash})` : ""}`);
+    progress.update(chunk.id, status === "pending" ? { status, nonce: null, txHash: null } : { status, txHash: chunk.txHash });
+  }
+
+  const failed = progress.chunks().filter(c => c.status === "failed");
+  if (failed.length > 0) {
+    throw new Error(`Chunks ${failed.map(c => c.id).join(", ")} reverted on chain; fix the cause and reset them in the progress file`);
+  }
+
+  const outstanding = progress.chunks().filter(c => c.status === "pending");
+  const total = outstanding.reduce((sum, c) => sum + c.amount, 0n);
+  const maxAmount = await getRouteLimit(vault, chainId);
+  const oversized = outstanding.filter(c => c.amount > maxAmount);
+  if (oversized.length > 0) {
+    throw new Error(`Chunks ${oversized.map(c => c.id).join(", ")} exceed the current bridge-out limit for chain ${chainId}; start a new progress file`);
+  }
+
+  const balance = await token.balanceOf(signer.address);
+  logger.log(`  Outstanding: ${outstanding.length} bridgeOut calls, ${ethers.formatUnits(total, 18)} LIB`);
+  logger.log(`  Wallet balance: ${ethers.formatUnits(balance, 18)} LIB`);
+  if (balance < total) {
+    throw new Error(`Insufficient balance. Have ${ethers.formatUnits(balance, 18)}, need ${ethers.formatUnits(total, 18)}`);
+  }
+  const windowRemaining = await vault.getBridgeOutWindowRemaining();
+  if (total > windowRemaining) {
+    throw new Error(`Batch exceeds the remaining bridge-out window allowance of ${ethers.formatUnits(windowRemaining, 18)} LIB; split the CSV or wait for the window to roll`);
+  }
+  if (dryRun || outstanding.length === 0) {
+    return { sent: 0, total };
+  }
+  if (!(await vault.bridgeOutEnabled())) {
+    throw new Error("Vault bridgeOut is disabled. Enable it via multisig first.");
+  }
+  if (await vault.isPaused()) {
+    throw new Error("Vault bridgeOut is emergency-paused; rerun once the pause is lifted");
+  }
+
+  // One approval for everything still to send
+  const allowance = await token.allowance(signer.address, vaultAddress);
+  if (allowance < total) {
+    logger.log(`  Approving Vault for ${ethers.formatUnits(total, 18)} LIB...`);
+    await (await token.connect(signer).approve(vaultAddress, total)).wait();
+  }
+
+  let sent = 0;
+  for (const chunk of outstanding) {
+    // Record the nonce before broadcasting so a crash right after sending can be reconciled
+    const nonce = await provider.getTransactionCount(signer.address, "pending");
+    progress.update(chunk.id, { status: "sent", nonce });
+
+    const tx = await vault.connect(signer).bridgeOut(chunk.amount, chunk.targetAddress, chainId, { nonce });
+    progress.update(chunk.id, { txHash: tx.hash });
+    const receipt = await tx.wait();
+    progress.update(chunk.id, { status: receipt.status === 1 ? "done" : "failed" });
+    logger.log(`  Chunk ${chunk.id}: ${ethers.formatUnits(chunk.amount, 18)} LIB -> ${chunk.targetAddress} (${tx.hash})`);
+    sent++;
+  }
+  return { sent, total };
+}
+
+module.exports = {
+  parseBatchCsv,
+  planChunks,
+  hashContent,
+  createBatchProgress,
+  runBatch,
+};
@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { writeJson } = require("./operations");
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_DEPLOYMENTS_DIR = path.resolve(__dirname, "../../deployments");
+
+function deploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR ? path.resolve(process.env.DEPLOYMENTS_DIR) : DEFAULT_DEPLOYMENTS_DIR;
+}
+
+function manifestPath(network, dir = deploymentsDir()) {
+  return path.join(dir, `${network}.json`);
+}
+
+function readDeployment(network, dir = deploymentsDir()) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`${file} has manifest version ${manifest.version}; this tooling reads version ${MANIFEST_VERSION}`);
+  }
+  return manifest;
+}
+
+function writeDeployment(network, manifest, dir = deploymentsDir()) {
+  const file = manifestPath(network, dir);
+  writeJson(file, manifest);
+  return file;
+}
+
+// Hash of the ABI the deployment was made with, so tooling can tell when the local artifact
+// no longer matches the deployed contract
+function abiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+// Compiler version and the settings that affect bytecode, from the Hardhat build info
+function compilerSettings(buildInfo) {
+  const { optimizer, evmVersion, viaIR } = buildInfo.input.settings;
+  return {
+    version: buildInfo.solcLongVersion || buildInfo.solcVersion,
+    optimizer: optimizer || { enabled: false },
+    evmVersion: evmVersion || "default",
+    viaIR: Boolean(viaIR),
+  };
+}
+
+function buildManifest({ network, chainId, address, token, signers, requiredSignatures, deployer, receipt, buildInfo, abi, libraries, previous }) {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    contract: "Vault",
+    network,
+    chainId: Number(chainId),
+    address,
+    token,
+    signers,
+    requiredSignatures: Number(requiredSignatures),
+    deployer,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployedAt: new Date().toISOString(),
+    compiler: compilerSettings(buildInfo),
+    abiHash: abiHash(abi),
+    libraries: libraries || {},
+  };
+  // Forced redeploys keep a record of what they replaced
+  if (previous) {
+    const { history = [], ...rest } = previous;
+    manifest.history = [...history, { address: rest.address, txHash: rest.txHash, blockNumber: rest.blockNumber, deployedAt: rest.deployedAt }];
+  }
+  return manifest;
+}
+
+// The manifest for network if its Vault still has code on chain. A manifest whose address has
+// no code (e.g. a restarted local node) is stale and does not block a new deployment.
+async function findLiveDeployment(network, provider, dir = deploymentsDir()) {
+  const manifest = readDeployment(network, dir);
+  if (!manifest) {
+    return null;
+  }
+  const code = await provider.getCode(manifest.address);
+  return code === "0x" ? null : manifest;
+}
+
+// The Vault address for network: VAULT_ADDRESS if set, otherwise deployments/<network>.json
+function resolveVaultAddress(network, { env = process.env, dir = deploymentsDir() } = {}) {
+  if (env.VAULT_ADDRESS) {
+    return env.VAULT_ADDRESS;
+  }
+  const manifest = readDeployment(network, dir);
+  if (!manifest) {
+    throw new Error(`No Vault deployment for network "${network}". Deploy with scripts/deploy-vault.js, or set VAULT_ADDRESS`);
+  }
+  return manifest.address;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  manifestPath,
+  readDeployment,
+  writeDeployment,
+  abiHash,
+  compilerSettings,
+  buildManifest,
+  findLiveDeployment,
+  resolveVaultAddress,
+};
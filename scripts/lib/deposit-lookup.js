@@ -0,0 +1,107 @@
+const { ethers } = require("ethers");
+const { findQueuedRefunds } = require("./relayer");
+
+// Turns a deposit reference into its nonce. A deposit is named either by its nonce or by the
+// transaction that made it; `logIndex` (the block-level index of its BridgedOut log, as stored by
+// the relayer) is only needed when that transaction holds more than one deposit.
+async function resolveDepositNonce(vault, { nonce, txHash, logIndex } = {}) {
+  if (nonce !== undefined && nonce !== null && nonce !== "") {
+    if (!/^\d+$/.test(String(nonce)) || BigInt(nonce) === 0n) {
+      throw new Error(`Invalid deposit nonce "${nonce}"`);
+    }
+    return BigInt(nonce);
+  }
+  if (!txHash || !ethers.isHexString(txHash, 32)) {
+    throw new Error("Name a deposit by its nonce or by a valid transaction hash");
+  }
+
+  const receipt = await vault.runner.provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    throw new Error(`Transaction ${txHash} not found`);
+  }
+  const vaultAddress = (await vault.getAddress()).toLowerCase();
+  const deposits = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== vaultAddress) continue;
+    const parsed = vault.interface.parseLog(log);
+    if (parsed && parsed.name === "BridgedOut") {
+      deposits.push({ index: log.index, nonce: parsed.args.depositNonce });
+    }
+  }
+
+  if (logIndex !== undefined && logIndex !== null && logIndex !== "") {
+    const match = deposits.find(d => d.index === Number(logIndex));
+    if (!match) {
+      throw new Error(`Log ${logIndex} of ${txHash} is not a BridgedOut from this Vault`);
+    }
+    return match.nonce;
+  }
+  if (deposits.length === 0) {
+    throw new Error(`Transaction ${txHash} made no deposit into this Vault`);
+  }
+  if (deposits.length > 1) {
+    throw new Error(`Transaction ${txHash} made ${deposits.length} deposits (logs ${deposits.map(d => d.index).join(", ")}); set a log index`);
+  }
+  return deposits[0].nonce;
+}
+
+// The Vault's record of a deposit and whether it was refunded, with the refund's operation and
+// transaction when it was, or the queued refund's operation while it waits out the execution
+// delay. With a MockBscMinter-compatible `minter`, also whether it was minted.
+async function lookupDeposit(vault, reference, { minter } = {}) {
+  const nonce = await resolveDepositNonce(vault, reference);
+  const record = await vault.deposits(nonce);
+  if (record.from === ethers.ZeroAddress) {
+    throw new Error(`Deposit ${nonce} does not exist`);
+  }
+
+  const deposit = {
+    nonce: Number(nonce),
+    from: record.from,
+    targetAddress: record.targetAddress,
+    chainId: record.chainId,
+    amount: record.amount,
+    timestamp: Number(record.timestamp),
+    blockNumber: Number(record.blockNumber),
+    refunded: await vault.refunded(nonce),
+    refund: null,
+    refundQueued: null,
+    minted: minter ? await minter.minted(nonce) : null,
+  };
+  if (deposit.refunded) {
+    const [event] = await vault.queryFilter(vault.filters.DepositRefunded(null, nonce), deposit.blockNumber);
+    if (event) {
+      deposit.refund = { operationId: event.args.operationId, txHash: event.transactionHash, blockNumber: event.blockNumber };
+    }
+  } else {
+    deposit.refundQueued = (await findQueuedRefunds(vault, deposit.blockNumber)).get(deposit.nonce) || null;
+  }
+  return deposit;
+}
+
+function formatDeposit(deposit) {
+  const lines = [
+    `Deposit ${deposit.nonce}`,
+    `  From: ${deposit.from}`,
+    `  Target: ${deposit.targetAddress} on chain ${deposit.chainId}`,
+    `  Amount: ${ethers.formatUnits(deposit.amount, 18)} LIB`,
+    `  Made: block ${deposit.blockNumber}, ${new Date(deposit.timestamp * 1000).toISOString()}`,
+  ];
+  if (deposit.refund) {
+    lines.push(`  Refunded: yes, by operation ${deposit.refund.operationId} in ${deposit.refund.txHash}`);
+  } else if (deposit.refundQueued) {
+    lines.push(`  Refunded: no, operation ${deposit.refundQueued.operationId} is queued until ${new Date(deposit.refundQueued.executableAt * 1000).toISOString()}`);
+  } else {
+    lines.push(`  Refunded: ${deposit.refunded ? "yes" : "no"}`);
+  }
+  if (deposit.minted !== null) {
+    lines.push(`  Minted: ${deposit.minted ? "yes" : "no"}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  resolveDepositNonce,
+  lookupDeposit,
+  formatDeposit,
+};
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+
+// Persistent state for the relayer: the last indexed block (cursor), the hashes of recently
+// indexed blocks (used to detect reorgs) and every deposit seen, keyed by its Vault deposit nonce.
+// The release relayer keeps its burns here the same way, keyed by source id.
+// Pass no filePath to keep everything in memory.
+function createDepositStore(filePath) {
+  let state = { cursor: null, blocks: {}, deposits: {} };
+
+  if (filePath && fs.existsSync(filePath)) {
+    state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  function save() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    // Write to a temp file first so a crash mid-write never leaves a truncated store behind
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function getCursor() {
+    return state.cursor;
+  }
+
+  function setCursor(blockNumber) {
+    state.cursor = blockNumber;
+  }
+
+  function getBlockHash(blockNumber) {
+    return state.blocks[blockNumber] || null;
+  }
+
+  function setBlockHash(blockNumber, hash) {
+    state.blocks[blockNumber] = hash;
+  }
+
+  // Known block numbers, newest first
+  function blockNumbers() {
+    return Object.keys(state.blocks).map(Number).sort((a, b) => b - a);
+  }
+
+  function removeBlocks(predicate) {
+    for (const blockNumber of blockNumbers()) {
+      if (predicate(blockNumber)) {
+        delete state.blocks[blockNumber];
+      }
+    }
+  }
+
+  function getDeposit(id) {
+    return state.deposits[id] || null;
+  }
+
+  function putDeposit(deposit) {
+    state.deposits[deposit.id] = deposit;
+  }
+
+  function deleteDeposit(id) {
+    delete state.deposits[id];
+  }
+
+  // All deposits in nonce order, which is the order they were emitted on chain
+  function listDeposits(filter = () => true) {
+    return Object.values(state.deposits)
+      .filter(filter)
+      .sort((a, b) => a.nonce - b.nonce);
+  }
+
+  return {
+    save,
+    getCursor,
+    setCursor,
+    getBlockHash,
+    setBlockHash,
+    blockNumbers,
+    removeBlocks,
+    getDeposit,
+    putDeposit,
+    deleteDeposit,
+    listDeposits,
+  };
+}
+
+module.exports = { createDepositStore };
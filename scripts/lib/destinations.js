@@ -0,0 +1,81 @@
+const { ethers } = require("ethers");
+
+// Chain ids for destination names that need not be configured as Hardhat networks
+const KNOWN_CHAINS = {
+  bsc: 56n,
+  bscTestnet: 97n,
+  polygon: 137n,
+  amoy: 80002n,
+};
+
+// Turns a DESTINATION_NETWORK value into a chain id. Accepts a chain id, a network from
+// hardhat.config.js or a KNOWN_CHAINS name; when unset, falls back to `fallback` (usually the
+// chain the Vault was deployed for).
+function resolveDestinationChainId(destination, { networks = {}, fallback } = {}) {
+  if (destination === undefined || destination === "") {
+    if (fallback === undefined) {
+      throw new Error("Set DESTINATION_NETWORK to a network name or chain id");
+    }
+    return BigInt(fallback);
+  }
+  if (/^\d+$/.test(destination)) {
+    return BigInt(destination);
+  }
+  const network = networks[destination];
+  if (network && network.chainId !== undefined) {
+    return BigInt(network.chainId);
+  }
+  if (KNOWN_CHAINS[destination] !== undefined) {
+    return KNOWN_CHAINS[destination];
+  }
+  throw new Error(`Unknown destination network "${destination}"; use a chain id or one of ${Object.keys(KNOWN_CHAINS).join(", ")}`);
+}
+
+// Name for a chain id, for display; null when it has none
+function destinationName(chainId, networks = {}) {
+  const id = BigInt(chainId);
+  for (const [name, network] of Object.entries(networks)) {
+    if (name !== "hardhat" && network.chainId !== undefined && BigInt(network.chainId) === id) return name;
+  }
+  const known = Object.keys(KNOWN_CHAINS).find(name => KNOWN_CHAINS[name] === id);
+  return known || null;
+}
+
+// Every destination chain registered on the Vault, in registration order
+async function getDestinationChains(vault) {
+  const chains = [];
+  for (const chainId of await vault.getDestinationChainIds()) {
+    const { enabled, maxBridgeOutAmount } = await vault.destinationChains(chainId);
+    chains.push({ chainId, enabled, maxBridgeOutAmount });
+  }
+  return chains;
+}
+
+// Largest single bridgeOut the Vault accepts towards chainId. Throws when the route is not
+// registered or is disabled, with the message the contract would revert with.
+async function getRouteLimit(vault, chainId) {
+  const { registered, enabled, maxBridgeOutAmount } = await vault.destinationChains(chainId);
+  if (!registered) {
+    throw new Error(`Destination chain ${chainId} is not registered on the Vault`);
+  }
+  if (!enabled) {
+    throw new Error(`Destination chain ${chainId} is disabled`);
+  }
+  const globalMax = await vault.maxBridgeOutAmount();
+  return maxBridgeOutAmount !== 0n && maxBridgeOutAmount < globalMax ? maxBridgeOutAmount : globalMax;
+}
+
+function formatRoute({ chainId, enabled, maxBridgeOutAmount }, networks) {
+  const name = destinationName(chainId, networks);
+  const limit = maxBridgeOutAmount === 0n ? "global limit" : `${ethers.formatUnits(maxBridgeOutAmount, 18)} LIB`;
+  return `${chainId}${name ? ` (${name})` : ""}: ${enabled ? "enabled" : "disabled"}, max ${limit}`;
+}
+
+module.exports = {
+  KNOWN_CHAINS,
+  resolveDestinationChainId,
+  destinationName,
+  getDestinationChains,
+  getRouteLimit,
+  formatRoute,
+};
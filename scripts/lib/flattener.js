@@ -0,0 +1,378 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+  TASK_COMPILE_SOLIDITY_RUN_SOLC,
+  TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+} = require("hardhat/builtin-tasks/task-names");
+
+const SPDX_PATTERN = /SPDX-License-Identifier:\s*([^\n\r]*?)\s*(?:\*\/|$)/m;
+
+// Copy of source with comments and string contents blanked out (newlines and offsets kept), so
+// statements can be found with regexes without tripping over `import` in a comment or `;` in
+// a string.
+function maskSource(source) {
+  let masked = "";
+  let i = 0;
+  while (i < source.length) {
+    const two = source.slice(i, i + 2);
+    if (two === "//") {
+      const end = source.indexOf("\n", i);
+      const stop = end === -1 ? source.length : end;
+      masked += " ".repeat(stop - i);
+      i = stop;
+    } else if (two === "/*") {
+      const end = source.indexOf("*/", i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      masked += source.slice(i, stop).replace(/[^\n]/g, " ");
+      i = stop;
+    } else if (source[i] === "\"" || source[i] === "'") {
+      const quote = source[i];
+      let j = i + 1;
+      while (j < source.length && source[j] !== quote && source[j] !== "\n") {
+        j += source[j] === "\\" ? 2 : 1;
+      }
+      masked += quote + " ".repeat(Math.max(0, j - i - 1)) + (j < source.length ? source[j] : "");
+      i = j + 1;
+    } else {
+      masked += source[i];
+      i++;
+    }
+  }
+  return masked;
+}
+
+// Parses one import statement into its path and the names it brings into scope
+function parseImport(statement) {
+  const pathMatch = statement.match(/["']([^"']+)["']/);
+  if (!pathMatch) {
+    throw new Error(`Cannot parse import: ${statement}`);
+  }
+  const result = { path: pathMatch[1], symbols: [], namespace: null };
+
+  const body = statement.replace(/^import\s*/, "").replace(/;$/, "").trim();
+  const named = body.match(/^\{([\s\S]*)\}\s*from\s/);
+  const star = body.match(/^\*\s*as\s+(\w+)\s+from\s/);
+  const unitAlias = body.match(/["'][^"']+["']\s+as\s+(\w+)$/);
+  if (named) {
+    result.symbols = named[1]
+      .split(",")
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const [name, alias] = part.split(/\s+as\s+/).map(piece => piece.trim());
+        return { name, alias: alias || name };
+      });
+  } else if (star) {
+    result.namespace = star[1];
+  } else if (unitAlias) {
+    result.namespace = unitAlias[1];
+  }
+  return result;
+}
+
+// Finds Hardhat-style imports: relative to the importing file, or a source name that is either
+// under the project root or in a node_modules package.
+function resolveImport(importPath, fromFile, root) {
+  if (importPath.startsWith("./") || importPath.startsWith("../")) {
+    const resolved = path.resolve(path.dirname(fromFile), importPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Cannot resolve import "${importPath}" in ${fromFile}`);
+    }
+    return resolved;
+  }
+  return resolveSourceName(importPath, root, fromFile);
+}
+
+function resolveSourceName(sourceName, root, fromFile = root) {
+  const local = path.resolve(root, sourceName);
+  if (fs.existsSync(local)) {
+    return local;
+  }
+  let dir = path.resolve(root);
+  for (;;) {
+    const candidate = path.join(dir, "node_modules", sourceName);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      throw new Error(`Cannot resolve import "${sourceName}" in ${fromFile}`);
+    }
+    dir = parent;
+  }
+}
+
+// Label for a file in the output: its Hardhat source name
+function sourceLabel(file, root) {
+  const marker = `${path.sep}node_modules${path.sep}`;
+  const index = file.lastIndexOf(marker);
+  if (index !== -1) {
+    return file.slice(index + marker.length).split(path.sep).join("/");
+  }
+  return path.relative(root, file).split(path.sep).join("/");
+}
+
+// Replaces whole identifiers outside comments and strings
+function renameIdentifier(source, masked, from, to) {
+  const pattern = new RegExp(`(?<![\\w$.])${from}(?![\\w$])`, "g");
+  let result = "";
+  let last = 0;
+  for (const match of masked.matchAll(pattern)) {
+    result += source.slice(last, match.index) + to;
+    last = match.index + from.length;
+  }
+  return result + source.slice(last);
+}
+
+// Drops `Namespace.` qualifiers left by `import * as Namespace` / `import "x" as Namespace`
+function dropNamespace(source, masked, namespace) {
+  const pattern = new RegExp(`(?<![\\w$.])${namespace}\\s*\\.\\s*`, "g");
+  let result = "";
+  let last = 0;
+  for (const match of masked.matchAll(pattern)) {
+    result += source.slice(last, match.index);
+    last = match.index + match[0].length;
+  }
+  return result + source.slice(last);
+}
+
+// Names declared at file level, used to catch clashes the flattened file could not compile
+function topLevelNames(masked) {
+  const names = [];
+  let depth = 0;
+  const declaration = /\b(?:abstract\s+contract|contract|interface|library|struct|enum|error|event|function|type)\s+(\w+)/y;
+  for (let i = 0; i < masked.length; i++) {
+    const char = masked[i];
+    if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+    } else if (depth === 0 && /\w/.test(char) && (i === 0 || !/[\w$]/.test(masked[i - 1]))) {
+      declaration.lastIndex = i;
+      const match = declaration.exec(masked);
+      if (match) {
+        names.push(match[1]);
+      }
+    }
+  }
+  return names;
+}
+
+// Removes the given [start, end) ranges, and the line too when nothing else is left on it
+function removeRanges(source, ranges) {
+  let result = source;
+  for (const [start, end] of [...ranges].sort((a, b) => b[0] - a[0])) {
+    const lineStart = result.lastIndexOf("\n", start - 1) + 1;
+    const lineEndIndex = result.indexOf("\n", end);
+    const lineEnd = lineEndIndex === -1 ? result.length : lineEndIndex;
+    if (result.slice(lineStart, start).trim() === "" && result.slice(end, lineEnd).trim() === "") {
+      result = result.slice(0, lineStart) + result.slice(Math.min(lineEnd + 1, result.length));
+    } else {
+      result = result.slice(0, start) + result.slice(end);
+    }
+  }
+  return result;
+}
+
+// Splits one source file into its license, pragmas, imports and the remaining body
+function parseSourceFile(source) {
+  const masked = maskSource(source);
+  const ranges = [];
+  const imports = [];
+  const pragmas = [];
+  const licenses = [];
+
+  for (const match of masked.matchAll(/\bimport\b[^;]*;/g)) {
+    imports.push(parseImport(source.slice(match.index, match.index + match[0].length)));
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  for (const match of masked.matchAll(/\bpragma\b[^;]*;/g)) {
+    pragmas.push(source.slice(match.index + "pragma".length, match.index + match[0].length - 1).trim().replace(/\s+/g, " "));
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  // SPDX identifiers live in comments; solc rejects more than one per source unit
+  const spdx = new RegExp(SPDX_PATTERN.source, "gm");
+  for (const match of source.matchAll(spdx)) {
+    licenses.push(match[1].trim());
+    const lineStart = source.lastIndexOf("\n", match.index - 1) + 1;
+    const isLineComment = /^\s*\/\/\s*$/.test(source.slice(lineStart, match.index));
+    const end = match.index + match[0].length - (match[0].endsWith("*/") ? 2 : 0);
+    ranges.push([isLineComment ? lineStart : match.index, end]);
+  }
+
+  return { imports, pragmas, licenses, body: removeRanges(source, ranges) };
+}
+
+// Applies the import aliases of a file to its body so it reads correctly once imports are gone
+function applyAliases(body, imports) {
+  let result = body;
+  for (const entry of imports) {
+    for (const { name, alias } of entry.symbols) {
+      if (alias !== name) {
+        result = renameIdentifier(result, maskSource(result), alias, name);
+      }
+    }
+    if (entry.namespace) {
+      result = dropNamespace(result, maskSource(result), entry.namespace);
+    }
+  }
+  return result;
+}
+
+// One SPDX expression covering every file; distinct licenses are combined with AND
+function mergeLicenses(licenses) {
+  const unique = [...new Set(licenses)];
+  if (unique.length <= 1) {
+    return unique[0] || "UNLICENSED";
+  }
+  return unique.map(license => (/\sOR\s/.test(license) && !license.startsWith("(") ? `(${license})` : license)).join(" AND ");
+}
+
+// A single `pragma solidity` with every file's constraint (space-separated ranges must all
+// hold), followed by any other pragmas once each
+function mergePragmas(pragmas) {
+  const versions = [];
+  const others = [];
+  for (const pragma of pragmas) {
+    if (pragma.startsWith("solidity ")) {
+      const range = pragma.slice("solidity ".length).trim();
+      if (!versions.includes(range)) versions.push(range);
+    } else if (!others.includes(pragma)) {
+      others.push(pragma);
+    }
+  }
+  if (others.includes("abicoder v1") && others.includes("abicoder v2")) {
+    throw new Error("Sources mix `pragma abicoder v1` and `pragma abicoder v2` and cannot share one file");
+  }
+  const lines = [];
+  if (versions.length > 0) {
+    lines.push(`pragma solidity ${versions.join(" ")};`);
+  }
+  return lines.concat(others.map(pragma => `pragma ${pragma};`));
+}
+
+// Flattens entryFile and everything it imports into one source, dependencies first
+function flattenSource(entryFile, { root }) {
+  const parsed = new Map();
+  const order = [];
+  const visiting = new Set();
+
+  function visit(file) {
+    const key = fs.realpathSync(file);
+    if (parsed.has(key) || visiting.has(key)) {
+      return;
+    }
+    visiting.add(key);
+    const source = fs.readFileSync(file, "utf8");
+    const unit = parseSourceFile(source);
+    unit.file = file;
+    unit.label = sourceLabel(file, root);
+    for (const entry of unit.imports) {
+      visit(resolveImport(entry.path, file, root));
+    }
+    visiting.delete(key);
+    parsed.set(key, unit);
+    order.push(unit);
+  }
+  visit(path.resolve(entryFile));
+
+  const declaredIn = new Map();
+  for (const unit of order) {
+    unit.body = applyAliases(unit.body, unit.imports);
+    for (const name of topLevelNames(maskSource(unit.body))) {
+      if (declaredIn.has(name) && declaredIn.get(name) !== unit.label) {
+        throw new Error(`${name} is declared in both ${declaredIn.get(name)} and ${unit.label}; the flattened file cannot contain both`);
+      }
+      declaredIn.set(name, unit.label);
+    }
+  }
+
+  const license = mergeLicenses(order.flatMap(unit => unit.licenses));
+  const header = [
+    `// SPDX-License-Identifier: ${license}`,
+    ...mergePragmas(order.flatMap(unit => unit.pragmas)),
+    "",
+    `// Flattened from ${sourceLabel(path.resolve(entryFile), root)}`,
+  ];
+  const sections = order.map(unit => `// File: ${unit.label}\n\n${unit.body.trim()}\n`);
+  const source = `${header.join("\n")}\n\n${sections.join("\n")}`.replace(/\n{3,}/g, "\n\n");
+
+  return { source, license, files: order.map(unit => unit.label) };
+}
+
+// Bytecode without the trailing CBOR metadata, which hashes the source text and so always
+// differs between the flattened file and the original sources
+function stripMetadata(bytecode) {
+  const hex = bytecode.replace(/^0x/, "");
+  if (hex.length < 4) {
+    return hex;
+  }
+  const metadataLength = parseInt(hex.slice(-4), 16);
+  return hex.slice(0, hex.length - (metadataLength + 2) * 2);
+}
+
+// Bytecode with linked library placeholders zeroed. A placeholder hashes the library's source
+// name, which is different in the flattened file.
+function maskLinkReferences(bytecode) {
+  return bytecode.replace(/__\$[0-9a-fA-F]{34}\$__/g, "0".repeat(40));
+}
+
+// Compiles a single source with Hardhat's compiler for solcVersion and returns solc's output
+async function compileSource(hre, { sourceName, source, solcVersion, settings }) {
+  const input = { language: "Solidity", sources: { [sourceName]: { content: source } }, settings };
+  const solcBuild = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, { quiet: true, solcVersion });
+  const output = solcBuild.isSolcJs
+    ? await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: solcBuild.compilerPath })
+    : await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: solcBuild.compilerPath, solcVersion });
+
+  const errors = (output.errors || []).filter(error => error.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(`${sourceName} does not compile:\n${errors.map(error => error.formattedMessage).join("\n")}`);
+  }
+  return output;
+}
+
+// Compiles the flattened source with the compiler and settings of the contract's Hardhat build
+// and compares the deployed bytecode with the artifact
+async function verifyFlattened(hre, contractName, source) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${contractName}; compile the project first`);
+  }
+
+  const sourceName = `${artifact.contractName}.flat.sol`;
+  const output = await compileSource(hre, {
+    sourceName,
+    source,
+    solcVersion: buildInfo.solcVersion,
+    settings: {
+      ...buildInfo.input.settings,
+      outputSelection: { [sourceName]: { [artifact.contractName]: ["evm.deployedBytecode.object"] } },
+    },
+  });
+
+  const compiled = output.contracts[sourceName][artifact.contractName].evm.deployedBytecode.object;
+  return {
+    matches: maskLinkReferences(stripMetadata(compiled)) === maskLinkReferences(stripMetadata(artifact.deployedBytecode)),
+    solcVersion: buildInfo.solcVersion,
+    warnings: (output.errors || []).filter(error => error.severity !== "error"),
+  };
+}
+
+module.exports = {
+  maskSource,
+  parseImport,
+  parseSourceFile,
+  resolveImport,
+  resolveSourceName,
+  mergeLicenses,
+  mergePragmas,
+  flattenSource,
+  stripMetadata,
+  maskLinkReferences,
+  compileSource,
+  verifyFlattened,
+};
@@ -0,0 +1,77 @@
+const { spawn } = require("child_process");
+const { ethers } = require("ethers");
+
+// Starts `hardhat node` on port with the given chain id as a child process and resolves once its
+// JSON-RPC server is up. Used to run two chains side by side, standing in for Polygon and BSC.
+//
+//   port      - port for the JSON-RPC server
+//   chainId   - chain id the node reports
+//   root      - Hardhat project root (the directory holding hardhat.config.js)
+//   timeoutMs - how long to wait for the node to start
+function startLocalChain({ port, chainId, root = process.cwd(), timeoutMs = 60000 }) {
+  const cli = require.resolve("hardhat/internal/cli/bootstrap", { paths: [root] });
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [cli, "node", "--hostname", "127.0.0.1", "--port", String(port)], {
+    cwd: root,
+    env: { ...process.env, HARDHAT_CHAIN_ID: String(chainId) },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const exited = new Promise(resolve => child.once("exit", resolve));
+
+  let output = "";
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`Local chain ${chainId} did not start on port ${port} within ${timeoutMs}ms:\n${output}`));
+    }, timeoutMs);
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Started HTTP")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Local chain ${chainId} exited with code ${code} before starting:\n${output}`));
+    });
+  });
+
+  async function stop() {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill();
+    }
+    await exited;
+  }
+
+  return started.then(
+    () => {
+      // No request caching, so the head block is always current after mining
+      const provider = new ethers.JsonRpcProvider(url, Number(chainId), { staticNetwork: true, cacheTimeout: -1 });
+      return {
+        url,
+        chainId: BigInt(chainId),
+        provider,
+        async mine(blocks = 1) {
+          for (let i = 0; i < blocks; i++) {
+            await provider.send("evm_mine", []);
+          }
+        },
+        async stop() {
+          provider.destroy();
+          await stop();
+        },
+      };
+    },
+    async (error) => {
+      await stop();
+      throw error;
+    }
+  );
+}
+
+module.exports = {
+  startLocalChain,
+};
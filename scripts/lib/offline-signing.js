@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  OP_NAMES,
+  OPERATION_FILE_VERSION,
+  getOperationDomain,
+  computeOperationTypedHash,
+  signOperationTypedData,
+  recoverOperationTypedSigner,
+  eligibleSigners,
+  getSigners,
+  getSubmittedSigners,
+  sortSignaturesBySigner,
+} = require("./operations");
+
+// Only what a signer's offline transaction needs; keeps sign-operation.js free of Hardhat artifacts
+const SUBMIT_SIGNATURE_ABI = ["function submitSignature(bytes32 operationId, bytes signature)"];
+const DEFAULT_SUBMIT_GAS_LIMIT = 500_000n;
+
+function operationFilePath(dir, operationId) {
+  return path.join(dir, `${operationId}.json`);
+}
+
+function signatureFilePath(dir, operationId, signer) {
+  return path.join(dir, `${operationId}.${signer.toLowerCase()}.sig.json`);
+}
+
+// All signature files next to an operation file
+function findSignatureFiles(dir, operationId) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(`${operationId}.`) && name.endsWith(".sig.json"))
+    .map(name => path.join(dir, name));
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// Builds the operation file for an existing operation. Besides the operation itself it records
+// what each eligible signer needs to build their submitSignature transaction offline: the
+// network chain id, current fees and their account nonce.
+async function exportOperation(vault, operationId, { network } = {}) {
+  const provider = vault.runner.provider;
+  const op = await vault.getOperation(operationId);
+  if (op.deadline === 0n) {
+    throw new Error(`Operation ${operationId} does not exist`);
+  }
+  if (op.cancelled) {
+    throw new Error(`Operation ${operationId} was cancelled`);
+  }
+
+  const chainId = await vault.getChainId();
+  const operationHash = await vault.getOperationTypedHash(operationId);
+  const file = {
+    version: OPERATION_FILE_VERSION,
+    network: network || null,
+    vault: await vault.getAddress(),
+    chainId: chainId.toString(),
+    domain: await getOperationDomain(vault),
+    operationId,
+    opType: Number(op.opType),
+    opTypeName: OP_NAMES[Number(op.opType)],
+    target: op.target,
+    value: op.value.toString(),
+    data: op.data,
+    deadline: Number(op.deadline),
+    operationHash,
+    requiredSignatures: Number(await vault.requiredSignatures()),
+  };
+
+  if (computeOperationTypedHash(file.domain, file) !== operationHash) {
+    throw new Error("Local operation hash does not match Vault.getOperationTypedHash");
+  }
+
+  const signers = eligibleSigners(file.opType, file.target, await getSigners(vault), await vault.owner());
+  const feeData = await provider.getFeeData();
+  const nonces = {};
+  for (const signer of signers) {
+    nonces[signer] = await provider.getTransactionCount(signer);
+  }
+
+  file.eligibleSigners = signers;
+  file.transaction = {
+    chainId: (await provider.getNetwork()).chainId.toString(),
+    gasLimit: DEFAULT_SUBMIT_GAS_LIMIT.toString(),
+    // Leave headroom so the offline transactions still go through if fees rise before collection
+    maxFeePerGas: ((feeData.maxFeePerGas || feeData.gasPrice || 0n) * 2n).toString(),
+    maxPriorityFeePerGas: (feeData.maxPriorityFeePerGas || 0n).toString(),
+    nonces,
+  };
+  return file;
+}
+
+// Runs entirely offline: checks the operation file, signs it as EIP-712 typed data and signs the
+// matching submitSignature transaction. `overrides` may replace nonce, gasLimit and fee fields.
+async function signOperationFile(operationFile, wallet, overrides = {}) {
+  const operationHash = computeOperationTypedHash(operationFile.domain, operationFile);
+  if (operationHash !== operationFile.operationHash) {
+    throw new Error("Operation file hash does not match its contents; refusing to sign");
+  }
+  if (!operationFile.eligibleSigners.some(address => sameAddress(address, wallet.address))) {
+    throw new Error(`${wallet.address} is not an eligible signer for this operation`);
+  }
+  if (Math.floor(Date.now() / 1000) > operationFile.deadline) {
+    throw new Error("Operation deadline passed");
+  }
+
+  const txDefaults = operationFile.transaction;
+  const nonceKey = Object.keys(txDefaults.nonces).find(address => sameAddress(address, wallet.address));
+  const nonce = overrides.nonce ?? txDefaults.nonces[nonceKey];
+  if (nonce === undefined) {
+    throw new Error(`No nonce recorded for ${wallet.address}; pass one explicitly`);
+  }
+
+  const signature = await signOperationTypedData(wallet, operationFile.domain, operationFile);
+  const iface = new ethers.Interface(SUBMIT_SIGNATURE_ABI);
+  const signedTransaction = await wallet.signTransaction({
+    type: 2,
+    chainId: BigInt(txDefaults.chainId),
+    to: operationFile.vault,
+    nonce: Number(nonce),
+    gasLimit: BigInt(overrides.gasLimit ?? txDefaults.gasLimit),
+    maxFeePerGas: BigInt(overrides.maxFeePerGas ?? txDefaults.maxFeePerGas),
+    maxPriorityFeePerGas: BigInt(overrides.maxPriorityFeePerGas ?? txDefaults.maxPriorityFeePerGas),
+    value: 0n,
+    data: iface.encodeFunctionData("submitSignature", [operationFile.operationId, signature]),
+  });
+
+  return {
+    version: OPERATION_FILE_VERSION,
+    operationId: operationFile.operationId,
+    operationHash,
+    signer: wallet.address,
+    signature,
+    signedTransaction,
+  };
+}
+
+// Checks a signature file against its operation file and returns the recovered signer
+function verifySignatureFile(operationFile, signatureFile) {
+  if (signatureFile.operationId !== operationFile.operationId) {
+    throw new Error("Signature file is for a different operation");
+  }
+  if (signatureFile.operationHash !== operationFile.operationHash) {
+    throw new Error("Signature file was made over a different operation hash");
+  }
+
+  const recovered = recoverOperationTypedSigner(operationFile.domain, operationFile, signatureFile.signature);
+  if (!sameAddress(recovered, signatureFile.signer)) {
+    throw new Error(`Signature recovers to ${recovered}, not the claimed signer ${signatureFile.signer}`);
+  }
+
+  const tx = ethers.Transaction.from(signatureFile.signedTransaction);
+  if (!sameAddress(tx.from, recovered)) {
+    throw new Error(`Transaction is signed by ${tx.from}, not ${recovered}`);
+  }
+  if (!tx.to || !sameAddress(tx.to, operationFile.vault)) {
+    throw new Error(`Transaction is sent to ${tx.to}, not the Vault`);
+  }
+  if (tx.chainId.toString() !== operationFile.transaction.chainId) {
+    throw new Error(`Transaction is for chain ${tx.chainId}, expected ${operationFile.transaction.chainId}`);
+  }
+  const iface = new ethers.Interface(SUBMIT_SIGNATURE_ABI);
+  const [operationId, signature] = iface.decodeFunctionData("submitSignature", tx.data);
+  if (operationId !== operationFile.operationId || signature !== signatureFile.signature) {
+    throw new Error("Transaction does not submit this signature");
+  }
+  return recovered;
+}
+
+// Verifies signature files against the operation file and current chain state, then broadcasts
+// just enough of the signers' transactions to reach the required signature count. With
+// `aggregate`, sends those signatures in one executeWithSignatures call from the vault's runner
+// instead, so the signers' own transactions and nonces are not used.
+async function collectSignatures(vault, operationFile, signatureFiles, { dryRun = false, aggregate = false, logger = console } = {}) {
+  const provider = vault.runner.provider;
+  const operationId = operationFile.operationId;
+
+  const op = await vault.getOperation(operationId);
+  if (op.deadline === 0n) throw new Error(`Operation ${operationId} does not exist (or was pruned)`);
+  if (op.executed) throw new Error(`Operation ${operationId} already executed`);
+  if (op.cancelled) throw new Error(`Operation ${operationId} was cancelled`);
+  if (op.executableAt !== 0n) {
+    throw new Error(`Operation ${operationId} already has its approvals and is queued; run ACTION=execute once the delay has passed`);
+  }
+  const latest = await provider.getBlock("latest");
+  if (BigInt(latest.timestamp) > op.deadline) throw new Error(`Operation ${operationId} deadline passed`);
+  if ((await vault.getOperationTypedHash(operationId)) !== operationFile.operationHash) {
+    throw new Error("On-chain operation hash does not match the operation file");
+  }
+
+  const eligible = eligibleSigners(Number(op.opType), op.target, await getSigners(vault), await vault.owner());
+  const submitted = await getSubmittedSigners(vault, operationId, eligible);
+  const required = Number(await vault.requiredSignatures());
+  // Approvals from signers that were removed since they signed no longer count
+  const approvals = Number(await vault.getApprovalCount(operationId));
+  const needed = required - approvals;
+
+  const accepted = [];
+  for (const signatureFile of signatureFiles) {
+    let signer;
+    try {
+      signer = verifySignatureFile(operationFile, signatureFile);
+    } catch (error) {
+      logger.warn(`  Rejected signature from ${signatureFile.signer}: ${error.message}`);
+      continue;
+    }
+    if (!eligible.some(address => sameAddress(address, signer))) {
+      logger.warn(`  Skipping ${signer}: not an eligible signer on chain`);
+    } else if (submitted.some(address => sameAddress(address, signer))) {
+      logger.log(`  Skipping ${signer}: signature already submitted`);
+    } else if (accepted.some(file => sameAddress(file.signer, signer))) {
+      logger.warn(`  Skipping duplicate signature from ${signer}`);
+    } else {
+      accepted.push(signatureFile);
+    }
+  }
+
+  // Deterministic submission order, and never more than the threshold needs: anything past
+  // the executing signature would revert
+  accepted.sort((a, b) => (a.signer.toLowerCase() < b.signer.toLowerCase() ? -1 : 1));
+  const toSubmit = accepted.slice(0, needed);
+  logger.log(`  Approvals on chain: ${approvals}, needed: ${needed}, valid files: ${accepted.length}`);
+  if (toSubmit.length < needed) {
+    throw new Error(`Not enough valid signatures: have ${toSubmit.length}, need ${needed}`);
+  }
+
+  for (const signatureFile of aggregate ? [] : toSubmit) {
+    const tx = ethers.Transaction.from(signatureFile.signedTransaction);
+    const nonce = await provider.getTransactionCount(tx.from);
+    if (nonce !== tx.nonce) {
+      throw new Error(`Signature from ${tx.from} uses nonce ${tx.nonce} but the account is at ${nonce}; ask them to re-sign with NONCE=${nonce}`);
+    }
+  }
+
+  if (dryRun) {
+    logger.log("  Dry run: not broadcasting");
+    return toSubmit.map(file => file.signer);
+  }
+
+  if (aggregate) {
+    const response = await vault.executeWithSignatures(operationId, sortSignaturesBySigner(toSubmit));
+    const receipt = await response.wait();
+    logger.log(`  ${toSubmit.length} signatures submitted in one transaction (${receipt.hash})`);
+    return toSubmit.map(file => file.signer);
+  }
+
+  for (const [i, signatureFile] of toSubmit.entries()) {
+    const response = await provider.broadcastTransaction(signatureFile.signedTransaction);
+    const receipt = await response.wait();
+    if (receipt.status !== 1) {
+      throw new Error(`submitSignature from ${signatureFile.signer} reverted in ${receipt.hash}`);
+    }
+    logger.log(`  Signature ${approvals + i + 1}/${required} submitted by ${signatureFile.signer} (${receipt.hash})`);
+  }
+  return toSubmit.map(file => file.signer);
+}
+
+module.exports = {
+  operationFilePath,
+  signatureFilePath,
+  findSignatureFiles,
+  exportOperation,
+  signOperationFile,
+  verifySignatureFile,
+  collectSignatures,
+};
@@ -0,0 +1,149 @@
+const { OP_NAMES, decodeOperationParams, formatOperationParams } = require("./operations");
+
+const STATUS = Object.freeze({
+  PENDING: "pending",
+  // Reached its threshold; waiting for the execution delay to pass
+  QUEUED: "queued",
+  // Delay passed; anyone can call executeOperation
+  EXECUTABLE: "executable",
+  EXECUTED: "executed",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+});
+
+function formatDuration(seconds) {
+  if (seconds <= 0) return "-";
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+}
+
+const PAGE_SIZE = 100;
+
+async function getAllOperationIds(vault) {
+  const count = Number(await vault.getOperationIdsCount());
+  const operationIds = [];
+  for (let offset = 0; offset < count; offset += PAGE_SIZE) {
+    operationIds.push(...(await vault.getOperationIds(offset, PAGE_SIZE)));
+  }
+  return operationIds;
+}
+
+function isOpen(status) {
+  return status === STATUS.PENDING || status === STATUS.QUEUED || status === STATUS.EXECUTABLE;
+}
+
+function waitingOn(row) {
+  if (row.status === STATUS.PENDING) {
+    return row.approvals.filter(a => !a.approved).map(a => shortAddress(a.signer)).join(",");
+  }
+  if (row.status === STATUS.QUEUED) return "delay";
+  if (row.status === STATUS.EXECUTABLE) return "executeOperation";
+  return "-";
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+// Reads every tracked operation, using the latest block timestamp as "now"
+async function inspectOperations(vault) {
+  const provider = vault.runner.provider;
+  const now = BigInt((await provider.getBlock("latest")).timestamp);
+  const required = Number(await vault.requiredSignatures());
+  const operationDeadline = await vault.OPERATION_DEADLINE();
+  const operationIds = await getAllOperationIds(vault);
+
+  const rows = [];
+  for (const operationId of operationIds) {
+    const op = await vault.getOperation(operationId);
+    const [currentSigners, approved] = await vault.getSignerApprovals(operationId);
+    const approvals = currentSigners.map((signer, i) => ({ signer, approved: approved[i] }));
+    const opType = Number(op.opType);
+    // Queued operations expire OPERATION_DEADLINE after they become executable
+    const expiresAt = op.executableAt > 0n ? op.executableAt + operationDeadline : op.deadline;
+    let status = STATUS.PENDING;
+    if (op.executed) {
+      status = STATUS.EXECUTED;
+    } else if (op.cancelled) {
+      status = STATUS.CANCELLED;
+    } else if (now > expiresAt) {
+      status = STATUS.EXPIRED;
+    } else if (op.executableAt > 0n) {
+      status = now < op.executableAt ? STATUS.QUEUED : STATUS.EXECUTABLE;
+    }
+    // Time until the next step: the signing deadline, the end of the delay or the end of the execution window
+    let secondsLeft = 0;
+    if (status === STATUS.PENDING || status === STATUS.EXECUTABLE) {
+      secondsLeft = Number(expiresAt - now);
+    } else if (status === STATUS.QUEUED) {
+      secondsLeft = Number(op.executableAt - now);
+    }
+
+    rows.push({
+      operationId,
+      opType,
+      type: OP_NAMES[opType] || `Unknown(${opType})`,
+      params: decodeOperationParams(op),
+      requester: op.requester,
+      // Open operations only count approvals from the current signer set
+      signatures: isOpen(status) ? Number(await vault.getApprovalCount(operationId)) : Number(op.numSignatures),
+      requiredSignatures: required,
+      approvals,
+      deadline: Number(op.deadline),
+      executableAt: Number(op.executableAt),
+      secondsLeft,
+      status,
+      prunable: await vault.isOperationPrunable(operationId),
+    });
+  }
+  return rows;
+}
+
+function formatOperationsTable(rows) {
+  const header = ["Operation ID", "Type", "Parameters", "Sigs", "Waiting on", "Time left", "Status"];
+  const lines = rows.map(row => [
+    row.operationId,
+    row.type,
+    formatOperationParams(row.params),
+    `${row.signatures}/${row.requiredSignatures}`,
+    waitingOn(row),
+    formatDuration(row.secondsLeft),
+    row.prunable ? `${row.status} (prunable)` : row.status,
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map(line => line[i].length)));
+  const render = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [
+    render(header),
+    render(widths.map(width => "-".repeat(width))),
+    ...lines.map(render),
+  ].join("\n");
+}
+
+// Prunes the given operations in batches of at most MAX_PRUNE_BATCH
+async function pruneOperationIds(vault, operationIds, { logger = console } = {}) {
+  const batchSize = Number(await vault.MAX_PRUNE_BATCH());
+  let pruned = 0;
+  for (let i = 0; i < operationIds.length; i += batchSize) {
+    const batch = operationIds.slice(i, i + batchSize);
+    const tx = await vault.pruneOperationsByIds(batch);
+    const receipt = await tx.wait();
+    const count = receipt.logs.filter(log => log.fragment && log.fragment.name === "OperationPruned").length;
+    logger.log(`  Pruned ${count}/${batch.length} operations in ${receipt.hash}`);
+    pruned += count;
+  }
+  return pruned;
+}
+
+module.exports = {
+  STATUS,
+  formatDuration,
+  getAllOperationIds,
+  inspectOperations,
+  formatOperationsTable,
+  pruneOperationIds,
+};
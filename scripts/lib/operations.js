@@ -0,0 +1,285 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const OP = Object.freeze({
+  SET_BRIDGE_OUT_AMOUNT: 0,
+  UPDATE_SIGNER: 1,
+  SET_BRIDGE_OUT_ENABLED: 2,
+  RELINQUISH_TOKENS: 3,
+  SET_BRIDGE_OUT_WINDOW_LIMIT: 4,
+  ADD_SIGNER: 5,
+  REMOVE_SIGNER: 6,
+  SET_REQUIRED_SIGNATURES: 7,
+  CANCEL_OPERATION: 8,
+  SET_GUARDIAN: 9,
+  RESCUE_FUNDS: 10,
+  SET_EXECUTION_DELAY: 11,
+  SET_DESTINATION_CHAIN: 12,
+  SET_RELEASER: 13,
+  REFUND_DEPOSIT: 14,
+});
+
+// Indexed by opType, matching Vault.OperationType
+const OP_NAMES = Object.freeze([
+  "SetBridgeOutAmount",
+  "UpdateSigner",
+  "SetBridgeOutEnabled",
+  "RelinquishTokens",
+  "SetBridgeOutWindowLimit",
+  "AddSigner",
+  "RemoveSigner",
+  "SetRequiredSignatures",
+  "CancelOperation",
+  "SetGuardian",
+  "RescueFunds",
+  "SetExecutionDelay",
+  "SetDestinationChain",
+  "SetReleaser",
+  "RefundDeposit",
+]);
+
+const OPERATION_FILE_VERSION = 2;
+
+// EIP-712 type for Vault.OPERATION_TYPEHASH
+const OPERATION_TYPES = Object.freeze({
+  Operation: [
+    { name: "operationId", type: "bytes32" },
+    { name: "opType", type: "uint8" },
+    { name: "target", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "deadline", type: "uint256" },
+  ],
+});
+
+// Accepts an opType number or either spelling of its name ("SetBridgeOutAmount" / "SET_BRIDGE_OUT_AMOUNT")
+function parseOpType(raw) {
+  const value = String(raw).trim();
+  if (/^\d+$/.test(value) && Number(value) < OP_NAMES.length) {
+    return Number(value);
+  }
+  if (OP[value] !== undefined) {
+    return OP[value];
+  }
+  const index = OP_NAMES.findIndex(name => name.toLowerCase() === value.toLowerCase());
+  if (index === -1) {
+    throw new Error(`Unknown operation type: ${raw}. Use one of: ${OP_NAMES.join(", ")}`);
+  }
+  return index;
+}
+
+// Human-readable view of an operation's parameters, keyed by field name
+function decodeOperationParams({ opType, target, value, data }) {
+  switch (Number(opType)) {
+    case OP.SET_BRIDGE_OUT_AMOUNT:
+      return { maxBridgeOutAmount: `${ethers.formatUnits(value, 18)} LIB` };
+    case OP.UPDATE_SIGNER:
+      return { oldSigner: target, newSigner: ethers.getAddress(ethers.toBeHex(value, 20)) };
+    case OP.SET_BRIDGE_OUT_ENABLED: {
+      try {
+        const [enabled] = ethers.AbiCoder.defaultAbiCoder().decode(["bool"], data);
+        return { enabled };
+      } catch (error) {
+        return { data };
+      }
+    }
+    case OP.RELINQUISH_TOKENS:
+      return { action: "send all vault tokens to the token contract and halt the vault" };
+    case OP.SET_BRIDGE_OUT_WINDOW_LIMIT: {
+      const limit = BigInt(value) === 0n ? "disabled" : `${ethers.formatUnits(value, 18)} LIB`;
+      try {
+        const [period] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], data);
+        return { windowLimit: limit, windowPeriod: `${period}s` };
+      } catch (error) {
+        return { windowLimit: limit, data };
+      }
+    }
+    case OP.ADD_SIGNER:
+      return { newSigner: target, requiredSignatures: BigInt(value) === 0n ? "unchanged" : value.toString() };
+    case OP.REMOVE_SIGNER:
+      return { oldSigner: target, requiredSignatures: BigInt(value) === 0n ? "unchanged" : value.toString() };
+    case OP.SET_REQUIRED_SIGNATURES:
+      return { requiredSignatures: value.toString() };
+    case OP.CANCEL_OPERATION: {
+      try {
+        const [operationId] = ethers.AbiCoder.defaultAbiCoder().decode(["bytes32"], data);
+        return { cancels: operationId };
+      } catch (error) {
+        return { data };
+      }
+    }
+    case OP.SET_GUARDIAN:
+      return { guardian: target === ethers.ZeroAddress ? "none" : target };
+    case OP.RESCUE_FUNDS: {
+      // The asset's decimals are unknown here, so the amount stays in base units
+      const amount = BigInt(value) === 0n ? "entire balance" : value.toString();
+      try {
+        const [asset] = ethers.AbiCoder.defaultAbiCoder().decode(["address"], data);
+        return { asset: asset === ethers.ZeroAddress ? "native" : asset, to: target, amount };
+      } catch (error) {
+        return { to: target, amount, data };
+      }
+    }
+    case OP.SET_EXECUTION_DELAY:
+      return { executionDelay: `${value}s` };
+    case OP.SET_DESTINATION_CHAIN: {
+      try {
+        const [enabled, maxAmount] = ethers.AbiCoder.defaultAbiCoder().decode(["bool", "uint256"], data);
+        return {
+          chainId: value.toString(),
+          enabled,
+          maxBridgeOutAmount: maxAmount === 0n ? "global limit" : `${ethers.formatUnits(maxAmount, 18)} LIB`,
+        };
+      } catch (error) {
+        return { chainId: value.toString(), data };
+      }
+    }
+    case OP.SET_RELEASER:
+      return { releaser: target === ethers.ZeroAddress ? "none" : target };
+    case OP.REFUND_DEPOSIT:
+      return { depositNonce: value.toString() };
+    default:
+      return { target, value: value.toString(), data };
+  }
+}
+
+function formatOperationParams(params) {
+  return Object.entries(params).map(([key, val]) => `${key}=${val}`).join(" ");
+}
+
+function findOperationId(receipt) {
+  const event = receipt.logs.find(log => log.fragment && log.fragment.name === "OperationRequested");
+  if (!event) {
+    throw new Error(`No OperationRequested event in transaction ${receipt.hash}`);
+  }
+  return event.args.operationId;
+}
+
+// Mirrors Vault.getOperationHash so signers can check an operation file without trusting it
+function computeOperationHash({ operationId, opType, target, value, data, chainId }) {
+  return ethers.solidityPackedKeccak256(
+    ["bytes32", "uint8", "address", "uint256", "bytes", "uint256"],
+    [operationId, opType, target, value, data, chainId]
+  );
+}
+
+// Legacy EIP-191 signature over getOperationHash, accepted by the Vault during the transition period
+async function signOperationHash(signer, operationHash) {
+  return signer.signMessage(ethers.getBytes(operationHash));
+}
+
+function recoverOperationSigner(operationHash, signature) {
+  return ethers.verifyMessage(ethers.getBytes(operationHash), signature);
+}
+
+// EIP-712 domain as reported by the Vault (ERC-5267), in the shape ethers expects
+async function getOperationDomain(vault) {
+  const domain = await vault.eip712Domain();
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId.toString(),
+    verifyingContract: domain.verifyingContract,
+  };
+}
+
+function operationTypedValue({ operationId, opType, target, value, data, deadline }) {
+  return { operationId, opType, target, value, data, deadline };
+}
+
+// Mirrors Vault.getOperationTypedHash
+function computeOperationTypedHash(domain, operation) {
+  return ethers.TypedDataEncoder.hash(domain, OPERATION_TYPES, operationTypedValue(operation));
+}
+
+async function signOperationTypedData(signer, domain, operation) {
+  return signer.signTypedData(domain, OPERATION_TYPES, operationTypedValue(operation));
+}
+
+function recoverOperationTypedSigner(domain, operation, signature) {
+  return ethers.verifyTypedData(domain, OPERATION_TYPES, operationTypedValue(operation), signature);
+}
+
+// Reads the operation from the Vault and signs it as EIP-712 typed data
+async function signOperation(signer, vault, operationId) {
+  const op = await vault.getOperation(operationId);
+  const domain = await getOperationDomain(vault);
+  return signOperationTypedData(signer, domain, {
+    operationId,
+    opType: op.opType,
+    target: op.target,
+    value: op.value,
+    data: op.data,
+    deadline: op.deadline,
+  });
+}
+
+// Signatures in the order Vault.executeWithSignatures expects: ascending signer address
+function sortSignaturesBySigner(approvals) {
+  return [...approvals]
+    .sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1))
+    .map(approval => approval.signature);
+}
+
+// Addresses allowed to sign an operation: the current signers, plus the owner for UpdateSigner,
+// minus the signer being replaced
+function eligibleSigners(opType, target, signers, owner) {
+  if (Number(opType) !== OP.UPDATE_SIGNER) {
+    return signers;
+  }
+  const eligible = signers.filter(address => address.toLowerCase() !== target.toLowerCase());
+  if (!eligible.some(address => address.toLowerCase() === owner.toLowerCase())) {
+    eligible.push(owner);
+  }
+  return eligible;
+}
+
+async function getSigners(vault) {
+  return [...(await vault.getSigners())];
+}
+
+// Which of the given accounts have already approved the operation
+async function getSubmittedSigners(vault, operationId, accounts) {
+  const submitted = [];
+  for (const account of accounts) {
+    if (await vault.hasSigned(operationId, account)) {
+      submitted.push(account);
+    }
+  }
+  return submitted;
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function writeJson(filePath, content) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(content, null, 2) + "\n");
+}
+
+module.exports = {
+  OP,
+  OP_NAMES,
+  OPERATION_FILE_VERSION,
+  OPERATION_TYPES,
+  parseOpType,
+  decodeOperationParams,
+  formatOperationParams,
+  findOperationId,
+  computeOperationHash,
+  signOperationHash,
+  recoverOperationSigner,
+  getOperationDomain,
+  computeOperationTypedHash,
+  signOperationTypedData,
+  recoverOperationTypedSigner,
+  signOperation,
+  sortSignaturesBySigner,
+  eligibleSigners,
+  getSigners,
+  getSubmittedSigners,
+  readJson,
+  writeJson,
+};
@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+// Canonical Permit2 deployment; must match Vault.PERMIT2
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PERMIT2_TRANSFER_TYPES = {
+  PermitTransferFrom: [
+    { name: "permitted", type: "TokenPermissions" },
+    { name: "spender", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  TokenPermissions: [
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+const TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)",
+  "function nonces(address) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+const BRIDGE_OUT_MODES = ["auto", "permit", "permit2", "approve"];
+
+// Default signature lifetime for permits made by these helpers
+const DEFAULT_PERMIT_TTL = 30 * 60;
+
+// Rebinds the token to TOKEN_ABI, since the caller's ABI may lack the permit functions
+async function tokenContract(token, runner) {
+  const address = typeof token === "string" ? token : await token.getAddress();
+  return new ethers.Contract(address, TOKEN_ABI, runner);
+}
+
+// True when the token implements EIP-2612 (has nonces and a domain separator)
+async function supportsPermit(token) {
+  try {
+    await token.DOMAIN_SEPARATOR();
+    await token.nonces(ethers.ZeroAddress);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The token's EIP-712 domain. Tokens that expose EIP-5267 report it directly; older permit
+// tokens get the usual name / version "1" domain, checked against DOMAIN_SEPARATOR.
+async function permitDomain(token) {
+  const address = await token.getAddress();
+  try {
+    const domain = await token.eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract,
+    };
+  } catch (error) {
+    const { chainId } = await token.runner.provider.getNetwork();
+    const domain = { name: await token.name(), version: "1", chainId, verifyingContract: address };
+    if (ethers.TypedDataEncoder.hashDomain(domain) !== await token.DOMAIN_SEPARATOR()) {
+      throw new Error("Cannot determine the token's EIP-712 domain for permit");
+    }
+    return domain;
+  }
+}
+
+// Counted from the latest block rather than the local clock, which may disagree with the chain
+async function defaultDeadline(provider) {
+  const latest = await provider.getBlock("latest");
+  return BigInt(latest.timestamp + DEFAULT_PERMIT_TTL);
+}
+
+// Signs an EIP-2612 permit for spender and returns it split into v, r, s
+async function signPermit({ token, signer, spender, amount, deadline }) {
+  const owner = await signer.getAddress();
+  deadline = deadline ?? await defaultDeadline(signer.provider);
+  const domain = await permitDomain(token);
+  const nonce = await token.nonces(owner);
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+    owner,
+    spender,
+    value: amount,
+    nonce,
+    deadline,
+  });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { deadline, v, r, s };
+}
+
+// Signs a Permit2 PermitTransferFrom for spender. Permit2 nonces are unordered, so a random
+// one is used rather than reading state.
+async function signPermit2Transfer({
+  signer,
+  token,
+  spender,
+  amount,
+  chainId,
+  nonce = BigInt(ethers.hexlify(crypto.randomBytes(16))),
+  deadline,
+  permit2 = PERMIT2_ADDRESS,
+}) {
+  deadline = deadline ?? await defaultDeadline(signer.provider);
+  const domain = { name: "Permit2", chainId, verifyingContract: permit2 };
+  const signature = await signer.signTypedData(domain, PERMIT2_TRANSFER_TYPES, {
+    permitted: { token, amount },
+    spender,
+    nonce,
+    deadline,
+  });
+  return { nonce, deadline, signature };
+}
+
+// Picks how to move the tokens for a deposit. "auto" prefers a permit, then Permit2 when it is
+// deployed and already approved, and falls back to approve + bridgeOut.
+async function resolveMode({ mode, token, owner, amount, provider }) {
+  if (!BRIDGE_OUT_MODES.includes(mode)) {
+    throw new Error(`Unknown bridge-out mode "${mode}". Use one of: ${BRIDGE_OUT_MODES.join(", ")}`);
+  }
+  if (mode !== "auto") {
+    return mode;
+  }
+  if (await supportsPermit(token)) {
+    return "permit";
+  }
+  if ((await provider.getCode(PERMIT2_ADDRESS)) !== "0x" && (await token.allowance(owner, PERMIT2_ADDRESS)) >= amount) {
+    return "permit2";
+  }
+  return "approve";
+}
+
+// Sends a deposit through the vault using the chosen mode and returns the mined receipt
+async function sendBridgeOut({ vault, token, signer, amount, targetAddress, chainId, mode = "auto", logger = console }) {
+  const owner = await signer.getAddress();
+  const vaultAddress = await vault.getAddress();
+  const tokenWithSigner = await tokenContract(token, signer);
+  const chosen = await resolveMode({ mode, token: tokenWithSigner, owner, amount, provider: signer.provider });
+  const connectedVault = vault.connect(signer);
+
+  let tx;
+  if (chosen === "permit") {
+    logger.log("Signing EIP-2612 permit...");
+    const { deadline, v, r, s } = await signPermit({ token: tokenWithSigner, signer, spender: vaultAddress, amount });
+    tx = await connectedVault.bridgeOutWithPermit(amount, targetAddress, chainId, deadline, v, r, s);
+  } else if (chosen === "permit2") {
+    const permit2Allowance = await tokenWithSigner.allowance(owner, PERMIT2_ADDRESS);
+    if (permit2Allowance < amount) {
+      throw new Error("Token is not approved for Permit2. Approve Permit2 once, or use PERMIT_MODE=approve");
+    }
+    logger.log("Signing Permit2 transfer...");
+    const { chainId: networkChainId } = await signer.provider.getNetwork();
+    const { nonce, deadline, signature } = await signPermit2Transfer({
+      signer,
+      token: await tokenWithSigner.getAddress(),
+      spender: vaultAddress,
+      amount,
+      chainId: networkChainId,
+    });
+    tx = await connectedVault.bridgeOutWithPermit2(amount, targetAddress, chainId, nonce, deadline, signature);
+  } else {
+    const allowance = await tokenWithSigner.allowance(owner, vaultAddress);
+    if (allowance < amount) {
+      logger.log(`Approving Vault for ${ethers.formatUnits(amount, 18)} LIB...`);
+      await (await tokenWithSigner.approve(vaultAddress, amount)).wait();
+    }
+    tx = await connectedVault.bridgeOut(amount, targetAddress, chainId);
+  }
+
+  const receipt = await tx.wait();
+  return { mode: chosen, receipt };
+}
+
+module.exports = {
+  PERMIT2_ADDRESS,
+  PERMIT_TYPES,
+  PERMIT2_TRANSFER_TYPES,
+  TOKEN_ABI,
+  BRIDGE_OUT_MODES,
+  supportsPermit,
+  signPermit,
+  signPermit2Transfer,
+  sendBridgeOut,
+};
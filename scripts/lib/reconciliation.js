@@ -0,0 +1,356 @@
+const { parse } = require("csv-parse/sync");
+const { ethers } = require("ethers");
+
+const TOKEN_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function balanceOf(address account) view returns (uint256)",
+];
+
+const MINTED_ABI = [
+  "event Minted(uint256 indexed depositNonce, address indexed to, uint256 amount)",
+];
+
+// Parses destination-side mints from a JSON array or a CSV with a `depositNonce,to,amount` header.
+// Amounts are in base units, as the destination chain reports them. Collects every problem
+// before failing so a bad file can be fixed in one pass.
+function parseMints(content, format = "csv") {
+  let records;
+  if (format === "json") {
+    records = JSON.parse(content);
+    if (!Array.isArray(records)) {
+      throw new Error("Invalid mints file: expected a JSON array of { depositNonce, to, amount }");
+    }
+  } else {
+    records = parse(content, {
+      columns: header => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true,
+    });
+  }
+
+  const mints = [];
+  const errors = [];
+  records.forEach((record, i) => {
+    const where = format === "json" ? `entry ${i}` : `line ${i + 2}`;
+    const { depositNonce, to, amount } = record;
+    if (!/^\d+$/.test(String(depositNonce)) || Number(depositNonce) === 0) {
+      errors.push(`${where}: invalid depositNonce "${depositNonce ?? ""}"`);
+      return;
+    }
+    if (!to || !ethers.isAddress(to)) {
+      errors.push(`${where}: invalid to "${to || ""}"`);
+      return;
+    }
+    if (!/^\d+$/.test(String(amount))) {
+      errors.push(`${where}: invalid amount "${amount ?? ""}"`);
+      return;
+    }
+    mints.push({ depositNonce: Number(depositNonce), to: ethers.getAddress(to), amount: BigInt(amount), source: where });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid mints file:\n  ${errors.join("\n  ")}`);
+  }
+  return mints;
+}
+
+// Every Minted event of a MockBscMinter-compatible contract
+async function readMinterMints(minter, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const events = await minter.queryFilter(minter.filters.Minted(), fromBlock, toBlock);
+  return events.map(event => ({
+    depositNonce: Number(event.args.depositNonce),
+    to: event.args.to,
+    amount: event.args.amount,
+    source: event.transactionHash,
+  }));
+}
+
+async function queryInBatches(contract, filter, fromBlock, toBlock, batchSize) {
+  const events = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    events.push(...(await contract.queryFilter(filter, from, Math.min(from + batchSize - 1, toBlock))));
+  }
+  return events;
+}
+
+// Reads what moved the Vault's token balance between fromBlock and toBlock: BridgedOut deposits,
+// token transfers in and out of the Vault, relinquishments, releases and refunds, plus the balances
+// on either side.
+async function readVaultFlows({ vault, fromBlock, toBlock, batchSize = 2000 }) {
+  const provider = vault.runner.provider;
+  const vaultAddress = await vault.getAddress();
+  const token = new ethers.Contract(await vault.token(), TOKEN_ABI, provider);
+
+  const [bridgedOut, inbound, outbound, relinquished, released, refunded] = await Promise.all([
+    queryInBatches(vault, vault.filters.BridgedOut(), fromBlock, toBlock, batchSize),
+    queryInBatches(token, token.filters.Transfer(null, vaultAddress), fromBlock, toBlock, batchSize),
+    queryInBatches(token, token.filters.Transfer(vaultAddress, null), fromBlock, toBlock, batchSize),
+    queryInBatches(vault, vault.filters.TokensRelinquished(), fromBlock, toBlock, batchSize),
+    queryInBatches(vault, vault.filters.TokensReleased(), fromBlock, toBlock, batchSize),
+    queryInBatches(vault, vault.filters.DepositRefunded(), fromBlock, toBlock, batchSize),
+  ]);
+  const at = event => ({ blockNumber: event.blockNumber, txHash: event.transactionHash, logIndex: event.index });
+
+  return {
+    vault: vaultAddress,
+    fromBlock,
+    toBlock,
+    // Historical balances need an archive node unless the range starts at genesis
+    opening: fromBlock === 0 ? 0n : await token.balanceOf(vaultAddress, { blockTag: fromBlock - 1 }),
+    closing: await token.balanceOf(vaultAddress, { blockTag: toBlock }),
+    depositCount: Number(await vault.depositCount({ blockTag: toBlock })),
+    deposits: bridgedOut.map(event => ({
+      ...at(event),
+      nonce: Number(event.args.depositNonce),
+      from: event.args.from,
+      targetAddress: event.args.targetAddress,
+      chainId: event.args.chainId,
+      amount: event.args.amount,
+    })),
+    inbound: inbound.map(event => ({ ...at(event), from: event.args.from, to: event.args.to, amount: event.args.value })),
+    outbound: outbound.map(event => ({ ...at(event), from: event.args.from, to: event.args.to, amount: event.args.value })),
+    relinquished: relinquished.map(event => ({ ...at(event), to: event.args.to, amount: event.args.amount })),
+    released: released.map(event => ({ ...at(event), to: event.args.to, amount: event.args.amount })),
+    refunded: refunded.map(event => ({ ...at(event), nonce: Number(event.args.depositNonce), to: event.args.from, amount: event.args.amount })),
+  };
+}
+
+function addTo(totals, key, amount) {
+  totals[key] = (totals[key] || 0n) + amount;
+}
+
+function byTx(items) {
+  const groups = {};
+  for (const item of items) {
+    (groups[item.txHash] = groups[item.txHash] || []).push(item);
+  }
+  return groups;
+}
+
+// Compares the flows from readVaultFlows with each other and, when `mints` is given, with the
+// destination side. Every problem found is listed in `discrepancies`.
+//
+//   chainId          - destination chain the mints were read from; deposits for other chains are
+//                      not expected there. Unset expects every deposit.
+//   mintGraceBlocks  - deposits in the last mintGraceBlocks blocks of the range may still be on
+//                      their way through the relayer and are reported as pending, not missing
+function reconcile(flows, { mints = null, chainId = null, mintGraceBlocks = 0 } = {}) {
+  const discrepancies = [];
+  const byDepositor = {};
+  const byTarget = {};
+  let deposited = 0n;
+  for (const deposit of flows.deposits) {
+    addTo(byDepositor, deposit.from, deposit.amount);
+    addTo(byTarget, deposit.targetAddress, deposit.amount);
+    deposited += deposit.amount;
+  }
+
+  // Pair every deposit with the transfer into the Vault that funded it, in log order within its
+  // transaction. A fee-on-transfer token delivers less than the deposit records.
+  const inboundByTx = byTx(flows.inbound);
+  const unexplained = [];
+  for (const [txHash, deposits] of Object.entries(byTx(flows.deposits))) {
+    const transfers = inboundByTx[txHash] || [];
+    deposits.forEach((deposit) => {
+      const index = transfers.findIndex(transfer => transfer.from === deposit.from && transfer.logIndex < deposit.logIndex);
+      if (index === -1) {
+        discrepancies.push({ type: "unfunded deposit", nonce: deposit.nonce, txHash, amount: deposit.amount });
+        return;
+      }
+      const [transfer] = transfers.splice(index, 1);
+      if (transfer.amount !== deposit.amount) {
+        discrepancies.push({ type: "short deposit", nonce: deposit.nonce, txHash, amount: deposit.amount, received: transfer.amount });
+      }
+    });
+  }
+  // Whatever is left came in without a deposit, e.g. tokens sent straight to the Vault
+  for (const transfers of Object.values(inboundByTx)) {
+    unexplained.push(...transfers.map(transfer => ({ ...transfer, direction: "in" })));
+  }
+
+  // Tokens only leave through a relinquishment, a release or a refund, each announced by its own
+  // event
+  let relinquished = 0n;
+  let released = 0n;
+  let refunded = 0n;
+  const relinquishedByTx = byTx(flows.relinquished);
+  const releasedByTx = byTx(flows.released);
+  const refundedByTx = byTx(flows.refunded);
+  for (const transfer of flows.outbound) {
+    const matches = event => event.to === transfer.to && event.amount === transfer.amount;
+    const relinquishments = relinquishedByTx[transfer.txHash] || [];
+    const releases = releasedByTx[transfer.txHash] || [];
+    const refunds = refundedByTx[transfer.txHash] || [];
+    if (relinquishments.some(matches)) {
+      relinquishments.splice(relinquishments.findIndex(matches), 1);
+      relinquished += transfer.amount;
+    } else if (releases.some(matches)) {
+      releases.splice(releases.findIndex(matches), 1);
+      released += transfer.amount;
+    } else if (refunds.some(matches)) {
+      refunds.splice(refunds.findIndex(matches), 1);
+      refunded += transfer.amount;
+    } else {
+      unexplained.push({ ...transfer, direction: "out" });
+    }
+  }
+  for (const transfer of unexplained) {
+    discrepancies.push({ type: "unexplained transfer", ...transfer });
+  }
+
+  const expected = flows.opening + deposited - relinquished - released - refunded;
+  const difference = flows.closing - expected;
+  if (difference > 0n) {
+    discrepancies.push({ type: "surplus", amount: difference });
+  } else if (difference < 0n) {
+    discrepancies.push({ type: "shortfall", amount: -difference });
+  }
+
+  let mintReport = null;
+  if (mints) {
+    const mintsByNonce = {};
+    for (const mint of mints) {
+      (mintsByNonce[mint.depositNonce] = mintsByNonce[mint.depositNonce] || []).push(mint);
+    }
+    const depositsByNonce = Object.fromEntries(flows.deposits.map(deposit => [deposit.nonce, deposit]));
+    const refundedNonces = new Set(flows.refunded.map(refund => refund.nonce));
+    const pending = [];
+    let minted = 0n;
+
+    for (const deposit of flows.deposits) {
+      const expectedHere = chainId === null || deposit.chainId === BigInt(chainId);
+      const found = mintsByNonce[deposit.nonce] || [];
+      if (!expectedHere) {
+        if (found.length > 0) {
+          discrepancies.push({ type: "misrouted mint", nonce: deposit.nonce, chainId: deposit.chainId });
+        }
+        continue;
+      }
+      // A refunded deposit must never be minted; minting it as well pays the user twice
+      if (refundedNonces.has(deposit.nonce)) {
+        if (found.length > 0) {
+          discrepancies.push({ type: "refunded mint", nonce: deposit.nonce, count: found.length, sources: found.map(mint => mint.source) });
+        }
+        continue;
+      }
+      if (found.length === 0) {
+        if (deposit.blockNumber > flows.toBlock - mintGraceBlocks) {
+          pending.push(deposit.nonce);
+        } else {
+          discrepancies.push({ type: "missing mint", nonce: deposit.nonce, to: deposit.targetAddress, amount: deposit.amount });
+        }
+        continue;
+      }
+      if (found.length > 1) {
+        discrepancies.push({ type: "duplicate mint", nonce: deposit.nonce, count: found.length, sources: found.map(mint => mint.source) });
+      }
+      for (const mint of found) {
+        minted += mint.amount;
+        if (mint.to !== deposit.targetAddress || mint.amount !== deposit.amount) {
+          discrepancies.push({
+            type: "mismatched mint",
+            nonce: deposit.nonce,
+            expected: { to: deposit.targetAddress, amount: deposit.amount },
+            minted: { to: mint.to, amount: mint.amount },
+          });
+        }
+      }
+    }
+
+    // Mints for deposits outside the range are not checked, but a nonce the Vault never issued
+    // has no deposit behind it at all
+    for (const [nonce, found] of Object.entries(mintsByNonce)) {
+      if (!depositsByNonce[nonce] && Number(nonce) > flows.depositCount) {
+        discrepancies.push({ type: "unbacked mint", nonce: Number(nonce), count: found.length, sources: found.map(mint => mint.source) });
+      }
+    }
+    mintReport = { count: mints.length, minted, pending };
+  }
+
+  return {
+    vault: flows.vault,
+    fromBlock: flows.fromBlock,
+    toBlock: flows.toBlock,
+    deposits: { count: flows.deposits.length, total: deposited, byDepositor, byTarget },
+    balance: { opening: flows.opening, deposited, relinquished, released, refunded, expected, actual: flows.closing, difference },
+    mints: mintReport,
+    discrepancies,
+  };
+}
+
+function lib(amount) {
+  return `${ethers.formatUnits(amount, 18)} LIB`;
+}
+
+function describeDiscrepancy(d) {
+  switch (d.type) {
+    case "surplus":
+    case "shortfall":
+      return `${d.type}: Vault holds ${lib(d.amount)} ${d.type === "surplus" ? "more" : "less"} than deposits account for`;
+    case "unexplained transfer":
+      return `unexplained transfer ${d.direction === "in" ? `in from ${d.from}` : `out to ${d.to}`}: ${lib(d.amount)} in ${d.txHash}`;
+    case "short deposit":
+      return `short deposit ${d.nonce}: recorded ${lib(d.amount)} but the Vault received ${lib(d.received)} in ${d.txHash}`;
+    case "unfunded deposit":
+      return `unfunded deposit ${d.nonce}: no transfer into the Vault in ${d.txHash}`;
+    case "missing mint":
+      return `missing mint for deposit ${d.nonce}: ${lib(d.amount)} -> ${d.to}`;
+    case "duplicate mint":
+      return `duplicate mint for deposit ${d.nonce}: minted ${d.count} times (${d.sources.join(", ")})`;
+    case "mismatched mint":
+      return `mismatched mint for deposit ${d.nonce}: expected ${lib(d.expected.amount)} -> ${d.expected.to}, minted ${lib(d.minted.amount)} -> ${d.minted.to}`;
+    case "misrouted mint":
+      return `misrouted mint for deposit ${d.nonce}: bound for chain ${d.chainId}`;
+    case "refunded mint":
+      return `refunded mint for deposit ${d.nonce}: refunded on the Vault and minted ${d.count} times (${d.sources.join(", ")})`;
+    case "unbacked mint":
+      return `unbacked mint for deposit ${d.nonce}: the Vault never issued this nonce (${d.sources.join(", ")})`;
+    default:
+      return d.type;
+  }
+}
+
+function formatReconciliationReport(report) {
+  const lines = [
+    `Blocks ${report.fromBlock}-${report.toBlock}`,
+    "",
+    `Deposits: ${report.deposits.count}, ${lib(report.deposits.total)}`,
+    "  By depositor:",
+    ...Object.entries(report.deposits.byDepositor).map(([address, amount]) => `    ${address}  ${lib(amount)}`),
+    "  By target:",
+    ...Object.entries(report.deposits.byTarget).map(([address, amount]) => `    ${address}  ${lib(amount)}`),
+    "",
+    `Opening balance:  ${lib(report.balance.opening)}`,
+    `+ Deposited:      ${lib(report.balance.deposited)}`,
+    `- Relinquished:   ${lib(report.balance.relinquished)}`,
+    `- Released:       ${lib(report.balance.released)}`,
+    `- Refunded:       ${lib(report.balance.refunded)}`,
+    `= Expected:       ${lib(report.balance.expected)}`,
+    `Actual balance:   ${lib(report.balance.actual)}`,
+  ];
+  if (report.mints) {
+    lines.push("", `Mints: ${report.mints.count}, ${lib(report.mints.minted)} for deposits in range`);
+    if (report.mints.pending.length > 0) {
+      lines.push(`  Not minted yet (within grace): ${report.mints.pending.join(", ")}`);
+    }
+  } else {
+    lines.push("", "Mints: not checked");
+  }
+  lines.push("");
+  if (report.discrepancies.length === 0) {
+    lines.push("No discrepancies");
+  } else {
+    lines.push(`${report.discrepancies.length} discrepancies:`);
+    lines.push(...report.discrepancies.map(d => `  - ${describeDiscrepancy(d)}`));
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  MINTED_ABI,
+  parseMints,
+  readMinterMints,
+  readVaultFlows,
+  reconcile,
+  formatReconciliationReport,
+};
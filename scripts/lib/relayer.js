@@ -0,0 +1,333 @@
+const { ethers } = require("ethers");
+const { OP } = require("./operations");
+
+const VAULT_ABI = [
+  "event BridgedOut(address indexed from, uint256 amount, address indexed targetAddress, uint256 indexed chainId, uint256 timestamp, uint256 depositNonce)",
+  "event OperationQueued(bytes32 indexed operationId, uint8 indexed opType, uint256 executableAt, uint256 timestamp)",
+  "function deposits(uint256 depositNonce) view returns (address from, uint48 timestamp, uint48 blockNumber, address targetAddress, uint96 chainId, uint256 amount)",
+  "function refunded(uint256 depositNonce) view returns (bool)",
+  "function getOperation(bytes32 operationId) view returns (uint8 opType, address target, uint256 value, bytes data, uint256 numSignatures, bool executed, uint256 deadline, address requester, bool cancelled, uint256 executableAt)",
+  "function OPERATION_DEADLINE() view returns (uint256)",
+];
+
+const MINTER_ABI = [
+  "function mint(uint256 depositNonce, address to, uint256 amount)",
+  "function minted(uint256 depositNonce) view returns (bool)",
+];
+
+// Mint handler backed by a MockBscMinter-compatible contract. Checks `minted` first so a
+// relayer that crashed between sending the mint and saving its store does not mint twice.
+function contractMinter(minter) {
+  return async function mint(deposit) {
+    if (await minter.minted(deposit.nonce)) {
+      return;
+    }
+    const tx = await minter.mint(deposit.nonce, deposit.targetAddress, deposit.amount);
+    await tx.wait();
+  };
+}
+
+// RefundDeposit operations queued since fromBlock that can still execute, keyed by deposit
+// nonce. `refunded` only flips when such a refund executes, so a deposit in here is about to be
+// paid back on the source chain.
+async function findQueuedRefunds(vault, fromBlock, { batchSize = 2000 } = {}) {
+  const latest = await vault.runner.provider.getBlock("latest");
+  const expiry = await vault.OPERATION_DEADLINE();
+  const refunds = new Map();
+  for (let start = fromBlock; start <= latest.number; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, latest.number);
+    for (const event of await vault.queryFilter(vault.filters.OperationQueued(null, OP.REFUND_DEPOSIT), start, end)) {
+      const op = await vault.getOperation(event.args.operationId);
+      // Pruned operations read back as all zeroes
+      if (op.executableAt === 0n || op.executed || op.cancelled || BigInt(latest.timestamp) > op.executableAt + expiry) {
+        continue;
+      }
+      refunds.set(Number(op.value), { operationId: event.args.operationId, executableAt: Number(op.executableAt) });
+    }
+  }
+  return refunds;
+}
+
+// Follows the Vault's BridgedOut logs and hands every confirmed deposit to `mint` once.
+//
+//   provider      - provider for the source (Polygon) chain
+//   vaultAddress  - Vault contract to follow
+//   store         - state from createDepositStore
+//   mint          - async (deposit) => void, called once per deposit nonce, in nonce order,
+//                   never for a deposit the Vault has refunded or has a refund queued for
+//   startBlock    - first block to index when the store is empty
+//   confirmations - blocks a log must be buried under before it is indexed
+//   batchSize     - max block range per eth_getLogs call
+//   reorgWindow   - how many blocks of hashes to keep for reorg detection
+//   chainId       - destination chain this relayer mints on; deposits for other chains are
+//                   marked "skipped" and left to their own relayer. Unset relays every deposit.
+function createRelayer({
+  provider,
+  vaultAddress,
+  store,
+  mint,
+  startBlock = 0,
+  confirmations = 12,
+  batchSize = 2000,
+  reorgWindow = 256,
+  chainId = null,
+  logger = console,
+}) {
+  if (!provider) throw new Error("provider is required");
+  if (!ethers.isAddress(vaultAddress)) throw new Error("A valid vaultAddress is required");
+  if (!store) throw new Error("store is required");
+  if (typeof mint !== "function") throw new Error("mint handler is required");
+
+  const vault = new ethers.Contract(vaultAddress, VAULT_ABI, provider);
+  const bridgedOutTopic = vault.interface.getEvent("BridgedOut").topicHash;
+  let stopped = false;
+
+  if (store.getCursor() === null) {
+    store.setCursor(startBlock - 1);
+    store.save();
+  }
+
+  // Returns the newest stored block that is still on the canonical chain, or null
+  async function findCommonAncestor() {
+    for (const blockNumber of store.blockNumbers()) {
+      const block = await provider.getBlock(blockNumber);
+      if (block && block.hash === store.getBlockHash(blockNumber)) {
+        return blockNumber;
+      }
+    }
+    return null;
+  }
+
+  function rollback(toBlock) {
+    for (const deposit of store.listDeposits(d => d.blockNumber > toBlock)) {
+      if (deposit.status === "minted") {
+        // Already minted on the destination; keep the record so the nonce is never minted
+        // again, but flag it for the operator.
+        deposit.orphaned = true;
+        store.putDeposit(deposit);
+        logger.warn(`Minted deposit ${deposit.id} was removed by a reorg`);
+      } else {
+        store.deleteDeposit(deposit.id);
+      }
+    }
+    store.removeBlocks(blockNumber => blockNumber > toBlock);
+    store.setCursor(toBlock);
+    store.save();
+  }
+
+  async function checkReorg() {
+    const cursor = store.getCursor();
+    const knownHash = store.getBlockHash(cursor);
+    if (!knownHash) return null;
+
+    const block = await provider.getBlock(cursor);
+    if (block && block.hash === knownHash) return null;
+
+    const ancestor = await findCommonAncestor();
+    if (ancestor === null) {
+      throw new Error(`Reorg deeper than the ${reorgWindow} block window; reindex from a fresh store`);
+    }
+    logger.warn(`Reorg detected at block ${cursor}, rolling back to block ${ancestor}`);
+    rollback(ancestor);
+    return ancestor;
+  }
+
+  function recordDeposit(log) {
+    const parsed = vault.interface.parseLog(log);
+    const nonce = Number(parsed.args.depositNonce);
+    const id = String(nonce);
+    const existing = store.getDeposit(id);
+
+    if (existing && existing.status === "minted" && existing.txHash !== log.transactionHash) {
+      // A reorg handed this nonce to a different deposit. The destination already minted the
+      // nonce, so the new deposit cannot be relayed automatically.
+      if (!existing.conflictTxHash) {
+        existing.conflictTxHash = log.transactionHash;
+        store.putDeposit(existing);
+        logger.error(`Deposit nonce ${nonce} was minted for ${existing.txHash} but now belongs to ${log.transactionHash}; resolve manually`);
+      }
+      store.setBlockHash(log.blockNumber, log.blockHash);
+      return;
+    }
+
+    const deposit = {
+      id,
+      nonce,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      from: parsed.args.from,
+      amount: parsed.args.amount.toString(),
+      targetAddress: parsed.args.targetAddress,
+      chainId: parsed.args.chainId.toString(),
+      status: existing ? existing.status : "pending",
+    };
+    if (existing && existing.mintedAt) {
+      deposit.mintedAt = existing.mintedAt;
+    }
+    store.putDeposit(deposit);
+    store.setBlockHash(log.blockNumber, log.blockHash);
+    if (!existing) {
+      logger.log(`Indexed deposit ${nonce} (${log.transactionHash}): ${ethers.formatUnits(deposit.amount, 18)} LIB -> ${deposit.targetAddress}`);
+    }
+  }
+
+  async function indexRange(fromBlock, toBlock) {
+    // Anchor the very first range to its parent so a reorg of the first indexed blocks still
+    // finds a common ancestor
+    if (fromBlock > 0 && !store.getBlockHash(fromBlock - 1)) {
+      const parent = await provider.getBlock(fromBlock - 1);
+      store.setBlockHash(fromBlock - 1, parent.hash);
+    }
+
+    const logs = await provider.getLogs({
+      address: vaultAddress,
+      topics: [bridgedOutTopic],
+      fromBlock,
+      toBlock,
+    });
+    for (const log of logs) {
+      recordDeposit(log);
+    }
+
+    const block = await provider.getBlock(toBlock);
+    store.setBlockHash(toBlock, block.hash);
+    store.setCursor(toBlock);
+    store.removeBlocks(blockNumber => blockNumber < toBlock - reorgWindow);
+    store.save();
+  }
+
+  // Nonces between the lowest and highest indexed deposit that are missing from the store
+  function findGaps() {
+    const nonces = store.listDeposits().map(d => d.nonce);
+    const gaps = [];
+    for (let i = 1; i < nonces.length; i++) {
+      for (let nonce = nonces[i - 1] + 1; nonce < nonces[i]; nonce++) {
+        gaps.push(nonce);
+      }
+    }
+    return gaps;
+  }
+
+  // Re-reads the block of each missing nonce, using the Vault's deposit record to find it.
+  // Returns the nonces that are still missing.
+  async function fillGaps() {
+    const gaps = findGaps();
+    for (const nonce of gaps) {
+      const record = await vault.deposits(nonce);
+      const blockNumber = Number(record.blockNumber);
+      if (blockNumber === 0 || blockNumber > store.getCursor()) continue;
+
+      logger.warn(`Deposit nonce ${nonce} is missing, rescanning block ${blockNumber}`);
+      const logs = await provider.getLogs({
+        address: vaultAddress,
+        topics: [bridgedOutTopic],
+        fromBlock: blockNumber,
+        toBlock: blockNumber,
+      });
+      for (const log of logs) {
+        recordDeposit(log);
+      }
+    }
+    if (gaps.length > 0) {
+      store.save();
+    }
+    return findGaps();
+  }
+
+  async function mintPending(gaps) {
+    const pending = store.listDeposits(d => d.status === "pending");
+    if (pending.length === 0) return 0;
+
+    const queuedRefunds = await findQueuedRefunds(vault, Math.min(...pending.map(d => d.blockNumber)), { batchSize });
+    let minted = 0;
+    for (const deposit of pending) {
+      if (gaps.some(nonce => nonce < deposit.nonce)) {
+        // Never mint past a hole; the missing deposit has to be relayed first
+        logger.error(`Deposit nonce ${gaps[0]} is missing; holding deposits from nonce ${deposit.nonce}`);
+        break;
+      }
+      if (chainId !== null && deposit.chainId !== String(chainId)) {
+        deposit.status = "skipped";
+        store.putDeposit(deposit);
+        store.save();
+        logger.log(`Skipped deposit ${deposit.id}: bound for chain ${deposit.chainId}`);
+        continue;
+      }
+      // A refunded deposit was paid back on the source chain and must never be minted
+      if (await vault.refunded(deposit.nonce)) {
+        deposit.status = "refunded";
+        store.putDeposit(deposit);
+        store.save();
+        logger.warn(`Skipped deposit ${deposit.id}: refunded on the source chain`);
+        continue;
+      }
+      // Leave it pending: it is minted after all if the refund is cancelled or expires
+      const refund = queuedRefunds.get(deposit.nonce);
+      if (refund) {
+        logger.warn(`Holding deposit ${deposit.id}: refund ${refund.operationId} is queued until ${new Date(refund.executableAt * 1000).toISOString()}`);
+        continue;
+      }
+      try {
+        await mint({ ...deposit, amount: BigInt(deposit.amount), chainId: BigInt(deposit.chainId) });
+      } catch (error) {
+        // Stop here so deposits are always minted in order; the next poll retries
+        logger.error(`Mint failed for deposit ${deposit.id}: ${error.message}`);
+        break;
+      }
+      deposit.status = "minted";
+      deposit.mintedAt = Date.now();
+      store.putDeposit(deposit);
+      store.save();
+      minted++;
+    }
+    return minted;
+  }
+
+  // One relaying pass: handle reorgs, index newly confirmed blocks, mint pending deposits
+  async function poll() {
+    await checkReorg();
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - confirmations;
+    let fromBlock = store.getCursor() + 1;
+    while (fromBlock <= safeHead) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, safeHead);
+      await indexRange(fromBlock, toBlock);
+      fromBlock = toBlock + 1;
+    }
+
+    const gaps = await fillGaps();
+    const minted = await mintPending(gaps);
+    return { cursor: store.getCursor(), minted, gaps };
+  }
+
+  async function run(pollIntervalMs = 5000) {
+    stopped = false;
+    while (!stopped) {
+      try {
+        await poll();
+      } catch (error) {
+        logger.error(`Relayer poll failed: ${error.message}`);
+      }
+      if (!stopped) {
+        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+      }
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { poll, run, stop };
+}
+
+module.exports = {
+  VAULT_ABI,
+  MINTER_ABI,
+  contractMinter,
+  findQueuedRefunds,
+  createRelayer,
+};
@@ -0,0 +1,228 @@
+const { ethers } = require("ethers");
+const { getOperationDomain } = require("./operations");
+
+const BURNER_ABI = [
+  "event Burned(uint256 indexed burnNonce, address indexed from, address indexed targetAddress, uint256 amount, uint256 targetChainId)",
+];
+
+const RELEASER_ABI = [
+  "function release(uint256 sourceChainId, bytes32 sourceTxId, address recipient, uint256 amount, address[] attesters, bytes[] signatures)",
+  "function released(bytes32 releaseId) view returns (bool)",
+  "function releaseId(uint256 sourceChainId, bytes32 sourceTxId) pure returns (bytes32)",
+  "function setReleaseLimits(uint256 maxReleaseAmount, uint256 periodLimit, uint256 period, address[] attesters, bytes[] signatures)",
+  "function limitsNonce() view returns (uint256)",
+  "function applyReleaseLimits()",
+  "function pendingLimitsAt() view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+// EIP-712 types for BridgeReleaser.RELEASE_TYPEHASH and RELEASE_LIMITS_TYPEHASH
+const RELEASE_TYPES = Object.freeze({
+  Release: [
+    { name: "sourceChainId", type: "uint256" },
+    { name: "sourceTxId", type: "bytes32" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+});
+
+const RELEASE_LIMITS_TYPES = Object.freeze({
+  ReleaseLimits: [
+    { name: "maxReleaseAmount", type: "uint256" },
+    { name: "periodLimit", type: "uint256" },
+    { name: "period", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+});
+
+// Source id of a burn: its transaction hash and its position among that transaction's logs.
+// Unlike the block-level log index, both stay the same when a reorg moves the transaction to
+// another block, so a re-included burn cannot be released a second time.
+function burnSourceTxId(txHash, logPosition) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "uint256"], [txHash, logPosition]));
+}
+
+// EIP-712 attestation of a release by one signer. The domain is the releaser's (ERC-5267).
+async function signRelease(signer, releaser, { sourceChainId, sourceTxId, recipient, amount }) {
+  const domain = await getOperationDomain(releaser);
+  return signer.signTypedData(domain, RELEASE_TYPES, { sourceChainId, sourceTxId, recipient, amount });
+}
+
+async function signReleaseLimits(signer, releaser, { maxReleaseAmount, periodLimit, period, nonce }) {
+  const domain = await getOperationDomain(releaser);
+  return signer.signTypedData(domain, RELEASE_LIMITS_TYPES, { maxReleaseAmount, periodLimit, period, nonce });
+}
+
+// Attesters and signatures in the order BridgeReleaser expects: ascending attester address.
+// approvals are { signer, signature } pairs; a Safe signer's signature is its packed owner
+// signatures, checked through EIP-1271.
+function sortAttestations(approvals) {
+  const sorted = [...approvals].sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+  return {
+    attesters: sorted.map(approval => approval.signer),
+    signatures: sorted.map(approval => approval.signature),
+  };
+}
+
+// Attestation handler that signs with local keys, for networks where the relayer holds signer
+// keys (local testing)
+function walletAttester(wallets, releaser) {
+  return async function attest(release) {
+    const approvals = [];
+    for (const wallet of wallets) {
+      approvals.push({ signer: wallet.address, signature: await signRelease(wallet, releaser, release) });
+    }
+    return sortAttestations(approvals);
+  };
+}
+
+// Follows Burned logs on the destination chain and releases every confirmed burn from the Vault
+// once, through the BridgeReleaser.
+//
+//   provider      - provider for the chain the burns happen on (BSC)
+//   burnerAddress - MockBscMinter-compatible contract emitting Burned
+//   releaser      - BridgeReleaser contract, connected to the account that pays for releases
+//   store         - state from createDepositStore, holding burns keyed by source id
+//   attest        - async (release) => { attesters, signatures }, as from sortAttestations
+//   targetChainId - chain id of the Vault; burns towards other chains are marked "skipped"
+//   startBlock    - first block to index when the store is empty
+//   confirmations - blocks a burn must be buried under before it is released
+//   batchSize     - max block range per eth_getLogs call
+function createReleaseRelayer({
+  provider,
+  burnerAddress,
+  releaser,
+  store,
+  attest,
+  targetChainId,
+  startBlock = 0,
+  confirmations = 12,
+  batchSize = 2000,
+  logger = console,
+}) {
+  if (!provider) throw new Error("provider is required");
+  if (!ethers.isAddress(burnerAddress)) throw new Error("A valid burnerAddress is required");
+  if (!releaser) throw new Error("releaser is required");
+  if (!store) throw new Error("store is required");
+  if (typeof attest !== "function") throw new Error("attest handler is required");
+  if (targetChainId === undefined || targetChainId === null) throw new Error("targetChainId is required");
+
+  const burner = new ethers.Contract(burnerAddress, BURNER_ABI, provider);
+  const burnedTopic = burner.interface.getEvent("Burned").topicHash;
+  let sourceChainId = null;
+  let stopped = false;
+
+  if (store.getCursor() === null) {
+    store.setCursor(startBlock - 1);
+    store.save();
+  }
+
+  async function recordBurn(log) {
+    const parsed = burner.interface.parseLog(log);
+    const receipt = await provider.getTransactionReceipt(log.transactionHash);
+    const position = receipt.logs.findIndex(receiptLog => receiptLog.index === log.index);
+    const id = burnSourceTxId(log.transactionHash, position);
+    if (store.getDeposit(id)) return;
+
+    const burn = {
+      id,
+      nonce: Number(parsed.args.burnNonce),
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      from: parsed.args.from,
+      targetAddress: parsed.args.targetAddress,
+      amount: parsed.args.amount.toString(),
+      targetChainId: parsed.args.targetChainId.toString(),
+      status: parsed.args.targetChainId === BigInt(targetChainId) ? "pending" : "skipped",
+    };
+    store.putDeposit(burn);
+    logger.log(`Indexed burn ${burn.nonce} (${burn.txHash}): ${ethers.formatUnits(burn.amount, 18)} LIB -> ${burn.targetAddress}${burn.status === "skipped" ? `, skipped: bound for chain ${burn.targetChainId}` : ""}`);
+  }
+
+  async function releaseBurn(burn, safeHead) {
+    // Confirmations are counted again here: a reorg may have dropped or moved the burn since
+    const receipt = await provider.getTransactionReceipt(burn.txHash);
+    if (!receipt || receipt.blockNumber > safeHead) {
+      logger.warn(`Burn ${burn.nonce} (${burn.txHash}) is not confirmed on the canonical chain; holding it`);
+      return false;
+    }
+
+    if (!(await releaser.released(await releaser.releaseId(sourceChainId, burn.id)))) {
+      const release = { sourceChainId, sourceTxId: burn.id, recipient: burn.targetAddress, amount: BigInt(burn.amount) };
+      const { attesters, signatures } = await attest(release);
+      const tx = await releaser.release(sourceChainId, burn.id, burn.targetAddress, burn.amount, attesters, signatures);
+      burn.releaseTxHash = (await tx.wait()).hash;
+    }
+    burn.status = "released";
+    burn.releasedAt = Date.now();
+    store.putDeposit(burn);
+    store.save();
+    logger.log(`Released burn ${burn.nonce}: ${ethers.formatUnits(burn.amount, 18)} LIB -> ${burn.targetAddress}`);
+    return true;
+  }
+
+  // One relaying pass: index newly confirmed burns, then release every pending one
+  async function poll() {
+    if (sourceChainId === null) {
+      sourceChainId = (await provider.getNetwork()).chainId;
+    }
+    const safeHead = (await provider.getBlockNumber()) - confirmations;
+    let fromBlock = store.getCursor() + 1;
+    while (fromBlock <= safeHead) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, safeHead);
+      const logs = await provider.getLogs({ address: burnerAddress, topics: [burnedTopic], fromBlock, toBlock });
+      for (const log of logs) {
+        await recordBurn(log);
+      }
+      store.setCursor(toBlock);
+      store.save();
+      fromBlock = toBlock + 1;
+    }
+
+    // Releases are independent of each other, so one that fails (e.g. over the period cap)
+    // does not hold back the rest
+    let released = 0;
+    for (const burn of store.listDeposits(b => b.status === "pending")) {
+      try {
+        if (await releaseBurn(burn, safeHead)) released++;
+      } catch (error) {
+        logger.error(`Release failed for burn ${burn.nonce}: ${error.message}`);
+      }
+    }
+    return { cursor: store.getCursor(), released };
+  }
+
+  async function run(pollIntervalMs = 5000) {
+    stopped = false;
+    while (!stopped) {
+      try {
+        await poll();
+      } catch (error) {
+        logger.error(`Release relayer poll failed: ${error.message}`);
+      }
+      if (!stopped) {
+        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+      }
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { poll, run, stop };
+}
+
+module.exports = {
+  BURNER_ABI,
+  RELEASER_ABI,
+  RELEASE_TYPES,
+  RELEASE_LIMITS_TYPES,
+  burnSourceTxId,
+  signRelease,
+  signReleaseLimits,
+  sortAttestations,
+  walletAttester,
+  createReleaseRelayer,
+};
@@ -0,0 +1,190 @@
+const { ethers } = require("ethers");
+
+// Vault calls a Safe signer makes through a Safe transaction
+const VAULT_SAFE_ABI = [
+  "function requestOperation(uint8 opType, address target, uint256 value, bytes data) returns (bytes32)",
+  "function submitSignature(bytes32 operationId, bytes signature)",
+  "function getOperationTypedHash(bytes32 operationId) view returns (bytes32)",
+];
+
+const SAFE_ABI = [
+  "function nonce() view returns (uint256)",
+  "function getOwners() view returns (address[])",
+  "function getThreshold() view returns (uint256)",
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool)",
+];
+
+// CompatibilityFallbackHandler wraps EIP-1271 hashes in this type before owners sign them
+const SAFE_MESSAGE_TYPES = {
+  SafeMessage: [{ name: "message", type: "bytes" }],
+};
+
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "operation", type: "uint8" },
+    { name: "safeTxGas", type: "uint256" },
+    { name: "baseGas", type: "uint256" },
+    { name: "gasPrice", type: "uint256" },
+    { name: "gasToken", type: "address" },
+    { name: "refundReceiver", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+const TX_BUILDER_VERSION = "1.17.1";
+
+const vaultInterface = new ethers.Interface(VAULT_SAFE_ABI);
+
+function encodeRequestOperation({ opType, target, value, data }) {
+  return vaultInterface.encodeFunctionData("requestOperation", [opType, target, value, data]);
+}
+
+function encodeSubmitSignature(operationId, signature) {
+  return vaultInterface.encodeFunctionData("submitSignature", [operationId, signature]);
+}
+
+// What a Safe's owners sign so the Safe approves operationId through EIP-1271. The Vault asks
+// the Safe about getOperationTypedHash; the Safe checks owner signatures over a SafeMessage
+// holding that hash, in the Safe's own EIP-712 domain.
+async function getSafeOperationMessage(vault, safeAddress, operationId) {
+  const typedHash = await vault.getOperationTypedHash(operationId);
+  const { chainId } = await vault.runner.provider.getNetwork();
+  const domain = { chainId, verifyingContract: safeAddress };
+  const message = { message: typedHash };
+  return {
+    typedHash,
+    domain,
+    types: SAFE_MESSAGE_TYPES,
+    message,
+    safeMessageHash: ethers.TypedDataEncoder.hash(domain, SAFE_MESSAGE_TYPES, message),
+  };
+}
+
+async function signSafeOperation(owner, vault, safeAddress, operationId) {
+  const { domain, types, message } = await getSafeOperationMessage(vault, safeAddress, operationId);
+  return { signer: await owner.getAddress(), signature: await owner.signTypedData(domain, types, message) };
+}
+
+// Safe expects owner signatures concatenated in ascending owner-address order
+function packSafeSignatures(signatures) {
+  const sorted = [...signatures].sort((a, b) => {
+    const left = BigInt(a.signer);
+    const right = BigInt(b.signer);
+    return left < right ? -1 : left > right ? 1 : 0;
+  });
+  return ethers.concat(sorted.map(entry => entry.signature));
+}
+
+// A plain CALL from the Safe with no gas refund, as the Safe apps build them
+function buildSafeTransaction({ to, data, value = 0n, nonce }) {
+  return {
+    to,
+    value,
+    data,
+    operation: 0,
+    safeTxGas: 0n,
+    baseGas: 0n,
+    gasPrice: 0n,
+    gasToken: ethers.ZeroAddress,
+    refundReceiver: ethers.ZeroAddress,
+    nonce,
+  };
+}
+
+async function signSafeTransaction(owner, safeAddress, chainId, safeTx) {
+  const domain = { chainId, verifyingContract: safeAddress };
+  return { signer: await owner.getAddress(), signature: await owner.signTypedData(domain, SAFE_TX_TYPES, safeTx) };
+}
+
+// Signs and executes a Safe transaction with local owner keys. Meant for development networks;
+// on live networks propose the transaction instead and let the owners confirm it in the Safe app.
+async function executeSafeTransaction(safe, safeTx, owners, executor = owners[0]) {
+  const safeAddress = await safe.getAddress();
+  const { chainId } = await executor.provider.getNetwork();
+  const signatures = [];
+  for (const owner of owners) {
+    signatures.push(await signSafeTransaction(owner, safeAddress, chainId, safeTx));
+  }
+  const tx = await safe.connect(executor).execTransaction(
+    safeTx.to,
+    safeTx.value,
+    safeTx.data,
+    safeTx.operation,
+    safeTx.safeTxGas,
+    safeTx.baseGas,
+    safeTx.gasPrice,
+    safeTx.gasToken,
+    safeTx.refundReceiver,
+    packSafeSignatures(signatures)
+  );
+  return tx.wait();
+}
+
+// A batch file for the Safe{Wallet} Transaction Builder app ("Load" / drag and drop)
+function buildTransactionBuilderBatch({ chainId, safeAddress, transactions, name, description = "" }) {
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress,
+      createdFromOwnerAddress: "",
+    },
+    transactions: transactions.map(({ to, value = 0n, data }) => ({
+      to,
+      value: value.toString(),
+      data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
+// Proposes the transactions to the Safe Transaction Service so the other owners can confirm
+// them in the Safe app. The proposer must be a Safe owner or delegate.
+async function proposeSafeTransaction({ provider, chainId, safeAddress, proposer, transactions, txServiceUrl, origin }) {
+  // Only needed for proposals, so the rest of this module works without the Safe SDKs
+  const Safe = require("@safe-global/protocol-kit").default;
+  const SafeApiKit = require("@safe-global/api-kit").default;
+
+  const protocolKit = await Safe.init({ provider, signer: proposer, safeAddress });
+  const safeTransaction = await protocolKit.createTransaction({
+    transactions: transactions.map(({ to, value = 0n, data }) => ({ to, value: value.toString(), data })),
+  });
+  const safeTxHash = await protocolKit.getTransactionHash(safeTransaction);
+  const senderSignature = await protocolKit.signHash(safeTxHash);
+
+  const apiKit = new SafeApiKit(txServiceUrl ? { chainId: BigInt(chainId), txServiceUrl } : { chainId: BigInt(chainId) });
+  await apiKit.proposeTransaction({
+    safeAddress,
+    safeTransactionData: safeTransaction.data,
+    safeTxHash,
+    senderAddress: proposer,
+    senderSignature: senderSignature.data,
+    origin,
+  });
+  return { safeTxHash, nonce: safeTransaction.data.nonce };
+}
+
+module.exports = {
+  VAULT_SAFE_ABI,
+  SAFE_ABI,
+  SAFE_MESSAGE_TYPES,
+  SAFE_TX_TYPES,
+  encodeRequestOperation,
+  encodeSubmitSignature,
+  getSafeOperationMessage,
+  signSafeOperation,
+  packSafeSignatures,
+  buildSafeTransaction,
+  signSafeTransaction,
+  executeSafeTransaction,
+  buildTransactionBuilderBatch,
+  proposeSafeTransaction,
+};
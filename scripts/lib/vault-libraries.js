@@ -0,0 +1,27 @@
+// External libraries Vault links against; each has to be deployed before Vault
+const VAULT_LIBRARIES = ["AssetRescue", "BridgeOutWindow", "OperationSignatures", "PermitDeposits", "SignerSet"];
+
+// Deploys Vault's libraries with Hardhat's ethers (hre.ethers); returns their addresses by name
+async function deployVaultLibraries(ethers, signer) {
+  const libraries = {};
+  for (const name of VAULT_LIBRARIES) {
+    const library = await ethers.deployContract(name, signer);
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+// Factory for Vault linked by Hardhat against `libraries`, deploying a fresh set when none are given
+async function getVaultFactory(ethers, signer, libraries) {
+  return ethers.getContractFactory("Vault", {
+    signer,
+    libraries: libraries || await deployVaultLibraries(ethers, signer),
+  });
+}
+
+module.exports = {
+  VAULT_LIBRARIES,
+  deployVaultLibraries,
+  getVaultFactory,
+};
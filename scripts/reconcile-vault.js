@@ -0,0 +1,74 @@
+// Reconciles the Vault's token balance with its BridgedOut deposits over a block range and,
+// optionally, with the mints on the destination chain. Exits non-zero on any discrepancy so it
+// can run on a schedule.
+const fs = require("fs");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  MINTED_ABI,
+  parseMints,
+  readMinterMints,
+  readVaultFlows,
+  reconcile,
+  formatReconciliationReport,
+} = require("./lib/reconciliation");
+const { readDeployment, resolveVaultAddress } = require("./lib/deployments");
+const { resolveDestinationChainId } = require("./lib/destinations");
+
+async function main() {
+  const VAULT_ADDRESS = resolveVaultAddress(hre.network.name);
+  const FORMAT = (process.env.FORMAT || "text").toLowerCase(); // text, json
+  if (!["text", "json"].includes(FORMAT)) {
+    throw new Error("FORMAT must be one of: text, json");
+  }
+  // Nothing before the Vault's deployment block can move its balance
+  const deployment = process.env.VAULT_ADDRESS ? null : readDeployment(hre.network.name);
+  const fromBlock = Number(process.env.FROM_BLOCK || (deployment ? deployment.blockNumber : 0));
+  const confirmations = Number(process.env.CONFIRMATIONS || 12);
+  const toBlock = Number(process.env.TO_BLOCK || (await ethers.provider.getBlockNumber()) - confirmations);
+  const batchSize = Number(process.env.BATCH_SIZE || 2000);
+  const mintGraceBlocks = Number(process.env.MINT_GRACE_BLOCKS || 0);
+
+  // Mints come from a file exported on the destination chain or straight from a minter contract
+  let mints = null;
+  let mintSource = "not checked";
+  if (process.env.MINTS_FILE) {
+    const format = process.env.MINTS_FILE.toLowerCase().endsWith(".json") ? "json" : "csv";
+    mints = parseMints(fs.readFileSync(process.env.MINTS_FILE, "utf8"), format);
+    mintSource = process.env.MINTS_FILE;
+  } else if (process.env.MINTER_ADDRESS) {
+    const DEST_RPC_URL = process.env.DEST_RPC_URL || "http://127.0.0.1:8546";
+    const minter = new ethers.Contract(process.env.MINTER_ADDRESS, MINTED_ABI, new ethers.JsonRpcProvider(DEST_RPC_URL));
+    mints = await readMinterMints(minter, { fromBlock: Number(process.env.MINTER_START_BLOCK || 0) });
+    mintSource = `${process.env.MINTER_ADDRESS} on ${DEST_RPC_URL}`;
+  }
+  // With DESTINATION_NETWORK set, deposits for other chains are not expected among the mints
+  const chainId = process.env.DESTINATION_NETWORK
+    ? resolveDestinationChainId(process.env.DESTINATION_NETWORK, { networks: hre.config.networks })
+    : null;
+
+  const vault = await hre.ethers.getContractAt("Vault", VAULT_ADDRESS);
+  const flows = await readVaultFlows({ vault, fromBlock, toBlock, batchSize });
+  const report = reconcile(flows, { mints, chainId, mintGraceBlocks });
+
+  if (FORMAT === "json") {
+    console.log(JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+  } else {
+    console.log("=== Vault Reconciliation ===");
+    console.log("Vault Address:", VAULT_ADDRESS);
+    console.log("Network:", hre.network.name);
+    console.log("Mint source:", mintSource);
+    console.log(formatReconciliationReport(report));
+  }
+
+  if (report.discrepancies.length > 0) {
+    throw new Error(`Reconciliation found ${report.discrepancies.length} discrepancies`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,76 @@
+// Relays Vault deposits from the source chain (Polygon) to the destination chain (BSC).
+// Talks to two RPC endpoints directly, so run it with node rather than `hardhat run`:
+//
+//   node scripts/relayer.js
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { createDepositStore } = require("./lib/deposit-store");
+const { createRelayer, contractMinter, MINTER_ABI } = require("./lib/relayer");
+const { readDeployment, resolveVaultAddress } = require("./lib/deployments");
+const { resolveDestinationChainId } = require("./lib/destinations");
+
+async function main() {
+  // The source Vault comes from deployments/<SOURCE_NETWORK>.json unless VAULT_ADDRESS is set
+  const SOURCE_NETWORK = process.env.SOURCE_NETWORK || "localhost";
+  const VAULT_ADDRESS = resolveVaultAddress(SOURCE_NETWORK);
+  const MINTER_ADDRESS = process.env.MINTER_ADDRESS;
+  const SOURCE_RPC_URL = process.env.SOURCE_RPC_URL || "http://127.0.0.1:8545";
+  const DEST_RPC_URL = process.env.DEST_RPC_URL || "http://127.0.0.1:8546";
+  const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY;
+
+  if (!MINTER_ADDRESS) {
+    throw new Error("Set MINTER_ADDRESS in your .env file (the destination-side minter contract)");
+  }
+  if (!RELAYER_PRIVATE_KEY) {
+    throw new Error("Set RELAYER_PRIVATE_KEY in your .env file");
+  }
+
+  const sourceProvider = new ethers.JsonRpcProvider(SOURCE_RPC_URL);
+  const destProvider = new ethers.JsonRpcProvider(DEST_RPC_URL);
+  const relayerWallet = new ethers.Wallet(RELAYER_PRIVATE_KEY, destProvider);
+  const minter = new ethers.Contract(MINTER_ADDRESS, MINTER_ABI, relayerWallet);
+
+  const storePath = process.env.RELAYER_STORE || "relayer-store.json";
+  // Nothing before the Vault's deployment block can hold a deposit
+  const deployment = process.env.VAULT_ADDRESS ? null : readDeployment(SOURCE_NETWORK);
+  const startBlock = Number(process.env.START_BLOCK || (deployment ? deployment.blockNumber : 0));
+  const confirmations = Number(process.env.CONFIRMATIONS || 12);
+  const pollIntervalMs = Number(process.env.POLL_INTERVAL_MS || 5000);
+
+  // With DESTINATION_NETWORK set, deposits routed to other chains are left to their own relayers
+  const destinationChainId = process.env.DESTINATION_NETWORK
+    ? resolveDestinationChainId(process.env.DESTINATION_NETWORK)
+    : null;
+
+  console.log("=== Bridge Relayer ===");
+  console.log("Source RPC:", SOURCE_RPC_URL, "chainId", Number((await sourceProvider.getNetwork()).chainId));
+  console.log("Destination RPC:", DEST_RPC_URL, "chainId", Number((await destProvider.getNetwork()).chainId));
+  console.log("Relaying deposits for:", destinationChainId === null ? "every destination chain" : `chain ${destinationChainId}`);
+  console.log("Vault Address:", VAULT_ADDRESS);
+  console.log("Minter Address:", MINTER_ADDRESS);
+  console.log("Relayer:", relayerWallet.address);
+  console.log("Store:", storePath);
+  console.log("Start block:", startBlock, "Confirmations:", confirmations);
+
+  const relayer = createRelayer({
+    provider: sourceProvider,
+    vaultAddress: VAULT_ADDRESS,
+    store: createDepositStore(storePath),
+    mint: contractMinter(minter),
+    startBlock,
+    confirmations,
+    chainId: destinationChainId,
+  });
+
+  process.on("SIGINT", () => relayer.stop());
+  process.on("SIGTERM", () => relayer.stop());
+
+  await relayer.run(pollIntervalMs);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
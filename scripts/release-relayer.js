@@ -0,0 +1,77 @@
+// Relays burns on the destination chain (BSC) back to the Vault (Polygon) as releases through the
+// BridgeReleaser. Talks to two RPC endpoints directly, so run it with node rather than
+// `hardhat run`:
+//
+//   node scripts/release-relayer.js
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { createDepositStore } = require("./lib/deposit-store");
+const { createReleaseRelayer, walletAttester, RELEASER_ABI } = require("./lib/release-relayer");
+
+async function main() {
+  const BURNER_ADDRESS = process.env.BURNER_ADDRESS;
+  const RELEASER_ADDRESS = process.env.RELEASER_ADDRESS;
+  const BURN_RPC_URL = process.env.BURN_RPC_URL || "http://127.0.0.1:8546";
+  const VAULT_RPC_URL = process.env.VAULT_RPC_URL || "http://127.0.0.1:8545";
+  const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY;
+  // Signer keys that attest to each burn; in production the attestations come from the signers
+  const ATTESTER_PRIVATE_KEYS = (process.env.ATTESTER_PRIVATE_KEYS || "").split(",").map(k => k.trim()).filter(Boolean);
+
+  if (!BURNER_ADDRESS) {
+    throw new Error("Set BURNER_ADDRESS in your .env file (the destination-side contract emitting Burned)");
+  }
+  if (!RELEASER_ADDRESS) {
+    throw new Error("Set RELEASER_ADDRESS in your .env file (the BridgeReleaser on the Vault's chain)");
+  }
+  if (!RELAYER_PRIVATE_KEY) {
+    throw new Error("Set RELAYER_PRIVATE_KEY in your .env file");
+  }
+  if (ATTESTER_PRIVATE_KEYS.length === 0) {
+    throw new Error("Set ATTESTER_PRIVATE_KEYS in your .env file (comma-separated signer keys)");
+  }
+
+  const burnProvider = new ethers.JsonRpcProvider(BURN_RPC_URL);
+  const vaultProvider = new ethers.JsonRpcProvider(VAULT_RPC_URL);
+  const relayerWallet = new ethers.Wallet(RELAYER_PRIVATE_KEY, vaultProvider);
+  const releaser = new ethers.Contract(RELEASER_ADDRESS, RELEASER_ABI, relayerWallet);
+  const attesters = ATTESTER_PRIVATE_KEYS.map(key => new ethers.Wallet(key));
+  const targetChainId = (await vaultProvider.getNetwork()).chainId;
+
+  const storePath = process.env.RELEASE_STORE || "release-store.json";
+  const startBlock = Number(process.env.START_BLOCK || 0);
+  const confirmations = Number(process.env.CONFIRMATIONS || 12);
+  const pollIntervalMs = Number(process.env.POLL_INTERVAL_MS || 5000);
+
+  console.log("=== Release Relayer ===");
+  console.log("Burn RPC:", BURN_RPC_URL, "chainId", Number((await burnProvider.getNetwork()).chainId));
+  console.log("Vault RPC:", VAULT_RPC_URL, "chainId", Number(targetChainId));
+  console.log("Burner Address:", BURNER_ADDRESS);
+  console.log("Releaser Address:", RELEASER_ADDRESS);
+  console.log("Relayer:", relayerWallet.address);
+  console.log("Attesters:", attesters.map(wallet => wallet.address).join(", "));
+  console.log("Store:", storePath);
+  console.log("Start block:", startBlock, "Confirmations:", confirmations);
+
+  const relayer = createReleaseRelayer({
+    provider: burnProvider,
+    burnerAddress: BURNER_ADDRESS,
+    releaser,
+    store: createDepositStore(storePath),
+    attest: walletAttester(attesters, releaser),
+    targetChainId,
+    startBlock,
+    confirmations,
+  });
+
+  process.on("SIGINT", () => relayer.stop());
+  process.on("SIGTERM", () => relayer.stop());
+
+  await relayer.run(pollIntervalMs);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,142 @@
+// Builds the Vault call for a Safe that is a Vault signer: either requestOperation, or
+// submitSignature carrying the Safe's EIP-1271 signature. The call is written as a Transaction
+// Builder batch (OUTPUT=builder) or proposed to the Safe Transaction Service (OUTPUT=propose).
+const hre = require("hardhat");
+const { ethers } = hre;
+const { OP_NAMES, parseOpType, writeJson } = require("./lib/operations");
+const {
+  SAFE_ABI,
+  encodeRequestOperation,
+  encodeSubmitSignature,
+  getSafeOperationMessage,
+  signSafeOperation,
+  packSafeSignatures,
+  buildTransactionBuilderBatch,
+  proposeSafeTransaction,
+} = require("./lib/safe");
+const { resolveVaultAddress } = require("./lib/deployments");
+
+// The Safe's signature for operationId: SAFE_SIGNATURE if given (e.g. the combined signature of
+// a message confirmed in the Safe app), otherwise signed by local accounts that own the Safe.
+async function safeSignatureFor(vault, safe, safeAddress, operationId) {
+  if (process.env.SAFE_SIGNATURE) {
+    return process.env.SAFE_SIGNATURE;
+  }
+
+  const owners = (await safe.getOwners()).map(address => address.toLowerCase());
+  const threshold = Number(await safe.getThreshold());
+  const localOwners = (await hre.ethers.getSigners()).filter(s => owners.includes(s.address.toLowerCase()));
+  if (localOwners.length < threshold) {
+    const { safeMessageHash, typedHash } = await getSafeOperationMessage(vault, safeAddress, operationId);
+    console.log("\nNot enough local Safe owners to sign. Have the owners sign this message in the Safe app,");
+    console.log("then rerun with SAFE_SIGNATURE set to the combined signature:");
+    console.log("  Message (Vault operation typed hash):", typedHash);
+    console.log("  SafeMessage hash:", safeMessageHash);
+    throw new Error(`Need ${threshold} Safe owner signatures but only ${localOwners.length} local accounts own the Safe`);
+  }
+
+  const signatures = [];
+  for (const owner of localOwners.slice(0, threshold)) {
+    signatures.push(await signSafeOperation(owner, vault, safeAddress, operationId));
+    console.log(`  Safe message signed by owner ${owner.address}`);
+  }
+  return packSafeSignatures(signatures);
+}
+
+async function main() {
+  const VAULT_ADDRESS = resolveVaultAddress(hre.network.name);
+  const SAFE_ADDRESS = process.env.SAFE_ADDRESS;
+  const ACTION = process.env.ACTION || "sign"; // request, sign
+  const OUTPUT = process.env.OUTPUT || "builder"; // builder, propose
+  if (!SAFE_ADDRESS || !ethers.isAddress(SAFE_ADDRESS)) {
+    throw new Error("Set SAFE_ADDRESS to the Safe that is a Vault signer");
+  }
+
+  const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+  const vault = await hre.ethers.getContractAt("Vault", VAULT_ADDRESS);
+  const safe = new ethers.Contract(SAFE_ADDRESS, SAFE_ABI, hre.ethers.provider);
+
+  console.log("=== Safe Transaction ===");
+  console.log("Vault Address:", VAULT_ADDRESS);
+  console.log("Safe Address:", SAFE_ADDRESS);
+  console.log("Network:", hre.network.name);
+  console.log("Action:", ACTION);
+
+  const isSigner = await vault.isSigner(SAFE_ADDRESS);
+  const isOwner = (await vault.owner()).toLowerCase() === SAFE_ADDRESS.toLowerCase();
+  if (!isSigner && !(ACTION === "request" && isOwner)) {
+    throw new Error("The Safe is not a Vault signer");
+  }
+
+  let data;
+  let name;
+  if (ACTION === "request") {
+    if (process.env.OP_TYPE === undefined) {
+      throw new Error(`Set OP_TYPE (${OP_NAMES.join(", ")})`);
+    }
+    const opType = parseOpType(process.env.OP_TYPE);
+    const target = process.env.TARGET || ethers.ZeroAddress;
+    if (!ethers.isAddress(target)) {
+      throw new Error("TARGET must be a valid address");
+    }
+    const value = BigInt(process.env.VALUE || 0);
+    const opData = process.env.DATA || "0x";
+    data = encodeRequestOperation({ opType, target, value, data: opData });
+    name = `Vault: request ${OP_NAMES[opType]}`;
+    console.log(`\nrequestOperation(${OP_NAMES[opType]}, ${target}, ${value}, ${opData})`);
+  } else if (ACTION === "sign") {
+    const operationId = process.env.OPERATION_ID;
+    if (!operationId) {
+      throw new Error("Set OPERATION_ID to the operation the Safe approves");
+    }
+    const [opType, , , , , executed, deadline, , cancelled] = await vault.getOperation(operationId);
+    if (deadline === 0n) {
+      throw new Error(`Operation ${operationId} does not exist`);
+    }
+    if (executed || cancelled) {
+      throw new Error(`Operation ${operationId} is already ${executed ? "executed" : "cancelled"}`);
+    }
+    if (await vault.hasSigned(operationId, SAFE_ADDRESS)) {
+      throw new Error("The Safe has already signed this operation");
+    }
+    const signature = await safeSignatureFor(vault, safe, SAFE_ADDRESS, operationId);
+    data = encodeSubmitSignature(operationId, signature);
+    name = `Vault: sign ${OP_NAMES[Number(opType)]} ${operationId.slice(0, 10)}`;
+    console.log(`\nsubmitSignature(${operationId}, <${ethers.dataLength(signature)} byte Safe signature>)`);
+  } else {
+    throw new Error(`Unknown action: ${ACTION}. Use one of: request, sign`);
+  }
+
+  const transactions = [{ to: VAULT_ADDRESS, value: 0n, data }];
+
+  if (OUTPUT === "builder") {
+    const outPath = process.env.SAFE_TX_FILE || `safe-tx-${ACTION}-${Date.now()}.json`;
+    writeJson(outPath, buildTransactionBuilderBatch({ chainId, safeAddress: SAFE_ADDRESS, transactions, name }));
+    console.log(`\nTransaction Builder batch written to ${outPath}`);
+    console.log("Load it in the Safe app's Transaction Builder, then create and confirm the batch.");
+  } else if (OUTPUT === "propose") {
+    const [proposer] = await hre.ethers.getSigners();
+    console.log(`\nProposing as ${proposer.address}...`);
+    const { safeTxHash, nonce } = await proposeSafeTransaction({
+      provider: hre.network.provider,
+      chainId,
+      safeAddress: SAFE_ADDRESS,
+      proposer: proposer.address,
+      transactions,
+      txServiceUrl: process.env.SAFE_TX_SERVICE_URL,
+      origin: name,
+    });
+    console.log("Safe transaction hash:", safeTxHash);
+    console.log("Safe nonce:", nonce.toString());
+    console.log("The other Safe owners can now confirm it in the Safe app.");
+  } else {
+    throw new Error(`Unknown output: ${OUTPUT}. Use one of: builder, propose`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
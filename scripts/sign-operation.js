@@ -0,0 +1,52 @@
+// Step 2 of the offline signing workflow. Needs no RPC access, so run it with node on the
+// signer's own machine:
+//
+//   OPERATION_FILE=operations/0x....json SIGNER_PRIVATE_KEY=0x... node scripts/sign-operation.js
+require("dotenv").config();
+const path = require("path");
+const { ethers } = require("ethers");
+const { readJson, writeJson } = require("./lib/operations");
+const { signOperationFile, signatureFilePath } = require("./lib/offline-signing");
+
+async function main() {
+  const OPERATION_FILE = process.env.OPERATION_FILE;
+  const SIGNER_PRIVATE_KEY = process.env.SIGNER_PRIVATE_KEY;
+  if (!OPERATION_FILE) {
+    throw new Error("Set OPERATION_FILE to the operation file exported by export-operation.js");
+  }
+  if (!SIGNER_PRIVATE_KEY) {
+    throw new Error("Set SIGNER_PRIVATE_KEY to the signer's private key");
+  }
+
+  const operationFile = readJson(OPERATION_FILE);
+  const wallet = new ethers.Wallet(SIGNER_PRIVATE_KEY);
+
+  console.log("=== Sign Operation ===");
+  console.log("Signer:", wallet.address);
+  console.log("Vault Address:", operationFile.vault);
+  console.log("Chain ID:", operationFile.chainId);
+  console.log(`Operation: ${operationFile.opTypeName} (${operationFile.operationId})`);
+  console.log("  Target:", operationFile.target);
+  console.log("  Value:", operationFile.value);
+  console.log("  Data:", operationFile.data);
+  console.log("  Deadline:", new Date(operationFile.deadline * 1000).toISOString());
+
+  const signatureFile = await signOperationFile(operationFile, wallet, {
+    nonce: process.env.NONCE,
+    gasLimit: process.env.GAS_LIMIT,
+    maxFeePerGas: process.env.MAX_FEE_PER_GAS,
+    maxPriorityFeePerGas: process.env.MAX_PRIORITY_FEE_PER_GAS,
+  });
+
+  const outPath = process.env.SIGNATURE_FILE ||
+    signatureFilePath(path.dirname(OPERATION_FILE), operationFile.operationId, wallet.address);
+  writeJson(outPath, signatureFile);
+  console.log(`\nSignature file written to ${outPath}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const { createAuditState, exportAuditLog, auditRows, formatAuditCsv } = require("../scripts/lib/audit-log");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Governance audit log", function () {
+  let vault, liberdus;
+  let owner, signer1, signer2, signer3, other;
+  let signers;
+  let stateDir, statePath;
+  const silentLogger = { log() {} };
+
+  async function request(opType, target, value, data) {
+    const tx = await vault.requestOperation(opType, target, value, data);
+    return findOperationId(await tx.wait());
+  }
+
+  async function sign(operationId, count) {
+    for (let i = 0; i < count; i++) {
+      const signature = await signOperation(signers[i], vault, operationId);
+      await vault.connect(signers[i]).submitSignature(operationId, signature);
+    }
+  }
+
+  async function openState() {
+    return createAuditState(statePath, { vault: await vault.getAddress(), chainId: (await ethers.provider.getNetwork()).chainId });
+  }
+
+  async function exportTo(auditState, options = {}) {
+    return exportAuditLog({
+      vault,
+      auditState,
+      toBlock: await ethers.provider.getBlockNumber(),
+      logger: silentLogger,
+      ...options,
+    });
+  }
+
+  async function rows(auditState) {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const result = auditRows(auditState, { now, operationDeadline: await vault.OPERATION_DEADLINE() });
+    return Object.fromEntries(result.map(row => [row.operationId, row]));
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, other] = await ethers.getSigners();
+    signers = [owner, signer1, signer2, signer3];
+    const chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(await liberdus.getAddress(), signers.map(s => s.address), 3, chainId);
+    await vault.waitForDeployment();
+
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-log-"));
+    statePath = path.join(stateDir, "state.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  it("Should record requester, signers, execution and effects", async function () {
+    const operationId = await request(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("5000", 18), "0x");
+    await sign(operationId, 3);
+
+    const auditState = await openState();
+    await exportTo(auditState);
+    const row = (await rows(auditState))[operationId];
+
+    expect(row.type).to.equal("SetBridgeOutAmount");
+    expect(row.params).to.deep.equal({ maxBridgeOutAmount: "5000.0 LIB" });
+    expect(row.requester).to.equal(owner.address);
+    expect(row.signatures.map(s => s.signer)).to.deep.equal([owner.address, signer1.address, signer2.address]);
+    expect(row.signatures.every(s => s.signedAt >= row.requestedAt)).to.be.true;
+    expect(row.status).to.equal("executed");
+    expect(row.executedTx).to.equal(row.signatures[2].txHash);
+    expect(row.effects).to.have.length(1);
+    expect(row.effects[0].event).to.equal("BridgeOutAmountUpdated");
+    expect(row.effects[0].args.newMaxAmount).to.equal(ethers.parseUnits("5000", 18).toString());
+  });
+
+  it("Should keep pruned operations and report expired ones", async function () {
+    const executed = await request(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("5000", 18), "0x");
+    await sign(executed, 3);
+    const expired = await request(OP.SET_GUARDIAN, other.address, 0, "0x");
+    await sign(expired, 1);
+    await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
+    await network.provider.send("evm_mine");
+
+    await vault.pruneOperationsByIds([executed]);
+    expect((await vault.getOperation(executed)).deadline).to.equal(0n);
+
+    const auditState = await openState();
+    await exportTo(auditState);
+    const byId = await rows(auditState);
+
+    expect(byId[executed].status).to.equal("executed");
+    expect(byId[executed].pruned).to.be.true;
+    expect(byId[executed].prunedAt).to.be.a("number");
+    expect(byId[executed].params).to.deep.equal({ maxBridgeOutAmount: "5000.0 LIB" });
+    expect(byId[expired].status).to.equal("expired");
+    expect(byId[expired].pruned).to.be.false;
+    expect(byId[expired].params).to.deep.equal({ guardian: other.address });
+  });
+
+  it("Should join TokensRelinquished and VaultHalted to the relinquish operation", async function () {
+    await liberdus.transfer(await vault.getAddress(), ethers.parseUnits("100", 18));
+    const operationId = await request(OP.RELINQUISH_TOKENS, ethers.ZeroAddress, 0, "0x");
+    await sign(operationId, 3);
+    await network.provider.send("evm_increaseTime", [Number(await vault.executionDelay())]);
+    await vault.executeOperation(operationId);
+
+    const auditState = await openState();
+    await exportTo(auditState);
+    const row = (await rows(auditState))[operationId];
+
+    expect(row.status).to.equal("executed");
+    expect(row.queuedAt).to.be.a("number");
+    expect(row.effects.map(effect => effect.event)).to.deep.equal(["TokensRelinquished", "VaultHalted"]);
+    expect(row.effects[0].args.amount).to.equal(ethers.parseUnits("100", 18).toString());
+    // Only the Vault's constructor emitted an event that belongs to no operation
+    expect(auditState.listEvents().map(event => event.event)).to.deep.equal(["OwnershipTransferred"]);
+  });
+
+  it("Should continue from the saved cursor without duplicating events", async function () {
+    const first = await request(OP.SET_GUARDIAN, other.address, 0, "0x");
+    await sign(first, 2);
+
+    let auditState = await openState();
+    // OwnershipTransferred from the constructor, the request and two signatures
+    expect(await exportTo(auditState, { batchSize: 3 })).to.equal(4);
+    const cursor = auditState.getCursor();
+    expect(cursor).to.equal(await ethers.provider.getBlockNumber());
+
+    await vault.connect(signer1).emergencyPause();
+    await vault.connect(signer2).submitSignature(first, await signOperation(signer2, vault, first));
+
+    // A fresh process reads the state back from disk
+    auditState = await openState();
+    expect(auditState.getCursor()).to.equal(cursor);
+    await exportTo(auditState, { batchSize: 3 });
+    expect(await exportTo(auditState)).to.equal(0);
+
+    const row = (await rows(auditState))[first];
+    expect(row.signatures.map(s => s.signer)).to.deep.equal([owner.address, signer1.address, signer2.address]);
+    expect(row.status).to.equal("executed");
+    expect(row.effects.map(effect => effect.event)).to.deep.equal(["GuardianUpdated"]);
+    expect(auditState.listEvents().map(event => event.event)).to.deep.equal(["OwnershipTransferred", "EmergencyPaused"]);
+  });
+
+  it("Should mark revoked signatures and write them to the CSV", async function () {
+    const operationId = await request(OP.SET_BRIDGE_OUT_ENABLED, ethers.ZeroAddress, 0, ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [false]));
+    await sign(operationId, 2);
+    await vault.connect(signer1).revokeSignature(operationId);
+
+    const auditState = await openState();
+    await exportTo(auditState);
+    const row = (await rows(auditState))[operationId];
+    expect(row.status).to.equal("pending");
+    expect(row.signatures[1].signer).to.equal(signer1.address);
+    expect(row.signatures[1].revokedAt).to.be.a("number");
+
+    const [header, line, ...rest] = formatAuditCsv(Object.values(await rows(auditState))).trimEnd().split("\n");
+    expect(rest).to.deep.equal([]);
+    expect(header.split(",")[0]).to.equal("operationId");
+    expect(line).to.match(new RegExp(`^${operationId},SetBridgeOutEnabled,enabled=false,${owner.address},`));
+    expect(line).to.include(`${signer1.address} `);
+    expect(line).to.include("(revoked ");
+    expect(line).to.match(/,pending,/);
+  });
+
+  it("Should refuse a state file for another Vault", async function () {
+    const auditState = await openState();
+    await exportTo(auditState);
+
+    try {
+      createAuditState(statePath, { vault: other.address, chainId: (await ethers.provider.getNetwork()).chainId });
+      expect.fail("createAuditState should have thrown");
+    } catch (error) {
+      expect(error && error.message).to.match(/belongs to Vault/);
+    }
+  });
+});
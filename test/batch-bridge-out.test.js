@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseBatchCsv,
+  planChunks,
+  hashContent,
+  createBatchProgress,
+  runBatch,
+} = require("../scripts/lib/batch-bridge-out");
+const { getRouteLimit } = require("../scripts/lib/destinations");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Batch bridge-out", function () {
+  let liberdus;
+  let vault;
+  let owner, signer1, signer2, signer3, alice, bob;
+  let chainId;
+  const silentLogger = { log() {} };
+
+  function progressFor(content, filePath = null, destination = chainId) {
+    return createBatchProgress(filePath, {
+      csvHash: hashContent(content),
+      from: owner.address,
+      vault: vault.target,
+      chainId: destination,
+    });
+  }
+
+  async function plan(content, filePath, destination = chainId) {
+    const progress = progressFor(content, filePath, destination);
+    progress.setPlan(planChunks(parseBatchCsv(content), await getRouteLimit(vault, destination)), await ethers.provider.getBlockNumber());
+    progress.save();
+    return progress;
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, alice, bob] = await ethers.getSigners();
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(
+      await liberdus.getAddress(),
+      [owner.address, signer1.address, signer2.address, signer3.address],
+      3,
+      chainId
+    );
+    await vault.waitForDeployment();
+  });
+
+  describe("CSV validation", function () {
+    it("Should parse valid rows", function () {
+      const rows = parseBatchCsv(`targetAddress,amount\n${alice.address},100\n${bob.address}, 2.5\n`);
+      expect(rows).to.deep.equal([
+        { line: 2, targetAddress: alice.address, amount: ethers.parseUnits("100", 18) },
+        { line: 3, targetAddress: bob.address, amount: ethers.parseUnits("2.5", 18) },
+      ]);
+    });
+
+    it("Should report every invalid row", function () {
+      const content = [
+        "targetAddress,amount",
+        "0x1234,100",
+        `${ethers.ZeroAddress},100`,
+        `${alice.address},0`,
+        `${bob.address},abc`,
+      ].join("\n");
+
+      expect(() => parseBatchCsv(content)).to.throw(Error)
+        .with.property("message")
+        .that.matches(/line 2: invalid targetAddress/)
+        .and.matches(/line 3: targetAddress cannot be the zero address/)
+        .and.matches(/line 4: amount must be greater than zero/)
+        .and.matches(/line 5: invalid amount/);
+    });
+  });
+
+  describe("Chunking", function () {
+    it("Should split rows above the limit", function () {
+      const max = ethers.parseUnits("10000", 18);
+      const chunks = planChunks([
+        { line: 2, targetAddress: alice.address, amount: ethers.parseUnits("25000", 18) },
+        { line: 3, targetAddress: bob.address, amount: ethers.parseUnits("10000", 18) },
+      ], max);
+
+      expect(chunks.map(c => [c.id, ethers.formatUnits(c.amount, 18)])).to.deep.equal([
+        ["2:0", "10000.0"],
+        ["2:1", "10000.0"],
+        ["2:2", "5000.0"],
+        ["3:0", "10000.0"],
+      ]);
+    });
+  });
+
+  describe("Sending", function () {
+    it("Should approve once and bridge out every chunk", async function () {
+      const content = `targetAddress,amount\n${alice.address},12000\n${bob.address},50\n`;
+      const progress = await plan(content);
+
+      const { sent } = await runBatch({ vault, token: liberdus, signer: owner, progress, logger: silentLogger });
+
+      expect(sent).to.equal(3);
+      expect(await vault.getVaultBalance()).to.equal(ethers.parseUnits("12050", 18));
+      expect(await liberdus.allowance(owner.address, vault.target)).to.equal(0n);
+      const events = await vault.queryFilter(vault.filters.BridgedOut());
+      expect(events.map(e => [e.args.targetAddress, ethers.formatUnits(e.args.amount, 18)])).to.deep.equal([
+        [alice.address, "10000.0"],
+        [alice.address, "2000.0"],
+        [bob.address, "50.0"],
+      ]);
+    });
+
+    it("Should refuse a batch larger than the wallet balance", async function () {
+      const content = `targetAddress,amount\n${alice.address},1500000\n${bob.address},600000\n`;
+      const progress = await plan(content);
+
+      let error;
+      try {
+        await runBatch({ vault, token: liberdus, signer: owner, progress, logger: silentLogger });
+      } catch (e) {
+        error = e;
+      }
+      expect(error && error.message).to.match(/Insufficient balance/);
+      expect(await vault.getVaultBalance()).to.equal(0n);
+    });
+
+    it("Should skip completed chunks when resumed", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-"));
+      const progressPath = path.join(dir, "progress.json");
+      const content = `targetAddress,amount\n${alice.address},100\n${bob.address},200\n`;
+      const progress = await plan(content, progressPath);
+
+      await runBatch({ vault, token: liberdus, signer: owner, progress, logger: silentLogger });
+      const resumed = progressFor(content, progressPath);
+      const { sent } = await runBatch({ vault, token: liberdus, signer: owner, progress: resumed, logger: silentLogger });
+
+      expect(sent).to.equal(0);
+      expect(await vault.getVaultBalance()).to.equal(ethers.parseUnits("300", 18));
+    });
+
+    it("Should not resend a chunk that landed before a crash", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-"));
+      const progressPath = path.join(dir, "progress.json");
+      const content = `targetAddress,amount\n${alice.address},100\n${bob.address},200\n`;
+      const progress = await plan(content, progressPath);
+      await liberdus.approve(vault.target, ethers.parseUnits("300", 18));
+
+      // Crash after the first bridgeOut was broadcast but before its hash was saved
+      const nonce = await ethers.provider.getTransactionCount(owner.address, "pending");
+      progress.update("2:0", { status: "sent", nonce });
+      await vault.bridgeOut(ethers.parseUnits("100", 18), alice.address, chainId, { nonce });
+
+      const { sent } = await runBatch({ vault, token: liberdus, signer: owner, progress: progressFor(content, progressPath), logger: silentLogger });
+
+      expect(sent).to.equal(1);
+      expect(await vault.getVaultBalance()).to.equal(ethers.parseUnits("300", 18));
+      const saved = progressFor(content, progressPath).chunks();
+      expect(saved.every(c => c.status === "done")).to.be.true;
+      expect(saved[0].txHash).to.not.equal(null);
+    });
+
+    it("Should resend a chunk that never reached the chain", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-"));
+      const progressPath = path.join(dir, "progress.json");
+      const content = `targetAddress,amount\n${alice.address},100\n`;
+      const progress = await plan(content, progressPath);
+
+      // Crash after recording the nonce but before broadcasting
+      const nonce = await ethers.provider.getTransactionCount(owner.address, "pending");
+      progress.update("2:0", { status: "sent", nonce });
+
+      const { sent } = await runBatch({ vault, token: liberdus, signer: owner, progress: progressFor(content, progressPath), logger: silentLogger });
+
+      expect(sent).to.equal(1);
+      expect(await vault.getVaultBalance()).to.equal(ethers.parseUnits("100", 18));
+    });
+
+    it("Should chunk to the destination chain's own limit", async function () {
+      const bscChainId = 56n;
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool", "uint256"], [true, ethers.parseUnits("4000", 18)]);
+      const receipt = await (await vault.requestOperation(OP.SET_DESTINATION_CHAIN, ethers.ZeroAddress, bscChainId, data)).wait();
+      const operationId = findOperationId(receipt);
+      for (const signer of [signer1, signer2, signer3]) {
+        await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+      }
+
+      const content = `targetAddress,amount\n${alice.address},9000\n`;
+      const { sent } = await runBatch({ vault, token: liberdus, signer: owner, progress: await plan(content, null, bscChainId), logger: silentLogger });
+
+      expect(sent).to.equal(3);
+      const events = await vault.queryFilter(vault.filters.BridgedOut());
+      expect(events.map(e => [e.args.chainId, ethers.formatUnits(e.args.amount, 18)])).to.deep.equal([
+        [bscChainId, "4000.0"],
+        [bscChainId, "4000.0"],
+        [bscChainId, "1000.0"],
+      ]);
+    });
+
+    it("Should refuse an unregistered destination chain", async function () {
+      const content = `targetAddress,amount\n${alice.address},100\n`;
+      let error;
+      try {
+        await plan(content, null, 56n);
+      } catch (e) {
+        error = e;
+      }
+      expect(error && error.message).to.match(/Destination chain 56 is not registered/);
+    });
+
+    it("Should reject a progress file from another CSV", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-"));
+      const progressPath = path.join(dir, "progress.json");
+      await plan(`targetAddress,amount\n${alice.address},100\n`, progressPath);
+
+      expect(() => progressFor(`targetAddress,amount\n${bob.address},100\n`, progressPath))
+        .to.throw(/belongs to a different CSV/);
+    });
+
+    it("Should reject a progress file for another destination chain", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-"));
+      const progressPath = path.join(dir, "progress.json");
+      const content = `targetAddress,amount\n${alice.address},100\n`;
+      await plan(content, progressPath);
+
+      expect(() => progressFor(content, progressPath, 56n)).to.throw(/bridges to chain/);
+    });
+  });
+});
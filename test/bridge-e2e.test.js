@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startLocalChain } = require("../scripts/lib/local-chain");
+const { createDepositStore } = require("../scripts/lib/deposit-store");
+const { createRelayer, contractMinter } = require("../scripts/lib/relayer");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+// Polygon -> BSC on two separate `hardhat node`s: Vault and LIB on the first, MockBscMinter on
+// the second, with the relayer between them
+describe("Bridge end to end", function () {
+  this.timeout(180000);
+
+  const POLYGON = { port: 18545, chainId: 31337 };
+  const BSC = { port: 18546, chainId: 31338 };
+  const CONFIRMATIONS = 2;
+  const silentLogger = { log() {}, warn() {}, error() {} };
+
+  let polygon, bsc;
+  let owner, signer1, signer2, signer3, alice, bob, relayerAccount;
+  let liberdus, vault, minter;
+  let storeDir, storePath;
+
+  async function deploy(name, signer, args = []) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  async function fund(from, amount) {
+    await (await liberdus.connect(owner).transfer(from.address, amount)).wait();
+    await (await liberdus.connect(from).approve(await vault.getAddress(), amount)).wait();
+  }
+
+  async function bridgeOut(from, amount, target) {
+    await fund(from, amount);
+    return (await vault.connect(from).bridgeOut(amount, target, bsc.chainId)).wait();
+  }
+
+  async function executeOperation(opType, target, value, data) {
+    const receipt = await (await vault.connect(owner).requestOperation(opType, target, value, data)).wait();
+    const operationId = findOperationId(receipt);
+    for (const signer of [signer1, signer2, signer3]) {
+      const signature = await signOperation(signer, vault, operationId);
+      await (await vault.connect(signer).submitSignature(operationId, signature)).wait();
+    }
+    return operationId;
+  }
+
+  async function setBridgeOutEnabled(enabled) {
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [enabled]);
+    await executeOperation(OP.SET_BRIDGE_OUT_ENABLED, ethers.ZeroAddress, 0, data);
+  }
+
+  // A relayer process as scripts/relayer.js runs it: state in a file, minting through the contract
+  async function startRelayer(options = {}) {
+    return createRelayer({
+      provider: polygon.provider,
+      vaultAddress: await vault.getAddress(),
+      store: createDepositStore(storePath),
+      mint: contractMinter(minter),
+      startBlock: await polygon.provider.getBlockNumber(),
+      confirmations: CONFIRMATIONS,
+      logger: silentLogger,
+      ...options,
+    });
+  }
+
+  // Buries every deposit under enough blocks and polls until nothing is left to mint
+  async function relayAll(relayer) {
+    await polygon.mine(CONFIRMATIONS);
+    let result;
+    do {
+      result = await relayer.poll();
+    } while (result.minted > 0);
+    return result;
+  }
+
+  async function bridgedOutDeposits() {
+    const events = await vault.queryFilter(vault.filters.BridgedOut());
+    return events.map(event => ({
+      nonce: Number(event.args.depositNonce),
+      to: event.args.targetAddress,
+      amount: event.args.amount,
+      chainId: event.args.chainId,
+    }));
+  }
+
+  async function mintedDeposits() {
+    const events = await minter.queryFilter(minter.filters.Minted());
+    return events.map(event => ({
+      nonce: Number(event.args.depositNonce),
+      to: event.args.to,
+      amount: event.args.amount,
+    }));
+  }
+
+  // Every BridgedOut on Polygon has exactly one mint on BSC, to the same recipient for the same amount
+  async function expectEveryDepositMintedOnce() {
+    const deposits = await bridgedOutDeposits();
+    const mints = await mintedDeposits();
+
+    expect(mints.map(mint => mint.nonce)).to.have.members(deposits.map(deposit => deposit.nonce));
+    expect(new Set(mints.map(mint => mint.nonce)).size).to.equal(mints.length);
+    for (const deposit of deposits) {
+      const mint = mints.find(m => m.nonce === deposit.nonce);
+      expect(mint.to).to.equal(deposit.to);
+      expect(mint.amount).to.equal(deposit.amount);
+      expect(deposit.chainId).to.equal(bsc.chainId);
+    }
+    expect(await minter.missingCount()).to.equal(0n);
+    expect(await minter.totalSupply()).to.equal(deposits.reduce((sum, deposit) => sum + deposit.amount, 0n));
+    return deposits;
+  }
+
+  before(async function () {
+    const root = hre.config.paths.root;
+    [polygon, bsc] = await Promise.all([
+      startLocalChain({ ...POLYGON, root }),
+      startLocalChain({ ...BSC, root }),
+    ]);
+  });
+
+  after(async function () {
+    await Promise.all([polygon, bsc].filter(Boolean).map(chain => chain.stop()));
+  });
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, alice, bob] = await Promise.all(
+      [0, 1, 2, 3, 4, 5].map(index => polygon.provider.getSigner(index))
+    );
+    relayerAccount = await bsc.provider.getSigner(6);
+
+    liberdus = await deploy("TestToken", owner);
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(
+      await liberdus.getAddress(),
+      [owner.address, signer1.address, signer2.address, signer3.address],
+      3,
+      bsc.chainId,
+    );
+    await vault.waitForDeployment();
+    minter = await deploy("MockBscMinter", relayerAccount);
+
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-e2e-"));
+    storePath = path.join(storeDir, "relayer-store.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it("Should run on two chains with different chain ids", async function () {
+    expect((await polygon.provider.getNetwork()).chainId).to.equal(BigInt(POLYGON.chainId));
+    expect((await bsc.provider.getNetwork()).chainId).to.equal(BigInt(BSC.chainId));
+    expect(await polygon.provider.getCode(await minter.getAddress())).to.equal("0x");
+    expect(await bsc.provider.getCode(await vault.getAddress())).to.equal("0x");
+  });
+
+  it("Should mint every deposit exactly once to its recipient", async function () {
+    const relayer = await startRelayer();
+    const recipients = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+
+    await bridgeOut(alice, ethers.parseUnits("100", 18), recipients[0]);
+    await bridgeOut(bob, ethers.parseUnits("250", 18), recipients[1]);
+    await relayAll(relayer);
+
+    await bridgeOut(alice, ethers.parseUnits("1", 18), recipients[1]);
+    await bridgeOut(bob, ethers.parseUnits("42.5", 18), recipients[0]);
+    await bridgeOut(alice, 1n, recipients[0]);
+    // The funding transactions confirm the earlier deposits, but the newest one is still too recent
+    await relayer.poll();
+    expect(await minter.mintedCount()).to.equal(4n);
+    expect(await minter.minted(5)).to.equal(false);
+
+    await relayAll(relayer);
+    const deposits = await expectEveryDepositMintedOnce();
+    expect(deposits).to.have.length(5);
+    expect(await minter.balanceOf(recipients[0])).to.equal(ethers.parseUnits("142.5", 18) + 1n);
+    expect(await minter.balanceOf(recipients[1])).to.equal(ethers.parseUnits("251", 18));
+    expect(await liberdus.balanceOf(await vault.getAddress())).to.equal(await minter.totalSupply());
+  });
+
+  it("Should mint nothing new while bridge-out is disabled or paused", async function () {
+    const relayer = await startRelayer();
+    const amount = ethers.parseUnits("10", 18);
+
+    await bridgeOut(alice, amount, alice.address);
+    await setBridgeOutEnabled(false);
+    await fund(bob, amount);
+    await expect(vault.connect(bob).bridgeOut(amount, bob.address, bsc.chainId)).to.be.revertedWith("Bridge-out disabled");
+    await relayAll(relayer);
+    expect(await minter.mintedCount()).to.equal(1n);
+
+    await setBridgeOutEnabled(true);
+    await (await vault.connect(bob).bridgeOut(amount, bob.address, bsc.chainId)).wait();
+    await (await vault.connect(signer1).emergencyPause()).wait();
+    await fund(alice, amount);
+    await expect(vault.connect(alice).bridgeOut(amount, alice.address, bsc.chainId)).to.be.revertedWith("Bridge-out paused");
+    await relayAll(relayer);
+
+    const deposits = await expectEveryDepositMintedOnce();
+    expect(deposits.map(deposit => deposit.to)).to.deep.equal([alice.address, bob.address]);
+  });
+
+  it("Should relay deposits made before the Vault was halted", async function () {
+    const relayer = await startRelayer();
+    await bridgeOut(alice, ethers.parseUnits("5", 18), alice.address);
+    await bridgeOut(bob, ethers.parseUnits("7", 18), bob.address);
+
+    // Relinquishing is delayed: queued on the last signature, executed once the delay has passed
+    const operationId = await executeOperation(OP.RELINQUISH_TOKENS, ethers.ZeroAddress, 0, "0x");
+    expect(await vault.halted()).to.equal(false);
+    await polygon.provider.send("evm_increaseTime", [Number(await vault.executionDelay())]);
+    await (await vault.executeOperation(operationId)).wait();
+    expect(await vault.halted()).to.equal(true);
+    await expect(vault.connect(alice).bridgeOut(1n, alice.address, bsc.chainId)).to.be.revertedWith("Vault is permanently halted");
+
+    await relayAll(relayer);
+    expect(await expectEveryDepositMintedOnce()).to.have.length(2);
+  });
+
+  it("Should pick up where it left off after a restart", async function () {
+    const startBlock = await polygon.provider.getBlockNumber();
+    let relayer = await startRelayer({ startBlock });
+    await bridgeOut(alice, ethers.parseUnits("1", 18), alice.address);
+    await relayAll(relayer);
+
+    // Down while deposits keep coming, across more blocks than one log batch
+    for (let i = 0; i < 3; i++) {
+      await bridgeOut(bob, ethers.parseUnits("2", 18), bob.address);
+      await polygon.mine(4);
+    }
+    relayer = await startRelayer({ startBlock, batchSize: 5 });
+    await relayAll(relayer);
+
+    expect(await expectEveryDepositMintedOnce()).to.have.length(4);
+  });
+
+  it("Should not mint twice when it crashed after minting but before saving", async function () {
+    const startBlock = await polygon.provider.getBlockNumber();
+    await bridgeOut(alice, ethers.parseUnits("3", 18), alice.address);
+    await bridgeOut(bob, ethers.parseUnits("4", 18), bob.address);
+
+    // The mint for nonce 1 lands on BSC, then the process dies before the store is written
+    const mint = contractMinter(minter);
+    let crashed = false;
+    const crashing = await startRelayer({
+      startBlock,
+      mint: async (deposit) => {
+        await mint(deposit);
+        crashed = true;
+        throw new Error("relayer killed");
+      },
+    });
+    await polygon.mine(CONFIRMATIONS);
+    await crashing.poll();
+    expect(crashed).to.equal(true);
+    expect(await minter.mintedCount()).to.equal(1n);
+    const saved = createDepositStore(storePath);
+    expect(saved.getDeposit("1").status).to.equal("pending");
+
+    const restarted = await startRelayer({ startBlock });
+    await relayAll(restarted);
+    expect(await expectEveryDepositMintedOnce()).to.have.length(2);
+  });
+});
@@ -0,0 +1,330 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const SafeArtifact = require("@safe-global/safe-smart-account/build/artifacts/contracts/Safe.sol/Safe.json");
+const SafeProxyFactoryArtifact = require("@safe-global/safe-smart-account/build/artifacts/contracts/proxies/SafeProxyFactory.sol/SafeProxyFactory.json");
+const FallbackHandlerArtifact = require("@safe-global/safe-smart-account/build/artifacts/contracts/handler/CompatibilityFallbackHandler.sol/CompatibilityFallbackHandler.json");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const { SAFE_MESSAGE_TYPES, packSafeSignatures } = require("../scripts/lib/safe");
+const { createDepositStore } = require("../scripts/lib/deposit-store");
+const {
+  burnSourceTxId,
+  signRelease,
+  signReleaseLimits,
+  sortAttestations,
+  walletAttester,
+  createReleaseRelayer,
+} = require("../scripts/lib/release-relayer");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("BridgeReleaser", function () {
+  let vault, liberdus, releaser, burner;
+  let owner, signer1, signer2, signer3, alice, bob, relayerAccount;
+  let signers;
+  let chainId;
+  const DAY = 24 * 60 * 60;
+  const MAX_RELEASE = ethers.parseUnits("1000", 18);
+  const PERIOD_LIMIT = ethers.parseUnits("1500", 18);
+  const silentLogger = { log() {}, warn() {}, error() {} };
+
+  async function executeOperation(opType, target, value, data) {
+    const operationId = findOperationId(await (await vault.requestOperation(opType, target, value, data)).wait());
+    for (const signer of signers.slice(0, 3)) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+    if ((await vault.getOperation(operationId)).executableAt > 0n) {
+      await network.provider.send("evm_increaseTime", [Number(await vault.executionDelay())]);
+      await vault.executeOperation(operationId);
+    }
+    return operationId;
+  }
+
+  function releaseFor(sourceTxId, recipient, amount) {
+    return { sourceChainId: chainId, sourceTxId, recipient: recipient.address, amount };
+  }
+
+  async function attest(release, attesters = signers.slice(0, 3)) {
+    const approvals = [];
+    for (const signer of attesters) {
+      approvals.push({ signer: signer.address, signature: await signRelease(signer, releaser, release) });
+    }
+    return sortAttestations(approvals);
+  }
+
+  async function sendRelease(release, { attesters, signatures }) {
+    return releaser.release(release.sourceChainId, release.sourceTxId, release.recipient, release.amount, attesters, signatures);
+  }
+
+  async function expectRevert(promise, message) {
+    try {
+      await promise;
+      expect.fail(`expected a revert with "${message}"`);
+    } catch (error) {
+      expect(error && error.message).to.include(message);
+    }
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, alice, bob, relayerAccount] = await ethers.getSigners();
+    signers = [owner, signer1, signer2, signer3];
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(await liberdus.getAddress(), signers.map(s => s.address), 3, chainId);
+    await vault.waitForDeployment();
+    await liberdus.transfer(await vault.getAddress(), ethers.parseUnits("10000", 18));
+
+    const BridgeReleaser = await ethers.getContractFactory("BridgeReleaser");
+    releaser = await BridgeReleaser.deploy(await vault.getAddress(), MAX_RELEASE, PERIOD_LIMIT, DAY);
+    await releaser.waitForDeployment();
+    await executeOperation(OP.SET_RELEASER, await releaser.getAddress(), 0, "0x");
+
+    // The BSC side, on the same chain for these tests
+    const MockBscMinter = await ethers.getContractFactory("MockBscMinter");
+    burner = await MockBscMinter.deploy();
+    await burner.waitForDeployment();
+  });
+
+  it("Should release once per source id with a threshold of attestations", async function () {
+    const release = releaseFor(ethers.id("burn-1"), alice, ethers.parseUnits("250", 18));
+    const signatures = await attest(release);
+
+    await expect(sendRelease(release, signatures))
+      .to.emit(releaser, "Released")
+      .withArgs(await releaser.releaseId(chainId, release.sourceTxId), chainId, release.sourceTxId, alice.address, release.amount, (timestamp) => timestamp > 0n);
+    expect(await liberdus.balanceOf(alice.address)).to.equal(release.amount);
+    expect(await vault.getVaultBalance()).to.equal(ethers.parseUnits("9750", 18));
+    expect(await releaser.released(await releaser.releaseId(chainId, release.sourceTxId))).to.be.true;
+
+    await expectRevert(sendRelease(release, signatures), "Already released");
+  });
+
+  it("Should reject missing, unsorted and foreign attestations", async function () {
+    const release = releaseFor(ethers.id("burn-2"), alice, ethers.parseUnits("1", 18));
+
+    await expectRevert(sendRelease(release, await attest(release, signers.slice(0, 2))), "Not enough attestations");
+    const { attesters, signatures: sorted } = await attest(release);
+    await expectRevert(
+      sendRelease(release, { attesters: [...attesters].reverse(), signatures: [...sorted].reverse() }),
+      "Attestations not sorted by signer"
+    );
+    await expectRevert(sendRelease(release, { attesters, signatures: sorted.slice(0, 2) }), "Attestation length mismatch");
+    await expectRevert(sendRelease(release, await attest(release, [owner, signer1, bob])), "Invalid attestation");
+    // Naming a signer does not count without that signer's own signature
+    await expectRevert(sendRelease(release, { attesters, signatures: [sorted[0], sorted[0], sorted[0]] }), "Invalid attestation");
+
+    // Attestations are bound to every field of the release
+    const signatures = await attest(release);
+    await expectRevert(sendRelease({ ...release, amount: release.amount + 1n }, signatures), "Invalid attestation");
+    await expectRevert(sendRelease({ ...release, recipient: bob.address }, signatures), "Invalid attestation");
+  });
+
+  it("Should enforce the per-release and per-period caps", async function () {
+    const tooLarge = releaseFor(ethers.id("large"), alice, MAX_RELEASE + 1n);
+    await expectRevert(sendRelease(tooLarge, await attest(tooLarge)), "Amount exceeds release limit");
+
+    const first = releaseFor(ethers.id("first"), alice, MAX_RELEASE);
+    await sendRelease(first, await attest(first));
+    expect(await releaser.getPeriodRemaining()).to.equal(PERIOD_LIMIT - MAX_RELEASE);
+
+    const second = releaseFor(ethers.id("second"), bob, MAX_RELEASE);
+    await expectRevert(sendRelease(second, await attest(second)), "Amount exceeds period release limit");
+
+    await network.provider.send("evm_increaseTime", [DAY]);
+    await network.provider.send("evm_mine");
+    expect(await releaser.getPeriodRemaining()).to.equal(PERIOD_LIMIT);
+    await sendRelease(second, await attest(second));
+    expect(await liberdus.balanceOf(bob.address)).to.equal(MAX_RELEASE);
+  });
+
+  it("Should stop releases while the Vault is paused or for unknown chains", async function () {
+    const unknown = { ...releaseFor(ethers.id("unknown"), alice, 1n), sourceChainId: 999n };
+    await expectRevert(sendRelease(unknown, await attest(unknown)), "Unknown source chain");
+
+    await vault.connect(signer1).emergencyPause();
+    const release = releaseFor(ethers.id("paused"), alice, 1n);
+    await expectRevert(sendRelease(release, await attest(release)), "Releases paused");
+  });
+
+  it("Should change the caps with signer attestations, once per nonce", async function () {
+    const limits = { maxReleaseAmount: 5n, periodLimit: 10n, period: BigInt(2 * DAY), nonce: 0n };
+    const approvals = [];
+    for (const signer of signers.slice(1)) {
+      approvals.push({ signer: signer.address, signature: await signReleaseLimits(signer, releaser, limits) });
+    }
+    const { attesters, signatures } = sortAttestations(approvals);
+
+    await expect(releaser.setReleaseLimits(5n, 10n, 2 * DAY, attesters, signatures)).to.emit(releaser, "ReleaseLimitsUpdated");
+    expect(await releaser.maxReleaseAmount()).to.equal(5n);
+    expect(await releaser.periodLimit()).to.equal(10n);
+    expect(await releaser.period()).to.equal(BigInt(2 * DAY));
+    expect(await releaser.limitsNonce()).to.equal(1n);
+
+    await expectRevert(releaser.setReleaseLimits(5n, 10n, 2 * DAY, attesters, signatures), "Invalid attestation");
+  });
+
+  it("Should only raise the caps after the Vault's execution delay", async function () {
+    async function attestLimits(maxReleaseAmount, periodLimit, period) {
+      const limits = { maxReleaseAmount, periodLimit, period: BigInt(period), nonce: await releaser.limitsNonce() };
+      const approvals = [];
+      for (const signer of signers.slice(0, 3)) {
+        approvals.push({ signer: signer.address, signature: await signReleaseLimits(signer, releaser, limits) });
+      }
+      const { attesters, signatures } = sortAttestations(approvals);
+      return releaser.setReleaseLimits(maxReleaseAmount, periodLimit, period, attesters, signatures);
+    }
+    const raised = MAX_RELEASE * 2n;
+    const delay = Number(await vault.executionDelay());
+
+    await expect(attestLimits(raised, PERIOD_LIMIT * 2n, DAY)).to.emit(releaser, "ReleaseLimitsQueued");
+    expect(await releaser.maxReleaseAmount()).to.equal(MAX_RELEASE);
+    expect(await releaser.pendingMaxReleaseAmount()).to.equal(raised);
+    // The raised cap cannot be used before the delay, even in the same block
+    const large = releaseFor(ethers.id("raised"), alice, raised);
+    await expectRevert(sendRelease(large, await attest(large)), "Amount exceeds release limit");
+    await expectRevert(releaser.applyReleaseLimits(), "Release limits delay not passed");
+
+    await network.provider.send("evm_increaseTime", [delay]);
+    await expect(releaser.applyReleaseLimits()).to.emit(releaser, "ReleaseLimitsUpdated");
+    expect(await releaser.maxReleaseAmount()).to.equal(raised);
+    expect(await releaser.pendingLimitsAt()).to.equal(0n);
+    await expectRevert(releaser.applyReleaseLimits(), "No release limits queued");
+    await sendRelease(large, await attest(large));
+
+    // A shorter period loosens the caps too; tightening applies at once and drops the queued change
+    await expect(attestLimits(raised, PERIOD_LIMIT * 2n, 60 * 60)).to.emit(releaser, "ReleaseLimitsQueued");
+    await expect(attestLimits(MAX_RELEASE, PERIOD_LIMIT, DAY)).to.emit(releaser, "ReleaseLimitsUpdated");
+    expect(await releaser.maxReleaseAmount()).to.equal(MAX_RELEASE);
+    expect(await releaser.pendingLimitsAt()).to.equal(0n);
+    await network.provider.send("evm_increaseTime", [delay]);
+    await expectRevert(releaser.applyReleaseLimits(), "No release limits queued");
+  });
+
+  it("Should accept a Safe signer's EIP-1271 attestation", async function () {
+    const [, , , , , , , safeOwner1, safeOwner2, safeOwner3] = await ethers.getSigners();
+    const deploy = async (artifact) => {
+      const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, owner).deploy();
+      await contract.waitForDeployment();
+      return contract;
+    };
+
+    // A 2-of-3 Safe behind a proxy, swapped in for signer3
+    const singleton = await deploy(SafeArtifact);
+    const proxyFactory = await deploy(SafeProxyFactoryArtifact);
+    const fallbackHandler = await deploy(FallbackHandlerArtifact);
+    const initializer = singleton.interface.encodeFunctionData("setup", [
+      [safeOwner1.address, safeOwner2.address, safeOwner3.address],
+      2,
+      ethers.ZeroAddress,
+      "0x",
+      await fallbackHandler.getAddress(),
+      ethers.ZeroAddress,
+      0,
+      ethers.ZeroAddress,
+    ]);
+    const receipt = await (await proxyFactory.createProxyWithNonce(await singleton.getAddress(), initializer, 0)).wait();
+    const safeAddress = receipt.logs
+      .map(log => proxyFactory.interface.parseLog(log))
+      .find(log => log && log.name === "ProxyCreation").args.proxy;
+    await executeOperation(OP.UPDATE_SIGNER, signer3.address, BigInt(safeAddress), "0x");
+    expect(await vault.isSigner(safeAddress)).to.equal(true);
+
+    // The Safe's owners sign a SafeMessage holding the release digest, in the Safe's domain
+    const release = releaseFor(ethers.id("safe"), alice, ethers.parseUnits("2", 18));
+    const digest = await releaser.getReleaseTypedHash(release.sourceChainId, release.sourceTxId, release.recipient, release.amount);
+    const domain = { chainId, verifyingContract: safeAddress };
+    const ownerSignatures = [];
+    for (const safeOwner of [safeOwner1, safeOwner2]) {
+      ownerSignatures.push({ signer: safeOwner.address, signature: await safeOwner.signTypedData(domain, SAFE_MESSAGE_TYPES, { message: digest }) });
+    }
+
+    const approvals = [{ signer: safeAddress, signature: packSafeSignatures(ownerSignatures) }];
+    for (const signer of [owner, signer1]) {
+      approvals.push({ signer: signer.address, signature: await signRelease(signer, releaser, release) });
+    }
+    await expect(sendRelease(release, sortAttestations(approvals))).to.emit(releaser, "Released");
+    expect(await liberdus.balanceOf(alice.address)).to.equal(release.amount);
+
+    // One Safe owner is below the Safe's own threshold
+    const second = releaseFor(ethers.id("safe-2"), alice, 1n);
+    const secondDigest = await releaser.getReleaseTypedHash(second.sourceChainId, second.sourceTxId, second.recipient, second.amount);
+    const lone = await safeOwner1.signTypedData(domain, SAFE_MESSAGE_TYPES, { message: secondDigest });
+    const secondApprovals = [{ signer: safeAddress, signature: lone }];
+    for (const signer of [owner, signer1]) {
+      secondApprovals.push({ signer: signer.address, signature: await signRelease(signer, releaser, second) });
+    }
+    await expectRevert(sendRelease(second, sortAttestations(secondApprovals)), "Invalid attestation");
+  });
+
+  it("Should only pay out while it is the Vault's releaser", async function () {
+    await executeOperation(OP.SET_RELEASER, ethers.ZeroAddress, 0, "0x");
+    const release = releaseFor(ethers.id("removed"), alice, 1n);
+    await expectRevert(sendRelease(release, await attest(release)), "Not authorized to release");
+  });
+
+  describe("Release relayer", function () {
+    async function burn(from, amount, target, targetChainId = chainId) {
+      await burner.mint(Number(await burner.mintedCount()) + 1, from.address, amount);
+      return (await burner.connect(from).burn(amount, target.address, targetChainId)).wait();
+    }
+
+    function startRelayer(store, options = {}) {
+      return createReleaseRelayer({
+        provider: ethers.provider,
+        burnerAddress: burner.target,
+        releaser: releaser.connect(relayerAccount),
+        store,
+        attest: walletAttester(signers.slice(0, 3), releaser),
+        targetChainId: chainId,
+        confirmations: 0,
+        logger: silentLogger,
+        ...options,
+      });
+    }
+
+    it("Should release every burn bound for the Vault's chain once", async function () {
+      const store = createDepositStore();
+      const relayer = startRelayer(store);
+      const receipt = await burn(alice, ethers.parseUnits("30", 18), bob);
+      await burn(alice, ethers.parseUnits("5", 18), alice, 56n);
+      await burn(bob, ethers.parseUnits("7", 18), alice);
+
+      expect((await relayer.poll()).released).to.equal(2);
+      expect(await liberdus.balanceOf(bob.address)).to.equal(ethers.parseUnits("30", 18));
+      expect(await liberdus.balanceOf(alice.address)).to.equal(ethers.parseUnits("7", 18));
+      expect(store.listDeposits().map(b => b.status)).to.deep.equal(["released", "skipped", "released"]);
+
+      // The source id is the burn transaction and the log's position in it (Transfer, then Burned)
+      const sourceTxId = burnSourceTxId(receipt.hash, 1);
+      expect(store.getDeposit(sourceTxId).nonce).to.equal(1);
+      expect(await releaser.released(await releaser.releaseId(chainId, sourceTxId))).to.be.true;
+      expect((await relayer.poll()).released).to.equal(0);
+    });
+
+    it("Should not release twice after losing its store", async function () {
+      await burn(alice, ethers.parseUnits("3", 18), alice);
+      await startRelayer(createDepositStore()).poll();
+
+      const restarted = startRelayer(createDepositStore());
+      expect((await restarted.poll()).released).to.equal(1);
+      expect(await liberdus.balanceOf(alice.address)).to.equal(ethers.parseUnits("3", 18));
+      expect(await releaser.releasedInPeriod()).to.equal(ethers.parseUnits("3", 18));
+    });
+
+    it("Should hold back unconfirmed burns and keep going past a failed release", async function () {
+      const store = createDepositStore();
+      const relayer = startRelayer(store, { confirmations: 2 });
+      await burn(alice, MAX_RELEASE + 1n, alice);
+      await burn(bob, ethers.parseUnits("2", 18), bob);
+      expect((await relayer.poll()).released).to.equal(0);
+
+      await network.provider.send("hardhat_mine", ["0x2"]);
+      expect((await relayer.poll()).released).to.equal(1);
+      expect(store.listDeposits().map(b => b.status)).to.deep.equal(["pending", "released"]);
+      expect(await liberdus.balanceOf(bob.address)).to.equal(ethers.parseUnits("2", 18));
+    });
+  });
+});
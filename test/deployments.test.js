@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MANIFEST_VERSION,
+  manifestPath,
+  readDeployment,
+  writeDeployment,
+  abiHash,
+  buildManifest,
+  findLiveDeployment,
+  resolveVaultAddress,
+} = require("../scripts/lib/deployments");
+const { VAULT_LIBRARIES, deployVaultLibraries, getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Deployment manifests", function () {
+  let dir;
+  let liberdus;
+  let owner, signer1, signer2, signer3;
+  let chainId;
+
+  async function deployAndDescribe(previous) {
+    const libraries = await deployVaultLibraries(ethers, owner);
+    const Vault = await getVaultFactory(ethers, owner, libraries);
+    const signers = [owner.address, signer1.address, signer2.address, signer3.address];
+    const vault = await Vault.deploy(await liberdus.getAddress(), signers, 3, chainId);
+    await vault.waitForDeployment();
+    const receipt = await vault.deploymentTransaction().wait();
+    const artifact = await hre.artifacts.readArtifact("Vault");
+    return buildManifest({
+      network: "hardhat",
+      chainId,
+      address: await vault.getAddress(),
+      token: await liberdus.getAddress(),
+      signers,
+      requiredSignatures: 3,
+      deployer: owner.address,
+      receipt,
+      buildInfo: await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`),
+      abi: artifact.abi,
+      libraries,
+      previous,
+    });
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    [owner, signer1, signer2, signer3] = await ethers.getSigners();
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should record the deployment, compiler settings and ABI hash", async function () {
+    const manifest = await deployAndDescribe();
+    const artifact = await hre.artifacts.readArtifact("Vault");
+
+    expect(manifest.version).to.equal(MANIFEST_VERSION);
+    expect(manifest.chainId).to.equal(Number(chainId));
+    expect(manifest.token).to.equal(await liberdus.getAddress());
+    expect(manifest.signers).to.have.length(4);
+    expect(manifest.requiredSignatures).to.equal(3);
+    expect(manifest.deployer).to.equal(owner.address);
+    expect(manifest.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(manifest.blockNumber).to.be.a("number");
+    expect(manifest.compiler.version).to.match(/^0\.8\.20/);
+    expect(manifest.compiler.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+    expect(manifest.abiHash).to.equal(abiHash(artifact.abi));
+    expect(Object.keys(manifest.libraries)).to.deep.equal(VAULT_LIBRARIES);
+    expect(manifest).to.not.have.property("history");
+  });
+
+  it("Should write and read back a manifest per network", async function () {
+    const manifest = await deployAndDescribe();
+    const file = writeDeployment("hardhat", manifest, dir);
+
+    expect(file).to.equal(path.join(dir, "hardhat.json"));
+    expect(manifestPath("hardhat", dir)).to.equal(file);
+    expect(readDeployment("hardhat", dir)).to.deep.equal(manifest);
+    expect(readDeployment("polygon", dir)).to.equal(null);
+  });
+
+  it("Should reject a manifest written by another version", function () {
+    fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify({ version: MANIFEST_VERSION + 1 }));
+    expect(() => readDeployment("hardhat", dir)).to.throw(/manifest version/);
+  });
+
+  it("Should prefer VAULT_ADDRESS over the manifest", async function () {
+    const manifest = await deployAndDescribe();
+    writeDeployment("hardhat", manifest, dir);
+
+    expect(resolveVaultAddress("hardhat", { env: {}, dir })).to.equal(manifest.address);
+    expect(resolveVaultAddress("hardhat", { env: { VAULT_ADDRESS: signer1.address }, dir })).to.equal(signer1.address);
+    expect(() => resolveVaultAddress("polygon", { env: {}, dir })).to.throw(/No Vault deployment for network "polygon"/);
+  });
+
+  it("Should only treat a manifest whose Vault has code as live", async function () {
+    const manifest = await deployAndDescribe();
+    writeDeployment("hardhat", manifest, dir);
+    expect((await findLiveDeployment("hardhat", ethers.provider, dir)).address).to.equal(manifest.address);
+
+    // Same manifest against a chain where nothing was deployed, e.g. a restarted node
+    writeDeployment("hardhat", { ...manifest, address: ethers.Wallet.createRandom().address }, dir);
+    expect(await findLiveDeployment("hardhat", ethers.provider, dir)).to.equal(null);
+    expect(await findLiveDeployment("polygon", ethers.provider, dir)).to.equal(null);
+  });
+
+  it("Should link Vault against every library it needs", async function () {
+    const artifact = await hre.artifacts.readArtifact("Vault");
+    const linkedNames = Object.values(artifact.linkReferences).flatMap(references => Object.keys(references));
+    expect(linkedNames.sort()).to.deep.equal(VAULT_LIBRARIES);
+
+    const libraries = await deployVaultLibraries(ethers, owner);
+    for (const address of Object.values(libraries)) {
+      expect(await ethers.provider.getCode(address)).to.not.equal("0x");
+    }
+    const Vault = await getVaultFactory(ethers, owner, libraries);
+    expect(Vault.bytecode).to.not.include("__$");
+  });
+
+  it("Should keep the replaced deployments in history", async function () {
+    const first = await deployAndDescribe();
+    const second = await deployAndDescribe(first);
+    const third = await deployAndDescribe(second);
+
+    expect(second.history).to.deep.equal([
+      { address: first.address, txHash: first.txHash, blockNumber: first.blockNumber, deployedAt: first.deployedAt },
+    ]);
+    expect(third.history.map(entry => entry.address)).to.deep.equal([first.address, second.address]);
+    expect(third.address).to.not.equal(second.address);
+  });
+});
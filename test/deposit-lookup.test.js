@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const { resolveDepositNonce, lookupDeposit, formatDeposit } = require("../scripts/lib/deposit-lookup");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Deposit lookup", function () {
+  let vault, liberdus, minter;
+  let owner, signer1, signer2, signer3, alice, bob;
+  let chainId;
+
+  async function bridgeOut(from, amount) {
+    await liberdus.transfer(from.address, amount);
+    await liberdus.connect(from).approve(await vault.getAddress(), amount);
+    return (await vault.connect(from).bridgeOut(amount, bob.address, chainId)).wait();
+  }
+
+  // Refunds are delayed, so this leaves the refund queued
+  async function queueRefund(nonce) {
+    const operationId = findOperationId(await (await vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, nonce, "0x")).wait());
+    for (const signer of [owner, signer1, signer2]) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+    return operationId;
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, alice, bob] = await ethers.getSigners();
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(await liberdus.getAddress(), [owner, signer1, signer2, signer3].map(s => s.address), 3, chainId);
+    await vault.waitForDeployment();
+
+    const MockBscMinter = await ethers.getContractFactory("MockBscMinter");
+    minter = await MockBscMinter.deploy();
+    await minter.waitForDeployment();
+  });
+
+  it("Should find a deposit by nonce or by transaction hash and log index", async function () {
+    await bridgeOut(alice, ethers.parseUnits("1", 18));
+    const receipt = await bridgeOut(alice, ethers.parseUnits("2", 18));
+    const log = receipt.logs.find(l => l.fragment && l.fragment.name === "BridgedOut");
+
+    expect(await resolveDepositNonce(vault, { nonce: "2" })).to.equal(2n);
+    expect(await resolveDepositNonce(vault, { txHash: receipt.hash })).to.equal(2n);
+    expect(await resolveDepositNonce(vault, { txHash: receipt.hash, logIndex: log.index })).to.equal(2n);
+
+    try {
+      await resolveDepositNonce(vault, { txHash: receipt.hash, logIndex: log.index - 1 });
+      expect.fail("resolveDepositNonce should have thrown");
+    } catch (error) {
+      expect(error && error.message).to.match(/is not a BridgedOut from this Vault/);
+    }
+    try {
+      await resolveDepositNonce(vault, { nonce: "0" });
+      expect.fail("resolveDepositNonce should have thrown");
+    } catch (error) {
+      expect(error && error.message).to.match(/Invalid deposit nonce/);
+    }
+  });
+
+  it("Should show whether a deposit was refunded or minted", async function () {
+    await bridgeOut(alice, ethers.parseUnits("4", 18));
+    await bridgeOut(alice, ethers.parseUnits("6", 18));
+    await minter.mint(2, bob.address, ethers.parseUnits("6", 18));
+
+    const before = await lookupDeposit(vault, { nonce: 1 }, { minter });
+    expect(before).to.include({ nonce: 1, from: alice.address, targetAddress: bob.address, refunded: false, minted: false, refund: null, refundQueued: null });
+    expect(before.amount).to.equal(ethers.parseUnits("4", 18));
+
+    const operationId = await queueRefund(1);
+    const queued = await lookupDeposit(vault, { nonce: 1 });
+    expect(queued.refunded).to.be.false;
+    expect(queued.refundQueued.operationId).to.equal(operationId);
+    expect(queued.refundQueued.executableAt).to.equal(Number((await vault.getOperation(operationId)).executableAt));
+    expect(formatDeposit(queued)).to.include(`Refunded: no, operation ${operationId} is queued until`);
+
+    await ethers.provider.send("evm_increaseTime", [Number(await vault.executionDelay())]);
+    await vault.executeOperation(operationId);
+    const after = await lookupDeposit(vault, { nonce: 1 });
+    expect(after.refunded).to.be.true;
+    expect(after.minted).to.equal(null);
+    expect(after.refund.operationId).to.equal(operationId);
+    expect(formatDeposit(after)).to.include(`Refunded: yes, by operation ${operationId}`);
+
+    const minted = await lookupDeposit(vault, { nonce: 2 }, { minter });
+    expect(minted).to.include({ refunded: false, minted: true });
+    expect(formatDeposit(minted)).to.include("Minted: yes");
+
+    try {
+      await lookupDeposit(vault, { nonce: 3 });
+      expect.fail("lookupDeposit should have thrown");
+    } catch (error) {
+      expect(error && error.message).to.match(/Deposit 3 does not exist/);
+    }
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseImport,
+  mergeLicenses,
+  mergePragmas,
+  flattenSource,
+  resolveSourceName,
+  compileSource,
+  verifyFlattened,
+} = require("../scripts/lib/flattener");
+
+describe("Flattener", function () {
+  let root;
+
+  function write(relativePath, content) {
+    const file = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  beforeEach(function () {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "flattener-"));
+    // Package imports resolve through the project's node_modules
+    fs.symlinkSync(path.join(hre.config.paths.root, "node_modules"), path.join(root, "node_modules"), "dir");
+  });
+
+  afterEach(function () {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("Should parse plain, named, aliased and namespace imports", function () {
+    expect(parseImport('import "./A.sol";')).to.deep.equal({ path: "./A.sol", symbols: [], namespace: null });
+    expect(parseImport('import {A, B as C} from "./A.sol";').symbols).to.deep.equal([
+      { name: "A", alias: "A" },
+      { name: "B", alias: "C" },
+    ]);
+    expect(parseImport('import {\n    A,\n    B\n} from "./A.sol";').symbols.map(symbol => symbol.name)).to.deep.equal(["A", "B"]);
+    expect(parseImport('import * as Lib from "./A.sol";').namespace).to.equal("Lib");
+    expect(parseImport('import "./A.sol" as Lib;').namespace).to.equal("Lib");
+  });
+
+  it("Should merge licenses and pragmas into one header", function () {
+    expect(mergeLicenses(["MIT", "MIT"])).to.equal("MIT");
+    expect(mergeLicenses(["MIT", "Apache-2.0 OR GPL-2.0", "MIT"])).to.equal("MIT AND (Apache-2.0 OR GPL-2.0)");
+    expect(mergePragmas(["solidity ^0.8.20", "solidity >=0.8.0 <0.9.0", "solidity ^0.8.20", "abicoder v2"])).to.deep.equal([
+      "pragma solidity ^0.8.20 >=0.8.0 <0.9.0;",
+      "pragma abicoder v2;",
+    ]);
+    expect(() => mergePragmas(["abicoder v1", "abicoder v2"])).to.throw(/abicoder/);
+  });
+
+  it("Should flatten relative, package, multi-line and aliased imports into compilable source", async function () {
+    write("contracts/lib/MathLib.sol", [
+      "// SPDX-License-Identifier: Apache-2.0",
+      "pragma solidity >=0.8.0 <0.9.0;",
+      "",
+      "library MathLib {",
+      "    /// @dev Doubles x",
+      "    function double(uint256 x) internal pure returns (uint256) {",
+      "        return x * 2;",
+      "    }",
+      "}",
+      "",
+    ].join("\n"));
+    const entry = write("contracts/Holder.sol", [
+      "// SPDX-License-Identifier: MIT",
+      "pragma solidity ^0.8.20;",
+      "",
+      "import {",
+      "    IERC20 as IToken,",
+      "    IERC20Metadata",
+      "} from \"@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol\";",
+      "import * as Lib from \"./lib/MathLib.sol\";",
+      "",
+      "/// @title Holder",
+      "/// @notice Reports twice a token balance",
+      "contract Holder {",
+      "    // import \"./Missing.sol\"; is only a comment",
+      "    string public constant NOTE = \"pragma solidity 0.4.0; import\";",
+      "",
+      "    function doubled(IToken token) external view returns (uint256) {",
+      "        return Lib.MathLib.double(token.balanceOf(address(this)));",
+      "    }",
+      "",
+      "    function decimalsOf(IERC20Metadata token) external view returns (uint8) {",
+      "        return token.decimals();",
+      "    }",
+      "}",
+      "",
+    ].join("\n"));
+
+    const { source, license, files } = flattenSource(entry, { root });
+
+    expect(files).to.deep.equal([
+      "@openzeppelin/contracts/token/ERC20/IERC20.sol",
+      "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol",
+      "contracts/lib/MathLib.sol",
+      "contracts/Holder.sol",
+    ]);
+    expect(license).to.equal("MIT AND Apache-2.0");
+    expect(source.match(/SPDX-License-Identifier/g)).to.have.length(1);
+    expect(source.match(/^pragma solidity/gm)).to.have.length(1);
+    expect(source).to.not.match(/^\s*import\b/m);
+    expect(source).to.include("/// @notice Reports twice a token balance");
+    expect(source).to.include("/// @dev Doubles x");
+    expect(source).to.include("// import \"./Missing.sol\"; is only a comment");
+    expect(source).to.include("string public constant NOTE = \"pragma solidity 0.4.0; import\";");
+    expect(source).to.include("function doubled(IERC20 token)");
+    expect(source).to.include("return MathLib.double(");
+
+    const output = await compileSource(hre, {
+      sourceName: "Holder.flat.sol",
+      source,
+      solcVersion: "0.8.20",
+      settings: { outputSelection: { "*": { "*": ["abi"] } } },
+    });
+    expect(Object.keys(output.contracts["Holder.flat.sol"])).to.include.members(["Holder", "MathLib", "IERC20"]);
+  });
+
+  it("Should refuse to flatten files that declare the same name", function () {
+    write("contracts/A.sol", "// SPDX-License-Identifier: MIT\npragma solidity ^0.8.20;\n\ncontract Shared {}\n");
+    write("contracts/B.sol", "// SPDX-License-Identifier: MIT\npragma solidity ^0.8.20;\n\ncontract Shared {}\n");
+    const entry = write("contracts/C.sol", [
+      "// SPDX-License-Identifier: MIT",
+      "pragma solidity ^0.8.20;",
+      "import {Shared as SharedA} from \"./A.sol\";",
+      "import {Shared as SharedB} from \"./B.sol\";",
+      "contract C {}",
+      "",
+    ].join("\n"));
+
+    expect(() => flattenSource(entry, { root })).to.throw(/Shared is declared in both contracts\/A.sol and contracts\/B.sol/);
+  });
+
+  it("Should report imports that cannot be resolved", function () {
+    const entry = write("contracts/D.sol", "// SPDX-License-Identifier: MIT\npragma solidity ^0.8.20;\nimport \"./Missing.sol\";\ncontract D {}\n");
+    expect(() => flattenSource(entry, { root })).to.throw(/Cannot resolve import "\.\/Missing\.sol"/);
+  });
+
+  it("Should flatten Vault to the same bytecode as the Hardhat build", async function () {
+    await hre.run("compile", { quiet: true });
+    const projectRoot = hre.config.paths.root;
+    const artifact = await hre.artifacts.readArtifact("Vault");
+    const { source } = flattenSource(resolveSourceName(artifact.sourceName, projectRoot), { root: projectRoot });
+
+    const { matches } = await verifyFlattened(hre, "Vault", source);
+    expect(matches).to.equal(true);
+  });
+});
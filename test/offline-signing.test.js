@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const {
+  exportOperation,
+  signOperationFile,
+  verifySignatureFile,
+  collectSignatures,
+} = require("../scripts/lib/offline-signing");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Offline signing workflow", function () {
+  let liberdus;
+  let vault;
+  let owner, other;
+  let wallets;
+  let chainId;
+  const silentLogger = { log() {}, warn() {}, error() {} };
+
+  async function requestOperation(opType, target, value, data) {
+    const tx = await vault.connect(owner).requestOperation(opType, target, value, data);
+    return findOperationId(await tx.wait());
+  }
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    // Signers hold their own keys, as they would on separate machines
+    wallets = [];
+    for (let i = 0; i < 4; i++) {
+      const wallet = ethers.Wallet.createRandom();
+      await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+      wallets.push(wallet);
+    }
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(await liberdus.getAddress(), wallets.map(w => w.address), 3, chainId);
+    await vault.waitForDeployment();
+  });
+
+  it("Should export an operation file matching the on-chain operation", async function () {
+    const newMaxAmount = ethers.parseUnits("20000", 18);
+    const operationId = await requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount, "0x");
+
+    const operationFile = await exportOperation(vault, operationId, { network: "hardhat" });
+
+    expect(operationFile.operationId).to.equal(operationId);
+    expect(operationFile.opTypeName).to.equal("SetBridgeOutAmount");
+    expect(operationFile.value).to.equal(newMaxAmount.toString());
+    expect(operationFile.operationHash).to.equal(await vault.getOperationTypedHash(operationId));
+    expect(operationFile.domain.verifyingContract).to.equal(await vault.getAddress());
+    expect(operationFile.eligibleSigners).to.deep.equal(wallets.map(w => w.address));
+    expect(Object.keys(operationFile.transaction.nonces)).to.have.length(4);
+  });
+
+  it("Should execute an operation from offline signature files", async function () {
+    const newMaxAmount = ethers.parseUnits("20000", 18);
+    const operationId = await requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount, "0x");
+    const operationFile = JSON.parse(JSON.stringify(await exportOperation(vault, operationId)));
+
+    const signatureFiles = [];
+    for (const wallet of wallets.slice(0, 3)) {
+      signatureFiles.push(await signOperationFile(operationFile, wallet));
+    }
+
+    const submitted = await collectSignatures(vault, operationFile, signatureFiles, { logger: silentLogger });
+
+    expect(submitted).to.have.length(3);
+    expect(await vault.maxBridgeOutAmount()).to.equal(newMaxAmount);
+    expect((await vault.getOperation(operationId)).executed).to.be.true;
+  });
+
+  it("Should send every signature in one transaction when aggregating", async function () {
+    const newMaxAmount = ethers.parseUnits("20000", 18);
+    const operationId = await requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount, "0x");
+    const operationFile = JSON.parse(JSON.stringify(await exportOperation(vault, operationId)));
+
+    const signatureFiles = [];
+    for (const wallet of wallets) {
+      signatureFiles.push(await signOperationFile(operationFile, wallet));
+    }
+
+    // Any account can collect; the signers' own transactions are never broadcast
+    const collectorNonce = await ethers.provider.getTransactionCount(other.address);
+    const submitted = await collectSignatures(vault.connect(other), operationFile, signatureFiles, { aggregate: true, logger: silentLogger });
+
+    expect(submitted).to.have.length(3);
+    expect(await vault.maxBridgeOutAmount()).to.equal(newMaxAmount);
+    expect(await ethers.provider.getTransactionCount(other.address)).to.equal(collectorNonce + 1);
+    for (const wallet of wallets) {
+      expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(0);
+    }
+  });
+
+  it("Should only submit the signatures still needed", async function () {
+    const operationId = await requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+
+    // One signer already submitted online
+    const online = wallets[0].connect(ethers.provider);
+    const signature = await signOperation(online, vault, operationId);
+    await (await vault.connect(online).submitSignature(operationId, signature)).wait();
+
+    const operationFile = await exportOperation(vault, operationId);
+    const signatureFiles = [];
+    for (const wallet of wallets) {
+      signatureFiles.push(await signOperationFile(operationFile, wallet));
+    }
+
+    const submitted = await collectSignatures(vault, operationFile, signatureFiles, { logger: silentLogger });
+
+    expect(submitted).to.have.length(2);
+    expect(submitted).to.not.include(wallets[0].address);
+    expect((await vault.getOperation(operationId)).executed).to.be.true;
+  });
+
+  it("Should refuse to sign a tampered operation file", async function () {
+    const operationId = await requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+    const operationFile = await exportOperation(vault, operationId);
+
+    const tampered = { ...operationFile, value: ethers.parseUnits("1", 18).toString() };
+    let error;
+    try {
+      await signOperationFile(tampered, wallets[0]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error && error.message).to.match(/hash does not match/);
+  });
+
+  it("Should reject signature files from non-signers or with mismatched signatures", async function () {
+    const operationId = await requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+    const operationFile = await exportOperation(vault, operationId);
+
+    const good = await signOperationFile(operationFile, wallets[0]);
+    const second = await signOperationFile(operationFile, wallets[1]);
+    const swapped = { ...good, signature: second.signature };
+    expect(() => verifySignatureFile(operationFile, swapped)).to.throw(/not the claimed signer/);
+
+    // A stranger can produce a well-formed file, but the collector drops it
+    const stranger = ethers.Wallet.createRandom();
+    const strangerFile = await signOperationFile({ ...operationFile, eligibleSigners: [stranger.address] }, stranger, { nonce: 0 });
+    let error;
+    try {
+      await collectSignatures(vault, operationFile, [good, strangerFile], { logger: silentLogger });
+    } catch (e) {
+      error = e;
+    }
+    expect(error && error.message).to.match(/Not enough valid signatures/);
+    expect((await vault.getOperation(operationId)).numSignatures).to.equal(0n);
+  });
+
+  it("Should let the owner sign offline for UpdateSigner", async function () {
+    const ownerWallet = ethers.Wallet.createRandom();
+    await owner.sendTransaction({ to: ownerWallet.address, value: ethers.parseEther("1") });
+    await (await vault.connect(owner).transferOwnership(ownerWallet.address)).wait();
+
+    const replaced = wallets[3];
+    const tx = await vault.connect(wallets[0].connect(ethers.provider))
+      .requestOperation(OP.UPDATE_SIGNER, replaced.address, BigInt(other.address), "0x");
+    const operationId = findOperationId(await tx.wait());
+    const operationFile = await exportOperation(vault, operationId);
+
+    expect(operationFile.eligibleSigners).to.include(ownerWallet.address);
+    expect(operationFile.eligibleSigners).to.not.include(replaced.address);
+
+    const signatureFiles = [
+      await signOperationFile(operationFile, wallets[0]),
+      await signOperationFile(operationFile, wallets[1]),
+      await signOperationFile(operationFile, ownerWallet),
+    ];
+    await collectSignatures(vault, operationFile, signatureFiles, { logger: silentLogger });
+
+    // UpdateSigner is delayed: the signatures queue it and it executes after the delay
+    const { executableAt } = await vault.getOperation(operationId);
+    expect(executableAt).to.be.greaterThan(0n);
+    let error;
+    try {
+      await collectSignatures(vault, operationFile, signatureFiles, { logger: silentLogger });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/is queued/);
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [Number(executableAt)]);
+    await (await vault.executeOperation(operationId)).wait();
+    expect(await vault.isSigner(other.address)).to.be.true;
+    expect(await vault.isSigner(replaced.address)).to.be.false;
+  });
+});
@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { OP, findOperationId, signOperation, decodeOperationParams } = require("../scripts/lib/operations");
+const {
+  STATUS,
+  inspectOperations,
+  formatOperationsTable,
+  pruneOperationIds,
+} = require("../scripts/lib/operation-inspector");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Operation inspector", function () {
+  let vault;
+  let owner, signer1, signer2, signer3, other;
+  let signers;
+  const silentLogger = { log() {} };
+
+  async function request(opType, target, value, data) {
+    const tx = await vault.requestOperation(opType, target, value, data);
+    return findOperationId(await tx.wait());
+  }
+
+  async function sign(operationId, count) {
+    for (let i = 0; i < count; i++) {
+      const signature = await signOperation(signers[i], vault, operationId);
+      await vault.connect(signers[i]).submitSignature(operationId, signature);
+    }
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, other] = await ethers.getSigners();
+    signers = [owner, signer1, signer2, signer3];
+    const chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    const liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(await liberdus.getAddress(), signers.map(s => s.address), 3, chainId);
+    await vault.waitForDeployment();
+  });
+
+  it("Should decode parameters for every operation type", function () {
+    expect(decodeOperationParams({
+      opType: OP.SET_BRIDGE_OUT_AMOUNT, target: ethers.ZeroAddress, value: ethers.parseUnits("1500", 18), data: "0x",
+    })).to.deep.equal({ maxBridgeOutAmount: "1500.0 LIB" });
+
+    expect(decodeOperationParams({
+      opType: OP.UPDATE_SIGNER, target: signer3.address, value: BigInt(other.address), data: "0x",
+    })).to.deep.equal({ oldSigner: signer3.address, newSigner: other.address });
+
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [false]);
+    expect(decodeOperationParams({
+      opType: OP.SET_BRIDGE_OUT_ENABLED, target: ethers.ZeroAddress, value: 0n, data,
+    })).to.deep.equal({ enabled: false });
+
+    expect(decodeOperationParams({
+      opType: OP.ADD_SIGNER, target: other.address, value: 0n, data: "0x",
+    })).to.deep.equal({ newSigner: other.address, requiredSignatures: "unchanged" });
+
+    expect(decodeOperationParams({
+      opType: OP.REMOVE_SIGNER, target: signer3.address, value: 2n, data: "0x",
+    })).to.deep.equal({ oldSigner: signer3.address, requiredSignatures: "2" });
+
+    expect(decodeOperationParams({
+      opType: OP.SET_REQUIRED_SIGNATURES, target: ethers.ZeroAddress, value: 2n, data: "0x",
+    })).to.deep.equal({ requiredSignatures: "2" });
+
+    expect(decodeOperationParams({
+      opType: OP.RESCUE_FUNDS,
+      target: other.address,
+      value: 0n,
+      data: ethers.AbiCoder.defaultAbiCoder().encode(["address"], [ethers.ZeroAddress]),
+    })).to.deep.equal({ asset: "native", to: other.address, amount: "entire balance" });
+
+    expect(decodeOperationParams({
+      opType: OP.SET_EXECUTION_DELAY, target: ethers.ZeroAddress, value: 3600n, data: "0x",
+    })).to.deep.equal({ executionDelay: "3600s" });
+
+    expect(decodeOperationParams({
+      opType: OP.SET_DESTINATION_CHAIN,
+      target: ethers.ZeroAddress,
+      value: 56n,
+      data: ethers.AbiCoder.defaultAbiCoder().encode(["bool", "uint256"], [true, ethers.parseUnits("5000", 18)]),
+    })).to.deep.equal({ chainId: "56", enabled: true, maxBridgeOutAmount: "5000.0 LIB" });
+  });
+
+  it("Should report signatures, time left and status", async function () {
+    const executed = await request(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+    await sign(executed, 3);
+    const pending = await request(OP.UPDATE_SIGNER, signer3.address, BigInt(other.address), "0x");
+    await sign(pending, 2);
+
+    let rows = await inspectOperations(vault);
+    const byId = Object.fromEntries(rows.map(row => [row.operationId, row]));
+
+    expect(byId[executed].status).to.equal(STATUS.EXECUTED);
+    expect(byId[executed].prunable).to.be.true;
+    expect(byId[pending].status).to.equal(STATUS.PENDING);
+    expect(byId[pending].type).to.equal("UpdateSigner");
+    expect(byId[pending].signatures).to.equal(2);
+    expect(byId[pending].requiredSignatures).to.equal(3);
+    expect(byId[pending].secondsLeft).to.be.greaterThan(0);
+    expect(byId[pending].prunable).to.be.false;
+    expect(byId[pending].approvals.filter(a => !a.approved).map(a => a.signer)).to.deep.equal([signer2.address, signer3.address]);
+
+    const table = formatOperationsTable(rows);
+    expect(table).to.include("oldSigner=" + signer3.address);
+    expect(table).to.include("2/3");
+
+    await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
+    await network.provider.send("evm_mine");
+    rows = await inspectOperations(vault);
+    expect(rows.find(row => row.operationId === pending).status).to.equal(STATUS.EXPIRED);
+  });
+
+  it("Should report queued operations until they are executable", async function () {
+    const queued = await request(OP.UPDATE_SIGNER, signer3.address, BigInt(other.address), "0x");
+    await sign(queued, 3);
+    const delay = Number(await vault.executionDelay());
+
+    let [row] = await inspectOperations(vault);
+    expect(row.status).to.equal(STATUS.QUEUED);
+    expect(row.signatures).to.equal(3);
+    expect(row.executableAt).to.be.greaterThan(0);
+    expect(row.secondsLeft).to.be.within(1, delay);
+    expect(row.prunable).to.be.false;
+    expect(formatOperationsTable([row])).to.include("delay");
+
+    await network.provider.send("evm_increaseTime", [delay]);
+    await network.provider.send("evm_mine");
+    [row] = await inspectOperations(vault);
+    expect(row.status).to.equal(STATUS.EXECUTABLE);
+    // Executable until OPERATION_DEADLINE after the delay, past the three day signing deadline
+    expect(row.secondsLeft).to.be.greaterThan(2 * 24 * 60 * 60);
+    expect(formatOperationsTable([row])).to.include("executeOperation");
+
+    await vault.connect(other).executeOperation(queued);
+    [row] = await inspectOperations(vault);
+    expect(row.status).to.equal(STATUS.EXECUTED);
+  });
+
+  it("Should report cancelled operations as prunable", async function () {
+    const cancelled = await request(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+    await vault.cancelOperation(cancelled);
+
+    const [row] = await inspectOperations(vault);
+    expect(row.status).to.equal(STATUS.CANCELLED);
+    expect(row.requester).to.equal(owner.address);
+    expect(row.prunable).to.be.true;
+  });
+
+  it("Should prune prunable operations", async function () {
+    const executed = await request(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+    await sign(executed, 3);
+    await request(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("30000", 18), "0x");
+
+    const prunable = (await inspectOperations(vault)).filter(row => row.prunable).map(row => row.operationId);
+    expect(prunable).to.deep.equal([executed]);
+
+    expect(await pruneOperationIds(vault, prunable, { logger: silentLogger })).to.equal(1);
+    expect(await vault.getOperationIdsCount()).to.equal(1n);
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { PERMIT2_ADDRESS, supportsPermit, signPermit, sendBridgeOut } = require("../scripts/lib/permit");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Permit deposits", function () {
+  let liberdus;
+  let permitToken;
+  let vault;
+  let permitVault;
+  let owner, signer1, signer2, signer3, alice;
+  let chainId;
+  const silentLogger = { log() {} };
+  const amount = ethers.parseUnits("100", 18);
+
+  async function deployVault(token) {
+    const Vault = await getVaultFactory(ethers, owner);
+    const deployed = await Vault.deploy(
+      await token.getAddress(),
+      [owner.address, signer1.address, signer2.address, signer3.address],
+      3,
+      chainId
+    );
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, alice] = await ethers.getSigners();
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+    const TestPermitToken = await ethers.getContractFactory("TestPermitToken");
+    permitToken = await TestPermitToken.deploy();
+    await permitToken.waitForDeployment();
+
+    vault = await deployVault(liberdus);
+    permitVault = await deployVault(permitToken);
+  });
+
+  it("Should detect EIP-2612 support", async function () {
+    expect(await supportsPermit(permitToken)).to.equal(true);
+    const plain = new ethers.Contract(await liberdus.getAddress(), ["function nonces(address) view returns (uint256)", "function DOMAIN_SEPARATOR() view returns (bytes32)"], owner);
+    expect(await supportsPermit(plain)).to.equal(false);
+  });
+
+  it("Should sign a permit the token accepts", async function () {
+    const { deadline, v, r, s } = await signPermit({ token: permitToken, signer: owner, spender: alice.address, amount });
+    await permitToken.permit(owner.address, alice.address, amount, deadline, v, r, s);
+    expect(await permitToken.allowance(owner.address, alice.address)).to.equal(amount);
+  });
+
+  it("Should deposit with a permit in a single transaction by default", async function () {
+    const before = await ethers.provider.getTransactionCount(owner.address);
+    const { mode, receipt } = await sendBridgeOut({
+      vault: permitVault,
+      token: permitToken,
+      signer: owner,
+      amount,
+      targetAddress: alice.address,
+      chainId,
+      logger: silentLogger,
+    });
+
+    expect(mode).to.equal("permit");
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(before + 1);
+    expect(receipt.logs.some(log => log.fragment && log.fragment.name === "BridgedOut")).to.equal(true);
+    expect(await permitVault.getVaultBalance()).to.equal(amount);
+  });
+
+  it("Should fall back to approve for tokens without permit", async function () {
+    const { mode } = await sendBridgeOut({
+      vault,
+      token: liberdus,
+      signer: owner,
+      amount,
+      targetAddress: alice.address,
+      chainId,
+      logger: silentLogger,
+    });
+
+    expect(mode).to.equal("approve");
+    expect(await vault.getVaultBalance()).to.equal(amount);
+  });
+
+  it("Should deposit through Permit2 once the token is approved for it", async function () {
+    const MockPermit2 = await ethers.getContractFactory("MockPermit2");
+    const mock = await MockPermit2.deploy();
+    await mock.waitForDeployment();
+    await ethers.provider.send("hardhat_setCode", [PERMIT2_ADDRESS, await ethers.provider.getCode(await mock.getAddress())]);
+    await liberdus.approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+
+    const { mode } = await sendBridgeOut({
+      vault,
+      token: liberdus,
+      signer: owner,
+      amount,
+      targetAddress: alice.address,
+      chainId,
+      logger: silentLogger,
+    });
+
+    expect(mode).to.equal("permit2");
+    expect(await vault.getVaultBalance()).to.equal(amount);
+    expect(await liberdus.allowance(owner.address, await vault.getAddress())).to.equal(0);
+  });
+
+  it("Should reject an unknown mode", async function () {
+    let error;
+    try {
+      await sendBridgeOut({ vault, token: liberdus, signer: owner, amount, targetAddress: alice.address, chainId, mode: "magic" });
+    } catch (e) {
+      error = e;
+    }
+    expect(error && error.message).to.match(/Unknown bridge-out mode "magic"/);
+  });
+});
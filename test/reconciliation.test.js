@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const {
+  parseMints,
+  readMinterMints,
+  readVaultFlows,
+  reconcile,
+  formatReconciliationReport,
+} = require("../scripts/lib/reconciliation");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Vault reconciliation", function () {
+  let vault, liberdus, minter;
+  let owner, signer1, signer2, signer3, alice, bob;
+  let chainId;
+  let startBlock;
+
+  async function bridgeOut(from, amount, target) {
+    await liberdus.transfer(from.address, amount);
+    await liberdus.connect(from).approve(await vault.getAddress(), amount);
+    await vault.connect(from).bridgeOut(amount, target, chainId);
+  }
+
+  async function flows() {
+    return readVaultFlows({ vault, fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber(), batchSize: 4 });
+  }
+
+  // Mints every deposit on the minter, the way the relayer does
+  async function mintAll() {
+    for (const event of await vault.queryFilter(vault.filters.BridgedOut())) {
+      await minter.mint(event.args.depositNonce, event.args.targetAddress, event.args.amount);
+    }
+  }
+
+  function types(report) {
+    return report.discrepancies.map(d => d.type);
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, alice, bob] = await ethers.getSigners();
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(await liberdus.getAddress(), [owner, signer1, signer2, signer3].map(s => s.address), 3, chainId);
+    await vault.waitForDeployment();
+    startBlock = (await vault.deploymentTransaction().wait()).blockNumber;
+
+    const MockBscMinter = await ethers.getContractFactory("MockBscMinter");
+    minter = await MockBscMinter.deploy();
+    await minter.waitForDeployment();
+  });
+
+  it("Should sum deposits per depositor and target and find nothing wrong", async function () {
+    await bridgeOut(alice, ethers.parseUnits("100", 18), bob.address);
+    await bridgeOut(bob, ethers.parseUnits("40", 18), bob.address);
+    await bridgeOut(alice, ethers.parseUnits("5", 18), alice.address);
+    await mintAll();
+
+    const report = reconcile(await flows(), { mints: await readMinterMints(minter), chainId });
+
+    expect(report.discrepancies).to.deep.equal([]);
+    expect(report.deposits.count).to.equal(3);
+    expect(report.deposits.total).to.equal(ethers.parseUnits("145", 18));
+    expect(report.deposits.byDepositor).to.deep.equal({
+      [alice.address]: ethers.parseUnits("105", 18),
+      [bob.address]: ethers.parseUnits("40", 18),
+    });
+    expect(report.deposits.byTarget).to.deep.equal({
+      [bob.address]: ethers.parseUnits("140", 18),
+      [alice.address]: ethers.parseUnits("5", 18),
+    });
+    expect(report.balance.actual).to.equal(report.balance.expected);
+    expect(report.mints.minted).to.equal(ethers.parseUnits("145", 18));
+    expect(formatReconciliationReport(report)).to.include("No discrepancies");
+  });
+
+  it("Should report tokens sent straight to the Vault as a surplus", async function () {
+    await bridgeOut(alice, ethers.parseUnits("10", 18), alice.address);
+    await liberdus.transfer(await vault.getAddress(), ethers.parseUnits("3", 18));
+
+    const report = reconcile(await flows());
+
+    expect(types(report)).to.deep.equal(["unexplained transfer", "surplus"]);
+    expect(report.discrepancies[0]).to.include({ direction: "in", from: owner.address, amount: ethers.parseUnits("3", 18) });
+    expect(report.discrepancies[1].amount).to.equal(ethers.parseUnits("3", 18));
+    expect(report.mints).to.equal(null);
+  });
+
+  it("Should account for relinquished tokens", async function () {
+    await bridgeOut(alice, ethers.parseUnits("10", 18), alice.address);
+    const operationId = findOperationId(await (await vault.requestOperation(OP.RELINQUISH_TOKENS, ethers.ZeroAddress, 0, "0x")).wait());
+    for (const signer of [owner, signer1, signer2]) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+    await network.provider.send("evm_increaseTime", [Number(await vault.executionDelay())]);
+    await vault.executeOperation(operationId);
+
+    const report = reconcile(await flows());
+
+    expect(report.discrepancies).to.deep.equal([]);
+    expect(report.balance.relinquished).to.equal(ethers.parseUnits("10", 18));
+    expect(report.balance.actual).to.equal(0n);
+  });
+
+  it("Should account for bridge-in releases", async function () {
+    await bridgeOut(alice, ethers.parseUnits("10", 18), alice.address);
+    const operationId = findOperationId(await (await vault.requestOperation(OP.SET_RELEASER, bob.address, 0, "0x")).wait());
+    for (const signer of [owner, signer1, signer2]) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+    await network.provider.send("evm_increaseTime", [Number(await vault.executionDelay())]);
+    await vault.executeOperation(operationId);
+    await vault.connect(bob).release(alice.address, ethers.parseUnits("4", 18));
+
+    const report = reconcile(await flows());
+
+    expect(report.discrepancies).to.deep.equal([]);
+    expect(report.balance.released).to.equal(ethers.parseUnits("4", 18));
+    expect(report.balance.actual).to.equal(ethers.parseUnits("6", 18));
+    expect(formatReconciliationReport(report)).to.include("Released:");
+  });
+
+  it("Should account for refunds and report refunded deposits that were minted", async function () {
+    await bridgeOut(alice, ethers.parseUnits("10", 18), alice.address);
+    await bridgeOut(bob, ethers.parseUnits("3", 18), bob.address);
+    const operationId = findOperationId(await (await vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, 2, "0x")).wait());
+    for (const signer of [owner, signer1, signer2]) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+    await network.provider.send("evm_increaseTime", [Number(await vault.executionDelay())]);
+    await vault.executeOperation(operationId);
+    await minter.mint(1, alice.address, ethers.parseUnits("10", 18));
+
+    const report = reconcile(await flows(), { mints: await readMinterMints(minter), chainId });
+    expect(report.discrepancies).to.deep.equal([]);
+    expect(report.balance.refunded).to.equal(ethers.parseUnits("3", 18));
+    expect(report.balance.actual).to.equal(ethers.parseUnits("10", 18));
+
+    await minter.mint(2, bob.address, ethers.parseUnits("3", 18));
+    const twice = reconcile(await flows(), { mints: await readMinterMints(minter), chainId });
+    expect(types(twice)).to.deep.equal(["refunded mint"]);
+    expect(formatReconciliationReport(twice)).to.include("refunded mint for deposit 2");
+  });
+
+  it("Should only count the opening balance before the range", async function () {
+    await bridgeOut(alice, ethers.parseUnits("10", 18), alice.address);
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await bridgeOut(bob, ethers.parseUnits("2", 18), bob.address);
+
+    const report = reconcile(await flows());
+
+    expect(report.discrepancies).to.deep.equal([]);
+    expect(report.deposits.count).to.equal(1);
+    expect(report.balance.opening).to.equal(ethers.parseUnits("10", 18));
+    expect(report.balance.actual).to.equal(ethers.parseUnits("12", 18));
+  });
+
+  it("Should report missing, duplicate, mismatched and unbacked mints from a file", async function () {
+    await bridgeOut(alice, ethers.parseUnits("1", 18), alice.address);
+    await bridgeOut(alice, ethers.parseUnits("2", 18), alice.address);
+    await bridgeOut(bob, ethers.parseUnits("3", 18), bob.address);
+    await bridgeOut(bob, ethers.parseUnits("4", 18), bob.address);
+
+    const mints = parseMints([
+      "depositNonce,to,amount",
+      `1,${alice.address},${ethers.parseUnits("1", 18)}`,
+      `1,${alice.address},${ethers.parseUnits("1", 18)}`,
+      `3,${bob.address},${ethers.parseUnits("30", 18)}`,
+      `4,${bob.address},${ethers.parseUnits("4", 18)}`,
+      `9,${bob.address},1`,
+    ].join("\n"));
+    const report = reconcile(await flows(), { mints, chainId });
+
+    expect(types(report)).to.deep.equal(["duplicate mint", "missing mint", "mismatched mint", "unbacked mint"]);
+    expect(report.discrepancies[0]).to.deep.include({ nonce: 1, count: 2, sources: ["line 2", "line 3"] });
+    expect(report.discrepancies[1]).to.include({ nonce: 2, to: alice.address });
+    expect(report.discrepancies[2].minted.amount).to.equal(ethers.parseUnits("30", 18));
+    expect(report.discrepancies[3]).to.include({ nonce: 9 });
+
+    const text = formatReconciliationReport(report);
+    expect(text).to.include("4 discrepancies");
+    expect(text).to.include("missing mint for deposit 2");
+  });
+
+  it("Should treat recent unminted deposits as pending within the grace period", async function () {
+    await bridgeOut(alice, ethers.parseUnits("1", 18), alice.address);
+    await mintAll();
+    await bridgeOut(bob, ethers.parseUnits("2", 18), bob.address);
+
+    const current = await flows();
+    expect(types(reconcile(current, { mints: await readMinterMints(minter) }))).to.deep.equal(["missing mint"]);
+
+    const report = reconcile(current, { mints: await readMinterMints(minter), mintGraceBlocks: 5 });
+    expect(report.discrepancies).to.deep.equal([]);
+    expect(report.mints.pending).to.deep.equal([2]);
+  });
+
+  it("Should not expect deposits for other chains among the mints", async function () {
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool", "uint256"], [true, 0]);
+    const operationId = findOperationId(await (await vault.requestOperation(OP.SET_DESTINATION_CHAIN, ethers.ZeroAddress, 97, data)).wait());
+    for (const signer of [owner, signer1, signer2]) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+    await bridgeOut(alice, ethers.parseUnits("1", 18), alice.address);
+    await liberdus.transfer(bob.address, ethers.parseUnits("2", 18));
+    await liberdus.connect(bob).approve(await vault.getAddress(), ethers.parseUnits("2", 18));
+    await vault.connect(bob).bridgeOut(ethers.parseUnits("2", 18), bob.address, 97);
+    await minter.mint(1, alice.address, ethers.parseUnits("1", 18));
+
+    const report = reconcile(await flows(), { mints: await readMinterMints(minter), chainId });
+    expect(report.discrepancies).to.deep.equal([]);
+
+    await minter.mint(2, bob.address, ethers.parseUnits("2", 18));
+    const misrouted = reconcile(await flows(), { mints: await readMinterMints(minter), chainId });
+    expect(types(misrouted)).to.deep.equal(["misrouted mint"]);
+  });
+
+  it("Should reject malformed mint files", function () {
+    try {
+      parseMints("depositNonce,to,amount\n0,0x1234,1\nx,0x0000000000000000000000000000000000000001,-5\n");
+      expect.fail("parseMints should have thrown");
+    } catch (error) {
+      expect(error && error.message).to.match(/line 2: invalid depositNonce/);
+      expect(error && error.message).to.match(/line 3: invalid depositNonce/);
+    }
+
+    const [mint] = parseMints(JSON.stringify([{ depositNonce: 3, to: alice.address, amount: "7" }]), "json");
+    expect(mint).to.deep.equal({ depositNonce: 3, to: alice.address, amount: 7n, source: "entry 0" });
+  });
+});
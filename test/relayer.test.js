@@ -0,0 +1,341 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDepositStore } = require("../scripts/lib/deposit-store");
+const { createRelayer, contractMinter } = require("../scripts/lib/relayer");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Relayer", function () {
+  let liberdus;
+  let vault;
+  let vaultAddress;
+  let owner, signer1, signer2, signer3, recipient, other;
+  let chainId;
+  let mints;
+  const silentLogger = { log() {}, warn() {}, error() {} };
+
+  function recordingMinter() {
+    return async (deposit) => {
+      mints.push(deposit);
+    };
+  }
+
+  function relayerFor(store, options = {}) {
+    return createRelayer({
+      provider: ethers.provider,
+      vaultAddress,
+      store,
+      mint: recordingMinter(),
+      confirmations: 2,
+      logger: silentLogger,
+      ...options,
+    });
+  }
+
+  async function bridgeOut(from, amount, target, destination = chainId) {
+    await liberdus.connect(owner).transfer(from.address, amount);
+    await liberdus.connect(from).approve(vaultAddress, amount);
+    const tx = await vault.connect(from).bridgeOut(amount, target, destination);
+    return tx.wait();
+  }
+
+  async function mineBlocks(count) {
+    for (let i = 0; i < count; i++) {
+      await network.provider.send("evm_mine");
+    }
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, recipient, other] = await ethers.getSigners();
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+    mints = [];
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(
+      await liberdus.getAddress(),
+      [owner.address, signer1.address, signer2.address, signer3.address],
+      3,
+      chainId
+    );
+    await vault.waitForDeployment();
+    vaultAddress = await vault.getAddress();
+  });
+
+  it("Should wait for confirmations before minting", async function () {
+    const store = createDepositStore();
+    const relayer = relayerFor(store, { startBlock: await ethers.provider.getBlockNumber() });
+
+    const amount = ethers.parseUnits("100", 18);
+    const receipt = await bridgeOut(other, amount, recipient.address);
+
+    await relayer.poll();
+    expect(mints).to.have.length(0);
+
+    await mineBlocks(2);
+    await relayer.poll();
+    expect(mints).to.have.length(1);
+    expect(mints[0].nonce).to.equal(1);
+    expect(mints[0].txHash).to.equal(receipt.hash);
+    expect(mints[0].from).to.equal(other.address);
+    expect(mints[0].amount).to.equal(amount);
+    expect(mints[0].targetAddress).to.equal(recipient.address);
+    expect(mints[0].chainId).to.equal(chainId);
+  });
+
+  it("Should mint each deposit exactly once across polls and restarts", async function () {
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relayer-")), "store.json");
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    await bridgeOut(other, ethers.parseUnits("10", 18), recipient.address);
+    await bridgeOut(other, ethers.parseUnits("20", 18), recipient.address);
+    await mineBlocks(2);
+
+    await relayerFor(createDepositStore(storePath), { startBlock }).poll();
+    expect(mints).to.have.length(2);
+
+    // A fresh relayer on the same store picks up where the last one stopped
+    await bridgeOut(other, ethers.parseUnits("30", 18), recipient.address);
+    await mineBlocks(2);
+    const restarted = relayerFor(createDepositStore(storePath), { startBlock });
+    await restarted.poll();
+    await restarted.poll();
+
+    expect(mints.map(m => m.amount)).to.deep.equal([
+      ethers.parseUnits("10", 18),
+      ethers.parseUnits("20", 18),
+      ethers.parseUnits("30", 18),
+    ]);
+  });
+
+  it("Should retry a failed mint on the next poll", async function () {
+    const store = createDepositStore();
+    let fail = true;
+    const relayer = relayerFor(store, {
+      startBlock: await ethers.provider.getBlockNumber(),
+      mint: async (deposit) => {
+        if (fail) throw new Error("destination unavailable");
+        mints.push(deposit);
+      },
+    });
+
+    await bridgeOut(other, ethers.parseUnits("10", 18), recipient.address);
+    await mineBlocks(2);
+
+    await relayer.poll();
+    expect(mints).to.have.length(0);
+    expect(store.listDeposits(d => d.status === "pending")).to.have.length(1);
+
+    fail = false;
+    await relayer.poll();
+    expect(mints).to.have.length(1);
+  });
+
+  it("Should roll back unminted deposits removed by a reorg", async function () {
+    const store = createDepositStore();
+    const relayer = relayerFor(store, {
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 1,
+      mint: async () => {
+        throw new Error("destination unavailable");
+      },
+    });
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await bridgeOut(other, ethers.parseUnits("10", 18), recipient.address);
+    await mineBlocks(1);
+    await relayer.poll();
+    expect(store.listDeposits()).to.have.length(1);
+
+    // Replace the indexed blocks with a different history
+    await network.provider.send("evm_revert", [snapshot]);
+    await liberdus.connect(owner).transfer(recipient.address, 1n);
+    await mineBlocks(4);
+
+    await relayer.poll();
+    expect(store.listDeposits()).to.have.length(0);
+  });
+
+  it("Should not re-mint a deposit re-included after a reorg", async function () {
+    const store = createDepositStore();
+    const relayer = relayerFor(store, { startBlock: await ethers.provider.getBlockNumber(), confirmations: 1 });
+
+    // Sign the bridgeOut up front so the exact same transaction can be broadcast on both forks
+    const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+    await liberdus.connect(owner).transfer(wallet.address, ethers.parseUnits("10", 18));
+    await (await liberdus.connect(wallet).approve(vaultAddress, ethers.parseUnits("10", 18))).wait();
+    const rawTx = await wallet.signTransaction(
+      await wallet.populateTransaction(
+        await vault.connect(wallet).bridgeOut.populateTransaction(ethers.parseUnits("10", 18), recipient.address, chainId)
+      )
+    );
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await ethers.provider.broadcastTransaction(rawTx);
+    await mineBlocks(1);
+    await relayer.poll();
+    expect(mints).to.have.length(1);
+
+    // The same transaction lands again, in a different block
+    await network.provider.send("evm_revert", [snapshot]);
+    await mineBlocks(1);
+    await ethers.provider.broadcastTransaction(rawTx);
+    await mineBlocks(2);
+    await relayer.poll();
+
+    expect(mints).to.have.length(1);
+    const [deposit] = store.listDeposits();
+    expect(deposit.status).to.equal("minted");
+    expect(deposit.orphaned).to.equal(undefined);
+    expect(deposit.blockNumber).to.not.equal(mints[0].blockNumber);
+  });
+
+  it("Should flag a minted nonce taken over by another deposit after a reorg", async function () {
+    const store = createDepositStore();
+    const relayer = relayerFor(store, { startBlock: await ethers.provider.getBlockNumber(), confirmations: 1 });
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await bridgeOut(other, ethers.parseUnits("10", 18), recipient.address);
+    await mineBlocks(1);
+    await relayer.poll();
+    expect(mints).to.have.length(1);
+
+    await network.provider.send("evm_revert", [snapshot]);
+    const replacement = await bridgeOut(signer1, ethers.parseUnits("25", 18), recipient.address);
+    await mineBlocks(2);
+    await relayer.poll();
+
+    // Nonce 1 was already minted for the first deposit, so the replacement is held back
+    expect(mints).to.have.length(1);
+    const [deposit] = store.listDeposits();
+    expect(deposit.nonce).to.equal(1);
+    expect(deposit.orphaned).to.be.true;
+    expect(deposit.amount).to.equal(ethers.parseUnits("10", 18).toString());
+    expect(deposit.conflictTxHash).to.equal(replacement.hash);
+  });
+
+  it("Should fill a nonce gap before minting past it", async function () {
+    const store = createDepositStore();
+    const relayer = relayerFor(store, { startBlock: await ethers.provider.getBlockNumber() });
+
+    await bridgeOut(other, ethers.parseUnits("10", 18), recipient.address);
+    await bridgeOut(other, ethers.parseUnits("20", 18), recipient.address);
+    await bridgeOut(other, ethers.parseUnits("30", 18), recipient.address);
+    await mineBlocks(2);
+    await relayer.poll();
+    expect(mints.map(m => m.nonce)).to.deep.equal([1, 2, 3]);
+
+    // Lose nonce 2 from the store, as if a log had been dropped by the RPC
+    store.deleteDeposit("2");
+    const gapped = store.getDeposit("3");
+    store.putDeposit({ ...gapped, status: "pending" });
+    mints = [];
+
+    const { gaps } = await relayer.poll();
+    expect(gaps).to.deep.equal([]);
+    expect(mints.map(m => m.nonce)).to.deep.equal([2, 3]);
+  });
+
+  it("Should mint through a destination minter contract", async function () {
+    const MockBscMinter = await ethers.getContractFactory("MockBscMinter");
+    const minter = await MockBscMinter.deploy();
+    await minter.waitForDeployment();
+
+    const store = createDepositStore();
+    const relayer = relayerFor(store, {
+      startBlock: await ethers.provider.getBlockNumber(),
+      mint: contractMinter(minter),
+    });
+
+    const amount = ethers.parseUnits("42", 18);
+    await bridgeOut(other, amount, recipient.address);
+    await mineBlocks(2);
+    await relayer.poll();
+
+    expect(await minter.balanceOf(recipient.address)).to.equal(amount);
+    const [deposit] = store.listDeposits();
+    expect(await minter.minted(deposit.nonce)).to.be.true;
+    expect(await minter.missingCount()).to.equal(0n);
+
+    await expect(
+      minter.mint(deposit.nonce, recipient.address, amount)
+    ).to.be.revertedWith("Deposit already minted");
+
+    // Minting ahead of a nonce leaves a visible gap on the destination
+    await minter.mint(deposit.nonce + 2, recipient.address, amount);
+    expect(await minter.missingCount()).to.equal(1n);
+  });
+
+  it("Should only mint deposits bound for its own chain", async function () {
+    const otherChainId = 56n;
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool", "uint256"], [true, 0]);
+    const receipt = await (await vault.requestOperation(OP.SET_DESTINATION_CHAIN, ethers.ZeroAddress, otherChainId, data)).wait();
+    const operationId = findOperationId(receipt);
+    for (const signer of [signer1, signer2, signer3]) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+
+    const store = createDepositStore();
+    const relayer = relayerFor(store, { startBlock: await ethers.provider.getBlockNumber(), chainId });
+    await bridgeOut(other, ethers.parseUnits("1", 18), recipient.address);
+    await bridgeOut(other, ethers.parseUnits("2", 18), recipient.address, otherChainId);
+    await bridgeOut(other, ethers.parseUnits("3", 18), recipient.address);
+    await mineBlocks(2);
+    await relayer.poll();
+    await relayer.poll();
+
+    expect(mints.map(m => m.nonce)).to.deep.equal([1, 3]);
+    expect(store.getDeposit("2").status).to.equal("skipped");
+  });
+
+  async function queueRefund(nonce) {
+    const operationId = findOperationId(await (await vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, nonce, "0x")).wait());
+    for (const signer of [signer1, signer2, signer3]) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+    return operationId;
+  }
+
+  it("Should hold a deposit with a queued refund and never mint it once refunded", async function () {
+    const store = createDepositStore();
+    const relayer = relayerFor(store, { startBlock: await ethers.provider.getBlockNumber() });
+    await bridgeOut(other, ethers.parseUnits("1", 18), recipient.address);
+    await bridgeOut(other, ethers.parseUnits("2", 18), recipient.address);
+    const operationId = await queueRefund(1);
+    await mineBlocks(2);
+    await relayer.poll();
+
+    // refunded(1) is still false while the refund waits out the delay
+    expect(mints.map(m => m.nonce)).to.deep.equal([2]);
+    expect(store.getDeposit("1").status).to.equal("pending");
+
+    await network.provider.send("evm_increaseTime", [Number(await vault.executionDelay())]);
+    await vault.executeOperation(operationId);
+    await relayer.poll();
+
+    expect(mints.map(m => m.nonce)).to.deep.equal([2]);
+    expect(store.getDeposit("1").status).to.equal("refunded");
+  });
+
+  it("Should mint a held deposit once its queued refund is cancelled", async function () {
+    const store = createDepositStore();
+    const relayer = relayerFor(store, { startBlock: await ethers.provider.getBlockNumber() });
+    await bridgeOut(other, ethers.parseUnits("1", 18), recipient.address);
+    const operationId = await queueRefund(1);
+    await mineBlocks(2);
+    await relayer.poll();
+    expect(mints).to.have.length(0);
+
+    await vault.cancelOperation(operationId);
+    await relayer.poll();
+    expect(mints.map(m => m.nonce)).to.deep.equal([1]);
+    expect(store.getDeposit("1").status).to.equal("minted");
+  });
+});
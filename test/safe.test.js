@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const SafeArtifact = require("@safe-global/safe-smart-account/build/artifacts/contracts/Safe.sol/Safe.json");
+const SafeProxyFactoryArtifact = require("@safe-global/safe-smart-account/build/artifacts/contracts/proxies/SafeProxyFactory.sol/SafeProxyFactory.json");
+const FallbackHandlerArtifact = require("@safe-global/safe-smart-account/build/artifacts/contracts/handler/CompatibilityFallbackHandler.sol/CompatibilityFallbackHandler.json");
+const { OP, findOperationId, signOperation } = require("../scripts/lib/operations");
+const {
+  encodeRequestOperation,
+  encodeSubmitSignature,
+  signSafeOperation,
+  packSafeSignatures,
+  buildSafeTransaction,
+  executeSafeTransaction,
+  buildTransactionBuilderBatch,
+} = require("../scripts/lib/safe");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
+
+describe("Safe signers", function () {
+  let vault;
+  let safe;
+  let safeAddress;
+  let owner, signer1, signer2, safeOwner1, safeOwner2, safeOwner3;
+  let chainId;
+
+  async function deploy(artifact, ...args) {
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, owner);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // A 2-of-3 Safe behind a proxy, set up the way the Safe app creates one
+  async function deploySafe(owners, threshold) {
+    const singleton = await deploy(SafeArtifact);
+    const proxyFactory = await deploy(SafeProxyFactoryArtifact);
+    const fallbackHandler = await deploy(FallbackHandlerArtifact);
+
+    const initializer = singleton.interface.encodeFunctionData("setup", [
+      owners,
+      threshold,
+      ethers.ZeroAddress,
+      "0x",
+      await fallbackHandler.getAddress(),
+      ethers.ZeroAddress,
+      0,
+      ethers.ZeroAddress,
+    ]);
+    const receipt = await (await proxyFactory.createProxyWithNonce(await singleton.getAddress(), initializer, 0)).wait();
+    const created = receipt.logs
+      .map(log => proxyFactory.interface.parseLog(log))
+      .find(log => log && log.name === "ProxyCreation");
+    return new ethers.Contract(created.args.proxy, SafeArtifact.abi, owner);
+  }
+
+  async function execFromSafe(data, owners = [safeOwner1, safeOwner2]) {
+    const safeTx = buildSafeTransaction({ to: await vault.getAddress(), data, nonce: await safe.nonce() });
+    return executeSafeTransaction(safe, safeTx, owners);
+  }
+
+  async function safeSignature(operationId, owners = [safeOwner1, safeOwner2]) {
+    const signatures = [];
+    for (const safeOwner of owners) {
+      signatures.push(await signSafeOperation(safeOwner, vault, safeAddress, operationId));
+    }
+    return packSafeSignatures(signatures);
+  }
+
+  async function impersonateSafe() {
+    await ethers.provider.send("hardhat_impersonateAccount", [safeAddress]);
+    await ethers.provider.send("hardhat_setBalance", [safeAddress, ethers.toQuantity(ethers.parseEther("1"))]);
+    return ethers.getSigner(safeAddress);
+  }
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, safeOwner1, safeOwner2, safeOwner3] = await ethers.getSigners();
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+
+    safe = await deploySafe([safeOwner1.address, safeOwner2.address, safeOwner3.address], 2);
+    safeAddress = await safe.getAddress();
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    const liberdus = await TestToken.deploy();
+    await liberdus.waitForDeployment();
+
+    const Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(
+      await liberdus.getAddress(),
+      [owner.address, signer1.address, signer2.address, safeAddress],
+      3,
+      chainId
+    );
+    await vault.waitForDeployment();
+  });
+
+  it("Should let a Safe request an operation through a Safe transaction", async function () {
+    const data = encodeRequestOperation({
+      opType: OP.SET_BRIDGE_OUT_AMOUNT,
+      target: ethers.ZeroAddress,
+      value: ethers.parseUnits("5000", 18),
+      data: "0x",
+    });
+    await execFromSafe(data);
+
+    const [event] = await vault.queryFilter(vault.filters.OperationRequested());
+    expect(event.args.requester).to.equal(safeAddress);
+    expect(event.args.opType).to.equal(OP.SET_BRIDGE_OUT_AMOUNT);
+  });
+
+  it("Should accept a Safe's EIP-1271 signature and count it towards the threshold", async function () {
+    const newMax = ethers.parseUnits("5000", 18);
+    const operationId = findOperationId(await (await vault.requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMax, "0x")).wait());
+    for (const signer of [owner, signer1]) {
+      await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+    }
+
+    await execFromSafe(encodeSubmitSignature(operationId, await safeSignature(operationId)));
+
+    expect(await vault.hasSigned(operationId, safeAddress)).to.equal(true);
+    expect((await vault.operations(operationId)).executed).to.equal(true);
+    expect(await vault.maxBridgeOutAmount()).to.equal(newMax);
+  });
+
+  it("Should reject a Safe signature below the Safe's own threshold", async function () {
+    const operationId = findOperationId(await (await vault.requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, 1n, "0x")).wait());
+    const safeSigner = await impersonateSafe();
+
+    await expect(
+      vault.connect(safeSigner).submitSignature(operationId, await safeSignature(operationId, [safeOwner1]))
+    ).to.be.revertedWith("Signature signer must be message sender");
+  });
+
+  it("Should reject owner signatures made for a different operation", async function () {
+    const first = findOperationId(await (await vault.requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, 1n, "0x")).wait());
+    const second = findOperationId(await (await vault.requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, 2n, "0x")).wait());
+    const safeSigner = await impersonateSafe();
+
+    await expect(
+      vault.connect(safeSigner).submitSignature(second, await safeSignature(first))
+    ).to.be.revertedWith("Signature signer must be message sender");
+    expect(await vault.hasSigned(second, safeAddress)).to.equal(false);
+  });
+
+  it("Should not accept a plain ECDSA signature from a Safe owner in place of the Safe", async function () {
+    const operationId = findOperationId(await (await vault.requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, 1n, "0x")).wait());
+    const safeSigner = await impersonateSafe();
+
+    await expect(
+      vault.connect(safeSigner).submitSignature(operationId, await signOperation(safeOwner1, vault, operationId))
+    ).to.be.revertedWith("Signature signer must be message sender");
+  });
+
+  it("Should build a Transaction Builder batch for a Vault call", async function () {
+    const data = encodeSubmitSignature(ethers.ZeroHash, "0x1234");
+    const batch = buildTransactionBuilderBatch({
+      chainId,
+      safeAddress,
+      transactions: [{ to: await vault.getAddress(), data }],
+      name: "Vault: sign",
+    });
+
+    expect(batch.version).to.equal("1.0");
+    expect(batch.chainId).to.equal(chainId.toString());
+    expect(batch.meta.createdFromSafeAddress).to.equal(safeAddress);
+    expect(batch.transactions).to.deep.equal([
+      { to: await vault.getAddress(), value: "0", data, contractMethod: null, contractInputsValues: null },
+    ]);
+    // The batch must survive a JSON round trip, as the Safe app reads it from a file
+    expect(JSON.parse(JSON.stringify(batch))).to.deep.equal(batch);
+  });
+});
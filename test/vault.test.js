@@ -1,5 +1,15 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+  signOperation,
+  signOperationHash,
+  signOperationTypedData,
+  getOperationDomain,
+  computeOperationTypedHash,
+  sortSignaturesBySigner,
+  findOperationId,
+} = require("../scripts/lib/operations");
+const { getVaultFactory } = require("../scripts/lib/vault-libraries");
 
 describe("Vault", function () {
   let TestToken;
@@ -15,6 +25,17 @@ describe("Vault", function () {
     UPDATE_SIGNER: 1,
     SET_BRIDGE_OUT_ENABLED: 2,
     RELINQUISH_TOKENS: 3,
+    SET_BRIDGE_OUT_WINDOW_LIMIT: 4,
+    ADD_SIGNER: 5,
+    REMOVE_SIGNER: 6,
+    SET_REQUIRED_SIGNATURES: 7,
+    CANCEL_OPERATION: 8,
+    SET_GUARDIAN: 9,
+    RESCUE_FUNDS: 10,
+    SET_EXECUTION_DELAY: 11,
+    SET_DESTINATION_CHAIN: 12,
+    SET_RELEASER: 13,
+    REFUND_DEPOSIT: 14,
   });
 
   async function requestAndSignOperation(contract, operationType, target, value, data) {
@@ -25,14 +46,23 @@ describe("Vault", function () {
     const operationId = operationRequestedEvent.args.operationId;
 
     for (let i = 0; i < 3; i++) {
-      const messageHash = await contract.getOperationHash(operationId);
-      const signature = await signers[i].signMessage(ethers.getBytes(messageHash));
+      const signature = await signOperation(signers[i], contract, operationId);
       await contract.connect(signers[i]).submitSignature(operationId, signature);
     }
 
+    // Delayed operations are queued on the last signature
+    if ((await contract.getOperation(operationId)).executableAt > 0n) {
+      await executeAfterDelay(contract, operationId);
+    }
+
     return operationId;
   }
 
+  async function executeAfterDelay(contract, operationId) {
+    await ethers.provider.send("evm_increaseTime", [Number(await contract.executionDelay())]);
+    return contract.executeOperation(operationId);
+  }
+
   async function setupLiberdusWithTokens() {
     // TestToken constructor already mints initial supply to deployer/owner.
     return ethers.parseUnits("2000000", 18);
@@ -50,8 +80,8 @@ describe("Vault", function () {
     await liberdus.waitForDeployment();
 
     // Deploy Vault
-    Vault = await ethers.getContractFactory("Vault");
-    vault = await Vault.deploy(await liberdus.getAddress(), signerAddresses, chainId);
+    Vault = await getVaultFactory(ethers, owner);
+    vault = await Vault.deploy(await liberdus.getAddress(), signerAddresses, 3, chainId);
     await vault.waitForDeployment();
   });
 
@@ -76,7 +106,7 @@ describe("Vault", function () {
 
     it("Should reject zero token address", async function () {
       await expect(
-        Vault.deploy(ethers.ZeroAddress, signerAddresses, chainId)
+        Vault.deploy(ethers.ZeroAddress, signerAddresses, 3, chainId)
       ).to.be.revertedWith("Invalid token address");
     });
   });
@@ -100,6 +130,29 @@ describe("Vault", function () {
       expect(await liberdus.balanceOf(owner.address)).to.equal(ethers.parseUnits("1999000", 18));
     });
 
+    it("Should assign sequential deposit nonces and record each deposit", async function () {
+      const first = ethers.parseUnits("1000", 18);
+      const second = ethers.parseUnits("250", 18);
+      await liberdus.connect(owner).approve(await vault.getAddress(), first + second);
+      expect(await vault.depositCount()).to.equal(0n);
+
+      await vault.connect(owner).bridgeOut(first, recipient.address, chainId);
+      const tx = vault.connect(owner).bridgeOut(second, other.address, chainId);
+      await expect(tx).to.emit(vault, "BridgedOut")
+        .withArgs(owner.address, second, other.address, chainId, (timestamp) => timestamp > 0n, 2n);
+
+      expect(await vault.depositCount()).to.equal(2n);
+      const deposit = await vault.deposits(2);
+      const receipt = await (await tx).wait();
+      expect(deposit.from).to.equal(owner.address);
+      expect(deposit.targetAddress).to.equal(other.address);
+      expect(deposit.amount).to.equal(second);
+      expect(deposit.chainId).to.equal(chainId);
+      expect(deposit.blockNumber).to.equal(BigInt(receipt.blockNumber));
+      expect((await vault.deposits(1)).amount).to.equal(first);
+      expect((await vault.deposits(3)).from).to.equal(ethers.ZeroAddress);
+    });
+
     it("Should reject bridging out zero tokens", async function () {
       await expect(
         vault.connect(owner).bridgeOut(0, recipient.address, chainId)
@@ -177,6 +230,526 @@ describe("Vault", function () {
     });
   });
 
+  describe("Bridge Out With Permit", function () {
+    const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+    let permitToken;
+    let permitVault;
+
+    beforeEach(async function () {
+      const TestPermitToken = await ethers.getContractFactory("TestPermitToken");
+      permitToken = await TestPermitToken.deploy();
+      await permitToken.waitForDeployment();
+      permitVault = await Vault.deploy(await permitToken.getAddress(), signerAddresses, 3, chainId);
+      await permitVault.waitForDeployment();
+    });
+
+    async function signTokenPermit(holder, amount, deadline) {
+      const domain = {
+        name: "Test Permit Token",
+        version: "1",
+        chainId,
+        verifyingContract: await permitToken.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const signature = await holder.signTypedData(domain, types, {
+        owner: holder.address,
+        spender: await permitVault.getAddress(),
+        value: amount,
+        nonce: await permitToken.nonces(holder.address),
+        deadline,
+      });
+      return ethers.Signature.from(signature);
+    }
+
+    async function signPermit2(holder, token, amount, nonce, deadline) {
+      const domain = { name: "Permit2", chainId, verifyingContract: PERMIT2_ADDRESS };
+      const types = {
+        PermitTransferFrom: [
+          { name: "permitted", type: "TokenPermissions" },
+          { name: "spender", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+        TokenPermissions: [
+          { name: "token", type: "address" },
+          { name: "amount", type: "uint256" },
+        ],
+      };
+      return holder.signTypedData(domain, types, {
+        permitted: { token, amount },
+        spender: await vault.getAddress(),
+        nonce,
+        deadline,
+      });
+    }
+
+    async function installPermit2() {
+      const MockPermit2 = await ethers.getContractFactory("MockPermit2");
+      const mock = await MockPermit2.deploy();
+      await mock.waitForDeployment();
+      await ethers.provider.send("hardhat_setCode", [PERMIT2_ADDRESS, await ethers.provider.getCode(await mock.getAddress())]);
+    }
+
+    async function futureDeadline() {
+      return BigInt((await ethers.provider.getBlock("latest")).timestamp + 3600);
+    }
+
+    it("Should bridge out in one transaction with an EIP-2612 permit", async function () {
+      const amount = ethers.parseUnits("1000", 18);
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signTokenPermit(owner, amount, deadline);
+
+      await expect(
+        permitVault.connect(owner).bridgeOutWithPermit(amount, recipient.address, chainId, deadline, v, r, s)
+      ).to.emit(permitVault, "BridgedOut");
+
+      expect(await permitToken.balanceOf(await permitVault.getAddress())).to.equal(amount);
+      expect(await permitToken.allowance(owner.address, await permitVault.getAddress())).to.equal(0);
+      expect((await permitVault.deposits(1)).amount).to.equal(amount);
+    });
+
+    it("Should still bridge out when the permit was front-run", async function () {
+      const amount = ethers.parseUnits("1000", 18);
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signTokenPermit(owner, amount, deadline);
+
+      // Someone submits the same permit first, consuming its nonce
+      await permitToken.connect(other).permit(owner.address, await permitVault.getAddress(), amount, deadline, v, r, s);
+
+      await expect(
+        permitVault.connect(owner).bridgeOutWithPermit(amount, recipient.address, chainId, deadline, v, r, s)
+      ).to.emit(permitVault, "BridgedOut");
+      expect(await permitToken.balanceOf(await permitVault.getAddress())).to.equal(amount);
+    });
+
+    it("Should reject a permit signed by someone else", async function () {
+      const amount = ethers.parseUnits("1000", 18);
+      await permitToken.transfer(other.address, amount);
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signTokenPermit(owner, amount, deadline);
+
+      await expect(
+        permitVault.connect(other).bridgeOutWithPermit(amount, recipient.address, chainId, deadline, v, r, s)
+      ).to.be.revertedWith("Permit failed");
+    });
+
+    it("Should apply the usual bridge-out checks to permit deposits", async function () {
+      const amount = ethers.parseUnits("1000", 18);
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signTokenPermit(owner, amount, deadline);
+
+      await permitVault.connect(signer1).emergencyPause();
+      await expect(
+        permitVault.connect(owner).bridgeOutWithPermit(amount, recipient.address, chainId, deadline, v, r, s)
+      ).to.be.revertedWith("Bridge-out paused");
+    });
+
+    it("Should bridge out through a Permit2 signature transfer", async function () {
+      await installPermit2();
+      const amount = ethers.parseUnits("1000", 18);
+      const deadline = await futureDeadline();
+      await liberdus.connect(owner).approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+      const signature = await signPermit2(owner, await liberdus.getAddress(), amount, 7n, deadline);
+
+      await expect(
+        vault.connect(owner).bridgeOutWithPermit2(amount, recipient.address, chainId, 7n, deadline, signature)
+      ).to.emit(vault, "BridgedOut");
+      expect(await vault.getVaultBalance()).to.equal(amount);
+
+      // Permit2 nonces are single-use
+      await expect(
+        vault.connect(owner).bridgeOutWithPermit2(amount, recipient.address, chainId, 7n, deadline, signature)
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject a Permit2 signature replayed by another sender", async function () {
+      await installPermit2();
+      const amount = ethers.parseUnits("1000", 18);
+      const deadline = await futureDeadline();
+      await liberdus.connect(owner).approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+      await liberdus.transfer(other.address, amount);
+      const signature = await signPermit2(owner, await liberdus.getAddress(), amount, 1n, deadline);
+
+      // The deposit is always pulled from msg.sender, so another account cannot spend owner's signature
+      await expect(
+        vault.connect(other).bridgeOutWithPermit2(amount, other.address, chainId, 1n, deadline, signature)
+      ).to.be.revertedWith("Invalid signer");
+    });
+  });
+
+  describe("Bridge Out Window Limit", function () {
+    const HOUR = 60 * 60;
+    const DAY = 24 * HOUR;
+
+    async function setWindowLimit(limit, period) {
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [period]);
+      return requestAndSignOperation(vault, OP.SET_BRIDGE_OUT_WINDOW_LIMIT, ethers.ZeroAddress, limit, data);
+    }
+
+    async function bridge(amount) {
+      await liberdus.connect(owner).approve(await vault.getAddress(), amount);
+      return vault.connect(owner).bridgeOut(amount, recipient.address, chainId);
+    }
+
+    async function increaseTime(seconds) {
+      await network.provider.send("evm_increaseTime", [seconds]);
+      await network.provider.send("evm_mine");
+    }
+
+    it("Should have no window limit by default and not track usage without one", async function () {
+      expect(await vault.bridgeOutWindowLimit()).to.equal(0n);
+      expect(await vault.bridgeOutWindowPeriod()).to.equal(BigInt(DAY));
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(ethers.MaxUint256);
+
+      await bridge(ethers.parseUnits("10000", 18));
+      await bridge(ethers.parseUnits("10000", 18));
+      expect(await vault.getBridgeOutWindowUsage()).to.equal(0n);
+
+      // Deposits made before a limit was set never count against it
+      await setWindowLimit(ethers.parseUnits("15000", 18), DAY);
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(ethers.parseUnits("15000", 18));
+    });
+
+    it("Should set the window limit via multisig", async function () {
+      const limit = ethers.parseUnits("15000", 18);
+      await setWindowLimit(limit, 12 * HOUR);
+      const [event] = await vault.queryFilter(vault.filters.BridgeOutWindowLimitUpdated());
+      expect(event.args.newLimit).to.equal(limit);
+      expect(event.args.newPeriod).to.equal(BigInt(12 * HOUR));
+
+      expect(await vault.bridgeOutWindowLimit()).to.equal(limit);
+      expect(await vault.bridgeOutWindowPeriod()).to.equal(BigInt(12 * HOUR));
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(limit);
+    });
+
+    it("Should reject bridge-outs once the window is used up", async function () {
+      await setWindowLimit(ethers.parseUnits("15000", 18), DAY);
+
+      await bridge(ethers.parseUnits("10000", 18));
+      await bridge(ethers.parseUnits("5000", 18));
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(0n);
+
+      await liberdus.connect(owner).approve(await vault.getAddress(), 1n);
+      await expect(
+        vault.connect(owner).bridgeOut(1n, recipient.address, chainId)
+      ).to.be.revertedWith("Amount exceeds bridge-out window limit");
+    });
+
+    it("Should free allowance as deposits roll out of the window", async function () {
+      await setWindowLimit(ethers.parseUnits("15000", 18), DAY);
+
+      await bridge(ethers.parseUnits("10000", 18));
+      await increaseTime(12 * HOUR);
+      await bridge(ethers.parseUnits("5000", 18));
+
+      // 12 hours later the first deposit is still inside the window
+      await increaseTime(12 * HOUR - 60);
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(0n);
+
+      // One period plus a bucket after the first deposit only the second one counts
+      await increaseTime(HOUR + 120);
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(ethers.parseUnits("10000", 18));
+      await expect(bridge(ethers.parseUnits("10000", 18))).to.emit(vault, "BridgedOut");
+    });
+
+    it("Should stop counting usage against a disabled limit", async function () {
+      await setWindowLimit(ethers.parseUnits("1000", 18), DAY);
+      await bridge(ethers.parseUnits("1000", 18));
+
+      await setWindowLimit(0, DAY);
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(ethers.MaxUint256);
+      await expect(bridge(ethers.parseUnits("5000", 18))).to.emit(vault, "BridgedOut");
+
+      // Only the deposit made while the limit was set counts once it is enabled again
+      await setWindowLimit(ethers.parseUnits("3000", 18), DAY);
+      expect(await vault.getBridgeOutWindowUsage()).to.equal(ethers.parseUnits("1000", 18));
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(ethers.parseUnits("2000", 18));
+    });
+
+    it("Should carry usage over when the period changes", async function () {
+      await setWindowLimit(ethers.parseUnits("10000", 18), DAY);
+      await bridge(ethers.parseUnits("8000", 18));
+      await setWindowLimit(ethers.parseUnits("10000", 18), 6 * HOUR);
+
+      expect(await vault.getBridgeOutWindowUsage()).to.equal(ethers.parseUnits("8000", 18));
+      expect(await vault.getBridgeOutWindowRemaining()).to.equal(ethers.parseUnits("2000", 18));
+    });
+
+    it("Should reject invalid window periods", async function () {
+      await expect(
+        setWindowLimit(ethers.parseUnits("1000", 18), HOUR - 1)
+      ).to.be.revertedWith("Invalid bridge-out window period");
+      await expect(
+        setWindowLimit(ethers.parseUnits("1000", 18), 31 * DAY)
+      ).to.be.revertedWith("Invalid bridge-out window period");
+    });
+  });
+
+  describe("Destination Chains", function () {
+    const BSC = 56n;
+
+    async function setDestinationChain(destination, enabled, maxAmount) {
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool", "uint256"], [enabled, maxAmount]);
+      return requestAndSignOperation(vault, OP.SET_DESTINATION_CHAIN, ethers.ZeroAddress, destination, data);
+    }
+
+    async function bridge(amount, destination) {
+      await liberdus.connect(owner).approve(await vault.getAddress(), amount);
+      return vault.connect(owner).bridgeOut(amount, recipient.address, destination);
+    }
+
+    it("Should register the constructor chain as the only route", async function () {
+      expect(await vault.getDestinationChainIds()).to.deep.equal([chainId]);
+      const route = await vault.destinationChains(chainId);
+      expect(route.registered).to.equal(true);
+      expect(route.enabled).to.equal(true);
+      expect(route.maxBridgeOutAmount).to.equal(0n);
+    });
+
+    it("Should reject bridging out to an unregistered chain", async function () {
+      await expect(bridge(1n, BSC)).to.be.revertedWith("Invalid chain ID");
+    });
+
+    it("Should add a route via multisig and tag deposits with it", async function () {
+      const maxAmount = ethers.parseUnits("5000", 18);
+      const operationId = await setDestinationChain(BSC, true, maxAmount);
+      const [event] = await vault.queryFilter(vault.filters.DestinationChainUpdated());
+      expect(event.args.operationId).to.equal(operationId);
+      expect(event.args.chainId).to.equal(BSC);
+      expect(event.args.enabled).to.equal(true);
+      expect(event.args.maxBridgeOutAmount).to.equal(maxAmount);
+      expect(await vault.getDestinationChainIds()).to.deep.equal([chainId, BSC]);
+
+      await bridge(ethers.parseUnits("100", 18), BSC);
+      const [bridgedOut] = await vault.queryFilter(vault.filters.BridgedOut());
+      expect(bridgedOut.args.chainId).to.equal(BSC);
+      expect((await vault.deposits(1)).chainId).to.equal(BSC);
+    });
+
+    it("Should apply the lower of the global and per-chain limits", async function () {
+      await setDestinationChain(BSC, true, ethers.parseUnits("5000", 18));
+
+      await expect(bridge(ethers.parseUnits("5001", 18), BSC)).to.be.revertedWith("Amount exceeds destination chain limit");
+      await expect(bridge(ethers.parseUnits("5000", 18), BSC)).to.emit(vault, "BridgedOut");
+      // The other route still only has the global limit
+      await expect(bridge(ethers.parseUnits("10000", 18), chainId)).to.emit(vault, "BridgedOut");
+
+      await requestAndSignOperation(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("1000", 18), "0x");
+      await expect(bridge(ethers.parseUnits("2000", 18), BSC)).to.be.revertedWith("Amount exceeds bridge-out limit");
+    });
+
+    it("Should disable and re-enable a single route", async function () {
+      await setDestinationChain(BSC, true, 0);
+      await setDestinationChain(chainId, false, 0);
+
+      await expect(bridge(1n, chainId)).to.be.revertedWith("Destination chain disabled");
+      await expect(bridge(1n, BSC)).to.emit(vault, "BridgedOut");
+
+      await setDestinationChain(chainId, true, 0);
+      await expect(bridge(1n, chainId)).to.emit(vault, "BridgedOut");
+      // Updating a route does not list it twice
+      expect(await vault.getDestinationChainIds()).to.deep.equal([chainId, BSC]);
+    });
+
+    it("Should reject invalid chain IDs when requested", async function () {
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool", "uint256"], [true, 0]);
+      await expect(
+        vault.requestOperation(OP.SET_DESTINATION_CHAIN, ethers.ZeroAddress, 0, data)
+      ).to.be.revertedWith("Invalid chain ID");
+      await expect(
+        vault.requestOperation(OP.SET_DESTINATION_CHAIN, ethers.ZeroAddress, 2n ** 96n, data)
+      ).to.be.revertedWith("Invalid chain ID");
+      await expect(
+        vault.requestOperation(OP.SET_DESTINATION_CHAIN, ethers.ZeroAddress, BSC, "0x")
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Releaser", function () {
+    it("Should only pay out to the releaser set through SetReleaser", async function () {
+      const amount = ethers.parseUnits("100", 18);
+      await liberdus.transfer(await vault.getAddress(), amount);
+      expect(await vault.releaser()).to.equal(ethers.ZeroAddress);
+      await expect(vault.connect(other).release(recipient.address, amount)).to.be.revertedWith("Not authorized to release");
+
+      const operationId = await requestAndSignOperation(vault, OP.SET_RELEASER, other.address, 0, "0x");
+      const events = await vault.queryFilter(vault.filters.ReleaserUpdated(operationId));
+      expect(events).to.have.length(1);
+      expect(await vault.releaser()).to.equal(other.address);
+
+      await expect(vault.connect(other).release(recipient.address, ethers.parseUnits("40", 18)))
+        .to.emit(vault, "TokensReleased");
+      expect(await liberdus.balanceOf(recipient.address)).to.equal(ethers.parseUnits("40", 18));
+      await expect(vault.connect(signer1).release(recipient.address, 1n)).to.be.revertedWith("Not authorized to release");
+    });
+
+    it("Should stop releases once the releaser is removed", async function () {
+      await liberdus.transfer(await vault.getAddress(), ethers.parseUnits("10", 18));
+      await requestAndSignOperation(vault, OP.SET_RELEASER, other.address, 0, "0x");
+      await requestAndSignOperation(vault, OP.SET_RELEASER, ethers.ZeroAddress, 0, "0x");
+      await expect(vault.connect(other).release(recipient.address, 1n)).to.be.revertedWith("Not authorized to release");
+    });
+  });
+
+  describe("Deposit Refunds", function () {
+    async function deposit(from, amount) {
+      await liberdus.transfer(from.address, amount);
+      await liberdus.connect(from).approve(await vault.getAddress(), amount);
+      const receipt = await (await vault.connect(from).bridgeOut(amount, recipient.address, chainId)).wait();
+      return receipt.logs.find(log => log.fragment && log.fragment.name === "BridgedOut").args.depositNonce;
+    }
+
+    it("Should return exactly the deposited amount to the depositor, once", async function () {
+      const first = await deposit(other, ethers.parseUnits("30", 18));
+      const second = await deposit(recipient, ethers.parseUnits("12", 18));
+
+      const operationId = findOperationId(await (await vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, second, "0x")).wait());
+      for (const signer of signers.slice(0, 3)) {
+        await vault.connect(signer).submitSignature(operationId, await signOperation(signer, vault, operationId));
+      }
+
+      // Queued behind the execution delay; nothing moves and the deposit is not refunded yet
+      expect((await vault.getOperation(operationId)).executableAt).to.be.greaterThan(0n);
+      expect(await vault.refunded(second)).to.be.false;
+      expect(await vault.getVaultBalance()).to.equal(ethers.parseUnits("42", 18));
+
+      await expect(executeAfterDelay(vault, operationId)).to.emit(vault, "DepositRefunded");
+      const [event] = await vault.queryFilter(vault.filters.DepositRefunded(operationId));
+      expect(event.args.depositNonce).to.equal(second);
+      expect(event.args.from).to.equal(recipient.address);
+      expect(event.args.amount).to.equal(ethers.parseUnits("12", 18));
+      expect(await liberdus.balanceOf(recipient.address)).to.equal(ethers.parseUnits("12", 18));
+      expect(await vault.getVaultBalance()).to.equal(ethers.parseUnits("30", 18));
+      expect(await vault.refunded(second)).to.be.true;
+      expect(await vault.refunded(first)).to.be.false;
+
+      await expect(vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, second, "0x"))
+        .to.be.revertedWith("Deposit already refunded");
+    });
+
+    it("Should refuse refunds of unknown deposits", async function () {
+      await deposit(other, ethers.parseUnits("1", 18));
+      await expect(vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, 0, "0x"))
+        .to.be.revertedWith("Unknown deposit");
+      await expect(vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, 2, "0x"))
+        .to.be.revertedWith("Unknown deposit");
+    });
+
+    it("Should refund only one of two operations for the same deposit", async function () {
+      const nonce = await deposit(other, ethers.parseUnits("5", 18));
+      await liberdus.transfer(await vault.getAddress(), ethers.parseUnits("5", 18));
+      const first = findOperationId(await (await vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, nonce, "0x")).wait());
+      const second = findOperationId(await (await vault.requestOperation(OP.REFUND_DEPOSIT, ethers.ZeroAddress, nonce, "0x")).wait());
+
+      for (const signer of signers.slice(0, 3)) {
+        await vault.connect(signer).submitSignature(first, await signOperation(signer, vault, first));
+      }
+      for (const signer of signers.slice(0, 3)) {
+        await vault.connect(signer).submitSignature(second, await signOperation(signer, vault, second));
+      }
+
+      // Both are queued; whichever executes first refunds the deposit
+      await executeAfterDelay(vault, first);
+      await expect(vault.executeOperation(second)).to.be.revertedWith("Deposit already refunded");
+      expect(await liberdus.balanceOf(other.address)).to.equal(ethers.parseUnits("5", 18));
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    const DAY = 24 * 60 * 60;
+    const bridgeAmount = ethers.parseUnits("1000", 18);
+
+    beforeEach(async function () {
+      await liberdus.connect(owner).approve(await vault.getAddress(), ethers.parseUnits("100000", 18));
+    });
+
+    async function increaseTime(seconds) {
+      await network.provider.send("evm_increaseTime", [seconds]);
+      await network.provider.send("evm_mine");
+    }
+
+    it("Should let a single signer pause bridgeOut immediately", async function () {
+      await expect(vault.connect(signer2).emergencyPause())
+        .to.emit(vault, "EmergencyPaused");
+
+      expect(await vault.isPaused()).to.be.true;
+      expect(await vault.bridgeOutEnabled()).to.be.true;
+      await expect(
+        vault.connect(owner).bridgeOut(bridgeAmount, recipient.address, chainId)
+      ).to.be.revertedWith("Bridge-out paused");
+    });
+
+    it("Should let the guardian pause once set via multisig", async function () {
+      await expect(vault.connect(other).emergencyPause()).to.be.revertedWith("Not authorized to pause");
+
+      const operationId = await requestAndSignOperation(vault, OP.SET_GUARDIAN, other.address, 0, "0x");
+      expect(await vault.guardian()).to.equal(other.address);
+      const events = await vault.queryFilter(vault.filters.GuardianUpdated(operationId));
+      expect(events[0].args.newGuardian).to.equal(other.address);
+
+      await vault.connect(other).emergencyPause();
+      expect(await vault.isPaused()).to.be.true;
+
+      // Removing the guardian revokes its ability to pause
+      await requestAndSignOperation(vault, OP.SET_BRIDGE_OUT_ENABLED, ethers.ZeroAddress, 0,
+        ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [true]));
+      await requestAndSignOperation(vault, OP.SET_GUARDIAN, ethers.ZeroAddress, 0, "0x");
+      await increaseTime(8 * DAY);
+      await expect(vault.connect(other).emergencyPause()).to.be.revertedWith("Not authorized to pause");
+    });
+
+    it("Should expire the pause automatically", async function () {
+      await vault.connect(signer1).emergencyPause();
+      await increaseTime(2 * DAY);
+
+      expect(await vault.isPaused()).to.be.false;
+      await expect(vault.connect(owner).bridgeOut(bridgeAmount, recipient.address, chainId))
+        .to.emit(vault, "BridgedOut");
+    });
+
+    it("Should rate-limit each key", async function () {
+      await vault.connect(signer1).emergencyPause();
+      await increaseTime(2 * DAY);
+      await expect(vault.connect(signer1).emergencyPause()).to.be.revertedWith("Pause cooldown active");
+
+      await increaseTime(5 * DAY);
+      await expect(vault.connect(signer1).emergencyPause()).to.emit(vault, "EmergencyPaused");
+    });
+
+    it("Should extend the pause when another key pauses", async function () {
+      await vault.connect(signer1).emergencyPause();
+      const firstUntil = await vault.pausedUntil();
+      await increaseTime(DAY);
+      await vault.connect(signer2).emergencyPause();
+      expect(await vault.pausedUntil()).to.be.greaterThan(firstUntil);
+    });
+
+    it("Should require the multisig to lift a pause early", async function () {
+      await vault.connect(signer1).emergencyPause();
+
+      const enabledData = ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [true]);
+      const operationId = await requestAndSignOperation(vault, OP.SET_BRIDGE_OUT_ENABLED, ethers.ZeroAddress, 0, enabledData);
+      const lifted = await vault.queryFilter(vault.filters.EmergencyPauseLifted(operationId));
+      expect(lifted).to.have.length(1);
+
+      expect(await vault.isPaused()).to.be.false;
+      await expect(vault.connect(owner).bridgeOut(bridgeAmount, recipient.address, chainId))
+        .to.emit(vault, "BridgedOut");
+    });
+
+    it("Should reject pauses from non-signers", async function () {
+      await expect(vault.connect(recipient).emergencyPause()).to.be.revertedWith("Not authorized to pause");
+    });
+  });
+
   describe("Relinquish Tokens", function () {
     const bridgeAmount = ethers.parseUnits("5000", 18);
 
@@ -207,15 +780,15 @@ describe("Vault", function () {
 
       // Sign with first 2 signers
       for (let i = 0; i < 2; i++) {
-        const messageHash = await vault.getOperationHash(operationId);
-        const signature = await signers[i].signMessage(ethers.getBytes(messageHash));
+        const signature = await signOperation(signers[i], vault, operationId);
         await vault.connect(signers[i]).submitSignature(operationId, signature);
       }
 
-      // Third signature triggers execution and emits both events
-      const messageHash = await vault.getOperationHash(operationId);
-      const signature = await signers[2].signMessage(ethers.getBytes(messageHash));
+      // Third signature queues it; executing after the delay emits both events
+      const signature = await signOperation(signers[2], vault, operationId);
       await expect(vault.connect(signers[2]).submitSignature(operationId, signature))
+        .to.emit(vault, "OperationQueued");
+      await expect(executeAfterDelay(vault, operationId))
         .to.emit(vault, "TokensRelinquished")
         .and.to.emit(vault, "VaultHalted");
     });
@@ -253,14 +826,87 @@ describe("Vault", function () {
       await requestAndSignOperation(vault, OP.RELINQUISH_TOKENS, ethers.ZeroAddress, 0, "0x");
 
       // Try to submit a signature on the pre-existing operation
-      const messageHash = await vault.getOperationHash(operationId);
-      const signature = await signers[0].signMessage(ethers.getBytes(messageHash));
+      const signature = await signOperation(signers[0], vault, operationId);
       await expect(
         vault.connect(signers[0]).submitSignature(operationId, signature)
       ).to.be.revertedWith("Vault is permanently halted");
     });
   });
 
+  describe("Rescue Funds", function () {
+    let strayToken;
+    const strayAmount = ethers.parseUnits("250", 18);
+
+    function assetData(asset) {
+      return ethers.AbiCoder.defaultAbiCoder().encode(["address"], [asset]);
+    }
+
+    beforeEach(async function () {
+      // A second token sent to the Vault by mistake
+      strayToken = await TestToken.deploy();
+      await strayToken.waitForDeployment();
+      await strayToken.transfer(await vault.getAddress(), strayAmount);
+    });
+
+    it("Should rescue the whole balance of a stray ERC20", async function () {
+      const operationId = await requestAndSignOperation(vault, OP.RESCUE_FUNDS, recipient.address, 0, assetData(await strayToken.getAddress()));
+
+      expect(await strayToken.balanceOf(await vault.getAddress())).to.equal(0);
+      expect(await strayToken.balanceOf(recipient.address)).to.equal(strayAmount);
+      const [event] = await vault.queryFilter(vault.filters.FundsRescued(operationId));
+      expect(event.args.asset).to.equal(await strayToken.getAddress());
+      expect(event.args.to).to.equal(recipient.address);
+      expect(event.args.amount).to.equal(strayAmount);
+    });
+
+    it("Should rescue part of a stray ERC20 balance", async function () {
+      const amount = ethers.parseUnits("100", 18);
+      await requestAndSignOperation(vault, OP.RESCUE_FUNDS, recipient.address, amount, assetData(await strayToken.getAddress()));
+
+      expect(await strayToken.balanceOf(recipient.address)).to.equal(amount);
+      expect(await strayToken.balanceOf(await vault.getAddress())).to.equal(strayAmount - amount);
+    });
+
+    it("Should rescue the native balance", async function () {
+      const nativeAmount = ethers.parseEther("3");
+      await ethers.provider.send("hardhat_setBalance", [await vault.getAddress(), ethers.toQuantity(nativeAmount)]);
+      const before = await ethers.provider.getBalance(recipient.address);
+
+      await requestAndSignOperation(vault, OP.RESCUE_FUNDS, recipient.address, 0, assetData(ethers.ZeroAddress));
+
+      expect(await ethers.provider.getBalance(await vault.getAddress())).to.equal(0);
+      expect(await ethers.provider.getBalance(recipient.address)).to.equal(before + nativeAmount);
+    });
+
+    it("Should never allow rescuing the bridged token", async function () {
+      const bridgeAmount = ethers.parseUnits("1000", 18);
+      await liberdus.connect(owner).approve(await vault.getAddress(), bridgeAmount);
+      await vault.connect(owner).bridgeOut(bridgeAmount, recipient.address, chainId);
+
+      await expect(
+        vault.requestOperation(OP.RESCUE_FUNDS, recipient.address, 0, assetData(await liberdus.getAddress()))
+      ).to.be.revertedWith("Cannot rescue bridged token");
+      expect(await vault.getVaultBalance()).to.equal(bridgeAmount);
+    });
+
+    it("Should reject a zero recipient", async function () {
+      await expect(
+        vault.requestOperation(OP.RESCUE_FUNDS, ethers.ZeroAddress, 0, assetData(await strayToken.getAddress()))
+      ).to.be.revertedWith("Invalid recipient");
+    });
+
+    it("Should fail to execute when the Vault holds less than requested", async function () {
+      const tx = await vault.requestOperation(OP.RESCUE_FUNDS, recipient.address, strayAmount + 1n, assetData(await strayToken.getAddress()));
+      const receipt = await tx.wait();
+      const operationId = receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
+
+      for (let i = 0; i < 3; i++) {
+        await vault.connect(signers[i]).submitSignature(operationId, await signOperation(signers[i], vault, operationId));
+      }
+      await expect(executeAfterDelay(vault, operationId)).to.be.revertedWith("Insufficient balance to rescue");
+    });
+  });
+
   describe("Multi-sig Operations", function () {
     it("Should set bridge out amount via multisig", async function () {
       const newMaxAmount = ethers.parseUnits("20000", 18);
@@ -286,20 +932,26 @@ describe("Vault", function () {
       // Sign with 3 signers (not the one being replaced)
       const signersToSign = signers.filter(s => s !== oldSigner).slice(0, 3);
       for (const signer of signersToSign) {
-        const messageHash = await vault.getOperationHash(operationId);
-        const signature = await signer.signMessage(ethers.getBytes(messageHash));
+        const signature = await signOperation(signer, vault, operationId);
         await vault.connect(signer).submitSignature(operationId, signature);
       }
+      await executeAfterDelay(vault, operationId);
 
       expect(await vault.isSigner(newSigner.address)).to.be.true;
       expect(await vault.isSigner(oldSigner.address)).to.be.false;
     });
 
+    it("Should reject updating a signer to the zero address", async function () {
+      await expect(
+        vault.requestOperation(OP.UPDATE_SIGNER, signer3.address, 0, "0x")
+      ).to.be.revertedWith("Invalid signer address");
+    });
+
     it("Should allow owner (non-signer) to submit signature for UpdateSigner", async function () {
       // Deploy a vault where owner is NOT one of the signers
       const nonOwnerSignerAddresses = [signer1.address, signer2.address, signer3.address, signer4.address];
       const nonOwnerSigners = [signer1, signer2, signer3, signer4];
-      const vaultNoOwner = await Vault.deploy(await liberdus.getAddress(), nonOwnerSignerAddresses, chainId);
+      const vaultNoOwner = await Vault.deploy(await liberdus.getAddress(), nonOwnerSignerAddresses, 3, chainId);
       await vaultNoOwner.waitForDeployment();
 
       // Owner (non-signer) requests to replace signer4 with 'other'
@@ -311,15 +963,15 @@ describe("Vault", function () {
 
       // Two registered signers submit first
       for (let i = 0; i < 2; i++) {
-        const messageHash = await vaultNoOwner.getOperationHash(operationId);
-        const sig = await nonOwnerSigners[i].signMessage(ethers.getBytes(messageHash));
+        const sig = await signOperation(nonOwnerSigners[i], vaultNoOwner, operationId);
         await vaultNoOwner.connect(nonOwnerSigners[i]).submitSignature(operationId, sig);
       }
 
-      // Owner (non-signer) submits the 3rd signature — should succeed and execute
-      const messageHash = await vaultNoOwner.getOperationHash(operationId);
-      const ownerSig = await owner.signMessage(ethers.getBytes(messageHash));
+      // Owner (non-signer) submits the 3rd signature — should succeed and queue it
+      const ownerSig = await signOperation(owner, vaultNoOwner, operationId);
       await expect(vaultNoOwner.connect(owner).submitSignature(operationId, ownerSig))
+        .to.emit(vaultNoOwner, "OperationQueued");
+      await expect(executeAfterDelay(vaultNoOwner, operationId))
         .to.emit(vaultNoOwner, "OperationExecuted");
 
       expect(await vaultNoOwner.isSigner(other.address)).to.be.true;
@@ -329,7 +981,7 @@ describe("Vault", function () {
     it("Should not allow owner (non-signer) to submit signature for non-UpdateSigner operations", async function () {
       // Deploy a vault where owner is NOT one of the signers
       const nonOwnerSignerAddresses = [signer1.address, signer2.address, signer3.address, signer4.address];
-      const vaultNoOwner = await Vault.deploy(await liberdus.getAddress(), nonOwnerSignerAddresses, chainId);
+      const vaultNoOwner = await Vault.deploy(await liberdus.getAddress(), nonOwnerSignerAddresses, 3, chainId);
       await vaultNoOwner.waitForDeployment();
 
       const newMaxAmount = ethers.parseUnits("20000", 18);
@@ -340,8 +992,7 @@ describe("Vault", function () {
       const operationId = receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
 
       // Owner (non-signer) tries to submit signature for a non-UpdateSigner op — should fail
-      const messageHash = await vaultNoOwner.getOperationHash(operationId);
-      const ownerSig = await owner.signMessage(ethers.getBytes(messageHash));
+      const ownerSig = await signOperation(owner, vaultNoOwner, operationId);
       await expect(
         vaultNoOwner.connect(owner).submitSignature(operationId, ownerSig)
       ).to.be.revertedWith("Only signers can submit signatures");
@@ -349,8 +1000,7 @@ describe("Vault", function () {
 
     it("Should revert when submitting signature for a non-existent operation", async function () {
       const fakeOperationId = ethers.keccak256(ethers.toUtf8Bytes("nonexistent"));
-      const messageHash = await vault.getOperationHash(fakeOperationId);
-      const signature = await signers[0].signMessage(ethers.getBytes(messageHash));
+      const signature = await signOperation(signers[0], vault, fakeOperationId);
       await expect(
         vault.connect(signers[0]).submitSignature(fakeOperationId, signature)
       ).to.be.revertedWith("Operation does not exist");
@@ -364,15 +1014,13 @@ describe("Vault", function () {
 
       // Only 2 signatures
       for (let i = 0; i < 2; i++) {
-        const messageHash = await vault.getOperationHash(operationId);
-        const signature = await signers[i].signMessage(ethers.getBytes(messageHash));
+        const signature = await signOperation(signers[i], vault, operationId);
         await vault.connect(signers[i]).submitSignature(operationId, signature);
       }
       expect(await vault.maxBridgeOutAmount()).to.not.equal(newMaxAmount);
 
       // Third signature executes
-      const messageHash = await vault.getOperationHash(operationId);
-      const signature = await signers[2].signMessage(ethers.getBytes(messageHash));
+      const signature = await signOperation(signers[2], vault, operationId);
       await vault.connect(signers[2]).submitSignature(operationId, signature);
       expect(await vault.maxBridgeOutAmount()).to.equal(newMaxAmount);
     });
@@ -386,8 +1034,7 @@ describe("Vault", function () {
       await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
       await network.provider.send("evm_mine");
 
-      const messageHash = await vault.getOperationHash(operationId);
-      const signature = await signers[0].signMessage(ethers.getBytes(messageHash));
+      const signature = await signOperation(signers[0], vault, operationId);
       await expect(
         vault.connect(signers[0]).submitSignature(operationId, signature)
       ).to.be.revertedWith("Operation deadline passed");
@@ -402,7 +1049,7 @@ describe("Vault", function () {
 
     it("Should prevent cross-contract operationId replay (address(this) in operationId)", async function () {
       // Deploy a second vault with the same signers and same chainId
-      const vault2 = await Vault.deploy(await liberdus.getAddress(), signerAddresses, chainId);
+      const vault2 = await Vault.deploy(await liberdus.getAddress(), signerAddresses, 3, chainId);
       await vault2.waitForDeployment();
 
       // Request operation on vault 1
@@ -413,14 +1060,790 @@ describe("Vault", function () {
 
       // The same operationId does not exist on vault2 (different address(this) → different hash)
       // Trying to submit a signature on vault2 using that operationId should fail
-      const messageHash = await vault.getOperationHash(operationId);
-      const signature = await signers[0].signMessage(ethers.getBytes(messageHash));
+      const signature = await signOperation(signers[0], vault, operationId);
       await expect(
         vault2.connect(signers[0]).submitSignature(operationId, signature)
       ).to.be.revertedWith("Operation does not exist");
     });
   });
 
+  describe("Signer Set Management", function () {
+    async function requestOp(contract, operationType, target, value, data = "0x") {
+      const tx = await contract.requestOperation(operationType, target, value, data);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
+    }
+
+    async function approve(contract, operationId, signer) {
+      const signature = await signOperation(signer, contract, operationId);
+      return contract.connect(signer).submitSignature(operationId, signature);
+    }
+
+    it("Should deploy with any number of signers and threshold", async function () {
+      const fiveSigners = [owner, signer1, signer2, signer3, signer4].map(s => s.address);
+      const vault2 = await Vault.deploy(await liberdus.getAddress(), fiveSigners, 2, chainId);
+      await vault2.waitForDeployment();
+
+      expect(await vault2.getSigners()).to.deep.equal(fiveSigners);
+      expect(await vault2.requiredSignatures()).to.equal(2n);
+
+      const operationId = await requestOp(vault2, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18));
+      await approve(vault2, operationId, signer4);
+      await expect(approve(vault2, operationId, signer1)).to.emit(vault2, "OperationExecuted");
+    });
+
+    it("Should reject invalid signer sets and thresholds at deployment", async function () {
+      const token = await liberdus.getAddress();
+      await expect(Vault.deploy(token, [owner.address], 1, chainId))
+        .to.be.revertedWith("Invalid number of signers");
+      await expect(Vault.deploy(token, signerAddresses, 0, chainId))
+        .to.be.revertedWith("Invalid required signatures");
+      await expect(Vault.deploy(token, signerAddresses, 5, chainId))
+        .to.be.revertedWith("Invalid required signatures");
+    });
+
+    it("Should add a signer and keep the threshold", async function () {
+      const operationId = await requestOp(vault, OP.ADD_SIGNER, signer4.address, 0);
+      await approve(vault, operationId, owner);
+      await approve(vault, operationId, signer1);
+      await approve(vault, operationId, signer2);
+      await expect(executeAfterDelay(vault, operationId))
+        .to.emit(vault, "SignerAdded").withArgs(operationId, signer4.address, (timestamp) => timestamp > 0n)
+        .and.to.emit(vault, "RequiredSignaturesUpdated").withArgs(operationId, 3n, 5n, (timestamp) => timestamp > 0n);
+
+      expect(await vault.isSigner(signer4.address)).to.be.true;
+      expect(await vault.getSigners()).to.deep.equal([...signerAddresses, signer4.address]);
+      expect(await vault.requiredSignatures()).to.equal(3n);
+    });
+
+    it("Should add a signer and raise the threshold", async function () {
+      await requestAndSignOperation(vault, OP.ADD_SIGNER, signer4.address, 4, "0x");
+      expect(await vault.requiredSignatures()).to.equal(4n);
+
+      const newMaxAmount = ethers.parseUnits("20000", 18);
+      const operationId = await requestOp(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      for (const signer of [owner, signer1, signer2]) {
+        await approve(vault, operationId, signer);
+      }
+      expect(await vault.maxBridgeOutAmount()).to.not.equal(newMaxAmount);
+      await approve(vault, operationId, signer4);
+      expect(await vault.maxBridgeOutAmount()).to.equal(newMaxAmount);
+    });
+
+    it("Should reject adding an existing signer or exceeding the threshold bounds", async function () {
+      await expect(vault.requestOperation(OP.ADD_SIGNER, signer1.address, 0, "0x"))
+        .to.be.revertedWith("New signer already exists");
+      await expect(vault.requestOperation(OP.ADD_SIGNER, ethers.ZeroAddress, 0, "0x"))
+        .to.be.revertedWith("Invalid signer address");
+      await expect(vault.requestOperation(OP.ADD_SIGNER, signer4.address, 6, "0x"))
+        .to.be.revertedWith("Invalid required signatures");
+    });
+
+    it("Should remove a signer", async function () {
+      const operationId = await requestOp(vault, OP.REMOVE_SIGNER, signer3.address, 2);
+      await approve(vault, operationId, owner);
+      await approve(vault, operationId, signer1);
+      await approve(vault, operationId, signer2);
+      await expect(executeAfterDelay(vault, operationId))
+        .to.emit(vault, "SignerRemoved").withArgs(operationId, signer3.address, (timestamp) => timestamp > 0n);
+
+      expect(await vault.isSigner(signer3.address)).to.be.false;
+      expect(await vault.getSigners()).to.deep.equal([owner.address, signer1.address, signer2.address]);
+      expect(await vault.requiredSignatures()).to.equal(2n);
+
+      const next = await requestOp(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18));
+      await expect(approve(vault, next, signer3)).to.be.revertedWith("Only signers can submit signatures");
+    });
+
+    it("Should keep the order of the remaining signers after a removal", async function () {
+      await requestAndSignOperation(vault, OP.REMOVE_SIGNER, signer1.address, 0, "0x");
+      expect(await vault.getSigners()).to.deep.equal([owner.address, signer2.address, signer3.address]);
+    });
+
+    it("Should not remove a signer if the threshold would exceed the remaining signers", async function () {
+      await requestAndSignOperation(vault, OP.REMOVE_SIGNER, signer3.address, 0, "0x");
+      expect(await vault.requiredSignatures()).to.equal(3n);
+
+      await expect(vault.requestOperation(OP.REMOVE_SIGNER, signer2.address, 0, "0x"))
+        .to.be.revertedWith("Invalid required signatures");
+      await expect(vault.requestOperation(OP.REMOVE_SIGNER, other.address, 2, "0x"))
+        .to.be.revertedWith("Old signer not found");
+    });
+
+    it("Should not go below the minimum number of signers", async function () {
+      const vault2 = await Vault.deploy(await liberdus.getAddress(), [owner.address, signer1.address], 1, chainId);
+      await vault2.waitForDeployment();
+
+      await expect(vault2.requestOperation(OP.REMOVE_SIGNER, signer1.address, 1, "0x"))
+        .to.be.revertedWith("Signer count at minimum");
+    });
+
+    it("Should change the threshold", async function () {
+      await requestAndSignOperation(vault, OP.SET_REQUIRED_SIGNATURES, ethers.ZeroAddress, 2, "0x");
+      expect(await vault.requiredSignatures()).to.equal(2n);
+
+      const newMaxAmount = ethers.parseUnits("20000", 18);
+      const operationId = await requestOp(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await approve(vault, operationId, signer2);
+      await approve(vault, operationId, signer3);
+      expect(await vault.maxBridgeOutAmount()).to.equal(newMaxAmount);
+    });
+
+    it("Should reject invalid or unchanged thresholds", async function () {
+      await expect(vault.requestOperation(OP.SET_REQUIRED_SIGNATURES, ethers.ZeroAddress, 0, "0x"))
+        .to.be.revertedWith("Invalid required signatures");
+      await expect(vault.requestOperation(OP.SET_REQUIRED_SIGNATURES, ethers.ZeroAddress, 5, "0x"))
+        .to.be.revertedWith("Invalid required signatures");
+      await expect(requestAndSignOperation(vault, OP.SET_REQUIRED_SIGNATURES, ethers.ZeroAddress, 3, "0x"))
+        .to.be.revertedWith("Required signatures already set");
+    });
+
+    it("Should stop counting approvals from a removed signer", async function () {
+      const newMaxAmount = ethers.parseUnits("20000", 18);
+      const pending = await requestOp(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await approve(vault, pending, signer3);
+      await approve(vault, pending, signer1);
+      expect(await vault.getApprovalCount(pending)).to.equal(2n);
+
+      await requestAndSignOperation(vault, OP.REMOVE_SIGNER, signer3.address, 0, "0x");
+      expect(await vault.getApprovalCount(pending)).to.equal(1n);
+
+      await approve(vault, pending, signer2);
+      expect(await vault.maxBridgeOutAmount()).to.not.equal(newMaxAmount);
+      await approve(vault, pending, owner);
+      expect(await vault.maxBridgeOutAmount()).to.equal(newMaxAmount);
+    });
+
+    it("Should execute a pending operation on the next approval after the threshold drops", async function () {
+      const newMaxAmount = ethers.parseUnits("20000", 18);
+      const pending = await requestOp(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await approve(vault, pending, signer1);
+      await approve(vault, pending, signer2);
+
+      await requestAndSignOperation(vault, OP.SET_REQUIRED_SIGNATURES, ethers.ZeroAddress, 2, "0x");
+      expect(await vault.maxBridgeOutAmount()).to.not.equal(newMaxAmount);
+
+      await expect(approve(vault, pending, signer3)).to.emit(vault, "OperationExecuted");
+      expect(await vault.maxBridgeOutAmount()).to.equal(newMaxAmount);
+    });
+  });
+
+  describe("Cancel and Revoke", function () {
+    const newMaxAmount = ethers.parseUnits("20000", 18);
+
+    async function requestOp(contract, requester, operationType, target, value, data = "0x") {
+      const tx = await contract.connect(requester).requestOperation(operationType, target, value, data);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
+    }
+
+    async function approve(operationId, signer) {
+      const signature = await signOperation(signer, vault, operationId);
+      return vault.connect(signer).submitSignature(operationId, signature);
+    }
+
+    it("Should let the requester cancel a pending operation", async function () {
+      const operationId = await requestOp(vault, signer1, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await approve(operationId, owner);
+
+      await expect(vault.connect(signer1).cancelOperation(operationId))
+        .to.emit(vault, "OperationCancelled")
+        .withArgs(operationId, signer1.address, ethers.ZeroHash, (timestamp) => timestamp > 0n);
+
+      const op = await vault.getOperation(operationId);
+      expect(op.cancelled).to.be.true;
+      expect(op.requester).to.equal(signer1.address);
+      expect(await vault.isOperationPrunable(operationId)).to.be.true;
+      await expect(approve(operationId, signer2)).to.be.revertedWith("Operation cancelled");
+    });
+
+    it("Should only let the requester cancel directly", async function () {
+      const operationId = await requestOp(vault, signer1, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await expect(vault.connect(signer2).cancelOperation(operationId))
+        .to.be.revertedWith("Only the requester can cancel");
+      await expect(vault.connect(other).cancelOperation(operationId))
+        .to.be.revertedWith("Not authorized to cancel operation");
+    });
+
+    it("Should not cancel executed, cancelled or expired operations", async function () {
+      const executed = await requestAndSignOperation(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount, "0x");
+      await expect(vault.cancelOperation(executed)).to.be.revertedWith("Operation already executed");
+
+      const cancelled = await requestOp(vault, owner, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await vault.cancelOperation(cancelled);
+      await expect(vault.cancelOperation(cancelled)).to.be.revertedWith("Operation already cancelled");
+
+      const expired = await requestOp(vault, owner, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
+      await network.provider.send("evm_mine");
+      await expect(vault.cancelOperation(expired)).to.be.revertedWith("Operation deadline passed");
+    });
+
+    it("Should let a quorum of signers cancel any pending operation", async function () {
+      const target = await requestOp(vault, signer1, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [target]);
+
+      const cancelId = await requestOp(vault, owner, OP.CANCEL_OPERATION, ethers.ZeroAddress, 0, data);
+      await approve(cancelId, owner);
+      await approve(cancelId, signer2);
+      await expect(approve(cancelId, signer3))
+        .to.emit(vault, "OperationCancelled")
+        .withArgs(target, await vault.getAddress(), cancelId, (timestamp) => timestamp > 0n);
+
+      expect((await vault.getOperation(target)).cancelled).to.be.true;
+      expect(await vault.isOperationPrunable(target)).to.be.true;
+    });
+
+    it("Should reject a CancelOperation for an operation that cannot be cancelled", async function () {
+      const missing = ethers.keccak256(ethers.toUtf8Bytes("missing"));
+      await expect(vault.requestOperation(
+        OP.CANCEL_OPERATION, ethers.ZeroAddress, 0, ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [missing])
+      )).to.be.revertedWith("Operation does not exist");
+
+      // The target executes before the cancellation reaches its threshold
+      const target = await requestOp(vault, owner, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [target]);
+      const cancelId = await requestOp(vault, owner, OP.CANCEL_OPERATION, ethers.ZeroAddress, 0, data);
+      await approve(cancelId, owner);
+      await approve(cancelId, signer1);
+      for (const signer of [owner, signer1, signer2]) {
+        await approve(target, signer);
+      }
+      await expect(approve(cancelId, signer2)).to.be.revertedWith("Operation already executed");
+    });
+
+    it("Should let a signer revoke their signature", async function () {
+      const operationId = await requestOp(vault, owner, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await approve(operationId, owner);
+      await approve(operationId, signer1);
+
+      await expect(vault.connect(signer1).revokeSignature(operationId))
+        .to.emit(vault, "SignatureRevoked")
+        .withArgs(operationId, signer1.address, 1n, (timestamp) => timestamp > 0n);
+      expect(await vault.hasSigned(operationId, signer1.address)).to.be.false;
+      expect((await vault.getOperation(operationId)).numSignatures).to.equal(1n);
+
+      // The revoked approval no longer counts towards the threshold
+      await approve(operationId, signer2);
+      expect(await vault.maxBridgeOutAmount()).to.not.equal(newMaxAmount);
+
+      // The revocation is final for that signer; another signer has to approve instead
+      await expect(approve(operationId, signer1)).to.be.revertedWith("Signature revoked");
+      await approve(operationId, signer3);
+      expect(await vault.maxBridgeOutAmount()).to.equal(newMaxAmount);
+    });
+
+    it("Should reject revoking without a signature or after execution", async function () {
+      const operationId = await requestOp(vault, owner, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMaxAmount);
+      await expect(vault.connect(signer1).revokeSignature(operationId)).to.be.revertedWith("No signature to revoke");
+
+      for (const signer of [owner, signer1, signer2]) {
+        await approve(operationId, signer);
+      }
+      await expect(vault.connect(signer1).revokeSignature(operationId)).to.be.revertedWith("Operation already executed");
+    });
+  });
+
+  describe("Execution Timelock", function () {
+    const DELAY = 2 * 24 * 60 * 60;
+
+    async function requestOp(operationType, target, value, data = "0x") {
+      const tx = await vault.requestOperation(operationType, target, value, data);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
+    }
+
+    async function approve(operationId, signer) {
+      const signature = await signOperation(signer, vault, operationId);
+      return vault.connect(signer).submitSignature(operationId, signature);
+    }
+
+    // Requests an UpdateSigner replacing signer3 with signer4 and signs it up to the threshold
+    async function queueUpdateSigner() {
+      const operationId = await requestOp(OP.UPDATE_SIGNER, signer3.address, BigInt(signer4.address));
+      for (const signer of [owner, signer1, signer2]) {
+        await approve(operationId, signer);
+      }
+      return operationId;
+    }
+
+    async function increaseTime(seconds) {
+      await network.provider.send("evm_increaseTime", [seconds]);
+      await network.provider.send("evm_mine");
+    }
+
+    it("Should start with a two day delay", async function () {
+      expect(await vault.executionDelay()).to.equal(BigInt(DELAY));
+      expect(await vault.MAX_EXECUTION_DELAY()).to.equal(30n * 24n * 60n * 60n);
+    });
+
+    it("Should classify which operations are delayed", async function () {
+      for (const opType of [OP.UPDATE_SIGNER, OP.RELINQUISH_TOKENS, OP.ADD_SIGNER, OP.REMOVE_SIGNER,
+        OP.SET_REQUIRED_SIGNATURES, OP.RESCUE_FUNDS, OP.SET_EXECUTION_DELAY, OP.SET_RELEASER, OP.REFUND_DEPOSIT]) {
+        expect(await vault.isDelayedOperation(opType)).to.be.true;
+      }
+      for (const opType of [OP.SET_BRIDGE_OUT_AMOUNT, OP.SET_BRIDGE_OUT_ENABLED, OP.SET_BRIDGE_OUT_WINDOW_LIMIT,
+        OP.CANCEL_OPERATION, OP.SET_GUARDIAN]) {
+        expect(await vault.isDelayedOperation(opType)).to.be.false;
+      }
+    });
+
+    it("Should queue a delayed operation when it reaches its threshold", async function () {
+      const operationId = await requestOp(OP.UPDATE_SIGNER, signer3.address, BigInt(signer4.address));
+      await approve(operationId, owner);
+      await approve(operationId, signer1);
+
+      const tx = await approve(operationId, signer2);
+      const timestamp = BigInt((await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp);
+      await expect(tx)
+        .to.emit(vault, "OperationQueued")
+        .withArgs(operationId, OP.UPDATE_SIGNER, timestamp + BigInt(DELAY), timestamp);
+      await expect(tx).to.not.emit(vault, "OperationExecuted");
+
+      const op = await vault.getOperation(operationId);
+      expect(op.executed).to.be.false;
+      expect(op.executableAt).to.equal(timestamp + BigInt(DELAY));
+      expect(await vault.isSigner(signer3.address)).to.be.true;
+      expect(await vault.isOperationPrunable(operationId)).to.be.false;
+    });
+
+    it("Should not execute before the delay has passed", async function () {
+      const operationId = await queueUpdateSigner();
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Execution delay not passed");
+
+      await increaseTime(DELAY - 10);
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Execution delay not passed");
+    });
+
+    it("Should let anyone execute once the delay has passed", async function () {
+      const operationId = await queueUpdateSigner();
+      await increaseTime(DELAY);
+
+      await expect(vault.connect(other).executeOperation(operationId))
+        .to.emit(vault, "OperationExecuted").withArgs(operationId, OP.UPDATE_SIGNER)
+        .and.to.emit(vault, "SignerUpdated");
+      expect(await vault.isSigner(signer4.address)).to.be.true;
+      expect(await vault.isSigner(signer3.address)).to.be.false;
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Operation already executed");
+    });
+
+    it("Should reject executing an operation that is not queued", async function () {
+      const pending = await requestOp(OP.UPDATE_SIGNER, signer3.address, BigInt(signer4.address));
+      await approve(pending, owner);
+      await expect(vault.executeOperation(pending)).to.be.revertedWith("Operation not queued");
+      await expect(vault.executeOperation(ethers.ZeroHash)).to.be.revertedWith("Operation not queued");
+
+      // Instant operations execute on their last signature and are never queued
+      const instant = await requestAndSignOperation(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+      await expect(vault.executeOperation(instant)).to.be.revertedWith("Operation not queued");
+    });
+
+    it("Should let the requester cancel during the delay", async function () {
+      const operationId = await queueUpdateSigner();
+      await expect(vault.cancelOperation(operationId)).to.emit(vault, "OperationCancelled");
+
+      await increaseTime(DELAY);
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Operation cancelled");
+      expect(await vault.isSigner(signer3.address)).to.be.true;
+      expect(await vault.isOperationPrunable(operationId)).to.be.true;
+    });
+
+    it("Should let a quorum cancel during the delay", async function () {
+      const operationId = await queueUpdateSigner();
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [operationId]);
+      const cancelId = await requestOp(OP.CANCEL_OPERATION, ethers.ZeroAddress, 0, data);
+      for (const signer of [owner, signer1]) {
+        await approve(cancelId, signer);
+      }
+      // CancelOperation is instant, so the cancellation lands before the queued operation is executable
+      await expect(approve(cancelId, signer3))
+        .to.emit(vault, "OperationCancelled")
+        .withArgs(operationId, await vault.getAddress(), cancelId, (timestamp) => timestamp > 0n);
+
+      await increaseTime(DELAY);
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Operation cancelled");
+    });
+
+    it("Should count approvals again at execution", async function () {
+      const operationId = await queueUpdateSigner();
+      await vault.connect(signer1).revokeSignature(operationId);
+      await increaseTime(DELAY);
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Not enough approvals");
+
+      // The revoked approval cannot be given again to restore the threshold
+      await expect(approve(operationId, signer1)).to.be.revertedWith("Signature revoked");
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Not enough approvals");
+    });
+
+    it("Should keep a queued operation executable for OPERATION_DEADLINE after its delay", async function () {
+      const operationId = await queueUpdateSigner();
+      const { executableAt } = await vault.getOperation(operationId);
+      const deadline = await vault.OPERATION_DEADLINE();
+
+      // Past its signing deadline but still within the execution window
+      await network.provider.send("evm_setNextBlockTimestamp", [Number(executableAt + deadline)]);
+      await network.provider.send("evm_mine");
+      expect(await vault.isOperationExpired(operationId)).to.be.false;
+      expect(await vault.isOperationPrunable(operationId)).to.be.false;
+
+      await increaseTime(1);
+      expect(await vault.isOperationExpired(operationId)).to.be.true;
+      expect(await vault.isOperationPrunable(operationId)).to.be.true;
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Operation deadline passed");
+      await expect(vault.cancelOperation(operationId)).to.be.revertedWith("Operation deadline passed");
+    });
+
+    it("Should still disable bridge-out instantly", async function () {
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [false]);
+      const operationId = await requestOp(OP.SET_BRIDGE_OUT_ENABLED, ethers.ZeroAddress, 0, data);
+      await approve(operationId, owner);
+      await approve(operationId, signer1);
+      await expect(approve(operationId, signer2))
+        .to.emit(vault, "OperationExecuted")
+        .and.to.not.emit(vault, "OperationQueued");
+      expect(await vault.bridgeOutEnabled()).to.be.false;
+    });
+
+    it("Should block executing a queued operation once the Vault is halted", async function () {
+      const operationId = await queueUpdateSigner();
+      await liberdus.approve(await vault.getAddress(), ethers.parseUnits("100", 18));
+      await vault.bridgeOut(ethers.parseUnits("100", 18), recipient.address, chainId);
+      await requestAndSignOperation(vault, OP.RELINQUISH_TOKENS, ethers.ZeroAddress, 0, "0x");
+
+      await expect(vault.executeOperation(operationId)).to.be.revertedWith("Vault is permanently halted");
+    });
+
+    it("Should change the delay through a delayed SetExecutionDelay operation", async function () {
+      const operationId = await requestOp(OP.SET_EXECUTION_DELAY, ethers.ZeroAddress, 3600);
+      for (const signer of [owner, signer1]) {
+        await approve(operationId, signer);
+      }
+      await expect(approve(operationId, signer2)).to.emit(vault, "OperationQueued");
+      expect(await vault.executionDelay()).to.equal(BigInt(DELAY));
+
+      await increaseTime(DELAY);
+      await expect(vault.executeOperation(operationId))
+        .to.emit(vault, "ExecutionDelayUpdated")
+        .withArgs(operationId, 3600n, (timestamp) => timestamp > 0n);
+      expect(await vault.executionDelay()).to.equal(3600n);
+
+      const next = await queueUpdateSigner();
+      const { executableAt } = await vault.getOperation(next);
+      const timestamp = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+      expect(executableAt).to.equal(timestamp + 3600n);
+    });
+
+    it("Should bound the execution delay", async function () {
+      const max = await vault.MAX_EXECUTION_DELAY();
+      await expect(vault.requestOperation(OP.SET_EXECUTION_DELAY, ethers.ZeroAddress, max + 1n, "0x"))
+        .to.be.revertedWith("Invalid execution delay");
+      await requestAndSignOperation(vault, OP.SET_EXECUTION_DELAY, ethers.ZeroAddress, max, "0x");
+      expect(await vault.executionDelay()).to.equal(max);
+    });
+
+    it("Should execute every operation on its last signature when the delay is zero", async function () {
+      await requestAndSignOperation(vault, OP.SET_EXECUTION_DELAY, ethers.ZeroAddress, 0, "0x");
+      expect(await vault.executionDelay()).to.equal(0n);
+
+      const operationId = await requestOp(OP.UPDATE_SIGNER, signer3.address, BigInt(signer4.address));
+      for (const signer of [owner, signer1]) {
+        await approve(operationId, signer);
+      }
+      await expect(approve(operationId, signer2))
+        .to.emit(vault, "OperationExecuted")
+        .and.to.not.emit(vault, "OperationQueued");
+      expect(await vault.isSigner(signer4.address)).to.be.true;
+    });
+  });
+
+  describe("EIP-712 Signatures", function () {
+    async function requestOperation() {
+      const tx = await vault.requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
+    }
+
+    it("Should expose a domain bound to the chain and vault address", async function () {
+      const domain = await getOperationDomain(vault);
+      expect(domain.name).to.equal("Liberdus Vault");
+      expect(domain.version).to.equal("1");
+      expect(domain.chainId).to.equal(chainId.toString());
+      expect(domain.verifyingContract).to.equal(await vault.getAddress());
+    });
+
+    it("Should match the typed hash computed off-chain", async function () {
+      const operationId = await requestOperation();
+      const op = await vault.operations(operationId);
+      const expected = computeOperationTypedHash(await getOperationDomain(vault), {
+        operationId,
+        opType: op.opType,
+        target: op.target,
+        value: op.value,
+        data: op.data,
+        deadline: op.deadline,
+      });
+      expect(await vault.getOperationTypedHash(operationId)).to.equal(expected);
+    });
+
+    it("Should reject a typed signature made by another signer", async function () {
+      const operationId = await requestOperation();
+      const signature = await signOperation(signers[1], vault, operationId);
+      await expect(
+        vault.connect(signers[0]).submitSignature(operationId, signature)
+      ).to.be.revertedWith("Signature signer must be message sender");
+    });
+
+    it("Should reject a typed signature for another vault", async function () {
+      const vault2 = await Vault.deploy(await liberdus.getAddress(), signerAddresses, 3, chainId);
+      await vault2.waitForDeployment();
+      const operationId = await requestOperation();
+      await vault2.requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+
+      const op = await vault.operations(operationId);
+      const domain = { ...(await getOperationDomain(vault)), verifyingContract: await vault2.getAddress() };
+      const signature = await signOperationTypedData(signers[0], domain, {
+        operationId,
+        opType: op.opType,
+        target: op.target,
+        value: op.value,
+        data: op.data,
+        deadline: op.deadline,
+      });
+
+      await expect(
+        vault.connect(signers[0]).submitSignature(operationId, signature)
+      ).to.be.revertedWith("Signature signer must be message sender");
+    });
+
+    it("Should accept legacy prefixed signatures during the transition period", async function () {
+      const operationId = await requestOperation();
+      const signature = await signOperationHash(signers[0], await vault.getOperationHash(operationId));
+      await expect(vault.connect(signers[0]).submitSignature(operationId, signature))
+        .to.emit(vault, "SignatureSubmitted");
+    });
+
+    it("Should reject legacy prefixed signatures after the transition period", async function () {
+      const period = await vault.LEGACY_SIGNATURE_PERIOD();
+      await network.provider.send("evm_increaseTime", [Number(period) + 1]);
+      await network.provider.send("evm_mine");
+
+      const operationId = await requestOperation();
+      const legacySignature = await signOperationHash(signers[0], await vault.getOperationHash(operationId));
+      await expect(
+        vault.connect(signers[0]).submitSignature(operationId, legacySignature)
+      ).to.be.revertedWith("Signature signer must be message sender");
+
+      const typedSignature = await signOperation(signers[0], vault, operationId);
+      await expect(vault.connect(signers[0]).submitSignature(operationId, typedSignature))
+        .to.emit(vault, "SignatureSubmitted");
+    });
+  });
+
+  describe("Aggregated Signatures", function () {
+    async function requestOp(operationType, target, value, data = "0x") {
+      const tx = await vault.requestOperation(operationType, target, value, data);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
+    }
+
+    async function signaturesFrom(operationId, accounts) {
+      const approvals = [];
+      for (const account of accounts) {
+        approvals.push({ signer: account.address, signature: await signOperation(account, vault, operationId) });
+      }
+      return sortSignaturesBySigner(approvals);
+    }
+
+    it("Should execute with every signature in one transaction from anyone", async function () {
+      const newMax = ethers.parseUnits("20000", 18);
+      const operationId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, newMax);
+      const signatures = await signaturesFrom(operationId, [owner, signer1, signer2]);
+
+      const tx = vault.connect(other).executeWithSignatures(operationId, signatures);
+      await expect(tx).to.emit(vault, "OperationExecuted").withArgs(operationId, OP.SET_BRIDGE_OUT_AMOUNT);
+      const receipt = await (await tx).wait();
+      const submitted = receipt.logs.filter(log => log.fragment && log.fragment.name === "SignatureSubmitted");
+      expect(submitted.map(log => log.args.currentSignatures)).to.deep.equal([1n, 2n, 3n]);
+
+      expect(await vault.maxBridgeOutAmount()).to.equal(newMax);
+      const op = await vault.getOperation(operationId);
+      expect(op.executed).to.be.true;
+      expect(op.numSignatures).to.equal(3n);
+      expect(await vault.hasSigned(operationId, other.address)).to.be.false;
+    });
+
+    it("Should count approvals already on chain", async function () {
+      const operationId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18));
+      await vault.connect(signer1).submitSignature(operationId, await signOperation(signer1, vault, operationId));
+
+      // signer1's signature is sent again but only counted once
+      const signatures = await signaturesFrom(operationId, [signer1, signer3]);
+      await expect(vault.connect(other).executeWithSignatures(operationId, signatures))
+        .to.be.revertedWith("Not enough approvals");
+
+      await expect(vault.connect(other).executeWithSignatures(operationId, await signaturesFrom(operationId, [signer1, signer2, signer3])))
+        .to.emit(vault, "OperationExecuted");
+      expect((await vault.getOperation(operationId)).numSignatures).to.equal(3n);
+    });
+
+    it("Should not replay a revoked signature", async function () {
+      const operationId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18));
+      const signatures = await signaturesFrom(operationId, [owner, signer1, signer2]);
+      await vault.connect(signer1).submitSignature(operationId, await signOperation(signer1, vault, operationId));
+      await vault.connect(signer1).revokeSignature(operationId);
+
+      // signer1's signature is still valid over the operation, but was withdrawn
+      await expect(vault.connect(other).executeWithSignatures(operationId, signatures))
+        .to.be.revertedWith("Signature revoked");
+      expect(await vault.hasSigned(operationId, signer1.address)).to.be.false;
+      expect((await vault.getOperation(operationId)).executed).to.be.false;
+    });
+
+    it("Should require signatures sorted by signer without repeats", async function () {
+      const operationId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18));
+      const signatures = await signaturesFrom(operationId, [owner, signer1, signer2]);
+
+      await expect(
+        vault.executeWithSignatures(operationId, [...signatures].reverse())
+      ).to.be.revertedWith("Signatures not sorted by signer");
+      await expect(
+        vault.executeWithSignatures(operationId, [signatures[0], signatures[0], signatures[1]])
+      ).to.be.revertedWith("Signatures not sorted by signer");
+    });
+
+    it("Should reject signatures from non-signers or over another operation", async function () {
+      const operationId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18));
+      const otherId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("30000", 18));
+
+      await expect(
+        vault.executeWithSignatures(operationId, await signaturesFrom(operationId, [owner, signer1, other]))
+      ).to.be.revertedWith("Invalid signature");
+      await expect(
+        vault.executeWithSignatures(operationId, await signaturesFrom(otherId, [owner, signer1, signer2]))
+      ).to.be.revertedWith("Invalid signature");
+      await expect(
+        vault.executeWithSignatures(operationId, ["0x1234"])
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject legacy prefixed signatures", async function () {
+      const operationId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18));
+      const operationHash = await vault.getOperationHash(operationId);
+      const approvals = [];
+      for (const account of [owner, signer1, signer2]) {
+        approvals.push({ signer: account.address, signature: await signOperationHash(account, operationHash) });
+      }
+      await expect(
+        vault.executeWithSignatures(operationId, sortSignaturesBySigner(approvals))
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should not let the signer being replaced approve an UpdateSigner", async function () {
+      const operationId = await requestOp(OP.UPDATE_SIGNER, signer3.address, BigInt(signer4.address));
+      await expect(
+        vault.executeWithSignatures(operationId, await signaturesFrom(operationId, [owner, signer1, signer3]))
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should queue delayed operations instead of executing them", async function () {
+      const operationId = await requestOp(OP.SET_REQUIRED_SIGNATURES, ethers.ZeroAddress, 2);
+      const signatures = await signaturesFrom(operationId, [owner, signer1, signer2]);
+
+      await expect(vault.connect(other).executeWithSignatures(operationId, signatures))
+        .to.emit(vault, "OperationQueued")
+        .and.to.not.emit(vault, "OperationExecuted");
+      await expect(
+        vault.connect(other).executeWithSignatures(operationId, signatures)
+      ).to.be.revertedWith("Operation already queued");
+
+      await executeAfterDelay(vault, operationId);
+      expect(await vault.requiredSignatures()).to.equal(2n);
+    });
+
+    it("Should reject executed, cancelled and expired operations", async function () {
+      const executedId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18));
+      const signatures = await signaturesFrom(executedId, [owner, signer1, signer2]);
+      await vault.executeWithSignatures(executedId, signatures);
+      await expect(vault.executeWithSignatures(executedId, signatures)).to.be.revertedWith("Operation already executed");
+
+      const cancelledId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("30000", 18));
+      const cancelledSignatures = await signaturesFrom(cancelledId, [owner, signer1, signer2]);
+      await vault.cancelOperation(cancelledId);
+      await expect(vault.executeWithSignatures(cancelledId, cancelledSignatures)).to.be.revertedWith("Operation cancelled");
+
+      const expiredId = await requestOp(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("40000", 18));
+      const expiredSignatures = await signaturesFrom(expiredId, [owner, signer1, signer2]);
+      await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
+      await network.provider.send("evm_mine");
+      await expect(vault.executeWithSignatures(expiredId, expiredSignatures)).to.be.revertedWith("Operation deadline passed");
+
+      await expect(
+        vault.executeWithSignatures(ethers.ZeroHash, signatures)
+      ).to.be.revertedWith("Operation does not exist");
+    });
+  });
+
+  describe("Operation Views", function () {
+    async function requestOperation(value) {
+      const tx = await vault.requestOperation(OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, value, "0x");
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
+    }
+
+    it("Should return every operation field from getOperation", async function () {
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [false]);
+      const tx = await vault.requestOperation(OP.SET_BRIDGE_OUT_ENABLED, ethers.ZeroAddress, 0, data);
+      const receipt = await tx.wait();
+      const operationId = receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+      const op = await vault.getOperation(operationId);
+      expect(op.opType).to.equal(OP.SET_BRIDGE_OUT_ENABLED);
+      expect(op.target).to.equal(ethers.ZeroAddress);
+      expect(op.value).to.equal(0n);
+      expect(op.data).to.equal(data);
+      expect(op.numSignatures).to.equal(0n);
+      expect(op.executed).to.equal(false);
+      expect(op.deadline).to.equal(BigInt(block.timestamp) + 3n * 24n * 60n * 60n);
+    });
+
+    it("Should report which signers have approved", async function () {
+      const operationId = await requestOperation(ethers.parseUnits("20000", 18));
+      for (const signer of [signers[0], signers[2]]) {
+        const signature = await signOperation(signer, vault, operationId);
+        await vault.connect(signer).submitSignature(operationId, signature);
+      }
+
+      const [currentSigners, approved] = await vault.getSignerApprovals(operationId);
+      expect(currentSigners).to.deep.equal(signerAddresses);
+      expect(approved).to.deep.equal([true, false, true, false]);
+      expect(await vault.hasSigned(operationId, signers[2].address)).to.be.true;
+      expect(await vault.hasSigned(operationId, signers[3].address)).to.be.false;
+    });
+
+    it("Should report no approvals once an operation is pruned", async function () {
+      const operationId = await requestAndSignOperation(vault, OP.SET_BRIDGE_OUT_AMOUNT, ethers.ZeroAddress, ethers.parseUnits("20000", 18), "0x");
+      expect(await vault.hasSigned(operationId, signers[0].address)).to.be.true;
+
+      await vault.pruneOperationsByIds([operationId]);
+      expect(await vault.hasSigned(operationId, signers[0].address)).to.be.false;
+      const [, approved] = await vault.getSignerApprovals(operationId);
+      expect(approved).to.deep.equal([false, false, false, false]);
+    });
+
+    it("Should page through operation IDs", async function () {
+      const ids = [];
+      for (let i = 0; i < 5; i++) {
+        ids.push(await requestOperation(ethers.parseUnits((20000 + i).toString(), 18)));
+      }
+
+      expect(await vault.getOperationIds(0, 2)).to.deep.equal(ids.slice(0, 2));
+      expect(await vault.getOperationIds(2, 2)).to.deep.equal(ids.slice(2, 4));
+      expect(await vault.getOperationIds(4, 2)).to.deep.equal(ids.slice(4));
+      expect(await vault.getOperationIds(5, 2)).to.deep.equal([]);
+    });
+  });
+
   describe("Helper Functions", function () {
     it("Should return correct vault balance", async function () {
       await setupLiberdusWithTokens();